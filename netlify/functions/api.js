@@ -1,13 +1,13 @@
-import { handler as timeseriesHistoryHandler } from '../../src/handlers/v1/timeseries-history.js';
-import { handler as experienceTimelineHandler } from '../../src/handlers/v1/experience-timeline.js';
-import { handler as mostStarredHandler } from '../../src/handlers/v1/most-starred.js';
-import { handler as userStatsHandler } from '../../src/handlers/v1/user-stats.js';
-import { handler as repositoryCardHandler } from '../../src/handlers/v1/repository-card.js';
-import { handler as contributionStreakHandler } from '../../src/handlers/v1/contribution-streak.js';
-import { handler as skillTableHandler } from '../../src/handlers/v1/skill-table.js';
-import { handler as qrCodeHandler } from '../../src/handlers/v1/qr-code.js';
+import { findWidget } from '../../src/handlers/v1/registry.js';
+import { createNotFoundSVG, getErrorCardOptions } from '../../src/utils/errors.js';
+import { parseQueryParams } from '../../src/utils/validation.js';
+import { withETag } from '../../src/utils/etag.js';
+import { applyOutputFormat, formatError } from '../../src/utils/outputFormat.js';
+import { setBackgroundRevalidation } from '../../src/utils/cache.js';
 
-import { createNotFoundSVG } from '../../src/utils/errors.js';
+// The function is frozen once the handler resolves, so stale entries are
+// regenerated before responding rather than in the background
+setBackgroundRevalidation(false);
 
 /**
  * Main API router for all endpoints
@@ -36,7 +36,7 @@ export async function handler(event, context) {
   }
 
   if (httpMethod !== 'GET') {
-    return createNotFoundSVG('Method');
+    return formatError(event, createNotFoundSVG('Method'));
   }
 
   // Parse path to extract version and endpoint
@@ -47,7 +47,7 @@ export async function handler(event, context) {
   const versionIndex = pathParts.findIndex(part => part.match(/^v\d+$/));
   
   if (versionIndex === -1) {
-    return createNotFoundSVG('API version');
+    return formatError(event, createNotFoundSVG('API version'));
   }
 
   const version = pathParts[versionIndex];
@@ -55,55 +55,24 @@ export async function handler(event, context) {
 
   // Route based on version
   if (version === 'v1') {
-    return routeV1(endpoint, event);
+    const response = await applyOutputFormat(event, await routeV1(endpoint, event), findWidget(endpoint)?.errorCard);
+    return withETag(event, response);
   }
 
   // Unknown version
-  return createNotFoundSVG(`API version ${version}`);
+  return formatError(event, createNotFoundSVG(`API version ${version}`));
 }
 
 /**
- * Route v1 API requests
+ * Route v1 API requests to the widget registered for the endpoint
  * @param {string} endpoint - Endpoint path
  * @param {Object} event - Netlify function event
  * @returns {Object} Response object
  */
 async function routeV1(endpoint, event) {
-  // Route to appropriate handler
-  switch (endpoint) {
-    case 'timeseries-history.svg':
-    case 'timeseries-history':
-      return timeseriesHistoryHandler(event);
-    
-    case 'experience-timeline.svg':
-    case 'experience-timeline':
-      return experienceTimelineHandler(event);
-    
-    case 'most-starred.svg':
-    case 'most-starred':
-      return mostStarredHandler(event);
-    
-    case 'user-stats.svg':
-    case 'user-stats':
-      return userStatsHandler(event);
-    
-    case 'repository-card.svg':
-    case 'repository-card':
-      return repositoryCardHandler(event);
-
-    case 'contribution-streak.svg':
-    case 'contribution-streak':
-      return contributionStreakHandler(event);
-
-    case 'skill-table.svg':
-    case 'skill-table':
-      return skillTableHandler(event);
-
-    case 'qr-code.svg':
-    case 'qr-code':
-      return qrCodeHandler(event);
-
-    default:
-      return createNotFoundSVG(`Endpoint ${endpoint}`);
+  const widget = findWidget(endpoint);
+  if (!widget) {
+    return createNotFoundSVG(`Endpoint ${endpoint}`, getErrorCardOptions(parseQueryParams(event.rawQuery)));
   }
+  return widget.handler(event);
 }
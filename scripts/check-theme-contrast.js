@@ -0,0 +1,39 @@
+/**
+ * Check the WCAG contrast of every theme's title, text and subtext on its
+ * background.
+ *
+ * Covers the built-in themes and the user-defined themes of THEMES_PATH, and
+ * exits with status 1 when a pair is below MIN_CONTRAST_RATIO (default 4.5),
+ * so it can run in CI. Run with `npm run check:contrast`.
+ */
+
+// Must stay the first import, so every module sees the .env settings
+import 'dotenv/config';
+import { loadCustomThemes } from '../src/utils/themeLoader.js';
+import { getThemeSheetData } from '../src/widgets/theme_sheet/generateThemeSheetSVG.js';
+import { CONTRAST_KEYS } from '../src/utils/contrast.js';
+
+try {
+  loadCustomThemes();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+const { minContrastRatio, violations, themes } = getThemeSheetData();
+
+console.log(`Minimum contrast ratio: ${minContrastRatio}:1\n`);
+for (const { key, custom, contrast } of themes) {
+  const ratios = CONTRAST_KEYS.map((name) => `${name} ${contrast.ratios[name] ?? '?'}:1`).join('  ');
+  const status = contrast.violations.length > 0 ? '✗' : '✓';
+  console.log(`${status} ${key}${custom ? ' (custom)' : ''} [${contrast.backdrop} page]  ${ratios}`);
+}
+
+if (violations.length > 0) {
+  console.error(`\n❌ ${violations.length} low-contrast pair${violations.length > 1 ? 's' : ''}:`);
+  for (const { theme, key, ratio } of violations) {
+    console.error(`   ${theme}: ${key} on bg is ${ratio}:1`);
+  }
+  process.exit(1);
+}
+console.log('\n✓ All themes meet the minimum contrast ratio');
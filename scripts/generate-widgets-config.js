@@ -0,0 +1,18 @@
+/**
+ * Generate public/widgets-config.json from the widget registry.
+ *
+ * The playground reads this file to build its forms. The Express server serves
+ * the same configuration dynamically; the static copy is needed for Netlify,
+ * where public/ is served as-is. Run with `npm run generate:config`.
+ */
+
+import { writeFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { getWidgetsConfig } from '../src/handlers/v1/registry.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const outputPath = join(__dirname, '../public/widgets-config.json');
+
+await writeFile(outputPath, JSON.stringify(getWidgetsConfig(), null, 2) + '\n');
+console.log(`✓ Wrote ${outputPath}`);
@@ -10,6 +10,8 @@
  */
 
 import { handleError } from '../src/utils/errors.js';
+import { withETag } from '../src/utils/etag.js';
+import { applyOutputFormat, getErrorFormat } from '../src/utils/outputFormat.js';
 
 // In-flight deduplication: concurrent requests for the same URL share one handler
 // execution instead of spawning duplicate GitHub API calls.
@@ -58,9 +60,10 @@ export function expressToNetlifyEvent(req) {
  * @param {number} netlifyResponse.statusCode - HTTP status code
  * @param {Object} netlifyResponse.headers - Response headers
  * @param {string} netlifyResponse.body - Response body
+ * @param {boolean} [netlifyResponse.isBase64Encoded] - Whether body is base64-encoded binary (e.g. PNG)
  */
 export function sendNetlifyResponse(res, netlifyResponse) {
-  const { statusCode, headers, body } = netlifyResponse;
+  const { statusCode, headers, body, isBase64Encoded } = netlifyResponse;
 
   // Set status code
   res.status(statusCode);
@@ -73,32 +76,41 @@ export function sendNetlifyResponse(res, netlifyResponse) {
   }
 
   // Send body
-  res.send(body);
+  res.send(isBase64Encoded ? Buffer.from(body, 'base64') : body);
 }
 
 /**
  * Wrap a Netlify handler function for use with Express
  *
  * When SVG_HEADER_HEARTBEAT is not enabled, uses the standard request/response
- * flow: await handler, then send the complete response.
+ * flow: await handler, convert to the requested output format (format=png),
+ * then send the complete response with an ETag, answering matching
+ * If-None-Match requests with 304 Not Modified.
  *
  * When SVG_HEADER_HEARTBEAT=true:
  * - Immediately commits 200 + headers via res.writeHead() so the connection
  *   is kept alive from the start.
  * - Streams XML comment heartbeat chunks every 1.5s during generation to
  *   prevent proxy/browser idle-timeout disconnects on cache misses.
+ * - Conditional requests are not supported: the status and headers are sent
+ *   before the body (and therefore its ETag) is known.
+ * - Requests with a format or font parameter, .json data requests and clients that
+ *   would get non-SVG errors (Accept: application/json, image/png) use the
+ *   standard flow, since the heartbeat chunks are only valid inside an SVG body.
  * - Deduplicates concurrent identical requests so they share one handler
  *   execution instead of spawning redundant GitHub API calls.
  *
  * @param {Function} handler - Netlify handler function
+ * @param {Function} [errorCard] - (query) => error card options sized like the widget, for output format errors
  * @returns {Function} Express middleware function
  */
-export function wrapHandler(handler) {
+export function wrapHandler(handler, errorCard) {
   return async (req, res, next) => {
-    if (!HEARTBEAT_ENABLED) {
+    const event = expressToNetlifyEvent(req);
+    if (!HEARTBEAT_ENABLED || req.query.format !== undefined || req.query.font !== undefined || getErrorFormat(event) !== 'svg') {
       try {
-        const response = await handler(expressToNetlifyEvent(req));
-        sendNetlifyResponse(res, response);
+        const response = await applyOutputFormat(event, await handler(event), errorCard);
+        sendNetlifyResponse(res, withETag(event, response));
       } catch (error) {
         next(error);
       }
@@ -129,7 +141,7 @@ export function wrapHandler(handler) {
     // attach to its promise rather than spawning a new handler call.
     const key = req.url;
     if (!inFlight.has(key)) {
-      const promise = handler(expressToNetlifyEvent(req)).finally(() => {
+      const promise = handler(event).finally(() => {
         inFlight.delete(key);
       });
       inFlight.set(key, promise);
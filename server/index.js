@@ -13,16 +13,27 @@
  * - Comprehensive error handling
  */
 
+// Load environment variables from .env file. This import must stay first:
+// modules such as the cache read their settings when they are imported.
+import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
-import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import routes from './routes.js';
+import { WIDGETS, widgetEndpoint, getWidgetsConfig } from '../src/handlers/v1/registry.js';
+import { loadCustomThemes } from '../src/utils/themeLoader.js';
 import packageJson from '../package.json' with { type: 'json' };
 
-// Load environment variables from .env file
-dotenv.config();
+// Load user-defined themes (THEMES_PATH) before serving any widget; an invalid
+// theme file stops the server instead of rendering broken widgets
+let customThemes;
+try {
+  customThemes = loadCustomThemes();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
 
 // Get directory name for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -62,6 +73,12 @@ app.use((req, res, next) => {
 // Static Files
 // ============================================================================
 
+// Playground configuration, generated from the widget registry so it always
+// matches the running server (takes precedence over public/widgets-config.json)
+app.get('/widgets-config.json', (req, res) => {
+  res.json(getWidgetsConfig());
+});
+
 // Serve static files from public/ directory (e.g., index.html)
 app.use(express.static(join(__dirname, '../public')));
 
@@ -102,12 +119,7 @@ app.use((req, res) => {
     availableEndpoints: [
       '/health',
       '/playground.html',
-      '/api/v1/user-stats.svg',
-      '/api/v1/repository-card.svg',
-      '/api/v1/most-starred.svg',
-      '/api/v1/timeseries-history.svg',
-      '/api/v1/experience-timeline.svg',
-      '/api/v1/contribution-streak.svg'
+      ...WIDGETS.map(widgetEndpoint)
     ]
   });
 });
@@ -144,23 +156,27 @@ const server = app.listen(PORT, () => {
   console.log(`🛝 Playground: http://localhost:${PORT}/playground.html`);
   console.log('='.repeat(60));
   console.log('Available endpoints:');
-  console.log(`  • GET /api/v1/user-stats.svg`);
-  console.log(`  • GET /api/v1/repository-card.svg`);
-  console.log(`  • GET /api/v1/most-starred.svg`);
-  console.log(`  • GET /api/v1/timeseries-history.svg`);
-  console.log(`  • GET /api/v1/experience-timeline.svg`);
-  console.log(`  • GET /api/v1/contribution-streak.svg`);
+  for (const widget of WIDGETS) {
+    console.log(`  • GET ${widgetEndpoint(widget)}`);
+  }
   console.log('='.repeat(60));
   console.log(`🔑 GitHub Token: ${process.env.GITHUB_TOKEN ? '✓ Configured' : '✗ Missing'}`);
   if (process.env.LOCK_GITHUB_USER) {
     console.log(`🔒 Locked to user: ${process.env.LOCK_GITHUB_USER}`);
   }
+  if (customThemes.length > 0) {
+    console.log(`🎨 Custom Themes: ${customThemes.join(', ')}`);
+  }
+  console.log(`🗃️  Cache Backend: ${process.env.CACHE_BACKEND || 'memory'}`);
   if (process.env.CACHE_MAX_SIZE) {
     console.log(`🗄️  Cache Max Size: ${process.env.CACHE_MAX_SIZE}`);
   }
   if (process.env.CACHE_TTL_MS) {
     console.log(`⏱️  Cache TTL: ${process.env.CACHE_TTL_MS} ms`);
   }
+  if (process.env.CACHE_DATA_TTL_MS) {
+    console.log(`⏱️  Data Cache TTL: ${process.env.CACHE_DATA_TTL_MS} ms`);
+  }
 
   console.log('='.repeat(60));
   console.log('Press Ctrl+C to stop the server');
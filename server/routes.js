@@ -2,36 +2,27 @@
  * API Route Definitions
  * 
  * Maps Express routes to existing Netlify Function handlers using the adapter pattern.
- * All handlers are imported from src/handlers/v1/ and wrapped to work with Express.
+ * Routes are generated from the widget registry (src/handlers/v1/registry.js)
+ * and each handler is wrapped to work with Express.
  */
 
 import express from 'express';
-import { wrapHandler } from './adapter.js';
-
-// Import existing Netlify Function handlers
-import { handler as userStatsHandler } from '../src/handlers/v1/user-stats.js';
-import { handler as repositoryCardHandler } from '../src/handlers/v1/repository-card.js';
-import { handler as mostStarredHandler } from '../src/handlers/v1/most-starred.js';
-import { handler as timeseriesHistoryHandler } from '../src/handlers/v1/timeseries-history.js';
-import { handler as experienceTimelineHandler } from '../src/handlers/v1/experience-timeline.js';
-import { handler as contributionStreakHandler } from '../src/handlers/v1/contribution-streak.js';
-import { handler as skillTableHandler } from '../src/handlers/v1/skill-table.js';
-import { handler as qrCodeHandler } from '../src/handlers/v1/qr-code.js';
+import { wrapHandler, expressToNetlifyEvent, sendNetlifyResponse } from './adapter.js';
+
+// Widget registry: handlers and path aliases for every v1 endpoint
+import { WIDGETS } from '../src/handlers/v1/registry.js';
 
 // Import error utility for 404 responses
-import { createNotFoundSVG } from '../src/utils/errors.js';
+import { createNotFoundSVG, getErrorCardOptions } from '../src/utils/errors.js';
+import { formatError } from '../src/utils/outputFormat.js';
 
 const router = express.Router();
 
-// V1 API Routes - All endpoints return SVG images
-router.get(['/v1/user-stats.svg', '/v1/user-stats'], wrapHandler(userStatsHandler));
-router.get(['/v1/repository-card.svg', '/v1/repository-card'], wrapHandler(repositoryCardHandler));
-router.get(['/v1/most-starred.svg', '/v1/most-starred'], wrapHandler(mostStarredHandler));
-router.get(['/v1/timeseries-history.svg', '/v1/timeseries-history'], wrapHandler(timeseriesHistoryHandler));
-router.get(['/v1/experience-timeline.svg', '/v1/experience-timeline'], wrapHandler(experienceTimelineHandler));
-router.get(['/v1/contribution-streak.svg', '/v1/contribution-streak'], wrapHandler(contributionStreakHandler));
-router.get(['/v1/skill-table.svg', '/v1/skill-table'], wrapHandler(skillTableHandler));
-router.get(['/v1/qr-code.svg', '/v1/qr-code'], wrapHandler(qrCodeHandler));
+// V1 API Routes - All endpoints return SVG images; GitHub-backed widgets also
+// have a .json variant returning the data used for rendering
+for (const widget of WIDGETS) {
+  router.get(widget.paths.map((path) => `/v1/${path}`), wrapHandler(widget.handler, widget.errorCard));
+}
 
 // OPTIONS support for CORS preflight requests
 router.options('*', (req, res) => {
@@ -39,12 +30,15 @@ router.options('*', (req, res) => {
 });
 
 // 404 handler for unknown API endpoints
-// Returns an SVG error image to maintain consistency with other endpoints
-router.use((req, res) => {
-  const response = createNotFoundSVG(`Endpoint ${req.path}`);
-  res.status(response.statusCode)
-    .set(response.headers)
-    .send(response.body);
+// Returns an SVG error image (or JSON problem details when requested) to
+// maintain consistency with other endpoints
+router.use(async (req, res, next) => {
+  try {
+    const event = expressToNetlifyEvent(req);
+    sendNetlifyResponse(res, await formatError(event, createNotFoundSVG(`Endpoint ${req.path}`, getErrorCardOptions(req.query))));
+  } catch (error) {
+    next(error);
+  }
 });
 
 export default router;
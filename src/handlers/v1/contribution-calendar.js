@@ -0,0 +1,160 @@
+import { generateContributionCalendarSVG, getContributionCalendarData, parseBuckets, DEFAULT_BUCKETS } from '../../widgets/contribution_calendar/generateContributionCalendarSVG.js';
+import { generateCacheKey, getOrRevalidate } from '../../utils/cache.js';
+import { createSVGResponse, createJSONResponse, isJSONRequest } from '../../utils/response.js';
+import { validateUsername, validateDateRange, parseQueryParams } from '../../utils/validation.js';
+import { validateParams } from '../../utils/schema.js';
+import { THEME_PARAMS, getThemeOptions, themeCacheKey } from '../../utils/themes.js';
+import { LOCALE_PARAM } from '../../utils/i18n.js';
+import { TIMEZONE_PARAM } from '../../utils/timezone.js';
+import { handleError, createValidationErrorSVG, getErrorCardOptions, ConfigurationError, ForbiddenError, ValidationError } from '../../utils/errors.js';
+
+/**
+ * Query parameters accepted by the contribution calendar widget
+ * @type {import('../../utils/schema.js').ParamSchema[]}
+ */
+export const params = [
+  {
+    key: 'userName',
+    type: 'string',
+    label: 'Username',
+    required: true,
+    validate: validateUsername,
+    placeholder: 'octocat',
+    description: 'GitHub username',
+  },
+  {
+    key: 'year',
+    type: 'number',
+    label: 'Year',
+    min: 2008,
+    integer: true,
+    validate: (year) => {
+      if (year > new Date().getUTCFullYear()) {
+        throw new ValidationError('year cannot be in the future');
+      }
+    },
+    conflicts: ['range'],
+    placeholder: '2024',
+    description: 'Calendar year to draw, up to today (defaults to the last 365 days)',
+  },
+  {
+    key: 'range',
+    type: 'string',
+    label: 'Date Range',
+    required: false,
+    validate: validateDateRange,
+    placeholder: 'YYYY-MM-DD:YYYY-MM-DD',
+    description: 'Date range instead of a year (max 365 days)',
+  },
+  {
+    key: 'buckets',
+    type: 'string',
+    label: 'Buckets',
+    default: String(DEFAULT_BUCKETS),
+    maxLength: 100,
+    validate: parseBuckets,
+    placeholder: '4 or 1,5,10,20',
+    description: 'Intensity levels (2-8), or comma-separated minimum contributions of each level',
+  },
+  {
+    key: 'animate',
+    type: 'boolean',
+    label: 'Animate',
+    default: true,
+    description: 'Fade the weeks in from left to right',
+  },
+  TIMEZONE_PARAM,
+  LOCALE_PARAM,
+  {
+    key: 'nocache',
+    type: 'boolean',
+    label: 'No Cache',
+    default: false,
+    description: 'Bypass cache and force regeneration',
+  },
+];
+
+/**
+ * Error card options for a request, at the size of the contribution calendar
+ * @param {Object} queryParams - Raw query parameters (see parseQueryParams)
+ * @returns {import('../../utils/errors.js').ErrorCardOptions} Error card options
+ */
+export function errorCard(queryParams) {
+  return getErrorCardOptions(queryParams, { width: 800, height: 200 });
+}
+
+/**
+ * Handle contribution calendar SVG generation requests
+ * @param {Object} event - Netlify function event
+ * @returns {Object} Response object
+ */
+export async function handler(event) {
+  // Parse query parameters
+  const queryParams = parseQueryParams(event.rawQuery);
+  const card = errorCard(queryParams);
+
+  try {
+    // Check LOCK_GITHUB_USER environment variable
+    const lockedUser = process.env.LOCK_GITHUB_USER;
+    if (lockedUser) {
+      if (queryParams.userName) {
+        throw new ForbiddenError('Username parameter is not allowed when LOCK_GITHUB_USER is configured');
+      }
+      queryParams.userName = lockedUser;
+      console.log('[Auth] Using locked GitHub user:', lockedUser);
+    }
+
+    const { values, errors } = validateParams(queryParams, [...params, ...THEME_PARAMS]);
+    if (errors.length > 0) {
+      return createValidationErrorSVG(errors, card);
+    }
+
+    const { theme, ...themeOpts } = getThemeOptions(values);
+    const { userName: username, year, range, buckets, animate, timezone, locale, nocache: noCache } = values;
+    // JSON variant: return the data model used for rendering
+    if (isJSONRequest(event)) {
+      if (!process.env.GITHUB_TOKEN) {
+        throw new ConfigurationError('GITHUB_TOKEN environment variable is not configured');
+      }
+      const data = await getContributionCalendarData(username, { year, range, timezone, noCache });
+      return createJSONResponse(data, noCache);
+    }
+
+    // Generate cache key
+    const cacheKey = generateCacheKey(
+      'contribution-calendar',
+      username,
+      year,
+      range,
+      buckets,
+      animate,
+      theme,
+      themeCacheKey(themeOpts),
+      timezone,
+      locale
+    );
+
+    const { value: svg, status } = await getOrRevalidate(cacheKey, async () => {
+      const githubToken = process.env.GITHUB_TOKEN;
+      if (!githubToken) {
+        throw new ConfigurationError('GITHUB_TOKEN environment variable is not configured');
+      }
+
+      return generateContributionCalendarSVG(username, {
+        year,
+        range,
+        buckets,
+        animate,
+        timezone,
+        locale,
+        githubToken,
+        ...themeOpts,
+        noCache,
+      }, theme);
+    }, { noCache });
+
+    return createSVGResponse(svg, status, noCache);
+  } catch (error) {
+    return handleError(error, card);
+  }
+}
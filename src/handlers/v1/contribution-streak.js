@@ -1,8 +1,86 @@
-import { generateContributionStreakSVG } from '../../widgets/contribution_streak/generateContributionStreakSVG.js';
-import { cache, generateCacheKey } from '../../utils/cache.js';
-import { validateUsername, parseQueryParams, parseBoolean } from '../../utils/validation.js';
-import { handleError, createForbiddenSVG, createValidationErrorSVG } from '../../utils/errors.js';
+import { generateContributionStreakSVG, getContributionStreakData, parseExcludeDays } from '../../widgets/contribution_streak/generateContributionStreakSVG.js';
+import { generateCacheKey, getOrRevalidate } from '../../utils/cache.js';
+import { createSVGResponse, createJSONResponse, isJSONRequest } from '../../utils/response.js';
+import { validateUsername, parseQueryParams } from '../../utils/validation.js';
+import { validateParams } from '../../utils/schema.js';
+import { THEME_PARAMS, getThemeOptions, themeCacheKey } from '../../utils/themes.js';
+import { LOCALE_PARAM } from '../../utils/i18n.js';
+import { TIMEZONE_PARAM } from '../../utils/timezone.js';
+import { handleError, createValidationErrorSVG, getErrorCardOptions, ConfigurationError, ForbiddenError } from '../../utils/errors.js';
 
+/**
+ * Query parameters accepted by the contribution streak widget
+ * @type {import('../../utils/schema.js').ParamSchema[]}
+ */
+export const params = [
+  {
+    key: 'userName',
+    type: 'string',
+    label: 'Username',
+    required: true,
+    validate: validateUsername,
+    placeholder: 'octocat',
+    description: 'GitHub username',
+  },
+  {
+    key: 'animationDuration',
+    type: 'number',
+    label: 'Animation Duration (s)',
+    default: 2,
+    min: 0.5,
+    max: 10,
+    step: 0.5,
+    placeholder: '2',
+    description: 'Animation duration (0.5-10s)',
+  },
+  {
+    key: 'mode',
+    type: 'string',
+    label: 'Streak Mode',
+    default: 'daily',
+    enum: ['daily', 'weekly'],
+    description: 'Count consecutive days (daily) or consecutive Sunday-to-Saturday weeks (weekly)',
+  },
+  {
+    key: 'minContributions',
+    type: 'number',
+    label: 'Min Contributions',
+    default: 1,
+    min: 1,
+    max: 1000,
+    integer: true,
+    placeholder: '1',
+    description: 'Contributions a day (daily) or week (weekly) needs to extend the streak',
+  },
+  {
+    key: 'excludeDays',
+    type: 'string',
+    label: 'Exclude Days',
+    maxLength: 1000,
+    validate: parseExcludeDays,
+    conflicts: ['mode=weekly'],
+    placeholder: 'sat,sun,2024-12-25',
+    description: 'Days that do not break a daily streak: weekdays (e.g. sat,sun or weekends) and dates (YYYY-MM-DD), comma separated',
+  },
+  TIMEZONE_PARAM,
+  LOCALE_PARAM,
+  {
+    key: 'nocache',
+    type: 'boolean',
+    label: 'No Cache',
+    default: false,
+    description: 'Bypass cache and force regeneration',
+  },
+];
+
+/**
+ * Error card options for a request, at the size of the streak card
+ * @param {Object} queryParams - Raw query parameters (see parseQueryParams)
+ * @returns {import('../../utils/errors.js').ErrorCardOptions} Error card options
+ */
+export function errorCard(queryParams) {
+  return getErrorCardOptions(queryParams, { width: 550, height: 176 });
+}
 
 /**
  * Handle contribution streak SVG generation requests
@@ -10,49 +88,37 @@ import { handleError, createForbiddenSVG, createValidationErrorSVG } from '../..
  * @returns {Object} Response object
  */
 export async function handler(event) {
-  try {
-    // Parse query parameters
-    const queryParams = parseQueryParams(event.rawQuery);
-    const {
-      userName,
-      theme = 'radical',
-      animationDuration,
-      nocache,
-    } = queryParams;
-
-    const noCache = parseBoolean(nocache, false);
+  // Parse query parameters
+  const queryParams = parseQueryParams(event.rawQuery);
+  const card = errorCard(queryParams);
 
+  try {
     // Check LOCK_GITHUB_USER environment variable
     const lockedUser = process.env.LOCK_GITHUB_USER;
-    let username;
-
     if (lockedUser) {
-      if (userName) {
-        return createForbiddenSVG('Username parameter is not allowed when LOCK_GITHUB_USER is configured');
-      }
-      username = lockedUser;
-      console.log('[Auth] Using locked GitHub user:', username);
-    } else {
-      if (!userName) {
-        return createValidationErrorSVG('userName', 'userName query parameter is required');
+      if (queryParams.userName) {
+        throw new ForbiddenError('Username parameter is not allowed when LOCK_GITHUB_USER is configured');
       }
-      username = userName;
+      queryParams.userName = lockedUser;
+      console.log('[Auth] Using locked GitHub user:', lockedUser);
     }
 
-    // Validate username
-    try {
-      validateUsername(username);
-    } catch (error) {
-      return createValidationErrorSVG('userName', error.message);
+    const { values, errors } = validateParams(queryParams, [...params, ...THEME_PARAMS]);
+    if (errors.length > 0) {
+      return createValidationErrorSVG(errors, card);
     }
 
-    // Validate animationDuration parameter if provided
-    let animationDurationNum;
-    if (animationDuration !== undefined) {
-      animationDurationNum = parseFloat(animationDuration);
-      if (isNaN(animationDurationNum) || animationDurationNum < 0.5 || animationDurationNum > 10) {
-        return createValidationErrorSVG('animationDuration', 'animationDuration must be a number between 0.5 and 10');
+    const { theme, ...themeOpts } = getThemeOptions(values);
+    const { userName: username, animationDuration, mode, minContributions, excludeDays, timezone, locale, nocache: noCache } = values;
+    const streakOpts = { mode, minContributions, excludeDays, timezone };
+
+    // JSON variant: return the data model used for rendering
+    if (isJSONRequest(event)) {
+      if (!process.env.GITHUB_TOKEN) {
+        throw new ConfigurationError('GITHUB_TOKEN environment variable is not configured');
       }
+      const data = await getContributionStreakData(username, { ...streakOpts, noCache });
+      return createJSONResponse(data, noCache);
     }
 
     // Generate cache key
@@ -60,57 +126,26 @@ export async function handler(event) {
       'contribution-streak',
       username,
       theme,
-      animationDuration
+      themeCacheKey(themeOpts),
+      animationDuration,
+      mode,
+      minContributions,
+      excludeDays,
+      timezone,
+      locale
     );
 
-    // Check cache
-    const cachedResponse = !noCache && cache.get(cacheKey);
-    if (cachedResponse) {
-      console.log('[Cache] HIT:', cacheKey);
-      return {
-        statusCode: 200,
-        headers: {
-          'Content-Type': 'image/svg+xml',
-          'Cache-Control': 'public, max-age=3600',
-          'X-Cache': 'HIT',
-        },
-        body: cachedResponse,
-      };
-    }
-
-    console.log('[Cache] MISS:', cacheKey);
-
-    // Generate SVG
-    const githubToken = process.env.GITHUB_TOKEN;
-    if (!githubToken) {
-      throw new Error('GITHUB_TOKEN environment variable is not configured');
-    }
-
-    // Build options object
-    const opts = {};
-    if (animationDurationNum !== undefined) {
-      opts.animationDuration = animationDurationNum;
-    }
-
-    const svg = await generateContributionStreakSVG(username, opts, theme);
+    const { value: svg, status } = await getOrRevalidate(cacheKey, async () => {
+      const githubToken = process.env.GITHUB_TOKEN;
+      if (!githubToken) {
+        throw new ConfigurationError('GITHUB_TOKEN environment variable is not configured');
+      }
 
-    // Cache the response
-    if (!noCache) {
-      cache.set(cacheKey, svg);
-      console.log('[Cache] SET:', cacheKey);
-    }
+      return generateContributionStreakSVG(username, { animationDuration, ...streakOpts, locale, ...themeOpts, noCache }, theme);
+    }, { noCache });
 
-    // Return SVG
-    return {
-      statusCode: 200,
-      headers: {
-        'Content-Type': 'image/svg+xml',
-        'Cache-Control': noCache ? 'no-store, no-cache' : 'public, max-age=3600',
-        'X-Cache': 'MISS',
-      },
-      body: svg,
-    };
+    return createSVGResponse(svg, status, noCache);
   } catch (error) {
-    return handleError(error);
+    return handleError(error, card);
   }
 }
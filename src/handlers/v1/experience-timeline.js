@@ -1,21 +1,21 @@
 import { generateExperienceTimeline } from '../../widgets/experience_timeline/generateExperienceTimeline.js';
-import { cache, generateCacheKey } from '../../utils/cache.js';
-import { parseQueryParams, parseBoolean } from '../../utils/validation.js';
-import { handleError, createValidationErrorSVG } from '../../utils/errors.js';
+import { generateCacheKey, getOrRevalidate } from '../../utils/cache.js';
+import { createSVGResponse } from '../../utils/response.js';
+import { parseQueryParams } from '../../utils/validation.js';
+import { validateParams } from '../../utils/schema.js';
+import { THEME_PARAMS, getThemeOptions, themeCacheKey } from '../../utils/themes.js';
+import { LOCALE_PARAM } from '../../utils/i18n.js';
+import { handleError, createValidationErrorSVG, getErrorCardOptions, ValidationError } from '../../utils/errors.js';
 
 /**
  * Validate CSV format for experience timeline
  * @param {string} csvString - CSV string to validate
- * @throws {Error} If CSV is invalid
+ * @throws {ValidationError} If CSV is invalid
  */
 function validateExperienceCSV(csvString) {
-  if (!csvString || typeof csvString !== 'string') {
-    throw new Error('experienceCSV parameter is required');
-  }
-
   const lines = csvString.trim().split('\n');
   if (lines.length < 2) {
-    throw new Error('CSV must contain at least a header and one data row');
+    throw new ValidationError('CSV must contain at least a header and one data row');
   }
 
   // Validate header
@@ -31,13 +31,13 @@ function validateExperienceCSV(csvString) {
     headerFields.every((field, index) => field === allFields[index]);
 
   if (!hasValidHeader) {
-    throw new Error('CSV header must be: company,start,end,title,logo,color');
+    throw new ValidationError('CSV header must be: company,start,end,title,logo,color');
   }
 
   // Validate at least one data row exists
   const dataRows = lines.slice(1).filter(line => line.trim());
   if (dataRows.length === 0) {
-    throw new Error('CSV must contain at least one experience entry');
+    throw new ValidationError('CSV must contain at least one experience entry');
   }
 
   // Basic validation of data rows
@@ -46,92 +46,200 @@ function validateExperienceCSV(csvString) {
     const fields = row.split(',');
     
     if (fields.length !== allFields.length) {
-      throw new Error(`Row ${i + 2} has incorrect number of fields (expected ${allFields.length}, got ${fields.length})`);
+      throw new ValidationError(`Row ${i + 2} has incorrect number of fields (expected ${allFields.length}, got ${fields.length})`);
     }
 
     const company = fields[0].trim();
     const start = fields[1].trim();
 
     if (!company) {
-      throw new Error(`Row ${i + 2}: company is required`);
+      throw new ValidationError(`Row ${i + 2}: company is required`);
     }
 
     if (!start) {
-      throw new Error(`Row ${i + 2}: start date is required`);
+      throw new ValidationError(`Row ${i + 2}: start date is required`);
     }
 
     // Validate date format (YYYY, YYYY-MM, or YYYY-MM-DD)
     const dateRegex = /^\d{4}(-\d{2}(-\d{2})?)?$/;
     if (!dateRegex.test(start)) {
-      throw new Error(`Row ${i + 2}: start date must be in format YYYY, YYYY-MM, or YYYY-MM-DD`);
+      throw new ValidationError(`Row ${i + 2}: start date must be in format YYYY, YYYY-MM, or YYYY-MM-DD`);
     }
 
     // Validate end date if provided
     const end = fields[2].trim();
     if (end && !dateRegex.test(end)) {
-      throw new Error(`Row ${i + 2}: end date must be in format YYYY, YYYY-MM, or YYYY-MM-DD (or empty for present)`);
+      throw new ValidationError(`Row ${i + 2}: end date must be in format YYYY, YYYY-MM, or YYYY-MM-DD (or empty for present)`);
     }
   }
 }
 
+/**
+ * Query parameters accepted by the experience timeline widget
+ * @type {import('../../utils/schema.js').ParamSchema[]}
+ */
+export const params = [
+  {
+    key: 'experienceCSV',
+    type: 'csv-editor',
+    label: 'Experience Entries',
+    required: true,
+    decode: true,
+    validate: validateExperienceCSV,
+    description: 'CSV data with experience entries',
+  },
+  {
+    key: 'width',
+    type: 'number',
+    label: 'Width',
+    default: 1200,
+    min: 1,
+    integer: true,
+    placeholder: '1200',
+    description: 'SVG width in pixels',
+  },
+  {
+    key: 'heightPerLane',
+    type: 'number',
+    label: 'Height Per Lane',
+    default: 80,
+    min: 1,
+    integer: true,
+    placeholder: '80',
+    description: 'Height per timeline lane in pixels',
+  },
+  {
+    key: 'marginTop',
+    type: 'number',
+    label: 'Margin Top',
+    default: 100,
+    min: 0,
+    integer: true,
+    placeholder: '100',
+    description: 'Top margin in pixels',
+  },
+  {
+    key: 'marginRight',
+    type: 'number',
+    label: 'Margin Right',
+    default: 30,
+    min: 0,
+    integer: true,
+    placeholder: '30',
+    description: 'Right margin in pixels',
+  },
+  {
+    key: 'marginBottom',
+    type: 'number',
+    label: 'Margin Bottom',
+    default: 30,
+    min: 0,
+    integer: true,
+    placeholder: '30',
+    description: 'Bottom margin in pixels',
+  },
+  {
+    key: 'marginLeft',
+    type: 'number',
+    label: 'Margin Left',
+    default: 30,
+    min: 0,
+    integer: true,
+    placeholder: '30',
+    description: 'Left margin in pixels',
+  },
+  {
+    key: 'baseFontSize',
+    type: 'number',
+    label: 'Base Font Size',
+    default: 14,
+    min: 1,
+    integer: true,
+    placeholder: '14',
+    description: 'Base font size in pixels',
+  },
+  {
+    key: 'embedLogos',
+    type: 'boolean',
+    label: 'Embed Logos',
+    default: true,
+    description: 'Embed company logos in timeline',
+  },
+  {
+    key: 'includeStartDate',
+    type: 'boolean',
+    label: 'Include Start Date',
+    default: true,
+    description: 'Show start date labels',
+  },
+  {
+    key: 'includeEndDate',
+    type: 'boolean',
+    label: 'Include End Date',
+    default: true,
+    description: 'Show end date labels',
+  },
+  {
+    key: 'animationTotalDuration',
+    type: 'number',
+    label: 'Animation Duration (s)',
+    default: 5,
+    min: 0.5,
+    placeholder: '5',
+    description: 'Total animation duration in seconds',
+  },
+  LOCALE_PARAM,
+  {
+    key: 'nocache',
+    type: 'boolean',
+    label: 'No Cache',
+    default: false,
+    description: 'Bypass cache and force regeneration',
+  },
+];
+
+/**
+ * Error card options for a request, at the size of the timeline
+ * @param {Object} queryParams - Raw query parameters (see parseQueryParams)
+ * @returns {import('../../utils/errors.js').ErrorCardOptions} Error card options
+ */
+export function errorCard(queryParams) {
+  return getErrorCardOptions(queryParams, { width: 1200 });
+}
+
 /**
  * Handle experience timeline SVG generation requests
  * @param {Object} event - Netlify function event
  * @returns {Object} Response object
  */
 export async function handler(event) {
-  try {
-    // Parse query parameters
-    const queryParams = parseQueryParams(event.rawQuery);
-    const {
-      experienceCSV,
-      width: widthStr = '1200',
-      heightPerLane: heightPerLaneStr = '80',
-      marginTop: marginTopStr = '100',
-      marginRight: marginRightStr = '30',
-      marginBottom: marginBottomStr = '30',
-      marginLeft: marginLeftStr = '30',
-      embedLogos: embedLogosStr = 'true',
-      animationTotalDuration: animationTotalDurationStr = '5',
-      theme = 'radical',
-      nocache,
-    } = queryParams;
-
-    const noCache = parseBoolean(nocache, false);
-
-    const includeStartDate = queryParams.includeStartDate !== 'false';
-    const includeEndDate = queryParams.includeEndDate !== 'false';
-
-    // Type conversion and validation
-    const width = parseInt(widthStr, 10) || 1200;
-    const heightPerLane = parseInt(heightPerLaneStr, 10) || 80;
-    const marginTop = parseInt(marginTopStr, 10) || 100;
-    const marginRight = parseInt(marginRightStr, 10) || 30;
-    const marginBottom = parseInt(marginBottomStr, 10) || 30;
-    const marginLeft = parseInt(marginLeftStr, 10) || 30;
-    const embedLogos = embedLogosStr === 'true';
-    const animationTotalDuration = parseFloat(animationTotalDurationStr) || 5;
-    const baseFontSize = queryParams.baseFontSize ? parseInt(queryParams.baseFontSize, 10) : 14;
-
-    // Validate experienceCSV parameter exists
-    if (!experienceCSV) {
-      return createValidationErrorSVG('experienceCSV', 'experienceCSV query parameter is required');
-    }
+  // Parse query parameters
+  const queryParams = parseQueryParams(event.rawQuery);
+  const card = errorCard(queryParams);
 
-    // Decode URI component
-    let decodedCSV;
-    try {
-      decodedCSV = decodeURIComponent(experienceCSV);
-    } catch (error) {
-      return createValidationErrorSVG('experienceCSV', 'Invalid URI encoding in experienceCSV parameter');
+  try {
+    const { values, errors } = validateParams(queryParams, [...params, ...THEME_PARAMS]);
+    if (errors.length > 0) {
+      return createValidationErrorSVG(errors, card);
     }
 
-    // Validate CSV format
-    try {
-      validateExperienceCSV(decodedCSV);
-    } catch (error) {
-      return createValidationErrorSVG('experienceCSV', error.message);
-    }
+    const { theme, ...themeOpts } = getThemeOptions(values);
+    const {
+      experienceCSV,
+      width,
+      heightPerLane,
+      marginTop,
+      marginRight,
+      marginBottom,
+      marginLeft,
+      embedLogos,
+      includeStartDate,
+      includeEndDate,
+      animationTotalDuration,
+      baseFontSize,
+      locale,
+      nocache: noCache,
+    } = values;
 
     // Generate cache key based on CSV content and all options
     const cacheKeyOptions = {
@@ -146,29 +254,13 @@ export async function handler(event) {
       includeEndDate,
       animationTotalDuration,
       baseFontSize,
+      locale,
       theme,
+      ...themeOpts,
     };
-    const cacheKey = generateCacheKey('experience-timeline', decodedCSV, JSON.stringify(cacheKeyOptions));
-
-    // Check cache
-    const cachedResponse = !noCache && cache.get(cacheKey);
-    if (cachedResponse) {
-      console.log('[Cache] HIT:', cacheKey.substring(0, 50) + '...');
-      return {
-        statusCode: 200,
-        headers: {
-          'Content-Type': 'image/svg+xml',
-          'Cache-Control': 'public, max-age=3600',
-          'X-Cache': 'HIT',
-        },
-        body: cachedResponse,
-      };
-    }
+    const cacheKey = generateCacheKey('experience-timeline', experienceCSV, JSON.stringify(cacheKeyOptions));
 
-    console.log('[Cache] MISS:', cacheKey.substring(0, 50) + '...');
-
-    // Generate SVG
-    const svg = await generateExperienceTimeline(decodedCSV, {
+    const { value: svg, status } = await getOrRevalidate(cacheKey, () => generateExperienceTimeline(experienceCSV, {
       width,
       heightPerLane,
       margin: {
@@ -182,25 +274,12 @@ export async function handler(event) {
       includeEndDate,
       animationTotalDuration,
       baseFontSize,
-    }, theme);
-
-    // Cache the response
-    if (!noCache) {
-      cache.set(cacheKey, svg);
-      console.log('[Cache] SET:', cacheKey.substring(0, 50) + '...');
-    }
+      locale,
+      ...themeOpts,
+    }, theme), { noCache });
 
-    // Return SVG
-    return {
-      statusCode: 200,
-      headers: {
-        'Content-Type': 'image/svg+xml',
-        'Cache-Control': noCache ? 'no-store, no-cache' : 'public, max-age=3600',
-        'X-Cache': 'MISS',
-      },
-      body: svg,
-    };
+    return createSVGResponse(svg, status, noCache);
   } catch (error) {
-    return handleError(error);
+    return handleError(error, card);
   }
-}
\ No newline at end of file
+}
@@ -1,7 +1,73 @@
-import { generateMostStarredSVG } from '../../widgets/most_starred/generateMostStarredSVG.js';
-import { cache, generateCacheKey } from '../../utils/cache.js';
-import { validateUsername, parseQueryParams, parseBoolean } from '../../utils/validation.js';
-import { handleError, createForbiddenSVG, createValidationErrorSVG } from '../../utils/errors.js';
+import { generateMostStarredSVG, getMostStarredData } from '../../widgets/most_starred/generateMostStarredSVG.js';
+import { generateCacheKey, getOrRevalidate } from '../../utils/cache.js';
+import { createSVGResponse, createJSONResponse, isJSONRequest } from '../../utils/response.js';
+import { validateUsername, parseQueryParams } from '../../utils/validation.js';
+import { validateParams } from '../../utils/schema.js';
+import { THEME_PARAMS, getThemeOptions, themeCacheKey } from '../../utils/themes.js';
+import { LOCALE_PARAM } from '../../utils/i18n.js';
+import { handleError, createValidationErrorSVG, getErrorCardOptions, ConfigurationError, ForbiddenError } from '../../utils/errors.js';
+
+/**
+ * Query parameters accepted by the most starred widget
+ * @type {import('../../utils/schema.js').ParamSchema[]}
+ */
+export const params = [
+  {
+    key: 'userName',
+    type: 'string',
+    label: 'Username',
+    required: true,
+    validate: validateUsername,
+    placeholder: 'torvalds',
+    description: 'GitHub username',
+  },
+  {
+    key: 'top',
+    type: 'number',
+    label: 'Top N',
+    default: 3,
+    min: 1,
+    max: 10,
+    integer: true,
+    placeholder: '3',
+    description: 'Number of repos (1-10)',
+  },
+  {
+    key: 'title',
+    type: 'string',
+    label: 'Title',
+    required: false,
+    placeholder: 'Most Starred',
+    description: 'Custom widget title',
+  },
+  {
+    key: 'animationDuration',
+    type: 'number',
+    label: 'Animation Duration (s)',
+    min: 0.5,
+    max: 10,
+    step: 0.5,
+    placeholder: '3.5',
+    description: 'Card animation duration (0.5-10s)',
+  },
+  LOCALE_PARAM,
+  {
+    key: 'nocache',
+    type: 'boolean',
+    label: 'No Cache',
+    default: false,
+    description: 'Bypass cache and force regeneration',
+  },
+];
+
+/**
+ * Error card options for a request, at the size of the most starred list
+ * @param {Object} queryParams - Raw query parameters (see parseQueryParams)
+ * @returns {import('../../utils/errors.js').ErrorCardOptions} Error card options
+ */
+export function errorCard(queryParams) {
+  return getErrorCardOptions(queryParams, { width: 700 });
+}
 
 /**
  * Handle most starred repositories SVG generation requests
@@ -9,117 +75,76 @@ import { handleError, createForbiddenSVG, createValidationErrorSVG } from '../..
  * @returns {Object} Response object
  */
 export async function handler(event) {
-  try {
-    // Parse query parameters
-    const queryParams = parseQueryParams(event.rawQuery);
-    const { userName, top = '3', title, theme = 'radical', animationDuration, nocache } = queryParams;
-
-    const noCache = parseBoolean(nocache, false);
+  // Parse query parameters
+  const queryParams = parseQueryParams(event.rawQuery);
+  const card = errorCard(queryParams);
 
+  try {
     // Check LOCK_GITHUB_USER environment variable
     const lockedUser = process.env.LOCK_GITHUB_USER;
-    let username;
-
     if (lockedUser) {
-      // If LOCK_GITHUB_USER is set and userName is provided, return error
-      if (userName) {
-        return createForbiddenSVG('Username parameter is not allowed when LOCK_GITHUB_USER is configured');
+      // If LOCK_GITHUB_USER is set and userName is provided, reject the request
+      if (queryParams.userName) {
+        throw new ForbiddenError('Username parameter is not allowed when LOCK_GITHUB_USER is configured');
       }
       // Use locked user
-      username = lockedUser;
-      console.log('[Auth] Using locked GitHub user:', username);
-    } else {
-      // LOCK_GITHUB_USER not set, userName is required
-      if (!userName) {
-        return createValidationErrorSVG('userName', 'userName query parameter is required');
-      }
-      username = userName;
+      queryParams.userName = lockedUser;
+      console.log('[Auth] Using locked GitHub user:', lockedUser);
     }
 
-    // Validate username
-    try {
-      validateUsername(username);
-    } catch (error) {
-      return createValidationErrorSVG('userName', error.message);
+    const { values, errors } = validateParams(queryParams, [...params, ...THEME_PARAMS]);
+    if (errors.length > 0) {
+      return createValidationErrorSVG(errors, card);
     }
 
-    // Validate top parameter
-    const topNum = parseInt(top, 10);
-    if (isNaN(topNum) || topNum < 1 || topNum > 10) {
-      return createValidationErrorSVG('top', 'top must be a number between 1 and 10');
-    }
+    const { theme, ...themeOpts } = getThemeOptions(values);
+    const { userName: username, top, title, animationDuration, locale, nocache: noCache } = values;
 
-    // Validate animationDuration parameter if provided
-    let animationDurationNum;
-    if (animationDuration !== undefined) {
-      animationDurationNum = parseFloat(animationDuration);
-      if (isNaN(animationDurationNum) || animationDurationNum < 0.5 || animationDurationNum > 10) {
-        return createValidationErrorSVG('animationDuration', 'animationDuration must be a number between 0.5 and 10');
+    // JSON variant: return the data model used for rendering
+    if (isJSONRequest(event)) {
+      if (!process.env.GITHUB_TOKEN) {
+        throw new ConfigurationError('GITHUB_TOKEN environment variable is not configured');
       }
+      const data = await getMostStarredData(username, { top, noCache });
+      return createJSONResponse(data, noCache);
     }
 
     // Generate cache key
     const cacheKey = generateCacheKey(
-      "most-starred",
-      userName,
+      'most-starred',
+      username,
       top,
       title,
       theme,
-      animationDuration
+      themeCacheKey(themeOpts),
+      animationDuration,
+      locale
     );
 
-    // Check cache
-    const cachedResponse = !noCache && cache.get(cacheKey);
-    if (cachedResponse) {
-      console.log('[Cache] HIT:', cacheKey);
-      return {
-        statusCode: 200,
-        headers: {
-          'Content-Type': 'image/svg+xml',
-          'Cache-Control': 'public, max-age=3600',
-          'X-Cache': 'HIT',
-        },
-        body: cachedResponse,
-      };
-    }
-
-    console.log('[Cache] MISS:', cacheKey);
-
-    // Generate SVG
-    const githubToken = process.env.GITHUB_TOKEN;
-    if (!githubToken) {
-      throw new Error('GITHUB_TOKEN environment variable is not configured');
-    }
-
-    const opts = {
-      top: topNum,
-    };
-    if (title) {
-      opts.title = title;
-    }
-    if (animationDurationNum !== undefined) {
-      opts.animationDuration = animationDurationNum;
-    }
+    const { value: svg, status } = await getOrRevalidate(cacheKey, async () => {
+      const githubToken = process.env.GITHUB_TOKEN;
+      if (!githubToken) {
+        throw new ConfigurationError('GITHUB_TOKEN environment variable is not configured');
+      }
 
-    const svg = await generateMostStarredSVG(username, opts, theme);
+      const opts = {
+        top,
+        locale,
+        ...themeOpts,
+        noCache,
+      };
+      if (title) {
+        opts.title = title;
+      }
+      if (animationDuration !== undefined) {
+        opts.animationDuration = animationDuration;
+      }
 
-    // Cache the response
-    if (!noCache) {
-      cache.set(cacheKey, svg);
-      console.log('[Cache] SET:', cacheKey);
-    }
+      return generateMostStarredSVG(username, opts, theme);
+    }, { noCache });
 
-    // Return SVG
-    return {
-      statusCode: 200,
-      headers: {
-        'Content-Type': 'image/svg+xml',
-        'Cache-Control': noCache ? 'no-store, no-cache' : 'public, max-age=3600',
-        'X-Cache': 'MISS',
-      },
-      body: svg,
-    };
+    return createSVGResponse(svg, status, noCache);
   } catch (error) {
-    return handleError(error);
+    return handleError(error, card);
   }
-}
\ No newline at end of file
+}
@@ -1,7 +1,117 @@
 import { generateQRCodeSVG } from '../../widgets/qr_code/generateQRCodeSVG.js';
-import { cache, generateCacheKey } from '../../utils/cache.js';
-import { parseQueryParams, parseBoolean } from '../../utils/validation.js';
-import { handleError, createValidationErrorSVG } from '../../utils/errors.js';
+import { generateCacheKey, getOrRevalidate } from '../../utils/cache.js';
+import { createSVGResponse } from '../../utils/response.js';
+import { parseQueryParams } from '../../utils/validation.js';
+import { validateParams } from '../../utils/schema.js';
+import { THEME_PARAMS, getThemeOptions, themeCacheKey } from '../../utils/themes.js';
+import { handleError, createValidationErrorSVG, getErrorCardOptions } from '../../utils/errors.js';
+
+/**
+ * Query parameters accepted by the QR code widget
+ * @type {import('../../utils/schema.js').ParamSchema[]}
+ */
+export const params = [
+  {
+    key: 'content',
+    type: 'string',
+    label: 'Content',
+    required: true,
+    decode: true,
+    maxLength: 2000,
+    placeholder: 'https://github.com/...',
+    description: 'Text or URL to encode in the QR code',
+  },
+  {
+    key: 'logo',
+    type: 'logo-input',
+    label: 'Logo',
+    required: false,
+    placeholder: 'github',
+    description: 'Simple Icons slug (e.g. \'github\') or SVG/image URL',
+  },
+  {
+    key: 'logoColor',
+    type: 'string',
+    label: 'Logo Color',
+    required: false,
+    conflicts: ['useThemeColor'],
+    placeholder: 'ffffff',
+    description: 'Override logo color (hex, without #). Cannot be combined with Use Theme Color.',
+  },
+  {
+    key: 'useThemeColor',
+    type: 'boolean',
+    label: 'Use Theme Color',
+    default: false,
+    description: 'Use the theme\'s accent color for the logo instead of the brand color',
+  },
+  {
+    key: 'title',
+    type: 'string',
+    label: 'Title',
+    required: false,
+    placeholder: 'Scan Me',
+    description: 'Optional title displayed above the QR code',
+  },
+  {
+    key: 'size',
+    type: 'number',
+    label: 'Size',
+    default: 300,
+    min: 100,
+    max: 800,
+    integer: true,
+    placeholder: '300',
+    description: 'QR code size in pixels (100-800)',
+  },
+  {
+    key: 'margin',
+    type: 'number',
+    label: 'Margin',
+    default: 2,
+    min: 0,
+    max: 4,
+    integer: true,
+    placeholder: '2',
+    description: 'Quiet zone modules around the QR code (0-4)',
+  },
+  {
+    key: 'animate',
+    type: 'boolean',
+    label: 'Animate Logo',
+    default: false,
+    description: 'Spin the logo on its vertical axis',
+  },
+  {
+    key: 'animationDuration',
+    type: 'number',
+    label: 'Animation Duration (s)',
+    default: 3,
+    min: 1,
+    max: 10,
+    step: 0.5,
+    placeholder: '3',
+    description: 'Logo spin duration in seconds (1-10)',
+  },
+  {
+    key: 'nocache',
+    type: 'boolean',
+    label: 'No Cache',
+    default: false,
+    description: 'Bypass cache and force regeneration',
+  },
+];
+
+/**
+ * Error card options for a request, at the size of the QR code card
+ * @param {Object} queryParams - Raw query parameters (see parseQueryParams)
+ * @returns {import('../../utils/errors.js').ErrorCardOptions} Error card options
+ */
+export function errorCard(queryParams) {
+  // The QR card is `size` plus 24px of padding on each side
+  const cardSize = Number(queryParams.size) + 48;
+  return getErrorCardOptions({ ...queryParams, width: cardSize, height: cardSize }, { width: 348, height: 348 });
+}
 
 /**
  * Handle QR code SVG generation requests.
@@ -9,101 +119,40 @@ import { handleError, createValidationErrorSVG } from '../../utils/errors.js';
  * @returns {Object} Response object
  */
 export async function handler(event) {
-  try {
-    const queryParams = parseQueryParams(event.rawQuery);
-    const {
-      content,
-      logo = '',
-      logoColor = '',
-      useThemeColor: useThemeColorStr = 'false',
-      title = '',
-      size: sizeStr = '300',
-      margin: marginStr = '2',
-      animate: animateStr = 'false',
-      animationDuration: animationDurationStr = '3',
-      theme = 'radical',
-      nocache,
-    } = queryParams;
-
-    const noCache = parseBoolean(nocache, false);
-
-    // Validate content parameter
-    if (!content) {
-      return createValidationErrorSVG('content', 'content query parameter is required');
-    }
+  const queryParams = parseQueryParams(event.rawQuery);
+  const card = errorCard(queryParams);
 
-    let decodedContent;
-    try {
-      decodedContent = decodeURIComponent(content);
-    } catch {
-      return createValidationErrorSVG('content', 'Invalid URI encoding in content parameter');
-    }
-
-    if (decodedContent.length === 0) {
-      return createValidationErrorSVG('content', 'content must not be empty');
-    }
-
-    if (decodedContent.length > 2000) {
-      return createValidationErrorSVG('content', 'content exceeds maximum length of 2000 characters');
+  try {
+    const { values, errors } = validateParams(queryParams, [...params, ...THEME_PARAMS]);
+    if (errors.length > 0) {
+      return createValidationErrorSVG(errors, card);
     }
 
-    // Parse and clamp numeric params
-    const size = Math.max(100, Math.min(800, parseInt(sizeStr, 10) || 300));
-    const margin = Math.max(0, Math.min(4, parseInt(marginStr, 10) || 2));
-    const animationDuration = Math.max(1, Math.min(10, parseFloat(animationDurationStr) || 3));
-    const animate = parseBoolean(animateStr, false);
-    const useThemeColor = parseBoolean(useThemeColorStr, false);
+    const { theme, ...themeOpts } = getThemeOptions(values);
+    const { content, nocache: noCache } = values;
 
     const opts = {
-      logo: logo || '',
-      logoColor: logoColor || '',
-      useThemeColor,
-      title,
-      size,
-      margin,
-      animate,
-      animationDuration,
+      logo: values.logo || '',
+      logoColor: values.logoColor || '',
+      useThemeColor: values.useThemeColor,
+      title: values.title || '',
+      size: values.size,
+      margin: values.margin,
+      animate: values.animate,
+      animationDuration: values.animationDuration,
     };
 
     // Generate cache key
-    const cacheKey = generateCacheKey('qr-code', decodedContent, logo, logoColor, useThemeColor, title, size, margin, animate, animationDuration, theme);
+    const cacheKey = generateCacheKey('qr-code', content, ...Object.values(opts), theme, themeCacheKey(themeOpts));
 
-    // Check cache
-    const cachedResponse = !noCache && cache.get(cacheKey);
-    if (cachedResponse) {
-      console.log('[Cache] HIT:', cacheKey.substring(0, 50) + '...');
-      return {
-        statusCode: 200,
-        headers: {
-          'Content-Type': 'image/svg+xml',
-          'Cache-Control': 'public, max-age=3600',
-          'X-Cache': 'HIT',
-        },
-        body: cachedResponse,
-      };
-    }
+    const { value: svg, status } = await getOrRevalidate(
+      cacheKey,
+      () => generateQRCodeSVG(content, { ...opts, ...themeOpts }, theme),
+      { noCache }
+    );
 
-    console.log('[Cache] MISS:', cacheKey.substring(0, 50) + '...');
-
-    // Generate SVG
-    const svg = await generateQRCodeSVG(decodedContent, opts, theme);
-
-    // Cache the response
-    if (!noCache) {
-      cache.set(cacheKey, svg);
-      console.log('[Cache] SET:', cacheKey.substring(0, 50) + '...');
-    }
-
-    return {
-      statusCode: 200,
-      headers: {
-        'Content-Type': 'image/svg+xml',
-        'Cache-Control': noCache ? 'no-store, no-cache' : 'public, max-age=3600',
-        'X-Cache': 'MISS',
-      },
-      body: svg,
-    };
+    return createSVGResponse(svg, status, noCache);
   } catch (error) {
-    return handleError(error);
+    return handleError(error, card);
   }
 }
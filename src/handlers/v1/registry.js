@@ -0,0 +1,312 @@
+/**
+ * Widget Registry (v1)
+ *
+ * Single source of truth for every v1 widget: its id, path aliases, handler,
+ * query parameter schema and playground sample. The Express router, the
+ * Netlify router, the 404 endpoint listing, the startup banner and the
+ * playground's widgets-config.json are all generated from this list, so
+ * adding a widget only requires a handler and an entry here.
+ */
+
+import { handler as timeseriesHistoryHandler, params as timeseriesHistoryParams, errorCard as timeseriesHistoryErrorCard } from './timeseries-history.js';
+import { handler as experienceTimelineHandler, params as experienceTimelineParams, errorCard as experienceTimelineErrorCard } from './experience-timeline.js';
+import { handler as mostStarredHandler, params as mostStarredParams, errorCard as mostStarredErrorCard } from './most-starred.js';
+import { handler as userStatsHandler, params as userStatsParams, errorCard as userStatsErrorCard } from './user-stats.js';
+import { handler as contributionStreakHandler, params as contributionStreakParams, errorCard as contributionStreakErrorCard } from './contribution-streak.js';
+import { handler as contributionCalendarHandler, params as contributionCalendarParams, errorCard as contributionCalendarErrorCard } from './contribution-calendar.js';
+import { handler as skillTableHandler, params as skillTableParams, errorCard as skillTableErrorCard } from './skill-table.js';
+import { handler as qrCodeHandler, params as qrCodeParams, errorCard as qrCodeErrorCard } from './qr-code.js';
+import { handler as repositoryCardHandler, params as repositoryCardParams, errorCard as repositoryCardErrorCard } from './repository-card.js';
+import { handler as themesHandler, params as themesParams, errorCard as themesErrorCard } from './themes.js';
+import { AUTO_LIGHT_THEME, AUTO_THEME, THEMES, themeDisplayName } from '../../utils/themes.js';
+
+/**
+ * @typedef {Object} Widget
+ * @property {string} id - Widget id, also the base of its paths
+ * @property {string} name - Display name
+ * @property {string} description - Short description
+ * @property {string} alt - Image alt text used in embed snippets
+ * @property {string} sample - URL of a sample SVG
+ * @property {string[]} paths - Path aliases under /api/v1/ (the first is the canonical endpoint)
+ * @property {Function} handler - Netlify-style handler
+ * @property {import('../../utils/schema.js').ParamSchema[]} params - Query parameter schema (declared by the handler)
+ * @property {Function} errorCard - (queryParams) => error card options sized like the widget (declared by the handler)
+ * @property {Object} [example] - Example input loaded by the playground
+ */
+
+/** @type {Widget[]} */
+export const WIDGETS = [
+  {
+    id: 'timeseries-history',
+    name: 'Timeseries History',
+    description: 'GitHub contribution timeseries chart',
+    alt: 'GitHub Contribution Timeseries',
+    sample: 'https://raw.githubusercontent.com/cyrus2281/github-widgets/refs/heads/main/samples/timeseries-history-sample.svg',
+    paths: ['timeseries-history.svg', 'timeseries-history', 'timeseries-history.json'],
+    handler: timeseriesHistoryHandler,
+    params: timeseriesHistoryParams,
+    errorCard: timeseriesHistoryErrorCard,
+  },
+  {
+    id: 'experience-timeline',
+    name: 'Experience Timeline',
+    description: 'Professional experience timeline visualization',
+    alt: 'Experience Timeline',
+    sample: 'https://raw.githubusercontent.com/cyrus2281/github-widgets/refs/heads/main/samples/experience-timeline-sample.svg',
+    paths: ['experience-timeline.svg', 'experience-timeline'],
+    handler: experienceTimelineHandler,
+    params: experienceTimelineParams,
+    errorCard: experienceTimelineErrorCard,
+    example: {
+      experienceCSV: [
+        {
+          company: 'Google',
+          start: '2025-10',
+          end: '',
+          title: 'AI/ML Engineer',
+          logo: '',
+          color: '#4285F4',
+        },
+        {
+          company: 'Spotify',
+          start: '2024-08',
+          end: '2025-06',
+          title: 'Sr Software Developer',
+          logo: '',
+          color: '#1DB954',
+        },
+        {
+          company: 'Netflix',
+          start: '2024-04',
+          end: '2024-12',
+          title: 'Software Engineer',
+          logo: '',
+          color: '#E50914',
+        },
+      ],
+    },
+  },
+  {
+    id: 'most-starred',
+    name: 'Most Starred',
+    description: 'Most starred GitHub repositories widget',
+    alt: 'Most Starred Repositories',
+    sample: 'https://raw.githubusercontent.com/cyrus2281/github-widgets/refs/heads/main/samples/most-starred-sample.svg',
+    paths: ['most-starred.svg', 'most-starred', 'most-starred.json'],
+    handler: mostStarredHandler,
+    params: mostStarredParams,
+    errorCard: mostStarredErrorCard,
+  },
+  {
+    id: 'user-stats',
+    name: 'User Stats',
+    description: 'Comprehensive GitHub user statistics widget',
+    alt: 'User Stats',
+    sample: 'https://raw.githubusercontent.com/cyrus2281/github-widgets/refs/heads/main/samples/user-stats-sample.svg',
+    paths: ['user-stats.svg', 'user-stats', 'user-stats.json'],
+    handler: userStatsHandler,
+    params: userStatsParams,
+    errorCard: userStatsErrorCard,
+  },
+  {
+    id: 'contribution-streak',
+    name: 'Contribution Streak',
+    description: 'GitHub contribution streak with total contributions, current streak, and longest streak',
+    alt: 'Contribution Streak',
+    sample: 'https://raw.githubusercontent.com/cyrus2281/github-widgets/refs/heads/main/samples/contribution-streak-sample.svg',
+    paths: ['contribution-streak.svg', 'contribution-streak', 'contribution-streak.json'],
+    handler: contributionStreakHandler,
+    params: contributionStreakParams,
+    errorCard: contributionStreakErrorCard,
+  },
+  {
+    id: 'contribution-calendar',
+    name: 'Contribution Calendar',
+    description: 'GitHub contribution calendar heatmap for a year or date range',
+    alt: 'Contribution Calendar',
+    sample: 'https://raw.githubusercontent.com/cyrus2281/github-widgets/refs/heads/main/samples/contribution-calendar-sample.svg',
+    paths: ['contribution-calendar.svg', 'contribution-calendar', 'contribution-calendar.json'],
+    handler: contributionCalendarHandler,
+    params: contributionCalendarParams,
+    errorCard: contributionCalendarErrorCard,
+  },
+  {
+    id: 'skill-table',
+    name: 'Skill Table',
+    description: 'A visual table of skills with icons from Simple Icons or custom URLs',
+    alt: 'Skill Table',
+    sample: 'https://raw.githubusercontent.com/cyrus2281/github-widgets/refs/heads/main/samples/skill-table-sample.svg',
+    paths: ['skill-table.svg', 'skill-table'],
+    handler: skillTableHandler,
+    params: skillTableParams,
+    errorCard: skillTableErrorCard,
+    example: {
+      skills: [
+        {
+          type: 'header',
+          title: 'Programming Languages',
+        },
+        {
+          type: 'skill',
+          name: 'Python',
+          id: 'python',
+        },
+        {
+          type: 'skill',
+          name: 'JavaScript',
+          id: 'javascript',
+        },
+        {
+          type: 'skill',
+          name: 'Bash',
+          id: 'gnubash',
+        },
+        {
+          type: 'skill',
+          name: 'C++',
+          id: 'cplusplus',
+        },
+        {
+          type: 'header',
+          title: 'Databases',
+        },
+        {
+          type: 'skill',
+          name: 'MySQL',
+          id: 'mysql',
+        },
+        {
+          type: 'skill',
+          name: 'PostgreSQL',
+          id: 'postgresql',
+        },
+        {
+          type: 'skill',
+          name: 'MongoDB',
+          id: 'mongodb',
+        },
+        {
+          type: 'header',
+          title: 'AI Tools',
+        },
+        {
+          type: 'skill',
+          name: 'Claude',
+          id: 'claude',
+        },
+        {
+          type: 'skill',
+          name: 'Gemini',
+          id: 'googlegemini',
+        },
+      ],
+      title: 'My Skills',
+      subtitle: 'Technologies I work with',
+    },
+  },
+  {
+    id: 'qr-code',
+    name: 'QR Code',
+    description: 'QR Code generator with optional centered logo and title',
+    alt: 'QR Code',
+    sample: 'https://raw.githubusercontent.com/cyrus2281/github-widgets/refs/heads/main/samples/qr-code-sample.svg',
+    paths: ['qr-code.svg', 'qr-code'],
+    handler: qrCodeHandler,
+    params: qrCodeParams,
+    errorCard: qrCodeErrorCard,
+    example: {
+      content: 'https://github.com/cyrus2281/github-widgets',
+      logo: 'github',
+      title: 'GitHub Widgets',
+    },
+  },
+  {
+    id: 'repository-card',
+    name: 'Repository Card',
+    description: 'GitHub repository card similar to pinned repos',
+    alt: 'Repository Card',
+    sample: 'https://raw.githubusercontent.com/cyrus2281/github-widgets/refs/heads/main/samples/repository-card-sample.svg',
+    paths: ['repository-card.svg', 'repository-card', 'repository-card.json'],
+    handler: repositoryCardHandler,
+    params: repositoryCardParams,
+    errorCard: repositoryCardErrorCard,
+  },
+  {
+    id: 'themes',
+    name: 'Themes',
+    description: 'Swatch sheet of every available theme, including custom ones',
+    alt: 'Themes',
+    sample: 'https://raw.githubusercontent.com/cyrus2281/github-widgets/refs/heads/main/samples/themes-sample.svg',
+    paths: ['themes.svg', 'themes', 'themes.json'],
+    handler: themesHandler,
+    params: themesParams,
+    errorCard: themesErrorCard,
+  },
+];
+
+// Lookup from every path alias (e.g. "user-stats.svg") to its widget
+const widgetsByPath = new Map(
+  WIDGETS.flatMap((widget) => widget.paths.map((path) => [path, widget]))
+);
+
+/**
+ * Find the widget serving a v1 endpoint path
+ * @param {string} path - Endpoint path relative to /api/v1/ (e.g. "user-stats.svg")
+ * @returns {Widget|undefined} Matching widget
+ */
+export function findWidget(path) {
+  return widgetsByPath.get(path);
+}
+
+/**
+ * Canonical endpoint URL path of a widget
+ * @param {Widget} widget - Widget
+ * @returns {string} Endpoint path (e.g. "/api/v1/user-stats.svg")
+ */
+export function widgetEndpoint(widget) {
+  return `/api/v1/${widget.paths[0]}`;
+}
+
+// Parameter schema fields used by the playground; custom validators stay
+// server-side
+const PLAYGROUND_PARAM_FIELDS = ['key', 'type', 'label', 'required', 'default', 'min', 'max', 'step', 'placeholder', 'description', 'conflicts'];
+
+/**
+ * Reduce a parameter schema to the fields the playground understands
+ * @param {Object} param - Parameter schema
+ * @returns {Object} Playground parameter definition
+ */
+function toPlaygroundParam(param) {
+  return Object.fromEntries(
+    PLAYGROUND_PARAM_FIELDS.filter((field) => param[field] !== undefined).map((field) => [field, param[field]])
+  );
+}
+
+/**
+ * Build the playground configuration (public/widgets-config.json)
+ * @returns {{themes: Object[], widgets: Object}} Playground configuration
+ */
+export function getWidgetsConfig() {
+  const themes = Object.entries(THEMES).map(([key, theme]) => ({
+    key,
+    name: themeDisplayName(key),
+    accent: theme.link,
+  }));
+  // Adaptive mode follows the viewer's light/dark preference
+  themes.push({ key: AUTO_THEME, name: 'Auto (Light/Dark)', accent: THEMES[AUTO_LIGHT_THEME].link });
+
+  const widgets = {};
+  for (const widget of WIDGETS) {
+    widgets[widget.id] = {
+      name: widget.name,
+      endpoint: widgetEndpoint(widget),
+      description: widget.description,
+      alt: widget.alt,
+      sample: widget.sample,
+      params: widget.params.map(toPlaygroundParam),
+      ...(widget.example && { example: widget.example }),
+    };
+  }
+
+  return { themes, widgets };
+}
@@ -1,190 +1,212 @@
-import { generateRepositoryCard } from "../../widgets/repository_card/generateRepositoryCard.js";
-import { cache, generateCacheKey } from "../../utils/cache.js";
-import {
-  validateUsername,
-  parseQueryParams,
-  parseBoolean,
-} from "../../utils/validation.js";
+import { generateRepositoryCard, getRepositoryCardData } from "../../widgets/repository_card/generateRepositoryCard.js";
+import { generateCacheKey, getOrRevalidate } from "../../utils/cache.js";
+import { createSVGResponse, createJSONResponse, isJSONRequest } from "../../utils/response.js";
+import { validateUsername, parseQueryParams } from "../../utils/validation.js";
+import { validateParams } from "../../utils/schema.js";
+import { THEME_PARAMS, getThemeOptions, themeCacheKey } from "../../utils/themes.js";
+import { LOCALE_PARAM } from "../../utils/i18n.js";
+import { requestedFont } from "../../utils/fonts.js";
 import {
   handleError,
-  createForbiddenSVG,
   createValidationErrorSVG,
+  getErrorCardOptions,
+  ConfigurationError,
+  ForbiddenError,
+  ValidationError,
 } from "../../utils/errors.js";
 
+/**
+ * Validate repository name format (alphanumeric, hyphens, underscores, dots)
+ * @param {string} repoName - Repository name
+ * @throws {ValidationError} If the name contains invalid characters
+ */
+function validateRepoName(repoName) {
+  if (!/^[a-zA-Z0-9._-]+$/.test(repoName)) {
+    throw new ValidationError("repoName contains invalid characters");
+  }
+}
+
+/**
+ * Query parameters accepted by the repository card widget
+ * @type {import('../../utils/schema.js').ParamSchema[]}
+ */
+export const params = [
+  {
+    key: "userName",
+    type: "string",
+    label: "Username",
+    required: true,
+    validate: validateUsername,
+    placeholder: "octocat",
+    description: "Repository owner",
+  },
+  {
+    key: "repoName",
+    type: "string",
+    label: "Repository Name",
+    required: true,
+    validate: validateRepoName,
+    placeholder: "github-widgets",
+    description: "Repository name",
+  },
+  {
+    key: "showUserName",
+    type: "boolean",
+    label: "Show Username",
+    default: true,
+    description: "Display owner name",
+  },
+  {
+    key: "showLanguage",
+    type: "boolean",
+    label: "Show Language",
+    default: true,
+    description: "Display primary language",
+  },
+  {
+    key: "showStars",
+    type: "boolean",
+    label: "Show Stars",
+    default: true,
+    description: "Display star count",
+  },
+  {
+    key: "showForks",
+    type: "boolean",
+    label: "Show Forks",
+    default: true,
+    description: "Display fork count",
+  },
+  {
+    key: "width",
+    type: "number",
+    label: "Width",
+    default: 400,
+    min: 300,
+    max: 600,
+    integer: true,
+    placeholder: "400",
+    description: "Card width (300-600px)",
+  },
+  {
+    key: "height",
+    type: "number",
+    label: "Height",
+    default: 120,
+    min: 100,
+    max: 200,
+    integer: true,
+    placeholder: "120",
+    description: "Card height (100-200px)",
+  },
+  LOCALE_PARAM,
+  {
+    key: "nocache",
+    type: "boolean",
+    label: "No Cache",
+    default: false,
+    description: "Bypass cache and force regeneration",
+  },
+];
+
+/**
+ * Error card options for a request, at the size of the repository card
+ * @param {Object} queryParams - Raw query parameters (see parseQueryParams)
+ * @returns {import('../../utils/errors.js').ErrorCardOptions} Error card options
+ */
+export function errorCard(queryParams) {
+  return getErrorCardOptions(queryParams, { width: 400, height: 120 });
+}
+
 /**
  * Handle repository card SVG generation requests
  * @param {Object} event - Netlify function event
  * @returns {Object} Response object
  */
 export async function handler(event) {
-  try {
-    // Parse query parameters
-    const queryParams = parseQueryParams(event.rawQuery);
-    const {
-      userName,
-      repoName,
-      theme = "radical",
-      showUserName,
-      showLanguage,
-      showStars,
-      showForks,
-      width,
-      height,
-      nocache,
-    } = queryParams;
-
-    const noCache = parseBoolean(nocache, false);
+  // Parse query parameters
+  const queryParams = parseQueryParams(event.rawQuery);
+  const card = errorCard(queryParams);
 
+  try {
     // Check LOCK_GITHUB_USER environment variable
     const lockedUser = process.env.LOCK_GITHUB_USER;
-    let username;
-
     if (lockedUser) {
-      // If LOCK_GITHUB_USER is set and userName is provided, return error
-      if (userName) {
-        return createForbiddenSVG(
+      // If LOCK_GITHUB_USER is set and userName is provided, reject the request
+      if (queryParams.userName) {
+        throw new ForbiddenError(
           "Username parameter is not allowed when LOCK_GITHUB_USER is configured"
         );
       }
       // Use locked user
-      username = lockedUser;
-      console.log("[Auth] Using locked GitHub user:", username);
-    } else {
-      // LOCK_GITHUB_USER not set, userName is required
-      if (!userName) {
-        return createValidationErrorSVG(
-          "userName",
-          "userName query parameter is required"
-        );
-      }
-      username = userName;
+      queryParams.userName = lockedUser;
+      console.log("[Auth] Using locked GitHub user:", lockedUser);
     }
 
-    // Validate username
-    try {
-      validateUsername(username);
-    } catch (error) {
-      return createValidationErrorSVG("userName", error.message);
+    const { values, errors } = validateParams(queryParams, [...params, ...THEME_PARAMS]);
+    if (errors.length > 0) {
+      return createValidationErrorSVG(errors, card);
     }
 
-    // Validate repoName is required
-    if (!repoName) {
-      return createValidationErrorSVG(
-        "repoName",
-        "repoName query parameter is required"
-      );
-    }
-
-    // Validate repoName format (alphanumeric, hyphens, underscores, dots)
-    if (!/^[a-zA-Z0-9._-]+$/.test(repoName)) {
-      return createValidationErrorSVG(
-        "repoName",
-        "repoName contains invalid characters"
-      );
-    }
-
-    // Validate width parameter if provided
-    let widthNum;
-    if (width !== undefined) {
-      widthNum = parseInt(width, 10);
-      if (isNaN(widthNum) || widthNum < 300 || widthNum > 600) {
-        return createValidationErrorSVG(
-          "width",
-          "width must be a number between 300 and 600"
-        );
-      }
-    }
-
-    // Validate height parameter if provided
-    let heightNum;
-    if (height !== undefined) {
-      heightNum = parseInt(height, 10);
-      if (isNaN(heightNum) || heightNum < 100 || heightNum > 200) {
-        return createValidationErrorSVG(
-          "height",
-          "height must be a number between 100 and 200"
-        );
-      }
-    }
-
-    // Parse boolean options
-    const showUserNameBool = parseBoolean(showUserName, true);
-    const showLanguageBool = parseBoolean(showLanguage, true);
-    const showStarsBool = parseBoolean(showStars, true);
-    const showForksBool = parseBoolean(showForks, true);
-
-    // Generate cache key
-    const cacheKey = generateCacheKey(
-      "repository-card",
-      username,
+    const { theme, ...themeOpts } = getThemeOptions(values);
+    const {
+      userName: username,
       repoName,
-      theme,
       showUserName,
       showLanguage,
       showStars,
       showForks,
       width,
-      height
-    );
-
-    // Check cache
-    const cachedResponse = !noCache && cache.get(cacheKey);
-    if (cachedResponse) {
-      console.log("[Cache] HIT:", cacheKey);
-      return {
-        statusCode: 200,
-        headers: {
-          "Content-Type": "image/svg+xml",
-          "Cache-Control": "public, max-age=3600",
-          "X-Cache": "HIT",
-        },
-        body: cachedResponse,
-      };
-    }
-
-    console.log("[Cache] MISS:", cacheKey);
-
-    // Check GitHub token is configured
-    const githubToken = process.env.GITHUB_TOKEN;
-    if (!githubToken) {
-      throw new Error("GITHUB_TOKEN environment variable is not configured");
+      height,
+      locale,
+      nocache: noCache,
+    } = values;
+
+    // JSON variant: return the data model used for rendering
+    if (isJSONRequest(event)) {
+      if (!process.env.GITHUB_TOKEN) {
+        throw new ConfigurationError("GITHUB_TOKEN environment variable is not configured");
+      }
+      const data = await getRepositoryCardData(username, repoName, { noCache });
+      return createJSONResponse(data, noCache);
     }
 
     // Build options object
     const opts = {
-      showUserName: showUserNameBool,
-      showLanguage: showLanguageBool,
-      showStars: showStarsBool,
-      showForks: showForksBool,
+      showUserName,
+      showLanguage,
+      showStars,
+      showForks,
+      width,
+      height,
+      locale,
+      // Text is measured with an embedded font, so it shapes the layout
+      font: requestedFont(queryParams),
     };
 
-    if (widthNum !== undefined) {
-      opts.width = widthNum;
-    }
-    if (heightNum !== undefined) {
-      opts.height = heightNum;
-    }
+    // Generate cache key
+    const cacheKey = generateCacheKey(
+      "repository-card",
+      username,
+      repoName,
+      theme,
+      themeCacheKey(themeOpts),
+      ...Object.values(opts)
+    );
 
-    // Generate SVG (generator now handles data fetching internally)
-    const svg = await generateRepositoryCard(username, repoName, opts, theme);
+    const { value: svg, status } = await getOrRevalidate(cacheKey, async () => {
+      // Check GitHub token is configured
+      const githubToken = process.env.GITHUB_TOKEN;
+      if (!githubToken) {
+        throw new ConfigurationError("GITHUB_TOKEN environment variable is not configured");
+      }
 
-    // Cache the response
-    if (!noCache) {
-      cache.set(cacheKey, svg);
-      console.log("[Cache] SET:", cacheKey);
-    }
+      // Generate SVG (generator handles data fetching internally)
+      return generateRepositoryCard(username, repoName, { ...opts, ...themeOpts, noCache }, theme);
+    }, { noCache });
 
-    // Return SVG
-    return {
-      statusCode: 200,
-      headers: {
-        "Content-Type": "image/svg+xml",
-        "Cache-Control": noCache ? "no-store, no-cache" : "public, max-age=3600",
-        "X-Cache": "MISS",
-      },
-      body: svg,
-    };
+    return createSVGResponse(svg, status, noCache);
   } catch (error) {
-    return handleError(error);
+    return handleError(error, card);
   }
 }
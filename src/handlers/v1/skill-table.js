@@ -1,138 +1,185 @@
 import { generateSkillTableSVG } from '../../widgets/skill_table/generateSkillTableSVG.js';
-import { cache, generateCacheKey } from '../../utils/cache.js';
-import { parseQueryParams, parseBoolean } from '../../utils/validation.js';
-import { handleError, createValidationErrorSVG } from '../../utils/errors.js';
+import { generateCacheKey, getOrRevalidate } from '../../utils/cache.js';
+import { createSVGResponse } from '../../utils/response.js';
+import { parseQueryParams } from '../../utils/validation.js';
+import { validateParams } from '../../utils/schema.js';
+import { THEME_PARAMS, getThemeOptions, themeCacheKey } from '../../utils/themes.js';
+import { handleError, createValidationErrorSVG, getErrorCardOptions, ValidationError } from '../../utils/errors.js';
 
 /**
  * Validate the skills input string.
  * @param {string} skillsString - Decoded skills input
- * @throws {Error} If input is invalid
+ * @throws {ValidationError} If input is invalid
  */
 function validateSkillsInput(skillsString) {
-  if (!skillsString || typeof skillsString !== 'string') {
-    throw new Error('skills parameter is required');
-  }
-
-  if (skillsString.length > 10000) {
-    throw new Error('skills parameter exceeds maximum length of 10000 characters');
-  }
-
   const segments = skillsString.split('|').map(s => s.trim()).filter(Boolean);
   if (segments.length === 0) {
-    throw new Error('skills parameter must contain at least one entry');
+    throw new ValidationError('skills parameter must contain at least one entry');
   }
 
   // Check that at least one skill (non-header) entry exists
   const hasSkill = segments.some(s => !s.match(/^--(.+)--$/));
   if (!hasSkill) {
-    throw new Error('skills parameter must contain at least one skill entry (not just section headers)');
+    throw new ValidationError('skills parameter must contain at least one skill entry (not just section headers)');
   }
 }
 
+/**
+ * Query parameters accepted by the skill table widget
+ * @type {import('../../utils/schema.js').ParamSchema[]}
+ */
+export const params = [
+  {
+    key: 'skills',
+    type: 'skills-editor',
+    label: 'Skills',
+    required: true,
+    decode: true,
+    maxLength: 10000,
+    validate: validateSkillsInput,
+    description: 'Skill entries with icon — use a Simple Icons slug or a custom SVG/image URL',
+  },
+  {
+    key: 'columns',
+    type: 'number',
+    label: 'Columns',
+    default: 4,
+    min: 1,
+    max: 10,
+    integer: true,
+    placeholder: '4',
+    description: 'Number of columns (1-10)',
+  },
+  {
+    key: 'title',
+    type: 'string',
+    label: 'Title',
+    required: false,
+    placeholder: 'My Skills',
+    description: 'Optional title above the table',
+  },
+  {
+    key: 'subtitle',
+    type: 'string',
+    label: 'Subtitle',
+    required: false,
+    placeholder: 'Technologies I work with',
+    description: 'Optional subtitle',
+  },
+  {
+    key: 'showTitles',
+    type: 'boolean',
+    label: 'Show Skill Names',
+    default: true,
+    description: 'Display skill names under icons',
+  },
+  {
+    key: 'iconSize',
+    type: 'number',
+    label: 'Icon Size',
+    default: 48,
+    min: 16,
+    max: 128,
+    integer: true,
+    placeholder: '48',
+    description: 'Icon size in pixels (16-128)',
+  },
+  {
+    key: 'useOriginalColors',
+    type: 'boolean',
+    label: 'Use Original Colors',
+    default: true,
+    description: 'Use brand logo colors instead of theme color',
+  },
+  {
+    key: 'iconColor',
+    type: 'string',
+    label: 'Icon Color',
+    required: false,
+    placeholder: '#ffffff',
+    description: 'Override all icon colors (hex)',
+  },
+  {
+    key: 'gap',
+    type: 'number',
+    label: 'Gap',
+    default: 16,
+    min: 0,
+    max: 64,
+    integer: true,
+    placeholder: '16',
+    description: 'Spacing between cells (0-64px)',
+  },
+  {
+    key: 'animationDuration',
+    type: 'number',
+    label: 'Animation Duration (s)',
+    default: 1,
+    min: 0.5,
+    max: 10,
+    step: 0.5,
+    placeholder: '1',
+    description: 'Animation duration (0.5-10s)',
+  },
+  {
+    key: 'nocache',
+    type: 'boolean',
+    label: 'No Cache',
+    default: false,
+    description: 'Bypass cache and force regeneration',
+  },
+];
+
+/**
+ * Error card options for a request, at the size of the skill table
+ * @param {Object} queryParams - Raw query parameters (see parseQueryParams)
+ * @returns {import('../../utils/errors.js').ErrorCardOptions} Error card options
+ */
+export function errorCard(queryParams) {
+  return getErrorCardOptions(queryParams, { width: 400 });
+}
+
 /**
  * Handle skill table SVG generation requests.
  * @param {Object} event - Netlify function event
  * @returns {Object} Response object
  */
 export async function handler(event) {
-  try {
-    const queryParams = parseQueryParams(event.rawQuery);
-    const {
-      skills,
-      columns: columnsStr = '4',
-      title = '',
-      subtitle = '',
-      showTitles: showTitlesStr = 'true',
-      iconSize: iconSizeStr = '48',
-      useOriginalColors: useOriginalColorsStr = 'true',
-      iconColor = '',
-      gap: gapStr = '16',
-      animationDuration: animationDurationStr = '1',
-      theme = 'radical',
-      nocache,
-    } = queryParams;
+  const queryParams = parseQueryParams(event.rawQuery);
+  const card = errorCard(queryParams);
 
-    const noCache = parseBoolean(nocache, false);
-
-    // Validate skills parameter
-    if (!skills) {
-      return createValidationErrorSVG('skills', 'skills query parameter is required');
-    }
-
-    // Decode URI component
-    let decodedSkills;
-    try {
-      decodedSkills = decodeURIComponent(skills);
-    } catch {
-      return createValidationErrorSVG('skills', 'Invalid URI encoding in skills parameter');
-    }
-
-    // Validate input
-    try {
-      validateSkillsInput(decodedSkills);
-    } catch (error) {
-      return createValidationErrorSVG('skills', error.message);
+  try {
+    const { values, errors } = validateParams(queryParams, [...params, ...THEME_PARAMS]);
+    if (errors.length > 0) {
+      return createValidationErrorSVG(errors, card);
     }
 
-    // Parse and clamp numeric params
-    const columns = Math.max(1, Math.min(10, parseInt(columnsStr, 10) || 4));
-    const iconSize = Math.max(16, Math.min(128, parseInt(iconSizeStr, 10) || 48));
-    const gap = Math.max(0, Math.min(64, parseInt(gapStr, 10) || 16));
-    const animationDuration = Math.max(0.5, Math.min(10, parseFloat(animationDurationStr) || 1));
-    const showTitles = parseBoolean(showTitlesStr, true);
-    const useOriginalColors = parseBoolean(useOriginalColorsStr, true);
+    const { theme, ...themeOpts } = getThemeOptions(values);
+    const { skills, nocache: noCache } = values;
 
     const opts = {
-      columns,
-      title,
-      subtitle,
-      showTitles,
-      iconSize,
-      useOriginalColors,
-      iconColor: iconColor || null,
-      gap,
-      animationDuration,
+      columns: values.columns,
+      title: values.title || '',
+      subtitle: values.subtitle || '',
+      showTitles: values.showTitles,
+      iconSize: values.iconSize,
+      useOriginalColors: values.useOriginalColors,
+      iconColor: values.iconColor || null,
+      gap: values.gap,
+      animationDuration: values.animationDuration,
     };
 
     // Generate cache key
-    const cacheKey = generateCacheKey('skill-table', decodedSkills, JSON.stringify(opts), theme);
+    const cacheKey = generateCacheKey('skill-table', skills, JSON.stringify(opts), theme, themeCacheKey(themeOpts));
 
-    // Check cache
-    const cachedResponse = !noCache && cache.get(cacheKey);
-    if (cachedResponse) {
-      console.log('[Cache] HIT:', cacheKey.substring(0, 50) + '...');
-      return {
-        statusCode: 200,
-        headers: {
-          'Content-Type': 'image/svg+xml',
-          'Cache-Control': 'public, max-age=3600',
-          'X-Cache': 'HIT',
-        },
-        body: cachedResponse,
-      };
-    }
-
-    console.log('[Cache] MISS:', cacheKey.substring(0, 50) + '...');
-
-    // Generate SVG
-    const svg = await generateSkillTableSVG(decodedSkills, opts, theme);
+    const { value: svg, status } = await getOrRevalidate(
+      cacheKey,
+      () => generateSkillTableSVG(skills, { ...opts, ...themeOpts }, theme),
+      { noCache }
+    );
 
-    // Cache the response
-    if (!noCache) {
-      cache.set(cacheKey, svg);
-      console.log('[Cache] SET:', cacheKey.substring(0, 50) + '...');
-    }
-
-    return {
-      statusCode: 200,
-      headers: {
-        'Content-Type': 'image/svg+xml',
-        'Cache-Control': noCache ? 'no-store, no-cache' : 'public, max-age=3600',
-        'X-Cache': 'MISS',
-      },
-      body: svg,
-    };
+    return createSVGResponse(svg, status, noCache);
   } catch (error) {
-    return handleError(error);
+    return handleError(error, card);
   }
 }
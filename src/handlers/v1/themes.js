@@ -0,0 +1,87 @@
+import { generateThemeSheetSVG, getThemeSheetData } from '../../widgets/theme_sheet/generateThemeSheetSVG.js';
+import { createSVGResponse, createJSONResponse, isJSONRequest } from '../../utils/response.js';
+import { parseQueryParams } from '../../utils/validation.js';
+import { validateParams } from '../../utils/schema.js';
+import { THEMES } from '../../utils/themes.js';
+import { handleError, createValidationErrorSVG, getErrorCardOptions, ValidationError } from '../../utils/errors.js';
+
+/**
+ * Split a comma-separated theme list
+ * @param {string} [value] - Raw list
+ * @returns {string[]} Theme names
+ */
+function parseThemeList(value) {
+  return value ? value.split(',').map((name) => name.trim()).filter(Boolean) : [];
+}
+
+/**
+ * Query parameters accepted by the theme catalogue and theme sheet
+ * @type {import('../../utils/schema.js').ParamSchema[]}
+ */
+export const params = [
+  {
+    key: 'themes',
+    type: 'string',
+    label: 'Themes',
+    maxLength: 1000,
+    validate: (value) => {
+      const unknown = parseThemeList(value).filter((name) => !Object.hasOwn(THEMES, name));
+      if (unknown.length > 0) {
+        throw new ValidationError(`Unknown theme${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`);
+      }
+    },
+    placeholder: 'radical,ocean',
+    description: 'Comma-separated theme names to include (default all)',
+  },
+  {
+    key: 'columns',
+    type: 'number',
+    label: 'Columns',
+    default: 3,
+    min: 1,
+    max: 6,
+    integer: true,
+    placeholder: '3',
+    description: 'Theme cards per row (1-6)',
+  },
+];
+
+/**
+ * Error card options for a request, at the size of the theme sheet
+ * @param {Object} queryParams - Raw query parameters (see parseQueryParams)
+ * @returns {import('../../utils/errors.js').ErrorCardOptions} Error card options
+ */
+export function errorCard(queryParams) {
+  return getErrorCardOptions(queryParams, { width: 844 });
+}
+
+/**
+ * Handle theme catalogue (JSON) and theme sheet (SVG) requests.
+ * Both are built from the themes registered at request time, so user-defined
+ * themes (THEMES_PATH) are included, and are not cached server-side.
+ * @param {Object} event - Netlify function event
+ * @returns {Object} Response object
+ */
+export async function handler(event) {
+  const queryParams = parseQueryParams(event.rawQuery);
+  const card = errorCard(queryParams);
+
+  try {
+    const { values, errors } = validateParams(queryParams, params);
+    if (errors.length > 0) {
+      return createValidationErrorSVG(errors, card);
+    }
+
+    const themes = parseThemeList(values.themes);
+
+    // JSON variant: every theme with its full palette
+    if (isJSONRequest(event)) {
+      return createJSONResponse(getThemeSheetData({ themes }), false);
+    }
+
+    const svg = generateThemeSheetSVG({ themes, columns: values.columns });
+    return createSVGResponse(svg, 'MISS', false);
+  } catch (error) {
+    return handleError(error, card);
+  }
+}
@@ -1,7 +1,89 @@
-import { generateActivitySVG } from '../../widgets/github_timeseries/generateActivitySVG.js';
-import { cache, generateCacheKey } from '../../utils/cache.js';
-import { validateUsername, validateDateRange, parseQueryParams, parseBoolean } from '../../utils/validation.js';
-import { handleError, createForbiddenSVG, createValidationErrorSVG } from '../../utils/errors.js';
+import { ALL_TIME_RANGE, AGGREGATES, CHART_TYPES, Y_SCALES, generateActivitySVG, getActivityData } from '../../widgets/github_timeseries/generateActivitySVG.js';
+import { generateCacheKey, getOrRevalidate } from '../../utils/cache.js';
+import { createSVGResponse, createJSONResponse, isJSONRequest } from '../../utils/response.js';
+import { validateUsername, validateDateRange, parseQueryParams } from '../../utils/validation.js';
+import { validateParams } from '../../utils/schema.js';
+import { THEME_PARAMS, getThemeOptions, themeCacheKey } from '../../utils/themes.js';
+import { LOCALE_PARAM } from '../../utils/i18n.js';
+import { TIMEZONE_PARAM } from '../../utils/timezone.js';
+import { handleError, createValidationErrorSVG, getErrorCardOptions, ConfigurationError, ForbiddenError } from '../../utils/errors.js';
+
+/**
+ * Query parameters accepted by the timeseries history widget
+ * @type {import('../../utils/schema.js').ParamSchema[]}
+ */
+export const params = [
+  {
+    key: 'userName',
+    type: 'string',
+    label: 'Username',
+    required: true,
+    validate: validateUsername,
+    placeholder: 'octocat',
+    description: 'GitHub username',
+  },
+  {
+    key: 'range',
+    type: 'string',
+    label: 'Date Range',
+    required: false,
+    validate: (range) => range === ALL_TIME_RANGE || validateDateRange(range, { maxDays: Infinity }),
+    placeholder: 'YYYY-MM-DD:YYYY-MM-DD',
+    description: 'Date range of any length, or "all" since the account was created (defaults to the last 365 days)',
+  },
+  {
+    key: 'aggregate',
+    type: 'string',
+    label: 'Aggregate',
+    default: 'auto',
+    enum: AGGREGATES,
+    description: 'Plot contributions per day, week or month (auto picks one from the range length)',
+  },
+  {
+    key: 'chart',
+    type: 'string',
+    label: 'Chart Type',
+    default: 'area',
+    enum: CHART_TYPES,
+    description: 'Line with a filled area, plain line, bars or steps',
+  },
+  {
+    key: 'smooth',
+    type: 'number',
+    label: 'Rolling Average',
+    min: 2,
+    max: 90,
+    integer: true,
+    placeholder: '7',
+    description: 'Overlay a rolling average over this many points',
+  },
+  {
+    key: 'yScale',
+    type: 'string',
+    label: 'Y-Axis Scale',
+    default: 'linear',
+    enum: Y_SCALES,
+    description: 'Linear or logarithmic y-axis (log keeps quiet periods visible next to busy ones)',
+  },
+  TIMEZONE_PARAM,
+  LOCALE_PARAM,
+  {
+    key: 'nocache',
+    type: 'boolean',
+    label: 'No Cache',
+    default: false,
+    description: 'Bypass cache and force regeneration',
+  },
+];
+
+/**
+ * Error card options for a request, at the size of the timeseries chart
+ * @param {Object} queryParams - Raw query parameters (see parseQueryParams)
+ * @returns {import('../../utils/errors.js').ErrorCardOptions} Error card options
+ */
+export function errorCard(queryParams) {
+  return getErrorCardOptions(queryParams, { width: 900, height: 360 });
+}
 
 /**
  * Handle timeseries history SVG generation requests
@@ -9,103 +91,77 @@ import { handleError, createForbiddenSVG, createValidationErrorSVG } from '../..
  * @returns {Object} Response object
  */
 export async function handler(event) {
-  try {
-    // Parse query parameters
-    const queryParams = parseQueryParams(event.rawQuery);
-    const { userName, range, theme = 'radical', nocache } = queryParams;
-
-    const noCache = parseBoolean(nocache, false);
+  // Parse query parameters
+  const queryParams = parseQueryParams(event.rawQuery);
+  const card = errorCard(queryParams);
 
+  try {
     // Check LOCK_GITHUB_USER environment variable
     const lockedUser = process.env.LOCK_GITHUB_USER;
-    let username;
-
     if (lockedUser) {
-      // If LOCK_GITHUB_USER is set and userName is provided, return error
-      if (userName) {
-        return createForbiddenSVG('Username parameter is not allowed when LOCK_GITHUB_USER is configured');
+      // If LOCK_GITHUB_USER is set and userName is provided, reject the request
+      if (queryParams.userName) {
+        throw new ForbiddenError('Username parameter is not allowed when LOCK_GITHUB_USER is configured');
       }
       // Use locked user
-      username = lockedUser;
-      console.log('[Auth] Using locked GitHub user:', username);
-    } else {
-      // LOCK_GITHUB_USER not set, userName is required
-      if (!userName) {
-        return createValidationErrorSVG('userName', 'userName query parameter is required');
-      }
-      username = userName;
+      queryParams.userName = lockedUser;
+      console.log('[Auth] Using locked GitHub user:', lockedUser);
     }
 
-    // Validate username
-    try {
-      validateUsername(username);
-    } catch (error) {
-      return createValidationErrorSVG('userName', error.message);
+    const { values, errors } = validateParams(queryParams, [...params, ...THEME_PARAMS]);
+    if (errors.length > 0) {
+      return createValidationErrorSVG(errors, card);
     }
 
-    // Validate date range if provided
-    let dateRange = null;
-    if (range) {
-      try {
-        dateRange = validateDateRange(range);
-      } catch (error) {
-        return createValidationErrorSVG('range', error.message);
+    const { theme, ...themeOpts } = getThemeOptions(values);
+    const { userName: username, range, aggregate, chart, smooth, yScale, timezone, locale, nocache: noCache } = values;
+
+    // JSON variant: return the data model used for rendering
+    if (isJSONRequest(event)) {
+      if (!process.env.GITHUB_TOKEN) {
+        throw new ConfigurationError('GITHUB_TOKEN environment variable is not configured');
       }
+      const data = await getActivityData(username, { range, aggregate, timezone, noCache });
+      return createJSONResponse(data, noCache);
     }
 
     // Generate cache key
     const cacheKey = generateCacheKey(
-      "timeseries-history",
-      userName,
+      'timeseries-history',
+      username,
       range,
-      theme
+      aggregate,
+      chart,
+      smooth,
+      yScale,
+      timezone,
+      theme,
+      themeCacheKey(themeOpts),
+      locale
     );
 
-    // Check cache
-    const cachedResponse = !noCache && cache.get(cacheKey);
-    if (cachedResponse) {
-      console.log('[Cache] HIT:', cacheKey);
-      return {
-        statusCode: 200,
-        headers: {
-          'Content-Type': 'image/svg+xml',
-          'Cache-Control': 'public, max-age=3600',
-          'X-Cache': 'HIT',
-        },
-        body: cachedResponse,
-      };
-    }
-
-    console.log('[Cache] MISS:', cacheKey);
-
-    // Generate SVG
-    const githubToken = process.env.GITHUB_TOKEN;
-    if (!githubToken) {
-      throw new Error('GITHUB_TOKEN environment variable is not configured');
-    }
-
-    const svg = await generateActivitySVG(username, {
-      range: range || undefined,
-      githubToken,
-    }, theme);
+    const { value: svg, status } = await getOrRevalidate(cacheKey, async () => {
+      const githubToken = process.env.GITHUB_TOKEN;
+      if (!githubToken) {
+        throw new ConfigurationError('GITHUB_TOKEN environment variable is not configured');
+      }
 
-    // Cache the response
-    if (!noCache) {
-      cache.set(cacheKey, svg);
-      console.log('[Cache] SET:', cacheKey);
-    }
+      return generateActivitySVG(username, {
+        range,
+        aggregate,
+        chart,
+        smooth,
+        yScale,
+        timezone,
+        githubToken,
+        locale,
+        ...themeOpts,
+        noCache,
+      }, theme);
+    }, { noCache });
 
-    // Return SVG
-    return {
-      statusCode: 200,
-      headers: {
-        'Content-Type': 'image/svg+xml',
-        'Cache-Control': noCache ? 'no-store, no-cache' : 'public, max-age=3600',
-        'X-Cache': 'MISS',
-      },
-      body: svg,
-    };
+    return createSVGResponse(svg, status, noCache);
   } catch (error) {
-    return handleError(error);
+    return handleError(error, card);
   }
-}
\ No newline at end of file
+}
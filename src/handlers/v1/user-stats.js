@@ -1,9 +1,131 @@
-import { generateUserStatsSVG } from '../../widgets/user_stats/generateUserStatsSVG.js';
-import { cache, generateCacheKey } from '../../utils/cache.js';
+import { generateUserStatsSVG, getUserStatsData } from '../../widgets/user_stats/generateUserStatsSVG.js';
+import { generateCacheKey, getOrRevalidate } from '../../utils/cache.js';
+import { createSVGResponse, createJSONResponse, isJSONRequest } from '../../utils/response.js';
 import { validateUsername, parseQueryParams, parseBoolean } from '../../utils/validation.js';
-import { handleError, createForbiddenSVG, createValidationErrorSVG } from '../../utils/errors.js';
+import { validateParams } from '../../utils/schema.js';
+import { THEME_PARAMS, getThemeOptions, themeCacheKey } from '../../utils/themes.js';
+import { LOCALE_PARAM } from '../../utils/i18n.js';
+import { requestedFont } from '../../utils/fonts.js';
+import { handleError, createValidationErrorSVG, getErrorCardOptions, ConfigurationError, ForbiddenError } from '../../utils/errors.js';
 
+/**
+ * Query parameters accepted by the user stats widget
+ * @type {import('../../utils/schema.js').ParamSchema[]}
+ */
+export const params = [
+  {
+    key: 'userName',
+    type: 'string',
+    label: 'Username',
+    required: true,
+    validate: validateUsername,
+    placeholder: 'octocat',
+    description: 'GitHub username',
+  },
+  {
+    key: 'width',
+    type: 'number',
+    label: 'Width',
+    default: 600,
+    min: 300,
+    max: 1000,
+    integer: true,
+    placeholder: '600',
+    description: 'SVG width (300-1000px)',
+  },
+  {
+    key: 'animationDuration',
+    type: 'number',
+    label: 'Animation Duration (s)',
+    default: 2,
+    min: 0.5,
+    max: 10,
+    step: 0.5,
+    placeholder: '2',
+    description: 'Animation duration (0.5-10s)',
+  },
+  {
+    key: 'showHandle',
+    type: 'boolean',
+    label: 'Show Handle',
+    default: true,
+    description: 'Display @username',
+  },
+  {
+    key: 'showStars',
+    type: 'boolean',
+    label: 'Show Stars',
+    default: true,
+    description: 'Display total stars',
+  },
+  {
+    key: 'showCommits',
+    type: 'boolean',
+    label: 'Show Commits',
+    default: true,
+    description: 'Display total commits',
+  },
+  {
+    key: 'showCommitsThisYear',
+    type: 'boolean',
+    label: 'Show Commits This Year',
+    default: true,
+    description: 'Display current year commits',
+  },
+  {
+    key: 'showPRs',
+    type: 'boolean',
+    label: 'Show PRs',
+    default: true,
+    description: 'Display pull requests',
+  },
+  {
+    key: 'showIssues',
+    type: 'boolean',
+    label: 'Show Issues',
+    default: true,
+    description: 'Display issues',
+  },
+  {
+    key: 'showRepos',
+    type: 'boolean',
+    label: 'Show Repos',
+    default: true,
+    description: 'Display total repositories',
+  },
+  {
+    key: 'showContributedTo',
+    type: 'boolean',
+    label: 'Show Contributed To',
+    default: true,
+    description: 'Display contributed repos',
+  },
+  {
+    key: 'showLogo',
+    type: 'boolean',
+    label: 'Show Logo',
+    default: true,
+    description: 'Display GitHub logo',
+  },
+  LOCALE_PARAM,
+  {
+    key: 'nocache',
+    type: 'boolean',
+    label: 'No Cache',
+    default: false,
+    description: 'Bypass cache and force regeneration',
+  },
+];
 
+/**
+ * Error card options for a request, at the size of the user stats card
+ * @param {Object} queryParams - Raw query parameters (see parseQueryParams)
+ * @returns {import('../../utils/errors.js').ErrorCardOptions} Error card options
+ */
+export function errorCard(queryParams) {
+  // Without the logo the card defaults to its minimum width
+  return getErrorCardOptions(queryParams, { width: parseBoolean(queryParams.showLogo) ? 600 : 300 });
+}
 
 /**
  * Handle user stats SVG generation requests
@@ -11,13 +133,31 @@ import { handleError, createForbiddenSVG, createValidationErrorSVG } from '../..
  * @returns {Object} Response object
  */
 export async function handler(event) {
+  // Parse query parameters
+  const queryParams = parseQueryParams(event.rawQuery);
+  const card = errorCard(queryParams);
+
   try {
-    // Parse query parameters
-    const queryParams = parseQueryParams(event.rawQuery);
+    // Check LOCK_GITHUB_USER environment variable
+    const lockedUser = process.env.LOCK_GITHUB_USER;
+    if (lockedUser) {
+      // If LOCK_GITHUB_USER is set and userName is provided, reject the request
+      if (queryParams.userName) {
+        throw new ForbiddenError('Username parameter is not allowed when LOCK_GITHUB_USER is configured');
+      }
+      // Use locked user
+      queryParams.userName = lockedUser;
+      console.log('[Auth] Using locked GitHub user:', lockedUser);
+    }
+
+    const { values, errors } = validateParams(queryParams, [...params, ...THEME_PARAMS]);
+    if (errors.length > 0) {
+      return createValidationErrorSVG(errors, card);
+    }
+
+    const { theme, ...themeOpts } = getThemeOptions(values);
     const {
-      userName,
-      theme = 'radical',
-      width,
+      userName: username,
       animationDuration,
       showHandle,
       showStars,
@@ -28,76 +168,24 @@ export async function handler(event) {
       showRepos,
       showContributedTo,
       showLogo,
-      nocache,
-    } = queryParams;
-
-    const noCache = parseBoolean(nocache, false);
-
-    // Check LOCK_GITHUB_USER environment variable
-    const lockedUser = process.env.LOCK_GITHUB_USER;
-    let username;
-
-    if (lockedUser) {
-      // If LOCK_GITHUB_USER is set and userName is provided, return error
-      if (userName) {
-        return createForbiddenSVG('Username parameter is not allowed when LOCK_GITHUB_USER is configured');
-      }
-      // Use locked user
-      username = lockedUser;
-      console.log('[Auth] Using locked GitHub user:', username);
-    } else {
-      // LOCK_GITHUB_USER not set, userName is required
-      if (!userName) {
-        return createValidationErrorSVG('userName', 'userName query parameter is required');
-      }
-      username = userName;
-    }
+      locale,
+      nocache: noCache,
+    } = values;
 
-    // Validate username
-    try {
-      validateUsername(username);
-    } catch (error) {
-      return createValidationErrorSVG('userName', error.message);
-    }
-
-    // Validate width parameter if provided
-    let widthNum;
-    if (width !== undefined) {
-      widthNum = parseInt(width, 10);
-      if (isNaN(widthNum) || widthNum < 300 || widthNum > 1000) {
-        return createValidationErrorSVG('width', 'width must be a number between 300 and 1000');
-      }
-    }
+    // Without the logo the card shrinks to its minimum width unless one is given
+    const width = !showLogo && queryParams.width === undefined ? 300 : values.width;
 
-    // Validate animationDuration parameter if provided
-    let animationDurationNum;
-    if (animationDuration !== undefined) {
-      animationDurationNum = parseFloat(animationDuration);
-      if (isNaN(animationDurationNum) || animationDurationNum < 0.5 || animationDurationNum > 10) {
-        return createValidationErrorSVG('animationDuration', 'animationDuration must be a number between 0.5 and 10');
+    // JSON variant: return the data model used for rendering
+    if (isJSONRequest(event)) {
+      if (!process.env.GITHUB_TOKEN) {
+        throw new ConfigurationError('GITHUB_TOKEN environment variable is not configured');
       }
+      const data = await getUserStatsData(username, { noCache });
+      return createJSONResponse(data, noCache);
     }
 
-    // Parse boolean options
-    const showHandleBool = parseBoolean(showHandle, true);
-    const showStarsBool = parseBoolean(showStars, true);
-    const showCommitsBool = parseBoolean(showCommits, true);
-    const showCommitsThisYearBool = parseBoolean(showCommitsThisYear, true);
-    const showPRsBool = parseBoolean(showPRs, true);
-    const showIssuesBool = parseBoolean(showIssues, true);
-    const showReposBool = parseBoolean(showRepos, true);
-    const showContributedToBool = parseBoolean(showContributedTo, true);
-    const showLogoBool = parseBoolean(showLogo, true);
-
-    if (!showLogoBool && !width) {
-      widthNum = 300;
-    }
-
-    // Generate cache key
-    const cacheKey = generateCacheKey(
-      'user-stats',
-      username,
-      theme,
+    // Build options object
+    const opts = {
       width,
       animationDuration,
       showHandle,
@@ -108,71 +196,26 @@ export async function handler(event) {
       showIssues,
       showRepos,
       showContributedTo,
-      showLogo
-    );
-
-    // Check cache
-    const cachedResponse = !noCache && cache.get(cacheKey);
-    if (cachedResponse) {
-      console.log('[Cache] HIT:', cacheKey);
-      return {
-        statusCode: 200,
-        headers: {
-          'Content-Type': 'image/svg+xml',
-          'Cache-Control': 'public, max-age=3600',
-          'X-Cache': 'HIT',
-        },
-        body: cachedResponse,
-      };
-    }
-
-    console.log('[Cache] MISS:', cacheKey);
-
-    // Generate SVG
-    const githubToken = process.env.GITHUB_TOKEN;
-    if (!githubToken) {
-      throw new Error('GITHUB_TOKEN environment variable is not configured');
-    }
-
-    // Build options object
-    const opts = {
-      showHandle: showHandleBool,
-      showStars: showStarsBool,
-      showCommits: showCommitsBool,
-      showCommitsThisYear: showCommitsThisYearBool,
-      showPRs: showPRsBool,
-      showIssues: showIssuesBool,
-      showRepos: showReposBool,
-      showContributedTo: showContributedToBool,
-      showLogo: showLogoBool,
+      showLogo,
+      locale,
+      // Labels are measured with an embedded font, so it shapes the layout
+      font: requestedFont(queryParams),
     };
 
-    if (widthNum !== undefined) {
-      opts.width = widthNum;
-    }
-    if (animationDurationNum !== undefined) {
-      opts.animationDuration = animationDurationNum;
-    }
+    // Generate cache key
+    const cacheKey = generateCacheKey('user-stats', username, theme, themeCacheKey(themeOpts), ...Object.values(opts));
 
-    const svg = await generateUserStatsSVG(username, opts, theme);
+    const { value: svg, status } = await getOrRevalidate(cacheKey, async () => {
+      const githubToken = process.env.GITHUB_TOKEN;
+      if (!githubToken) {
+        throw new ConfigurationError('GITHUB_TOKEN environment variable is not configured');
+      }
 
-    // Cache the response
-    if (!noCache) {
-      cache.set(cacheKey, svg);
-      console.log('[Cache] SET:', cacheKey);
-    }
+      return generateUserStatsSVG(username, { ...opts, ...themeOpts, noCache }, theme);
+    }, { noCache });
 
-    // Return SVG
-    return {
-      statusCode: 200,
-      headers: {
-        'Content-Type': 'image/svg+xml',
-        'Cache-Control': noCache ? 'no-store, no-cache' : 'public, max-age=3600',
-        'X-Cache': 'MISS',
-      },
-      body: svg,
-    };
+    return createSVGResponse(svg, status, noCache);
   } catch (error) {
-    return handleError(error);
+    return handleError(error, card);
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,89 @@
+/**
+ * Card backgrounds
+ *
+ * Widgets draw their card as a rect filled with the theme's bg colour. With
+ * bgGradient or bgPattern (see THEME_PARAMS) the rect is filled with a
+ * gradient instead, and a pattern in the theme's text colour is laid over it.
+ * Colours are applied through style attributes so adaptive (theme=auto)
+ * widgets can use their CSS variables.
+ */
+
+const GRADIENT_ID = 'cardBgGradient';
+const PATTERN_ID = 'cardBgPattern';
+
+// Pattern tiles; `color` is the CSS colour of the marks
+const PATTERNS = {
+  dots: (color) => `<pattern id="${PATTERN_ID}" width="16" height="16" patternUnits="userSpaceOnUse">
+      <circle cx="8" cy="8" r="1.5" style="fill: ${color}"/>
+    </pattern>`,
+  grid: (color) => `<pattern id="${PATTERN_ID}" width="20" height="20" patternUnits="userSpaceOnUse">
+      <path d="M 20 0 L 0 0 0 20" fill="none" style="stroke: ${color}" stroke-width="1"/>
+    </pattern>`,
+  diagonal: (color) => `<pattern id="${PATTERN_ID}" width="12" height="12" patternUnits="userSpaceOnUse">
+      <path d="M -3 3 L 3 -3 M 0 12 L 12 0 M 9 15 L 15 9" fill="none" style="stroke: ${color}" stroke-width="1"/>
+    </pattern>`,
+};
+
+/**
+ * Round a gradient coordinate for compact markup
+ * @param {number} value - Coordinate (0-1)
+ * @returns {number} Rounded coordinate
+ */
+function round(value) {
+  return Number(value.toFixed(4));
+}
+
+/**
+ * Build the <linearGradient> or <radialGradient> of a card background
+ * @param {import('./themes.js').Gradient} gradient - Parsed gradient
+ * @param {Object} colors - Resolved theme colours, used for theme key stops
+ * @returns {string} SVG markup
+ */
+function renderGradient({ type, angle, stops }, colors) {
+  const stopMarkup = stops
+    .map(({ color, key, offset }) => `<stop offset="${round(offset)}%" style="stop-color: ${key ? colors[key] : color}"/>`)
+    .join('');
+
+  if (type === 'radial') {
+    return `<radialGradient id="${GRADIENT_ID}" cx="50%" cy="50%" r="75%">${stopMarkup}</radialGradient>`;
+  }
+
+  // CSS angles: 0deg points up and angles grow clockwise
+  const radians = (angle * Math.PI) / 180;
+  const dx = Math.sin(radians) / 2;
+  const dy = -Math.cos(radians) / 2;
+  return `<linearGradient id="${GRADIENT_ID}" x1="${round(0.5 - dx)}" y1="${round(0.5 - dy)}" x2="${round(0.5 + dx)}" y2="${round(0.5 + dy)}">${stopMarkup}</linearGradient>`;
+}
+
+/**
+ * Resolve how a widget draws its card background.
+ * `fill` replaces the bg colour in the card rect's style, `defs` goes in the
+ * widget's <defs>, and `overlay` draws the pattern over a shape (usually the
+ * card rect, drawn right after it). Without a customized background, `fill`
+ * is the bg colour and the other two are empty.
+ * @param {import('./themes.js').BackgroundOptions} [background] - Background settings (see getThemeOptions)
+ * @param {Object} colors - Resolved theme colours (see resolveTheme)
+ * @returns {{fill: string, defs: string, overlay: Function}} Card background parts
+ */
+export function resolveBackground(background, colors) {
+  const { gradient, pattern, patternOpacity = 0.08 } = background || {};
+  const defs = [
+    gradient ? renderGradient(gradient, colors) : '',
+    PATTERNS[pattern] ? PATTERNS[pattern](colors.text) : '',
+  ].join('');
+
+  /**
+   * Draw the pattern over a card shape
+   * @param {{x?: number, y?: number, width: number, height: number, rx?: number}} shape - Card rect geometry
+   * @returns {string} SVG markup, empty without a pattern
+   */
+  const overlay = ({ x = 0, y = 0, width, height, rx = 0 }) => (PATTERNS[pattern]
+    ? `<rect x="${x}" y="${y}" width="${width}" height="${height}" rx="${rx}" fill="url(#${PATTERN_ID})" opacity="${patternOpacity}" pointer-events="none"/>`
+    : '');
+
+  return {
+    fill: gradient ? `url(#${GRADIENT_ID})` : colors.bg,
+    defs,
+    overlay,
+  };
+}
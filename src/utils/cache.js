@@ -1,18 +1,59 @@
-import { LRUCache } from 'lru-cache';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createMemoryCache } from './cacheBackends/memory.js';
+import { createFilesystemCache } from './cacheBackends/filesystem.js';
+import { createSqliteCache } from './cacheBackends/sqlite.js';
+import { createRedisCache } from './cacheBackends/redis.js';
+import { ConfigurationError } from './errors.js';
+
+const BACKENDS = {
+  memory: createMemoryCache,
+  filesystem: createFilesystemCache,
+  sqlite: createSqliteCache,
+  redis: createRedisCache,
+};
 
 /**
- * Create an LRU cache with TTL support for caching API responses
- * @param {number} maxSize - Maximum number of entries (default: 100)
- * @param {number} ttl - Time to live in milliseconds (default: 3600000 = 1 hour)
- * @returns {LRUCache} Configured LRU cache instance
+ * Create a cache with TTL support for caching API responses.
+ * All backends share the same async get/set/delete interface. Backend
+ * failures are logged and treated as cache misses so a broken cache never
+ * takes a widget down.
+ * @param {string} backend - Backend name: memory, filesystem, sqlite or redis
+ * @param {Object} options - Backend options (ttl plus backend-specific settings)
+ * @returns {{get: Function, set: Function, delete: Function}} Cache instance
  */
-export function createCache(maxSize = 100, ttl = 3600000) {
-  return new LRUCache({
-    max: maxSize,
-    ttl: ttl,
-    updateAgeOnGet: true,
-    updateAgeOnHas: true,
-  });
+export function createCache(backend = 'memory', options = {}) {
+  const factory = BACKENDS[backend];
+  if (!factory) {
+    throw new ConfigurationError(`Unknown CACHE_BACKEND "${backend}" (expected one of: ${Object.keys(BACKENDS).join(', ')})`);
+  }
+  const store = factory(options);
+
+  return {
+    backend,
+    async get(key) {
+      try {
+        return await store.get(key);
+      } catch (error) {
+        console.error(`[Cache] ${backend} get failed:`, error.message);
+        return undefined;
+      }
+    },
+    async set(key, value) {
+      try {
+        await store.set(key, value);
+      } catch (error) {
+        console.error(`[Cache] ${backend} set failed:`, error.message);
+      }
+    },
+    async delete(key) {
+      try {
+        await store.delete(key);
+      } catch (error) {
+        console.error(`[Cache] ${backend} delete failed:`, error.message);
+      }
+    },
+  };
 }
 
 /**
@@ -27,7 +68,163 @@ export function generateCacheKey(widget, ...args) {
 }
 
 // Create singleton cache instance with environment variable configuration
+const backend = process.env.CACHE_BACKEND || 'memory';
 const maxSize = parseInt(process.env.CACHE_MAX_SIZE || '100', 10);
 const ttl = parseInt(process.env.CACHE_TTL_MS || '3600000', 10);
 
-export const cache = createCache(maxSize, ttl);
\ No newline at end of file
+// How long an expired entry may still be served while it is regenerated
+export const staleTtl = parseInt(process.env.CACHE_STALE_TTL_MS || '86400000', 10);
+
+// How long raw GitHub payloads are reused across renders
+const dataTtl = parseInt(process.env.CACHE_DATA_TTL_MS || String(ttl), 10);
+
+const backendOptions = {
+  maxSize,
+  dir: process.env.CACHE_DIR || join(tmpdir(), 'github-widgets-cache'),
+  path: process.env.CACHE_SQLITE_PATH || join(tmpdir(), 'github-widgets-cache.sqlite'),
+  url: process.env.CACHE_REDIS_URL || 'redis://localhost:6379',
+};
+
+// Rendered SVGs, keyed on every presentation parameter. Each cache has its own
+// namespace (subdirectory, table or key prefix), so the two never share entries
+// or count against each other's size bound.
+export const cache = createCache(backend, {
+  ...backendOptions,
+  namespace: 'render',
+  // Entries are kept for the stale window too; freshness is tracked per entry
+  ttl: ttl + staleTtl,
+});
+
+// Raw GitHub data, keyed per user/repo so presentation changes only re-render.
+// Its TTL counts from when the data was fetched: reads must not extend it, or
+// data that keeps being rendered would never be refetched.
+export const dataCache = createCache(backend, {
+  ...backendOptions,
+  namespace: 'data',
+  ttl: dataTtl,
+  updateAgeOnGet: false,
+});
+
+// Keys currently being regenerated in the background
+const revalidating = new Set();
+
+// Whether stale entries are regenerated after responding. Serverless
+// functions freeze once their handler resolves, so a background refresh there
+// would be lost; they regenerate before responding instead.
+let backgroundRevalidation = true;
+
+/**
+ * Choose how stale entries are regenerated: in the background after the stale
+ * value is returned (long-running server, the default), or inline before
+ * returning (serverless functions)
+ * @param {boolean} enabled - Regenerate in the background
+ */
+export function setBackgroundRevalidation(enabled) {
+  backgroundRevalidation = enabled;
+}
+
+/**
+ * Shorten long cache keys (e.g. CSV or skills input) for log output
+ * @param {string} key - Cache key
+ * @returns {string} Key suitable for logging
+ */
+function keyForLog(key) {
+  return key.length > 80 ? key.substring(0, 50) + '...' : key;
+}
+
+/**
+ * Store a freshly generated value together with its freshness deadline
+ * @param {string} key - Cache key
+ * @param {*} value - Value to cache
+ */
+async function storeFresh(key, value) {
+  await cache.set(key, { value, freshUntil: Date.now() + ttl });
+  console.log('[Cache] SET:', keyForLog(key));
+}
+
+/**
+ * Regenerate a stale entry in the background, at most once per key at a time
+ * @param {string} key - Cache key
+ * @param {Function} generate - Async function producing the new value
+ */
+function revalidate(key, generate) {
+  if (revalidating.has(key)) return;
+  revalidating.add(key);
+
+  Promise.resolve()
+    .then(generate)
+    .then((value) => storeFresh(key, value))
+    .catch((error) => console.error('[Cache] Revalidation failed:', keyForLog(key), error.message))
+    .finally(() => revalidating.delete(key));
+}
+
+/**
+ * Get a cached value, generating it on a miss (stale-while-revalidate).
+ * - HIT: entry is fresh and returned as is
+ * - STALE: entry expired less than CACHE_STALE_TTL_MS ago; it is returned
+ *   immediately and regenerated in the background. Without background
+ *   revalidation (see setBackgroundRevalidation) it is regenerated inline
+ *   instead, and only returned if that fails.
+ * - MISS: no usable entry (or nocache); the value is generated inline
+ * @param {string} key - Cache key
+ * @param {Function} generate - Async function producing the value
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.noCache=false] - Bypass the cache entirely
+ * @returns {Promise<{value: *, status: 'HIT'|'STALE'|'MISS'}>} Value and cache status
+ */
+export async function getOrRevalidate(key, generate, { noCache = false } = {}) {
+  if (noCache) {
+    return { value: await generate(), status: 'MISS' };
+  }
+
+  const entry = await cache.get(key);
+  if (entry) {
+    if (Date.now() < entry.freshUntil) {
+      console.log('[Cache] HIT:', keyForLog(key));
+      return { value: entry.value, status: 'HIT' };
+    }
+    console.log('[Cache] STALE:', keyForLog(key));
+    if (backgroundRevalidation) {
+      revalidate(key, generate);
+      return { value: entry.value, status: 'STALE' };
+    }
+    try {
+      const value = await generate();
+      await storeFresh(key, value);
+      return { value, status: 'MISS' };
+    } catch (error) {
+      console.error('[Cache] Revalidation failed:', keyForLog(key), error.message);
+      return { value: entry.value, status: 'STALE' };
+    }
+  }
+
+  console.log('[Cache] MISS:', keyForLog(key));
+  const value = await generate();
+  await storeFresh(key, value);
+  return { value, status: 'MISS' };
+}
+
+/**
+ * Get raw GitHub data from the data cache, fetching it on a miss.
+ * Widgets wrap their GitHub queries with this so that rendering the same
+ * user or repository with different presentation options reuses one fetch.
+ * @param {string} key - Data cache key (see generateCacheKey)
+ * @param {Function} fetch - Async function querying GitHub
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.noCache=false] - Skip the cached copy and refetch
+ * @returns {Promise<*>} Fetched data
+ */
+export async function getCachedData(key, fetch, { noCache = false } = {}) {
+  if (!noCache) {
+    const cached = await dataCache.get(key);
+    if (cached !== undefined) {
+      console.log('[Cache] DATA HIT:', keyForLog(key));
+      return cached;
+    }
+  }
+
+  console.log('[Cache] DATA MISS:', keyForLog(key));
+  const data = await fetch();
+  await dataCache.set(key, data);
+  return data;
+}
@@ -0,0 +1,105 @@
+import { promises as fs } from 'fs';
+import { createHash } from 'crypto';
+import { join } from 'path';
+
+// How often expired files are swept, at most
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Create a filesystem cache backend.
+ * Each entry is stored as a JSON file named after the SHA-256 of its key,
+ * so entries survive restarts as long as the directory is persisted
+ * (e.g. a Docker volume). Writes periodically sweep the directory: files past
+ * their TTL are deleted even if nobody reads them again, and the oldest files
+ * are deleted beyond maxSize.
+ * @param {Object} options - Backend options
+ * @param {string} options.dir - Directory to store cache files in
+ * @param {string} [options.namespace] - Subdirectory keeping this cache apart from others in the same directory
+ * @param {number} options.ttl - Time to live in milliseconds
+ * @param {number} [options.maxSize=Infinity] - Maximum number of entries
+ * @returns {{get: Function, set: Function, delete: Function}} Cache backend
+ */
+export function createFilesystemCache({ dir: baseDir, namespace, ttl, maxSize = Infinity }) {
+  const dir = namespace ? join(baseDir, namespace) : baseDir;
+  let ready = null;
+  const ensureDir = () => {
+    if (!ready) {
+      ready = fs.mkdir(dir, { recursive: true });
+    }
+    return ready;
+  };
+
+  const fileFor = (key) => join(dir, `${createHash('sha256').update(key).digest('hex')}.json`);
+
+  // Sweep once a minute, or sooner when a tenth of maxSize was written since
+  // the last sweep, so the directory never grows far beyond maxSize
+  let lastSweep = 0;
+  let writesSinceSweep = 0;
+  let sweeping = null;
+  const sweepDue = () => Date.now() - lastSweep >= SWEEP_INTERVAL_MS || writesSinceSweep >= Math.max(1, maxSize / 10);
+
+  const sweep = async () => {
+    lastSweep = Date.now();
+    writesSinceSweep = 0;
+    const entries = [];
+    for (const name of await fs.readdir(dir)) {
+      const file = join(dir, name);
+      try {
+        entries.push({ file, written: (await fs.stat(file)).mtimeMs });
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+
+    // Every entry has the same TTL, so its file's write time tells when it
+    // expires; leftover temporary files of interrupted writes age out too
+    const now = Date.now();
+    const expired = entries.filter((entry) => entry.written + ttl <= now);
+    const live = entries
+      .filter((entry) => entry.written + ttl > now && entry.file.endsWith('.json'))
+      .sort((a, b) => a.written - b.written);
+    const evicted = live.slice(0, Math.max(0, live.length - maxSize));
+    await Promise.all([...expired, ...evicted].map((entry) => fs.rm(entry.file, { force: true })));
+  };
+
+  return {
+    async get(key) {
+      const file = fileFor(key);
+      let entry;
+      try {
+        entry = JSON.parse(await fs.readFile(file, 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return undefined;
+        throw error;
+      }
+
+      if (entry.key !== key) return undefined;
+      if (entry.expiresAt <= Date.now()) {
+        await fs.rm(file, { force: true });
+        return undefined;
+      }
+      return entry.value;
+    },
+
+    async set(key, value) {
+      await ensureDir();
+      const file = fileFor(key);
+      // Write to a temporary file first so readers never see a partial entry
+      const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify({ key, value, expiresAt: Date.now() + ttl }));
+      await fs.rename(tmp, file);
+
+      writesSinceSweep++;
+      if (!sweeping && sweepDue()) {
+        sweeping = sweep().finally(() => {
+          sweeping = null;
+        });
+      }
+      await sweeping;
+    },
+
+    async delete(key) {
+      await fs.rm(fileFor(key), { force: true });
+    },
+  };
+}
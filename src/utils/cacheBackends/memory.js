@@ -0,0 +1,31 @@
+import { LRUCache } from 'lru-cache';
+
+/**
+ * Create an in-memory LRU cache backend.
+ * Fast, but process-local: entries are lost on cold starts and restarts.
+ * @param {Object} options - Backend options
+ * @param {number} options.maxSize - Maximum number of entries
+ * @param {number} options.ttl - Time to live in milliseconds
+ * @param {boolean} [options.updateAgeOnGet=true] - Restart an entry's TTL whenever it is read
+ * @returns {{get: Function, set: Function, delete: Function}} Cache backend
+ */
+export function createMemoryCache({ maxSize, ttl, updateAgeOnGet = true }) {
+  const lru = new LRUCache({
+    max: maxSize,
+    ttl: ttl,
+    updateAgeOnGet,
+    updateAgeOnHas: updateAgeOnGet,
+  });
+
+  return {
+    async get(key) {
+      return lru.get(key);
+    },
+    async set(key, value) {
+      lru.set(key, value);
+    },
+    async delete(key) {
+      lru.delete(key);
+    },
+  };
+}
@@ -0,0 +1,205 @@
+import net from 'net';
+import tls from 'tls';
+
+/**
+ * Create a Redis cache backend.
+ * Speaks the Redis serialization protocol (RESP) directly over TCP, so it
+ * works with Redis and any compatible server (Valkey, KeyDB, Dragonfly, ...)
+ * without an extra dependency. Entries expire server-side via SET ... PX.
+ * @param {Object} options - Backend options
+ * @param {string} options.url - Connection URL (redis://[:password@]host[:port][/db] or rediss://)
+ * @param {number} options.ttl - Time to live in milliseconds
+ * @param {string} [options.prefix='github-widgets:'] - Prefix applied to every key
+ * @param {string} [options.namespace] - Added to the prefix to keep this cache apart from others on the same server
+ * @param {number} [options.timeout=2000] - Connect and command timeout in milliseconds
+ * @returns {{get: Function, set: Function, delete: Function}} Cache backend
+ */
+export function createRedisCache({ url, ttl, prefix: basePrefix = 'github-widgets:', namespace, timeout = 2000 }) {
+  const prefix = namespace ? `${basePrefix}${namespace}:` : basePrefix;
+  const client = createRedisClient(url, timeout);
+
+  return {
+    async get(key) {
+      const raw = await client.command('GET', prefix + key);
+      return raw === null ? undefined : JSON.parse(raw);
+    },
+    async set(key, value) {
+      await client.command('SET', prefix + key, JSON.stringify(value), 'PX', ttl);
+    },
+    async delete(key) {
+      await client.command('DEL', prefix + key);
+    },
+  };
+}
+
+/**
+ * Create a minimal pipelined RESP client with lazy (re)connection
+ * @param {string} url - Connection URL
+ * @param {number} timeout - Connect and command timeout in milliseconds
+ * @returns {{command: Function}} Client
+ */
+function createRedisClient(url, timeout) {
+  const { hostname, port, password, username, db, useTls } = parseRedisUrl(url);
+
+  let socket = null;
+  let buffer = Buffer.alloc(0);
+  // Replies arrive in request order, so pending commands are a FIFO queue
+  const pending = [];
+
+  const failAll = (error) => {
+    while (pending.length) {
+      const { reject, timer } = pending.shift();
+      clearTimeout(timer);
+      reject(error);
+    }
+  };
+
+  const reset = (error) => {
+    if (socket) {
+      socket.destroy();
+      socket = null;
+    }
+    buffer = Buffer.alloc(0);
+    failAll(error);
+  };
+
+  const connect = () => {
+    const conn = useTls
+      ? tls.connect({ host: hostname, port, servername: hostname })
+      : net.createConnection({ host: hostname, port });
+    conn.setNoDelay(true);
+    socket = conn;
+
+    conn.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      try {
+        let reply;
+        while ((reply = parseReply(buffer, 0))) {
+          buffer = buffer.subarray(reply.offset);
+          const entry = pending.shift();
+          if (!entry) continue;
+          clearTimeout(entry.timer);
+          if (reply.value instanceof Error) {
+            entry.reject(reply.value);
+          } else {
+            entry.resolve(reply.value);
+          }
+        }
+      } catch (error) {
+        reset(error);
+      }
+    });
+    // Ignore events from a connection that has already been replaced
+    conn.on('error', (error) => {
+      if (socket === conn) reset(error);
+    });
+    conn.on('close', () => {
+      if (socket === conn) reset(new Error('Redis connection closed'));
+    });
+
+    // Writes are buffered until the socket connects, so these are sent first
+    const logSetupError = (error) => console.error('[Cache] Redis connection setup failed:', error.message);
+    if (password) {
+      send(username ? ['AUTH', username, password] : ['AUTH', password]).catch(logSetupError);
+    }
+    if (db) {
+      send(['SELECT', db]).catch(logSetupError);
+    }
+  };
+
+  const send = (args) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      // A late reply would desynchronize the queue, so drop the connection
+      reset(new Error(`Redis command timed out after ${timeout}ms`));
+    }, timeout);
+    pending.push({ resolve, reject, timer });
+    socket.write(encodeCommand(args));
+  });
+
+  return {
+    command(...args) {
+      if (!socket) connect();
+      return send(args);
+    },
+  };
+}
+
+/**
+ * Parse a redis:// or rediss:// URL
+ * @param {string} url - Connection URL
+ * @returns {Object} Connection settings
+ */
+function parseRedisUrl(url) {
+  const parsed = new URL(url);
+  if (parsed.protocol !== 'redis:' && parsed.protocol !== 'rediss:') {
+    throw new Error(`Unsupported Redis URL protocol: ${parsed.protocol}`);
+  }
+  return {
+    hostname: parsed.hostname || 'localhost',
+    port: parseInt(parsed.port || '6379', 10),
+    username: decodeURIComponent(parsed.username || ''),
+    password: decodeURIComponent(parsed.password || ''),
+    db: parsed.pathname.replace('/', ''),
+    useTls: parsed.protocol === 'rediss:',
+  };
+}
+
+/**
+ * Encode a command as a RESP array of bulk strings
+ * @param {Array<string|number>} args - Command name and arguments
+ * @returns {string} Encoded command
+ */
+function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const str = String(arg);
+    out += `$${Buffer.byteLength(str)}\r\n${str}\r\n`;
+  }
+  return out;
+}
+
+/**
+ * Parse one RESP reply from a buffer
+ * @param {Buffer} buf - Received data
+ * @param {number} offset - Offset to start parsing at
+ * @returns {{value: *, offset: number}|null} Parsed reply, or null if incomplete
+ */
+function parseReply(buf, offset) {
+  if (offset >= buf.length) return null;
+  const lineEnd = buf.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buf[offset]);
+  const line = buf.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(line), offset: next };
+    case ':':
+      return { value: parseInt(line, 10), offset: next };
+    case '$': {
+      const length = parseInt(line, 10);
+      if (length === -1) return { value: null, offset: next };
+      if (buf.length < next + length + 2) return null;
+      return { value: buf.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = parseInt(line, 10);
+      if (count === -1) return { value: null, offset: next };
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buf, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Unexpected Redis reply type: ${type}`);
+  }
+}
@@ -0,0 +1,103 @@
+import { mkdirSync } from 'fs';
+import { createRequire } from 'module';
+import { dirname } from 'path';
+import { ConfigurationError } from '../errors.js';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * Create a SQLite cache backend.
+ * Uses the built-in node:sqlite module (Node.js 22.13+), so no native
+ * dependency is needed. The module is loaded when the backend is created, so
+ * an unsupported Node.js version fails at startup; the database is opened
+ * lazily on first use.
+ * @param {Object} options - Backend options
+ * @param {string} options.path - Path to the SQLite database file
+ * @param {string} [options.namespace] - Table suffix keeping this cache apart from others in the same file
+ * @param {number} options.ttl - Time to live in milliseconds
+ * @returns {{get: Function, set: Function, delete: Function}} Cache backend
+ * @throws {ConfigurationError} If node:sqlite is not available
+ */
+export function createSqliteCache({ path, namespace, ttl }) {
+  const sqlite = loadSqlite();
+  const table = namespace ? `cache_${namespace}` : 'cache';
+  let statements = null;
+
+  // Opening is retried on the next call if it fails
+  const getStatements = () => {
+    if (!statements) {
+      statements = openDatabase(sqlite, path, table);
+    }
+    return statements;
+  };
+
+  return {
+    async get(key) {
+      const { select, remove } = getStatements();
+      const row = select.get(key);
+      if (!row) return undefined;
+      if (row.expires_at <= Date.now()) {
+        remove.run(key);
+        return undefined;
+      }
+      return JSON.parse(row.value);
+    },
+
+    async set(key, value) {
+      const { upsert, prune } = getStatements();
+      const now = Date.now();
+      upsert.run(key, JSON.stringify(value), now + ttl);
+      prune.run(now);
+    },
+
+    async delete(key) {
+      const { remove } = getStatements();
+      remove.run(key);
+    },
+  };
+}
+
+/**
+ * Load the built-in node:sqlite module
+ * @returns {Object} node:sqlite module
+ * @throws {ConfigurationError} If this Node.js version does not provide it
+ */
+function loadSqlite() {
+  try {
+    return require('node:sqlite');
+  } catch {
+    throw new ConfigurationError(
+      `CACHE_BACKEND=sqlite requires Node.js 22.13 or later (node:sqlite), running ${process.version}`
+    );
+  }
+}
+
+/**
+ * Open the database, create the cache table and prepare statements
+ * @param {Object} sqlite - node:sqlite module
+ * @param {string} path - Path to the SQLite database file
+ * @param {string} table - Table holding this cache's entries
+ * @returns {Object} Prepared statements
+ */
+function openDatabase(sqlite, path, table) {
+  mkdirSync(dirname(path), { recursive: true });
+  const db = new sqlite.DatabaseSync(path);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS ${table} (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL,
+      expires_at INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS ${table}_expires_at ON ${table} (expires_at);
+  `);
+
+  return {
+    select: db.prepare(`SELECT value, expires_at FROM ${table} WHERE key = ?`),
+    upsert: db.prepare(
+      `INSERT INTO ${table} (key, value, expires_at) VALUES (?, ?, ?) ` +
+      'ON CONFLICT(key) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at'
+    ),
+    remove: db.prepare(`DELETE FROM ${table} WHERE key = ?`),
+    prune: db.prepare(`DELETE FROM ${table} WHERE expires_at <= ?`),
+  };
+}
@@ -0,0 +1,26 @@
+/**
+ * Colour cycling for gradient stops
+ *
+ * Widgets animate their accent gradients by cycling each stop through the
+ * theme's accent colours. This is done in CSS rather than with SMIL
+ * <animate attributeName="stop-color"> because SMIL values cannot resolve the
+ * CSS variables used by adaptive (theme=auto) widgets.
+ */
+
+/**
+ * Build the CSS that cycles a gradient stop through a list of colours and
+ * back to the first one (linearly, like SMIL's default calcMode)
+ * @param {string} className - Class of the <stop> element, also used as the keyframes name
+ * @param {string[]} colors - Colours in cycle order; the first one is the resting colour
+ * @param {number} duration - Cycle duration in seconds
+ * @returns {string} CSS rule and keyframes
+ */
+export function stopColorCycle(className, colors, duration) {
+  const cycle = [...colors, colors[0]];
+  const frames = cycle
+    .map((color, i) => `${Number(((i / (cycle.length - 1)) * 100).toFixed(2))}% { stop-color: ${color}; }`)
+    .join(' ');
+
+  return `.${className} { stop-color: ${colors[0]}; animation: ${className} ${duration}s linear infinite; }
+    @keyframes ${className} { ${frames} }`;
+}
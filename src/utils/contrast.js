@@ -0,0 +1,165 @@
+/**
+ * Theme contrast checks
+ *
+ * Computes WCAG 2 contrast ratios between a theme's text colours (title, text
+ * and subtext) and its background. Translucent backgrounds (the transparent
+ * themes) are measured on the page they are meant for: a light page when the
+ * theme's text is dark and a dark page when it is light.
+ */
+
+// Text colours checked against bg
+export const CONTRAST_KEYS = ['title', 'text', 'subtext'];
+
+// WCAG AA for normal text
+const DEFAULT_MIN_CONTRAST_RATIO = 4.5;
+
+// Pages a translucent background is drawn on (GitHub's light and dark backgrounds)
+const BACKDROPS = {
+  light: { r: 255, g: 255, b: 255, a: 1 },
+  dark: { r: 13, g: 17, b: 23, a: 1 },
+};
+
+/**
+ * Smallest contrast ratio accepted for custom query colours, from
+ * MIN_CONTRAST_RATIO (0 turns the check off)
+ * @returns {number} Contrast ratio
+ */
+export function getMinContrastRatio() {
+  const ratio = parseFloat(process.env.MIN_CONTRAST_RATIO);
+  return Number.isFinite(ratio) && ratio >= 0 ? Math.min(ratio, 21) : DEFAULT_MIN_CONTRAST_RATIO;
+}
+
+/**
+ * Parse a theme colour into channels
+ * @param {string} color - Hex (#rgb, #rgba, #rrggbb, #rrggbbaa), rgb()/rgba() or transparent
+ * @returns {{r: number, g: number, b: number, a: number}|undefined} Channels (0-255, alpha 0-1), or undefined if unsupported
+ */
+function parseRGBA(color) {
+  const value = String(color).trim().toLowerCase();
+  if (value === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+
+  const hex = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.exec(value)?.[1];
+  if (hex) {
+    const full = hex.length <= 4 ? hex.split('').map((c) => c + c).join('') : hex;
+    const [r, g, b, a = 255] = full.match(/../g).map((pair) => parseInt(pair, 16));
+    return { r, g, b, a: a / 255 };
+  }
+
+  const rgb = /^rgba?\(([^)]*)\)$/.exec(value)?.[1];
+  if (rgb) {
+    const channel = (part, max) => (part.endsWith('%') ? (parseFloat(part) / 100) * max : parseFloat(part));
+    const [r, g, b, a = '1'] = rgb.split(',').map((part) => part.trim());
+    return { r: channel(r, 255), g: channel(g, 255), b: channel(b, 255), a: channel(a, 1) };
+  }
+  return undefined;
+}
+
+/**
+ * Draw a colour over an opaque one
+ * @param {{r: number, g: number, b: number, a: number}} top - Colour on top
+ * @param {{r: number, g: number, b: number, a: number}} bottom - Opaque colour below
+ * @returns {{r: number, g: number, b: number, a: number}} Opaque result
+ */
+function composite(top, bottom) {
+  const mix = (key) => top[key] * top.a + bottom[key] * (1 - top.a);
+  return { r: mix('r'), g: mix('g'), b: mix('b'), a: 1 };
+}
+
+/**
+ * Blend two theme colours, e.g. for a colour scale between two accents
+ * @param {string} from - Colour at t = 0
+ * @param {string} to - Colour at t = 1
+ * @param {number} t - Position between the colours (0-1)
+ * @returns {string} Hex colour (#rrggbb, or #rrggbbaa when translucent); `to` if a colour cannot be parsed
+ */
+export function mixColors(from, to, t) {
+  const a = parseRGBA(from);
+  const b = parseRGBA(to);
+  if (!a || !b) return to;
+
+  const hex = (value) => Math.round(value).toString(16).padStart(2, '0');
+  const [r, g, bl, alpha] = ['r', 'g', 'b', 'a'].map((key) => a[key] + (b[key] - a[key]) * t);
+  return `#${hex(r)}${hex(g)}${hex(bl)}${alpha < 1 ? hex(alpha * 255) : ''}`;
+}
+
+/**
+ * WCAG relative luminance of an opaque colour
+ * @param {{r: number, g: number, b: number}} color - Channels (0-255)
+ * @returns {number} Luminance (0-1)
+ */
+function relativeLuminance({ r, g, b }) {
+  const linear = (channel) => {
+    const c = channel / 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  };
+  return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+}
+
+/**
+ * WCAG contrast ratio between two opaque colours
+ * @param {{r: number, g: number, b: number}} a - First colour
+ * @param {{r: number, g: number, b: number}} b - Second colour
+ * @returns {number} Ratio from 1 to 21
+ */
+function ratioBetween(a, b) {
+  const [lighter, darker] = [relativeLuminance(a), relativeLuminance(b)].sort((x, y) => y - x);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * Pick the page a theme is meant for: light when its text is dark, dark when
+ * its text is light
+ * @param {Object} colors - Theme colours
+ * @returns {'light'|'dark'} Backdrop name
+ */
+export function themeBackdrop(colors) {
+  const text = parseRGBA(colors.text);
+  if (!text) return 'light';
+  const opaque = composite(text, BACKDROPS.light);
+  return ratioBetween(opaque, BACKDROPS.light) >= ratioBetween(opaque, BACKDROPS.dark) ? 'light' : 'dark';
+}
+
+/**
+ * Compute the contrast ratio of a text colour on a background. Translucent
+ * backgrounds are drawn over the backdrop first, translucent text over the
+ * resulting background.
+ * @param {string} foreground - Text colour
+ * @param {string} background - Background colour
+ * @param {'light'|'dark'} [backdrop='light'] - Page below a translucent background
+ * @returns {number|undefined} Ratio rounded to two decimals, or undefined if a colour cannot be parsed
+ */
+export function contrastRatio(foreground, background, backdrop = 'light') {
+  const fg = parseRGBA(foreground);
+  const bg = parseRGBA(background);
+  if (!fg || !bg) return undefined;
+
+  const page = composite(bg, BACKDROPS[backdrop] || BACKDROPS.light);
+  return Math.round(ratioBetween(composite(fg, page), page) * 100) / 100;
+}
+
+/**
+ * @typedef {Object} ContrastResult
+ * @property {'light'|'dark'} backdrop - Page the background was measured on
+ * @property {Object<string, number>} ratios - Contrast ratio against bg by text key
+ * @property {string[]} violations - Text keys below the minimum ratio
+ */
+
+/**
+ * Check a theme's title, text and subtext colours against its background
+ * @param {Object} colors - Theme colours
+ * @param {Object} [options] - Options
+ * @param {number} [options.minRatio=getMinContrastRatio()] - Smallest accepted ratio
+ * @param {'light'|'dark'} [options.backdrop] - Page below a translucent background (defaults to themeBackdrop(colors))
+ * @param {string[]} [options.keys=CONTRAST_KEYS] - Text keys to check
+ * @returns {ContrastResult} Ratios and violations
+ */
+export function checkThemeContrast(colors, { minRatio = getMinContrastRatio(), backdrop, keys = CONTRAST_KEYS } = {}) {
+  const page = backdrop || themeBackdrop(colors);
+  const ratios = {};
+  const violations = [];
+  for (const key of keys) {
+    ratios[key] = contrastRatio(colors[key], colors.bg, page);
+    if (ratios[key] !== undefined && ratios[key] < minRatio) violations.push(key);
+  }
+  return { backdrop: page, ratios, violations };
+}
@@ -1,40 +1,264 @@
 import { stampSvg } from './svgTimestamp.js';
+import { THEME_COLOR_KEYS, getThemeOptions, parseColor, resolveTheme } from './themes.js';
+import { CONTRAST_KEYS } from './contrast.js';
 
 /**
- * Create an error SVG response
- * @param {string} message - Error message to display
+ * Base class for errors with a known HTTP status.
+ * handleError maps these to an error card using their statusCode and code;
+ * any other error is treated as an unexpected 500.
+ */
+export class WidgetError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} [statusCode=500] - HTTP status code
+   * @param {string} [code='INTERNAL_ERROR'] - Machine-readable error code
+   */
+  constructor(message, statusCode = 500, code = 'INTERNAL_ERROR') {
+    super(message);
+    this.name = 'WidgetError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+/**
+ * Error thrown when request input (query parameters, CSV, ...) is invalid
+ */
+export class ValidationError extends WidgetError {
+  /**
+   * @param {string} message - Error message
+   */
+  constructor(message) {
+    super(message, 400, 'VALIDATION_ERROR');
+    this.name = 'ValidationError';
+  }
+}
+
+/**
+ * Error thrown when a requested user, repository or endpoint does not exist
+ */
+export class NotFoundError extends WidgetError {
+  /**
+   * @param {string} message - Error message
+   */
+  constructor(message) {
+    super(message, 404, 'NOT_FOUND');
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * Error thrown when a request is not allowed (e.g. userName with LOCK_GITHUB_USER)
+ */
+export class ForbiddenError extends WidgetError {
+  /**
+   * @param {string} message - Error message
+   */
+  constructor(message) {
+    super(message, 403, 'FORBIDDEN');
+    this.name = 'ForbiddenError';
+  }
+}
+
+/**
+ * Error thrown when the server is missing required configuration.
+ * The message is logged but not shown to clients.
+ */
+export class ConfigurationError extends WidgetError {
+  /**
+   * @param {string} message - Error message
+   */
+  constructor(message) {
+    super(message, 500, 'CONFIGURATION_ERROR');
+    this.name = 'ConfigurationError';
+  }
+}
+
+/**
+ * Error thrown when the GitHub API fails (HTTP errors, timeouts, GraphQL errors)
+ */
+export class GitHubAPIError extends WidgetError {
+  /**
+   * @param {string} message - Error message
+   * @param {number} [statusCode=502] - HTTP status code (504 for timeouts)
+   * @param {string} [code='GITHUB_API_ERROR'] - Machine-readable error code
+   */
+  constructor(message, statusCode = 502, code = 'GITHUB_API_ERROR') {
+    super(message, statusCode, code);
+    this.name = 'GitHubAPIError';
+  }
+}
+
+/**
+ * Error thrown when GitHub rejects a request because of rate limiting
+ */
+export class GitHubRateLimitError extends GitHubAPIError {
+  /**
+   * @param {string} message - Error message
+   * @param {number} [retryAfter] - Seconds until the request may be retried
+   */
+  constructor(message, retryAfter) {
+    super(message, 429, 'RATE_LIMITED');
+    this.name = 'GitHubRateLimitError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Error card size limits; the default matches the widest common widgets
+const CARD_DEFAULT_WIDTH = 800;
+const CARD_DEFAULT_HEIGHT = 200;
+const CARD_MIN_WIDTH = 150;
+const CARD_MAX_SIZE = 2000;
+// Cards narrower than this drop the icon to leave room for the message
+const CARD_ICON_MIN_WIDTH = 400;
+// Approximate advance of the 14px message font, used to wrap lines
+const MESSAGE_CHAR_WIDTH = 7.5;
+const LINE_HEIGHT = 20;
+
+/**
+ * @typedef {Object} ErrorCardOptions
+ * @property {string} [theme] - Theme name or 'auto' (defaults to radical, like the widgets)
+ * @property {Object} [colors] - Theme colour overrides (see getThemeOptions)
+ * @property {string} [lightTheme] - Light mode theme for theme=auto
+ * @property {string} [darkTheme] - Dark mode theme for theme=auto
+ * @property {number} [width] - Card width in pixels
+ * @property {number} [height] - Minimum card height in pixels (grows to fit the message)
+ */
+
+/**
+ * Parse a requested card dimension, ignoring missing or out-of-range values
+ * @param {*} value - Raw dimension
+ * @param {number} min - Smallest accepted value
+ * @returns {number|undefined} Dimension in pixels
+ */
+function parseDimension(value, min) {
+  const num = Number(value);
+  if (value === undefined || value === '' || !Number.isFinite(num)) return undefined;
+  return num >= min && num <= CARD_MAX_SIZE ? Math.round(num) : undefined;
+}
+
+/**
+ * Build error card options from a widget's raw query parameters, so errors are
+ * drawn in the requested theme (with any valid colour overrides) and take the
+ * place of the widget at its size. Low-contrast text and background overrides
+ * are dropped unless allowLowContrast is set, so the message stays readable.
+ * @param {Object} query - Raw query parameters (see parseQueryParams)
+ * @param {{width?: number, height?: number}} [size] - Widget size used when the query has no usable width/height
+ * @returns {ErrorCardOptions} Error card options
+ */
+export function getErrorCardOptions(query = {}, size = {}) {
+  const values = {
+    theme: query.theme || undefined,
+    lightTheme: query.lightTheme || undefined,
+    darkTheme: query.darkTheme || undefined,
+    allowLowContrast: ['true', '1', ''].includes(query.allowLowContrast),
+  };
+  for (const key of THEME_COLOR_KEYS) {
+    const color = query[`${key}_color`] !== undefined ? parseColor(query[`${key}_color`]) : undefined;
+    if (color) values[`${key}_color`] = color;
+  }
+
+  let themeOptions;
+  try {
+    themeOptions = getThemeOptions(values);
+  } catch {
+    for (const key of ['bg', ...CONTRAST_KEYS]) delete values[`${key}_color`];
+    themeOptions = getThemeOptions(values);
+  }
+
+  return {
+    ...themeOptions,
+    width: parseDimension(query.width, CARD_MIN_WIDTH) ?? size.width,
+    height: parseDimension(query.height, 1) ?? size.height,
+  };
+}
+
+/**
+ * Word-wrap a line of text, splitting words longer than a full line
+ * @param {string} text - Text to wrap
+ * @param {number} maxChars - Maximum characters per line
+ * @returns {string[]} Wrapped lines
+ */
+function wrapText(text, maxChars) {
+  const lines = [];
+  let current = '';
+  for (let word of String(text).split(/\s+/).filter(Boolean)) {
+    while (word.length > maxChars) {
+      if (current) {
+        lines.push(current);
+        current = '';
+      }
+      lines.push(word.slice(0, maxChars));
+      word = word.slice(maxChars);
+    }
+    if (current && current.length + 1 + word.length > maxChars) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = current ? `${current} ${word}` : word;
+    }
+  }
+  if (current || lines.length === 0) lines.push(current);
+  return lines;
+}
+
+/**
+ * Create an error SVG response.
+ * The card uses the theme's bg/error/text colours, takes the requested width
+ * and height, and wraps long messages (growing taller when they do not fit).
+ * @param {string|string[]} message - Error message to display (one entry per line)
  * @param {number} statusCode - HTTP status code
+ * @param {string} [code] - Machine-readable error code, shown on the card and sent as X-Error-Code
+ * @param {ErrorCardOptions} [options] - Theme and size of the card
  * @returns {Object} Response object with SVG content
  */
-export function createErrorSVG(message, statusCode = 500) {
-  const width = 800;
-  const height = 200;
-  
-  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="Error: ${escapeXML(message)}">
+export function createErrorSVG(message, statusCode = 500, code = 'INTERNAL_ERROR', options = {}) {
+  const messages = [].concat(message);
+  const { colors, css: themeCSS } = resolveTheme(options.theme, options);
+
+  const width = Math.min(Math.max(Math.round(options.width) || CARD_DEFAULT_WIDTH, CARD_MIN_WIDTH), CARD_MAX_SIZE);
+  const showIcon = width >= CARD_ICON_MIN_WIDTH;
+  const textX = showIcon ? 110 : 24;
+  const maxChars = Math.max(10, Math.floor((width - textX - 24) / MESSAGE_CHAR_WIDTH));
+  const lines = messages.flatMap((line) => wrapText(line, maxChars));
+
+  // Title, message lines and status line, centred vertically in the card
+  const contentHeight = 67 + (lines.length - 1) * LINE_HEIGHT;
+  const requestedHeight = Math.min(Math.round(options.height) || CARD_DEFAULT_HEIGHT, CARD_MAX_SIZE);
+  const height = Math.max(requestedHeight, contentHeight + 48);
+  const top = Math.round((height - contentHeight) / 2);
+  const titleY = top + 18;
+  const messageY = titleY + 25;
+  const codeY = messageY + lines.length * LINE_HEIGHT;
+
+  const icon = showIcon ? `
+  <!-- Error Icon -->
+  <circle cx="60" cy="${height / 2}" r="24" class="error-icon" opacity="0.2"/>
+  <path d="M 60 ${height / 2 - 12} L 60 ${height / 2 + 4}" style="stroke: ${colors.error}" stroke-width="3" stroke-linecap="round"/>
+  <circle cx="60" cy="${height / 2 + 12}" r="2" class="error-icon"/>
+  ` : '';
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="Error: ${escapeXML(messages.join('; '))}">
   <defs>
     <style>
-      .error-bg { fill: #0b1020; }
-      .error-border { fill: none; stroke: #ff6b6b; stroke-width: 2; }
-      .error-icon { fill: #ff6b6b; }
-      .error-title { font: 700 18px system-ui, -apple-system, "Segoe UI", Roboto, "Helvetica Neue", Arial; fill: #ff6b6b; }
-      .error-message { font: 500 14px system-ui, -apple-system, "Segoe UI", Roboto, "Helvetica Neue", Arial; fill: #cbd5e1; }
-      .error-code { font: 400 12px "SFMono-Regular", ui-monospace, "Roboto Mono", monospace; fill: #94a3b8; }
+      ${themeCSS}
+      .error-bg { fill: ${colors.bg}; }
+      .error-border { fill: none; stroke: ${colors.error}; stroke-width: 2; }
+      .error-icon { fill: ${colors.error}; }
+      .error-title { font: 700 18px system-ui, -apple-system, "Segoe UI", Roboto, "Helvetica Neue", Arial; fill: ${colors.error}; }
+      .error-message { font: 500 14px system-ui, -apple-system, "Segoe UI", Roboto, "Helvetica Neue", Arial; fill: ${colors.text}; }
+      .error-code { font: 400 12px "SFMono-Regular", ui-monospace, "Roboto Mono", monospace; fill: ${colors.subtext}; }
     </style>
   </defs>
   
   <!-- Background -->
   <rect x="0" y="0" width="${width}" height="${height}" rx="16" class="error-bg"/>
   <rect x="2" y="2" width="${width - 4}" height="${height - 4}" rx="14" class="error-border"/>
-  
-  <!-- Error Icon -->
-  <circle cx="60" cy="${height / 2}" r="24" class="error-icon" opacity="0.2"/>
-  <path d="M 60 ${height / 2 - 12} L 60 ${height / 2 + 4}" stroke="#ff6b6b" stroke-width="3" stroke-linecap="round"/>
-  <circle cx="60" cy="${height / 2 + 12}" r="2" class="error-icon"/>
-  
+  ${icon}
   <!-- Error Text -->
-  <text x="110" y="${height / 2 - 10}" class="error-title">Error</text>
-  <text x="110" y="${height / 2 + 15}" class="error-message">${escapeXML(message)}</text>
-  <text x="110" y="${height / 2 + 35}" class="error-code">Status: ${statusCode}</text>
+  <text x="${textX}" y="${titleY}" class="error-title">Error</text>
+  ${lines.map((line, i) => `<text x="${textX}" y="${messageY + i * LINE_HEIGHT}" class="error-message">${escapeXML(line)}</text>`).join('\n  ')}
+  <text x="${textX}" y="${codeY}" class="error-code">Status: ${statusCode} · ${escapeXML(code)}</text>
 </svg>`;
 
   return {
@@ -42,38 +266,60 @@ export function createErrorSVG(message, statusCode = 500) {
     headers: {
       'Content-Type': 'image/svg+xml',
       'Cache-Control': 'no-cache, no-store, must-revalidate',
+      'X-Error-Code': code,
     },
     body: stampSvg(svg),
+    // Structured form of the error, sent instead of the card to clients that
+    // ask for JSON (see applyOutputFormat)
+    problem: { status: statusCode, code, message: messages.join('; ') },
   };
 }
 
 /**
- * Create a validation error SVG
- * @param {string} field - Field that failed validation
- * @param {string} message - Validation error message
+ * Create a validation error SVG.
+ * Accepts either a single field and message, or the error list returned by
+ * validateParams, in which case every invalid parameter is listed. Messages
+ * that do not mention their field are prefixed with it.
+ * @param {string|Array<{param: string, message: string}>} field - Field that failed validation, or a list of errors
+ * @param {string|ErrorCardOptions} [message] - Validation error message (single field), or the card options when a list is given
+ * @param {ErrorCardOptions} [options] - Theme and size of the card (single field)
  * @returns {Object} Response object with SVG content
  */
-export function createValidationErrorSVG(field, message) {
-  const fullMessage = field ? `${field}: ${message}` : message;
-  return createErrorSVG(fullMessage, 400);
+export function createValidationErrorSVG(field, message, options = {}) {
+  if (Array.isArray(field) && message !== undefined) {
+    options = message;
+  }
+  const errors = Array.isArray(field)
+    ? field.map((error) => ({ field: error.param, message: error.message }))
+    : [{ field, message }];
+  // Prefix the field only when the message does not already name it
+  const lines = errors.map((error) => (
+    error.field && !String(error.message).split(/\W+/).includes(error.field) ? `${error.field}: ${error.message}` : error.message
+  ));
+
+  const response = createErrorSVG(lines, 400, 'VALIDATION_ERROR', options);
+  response.problem.errors = errors;
+  return response;
 }
 
 /**
  * Create a not found error SVG
  * @param {string} resource - Resource that was not found
+ * @param {ErrorCardOptions} [options] - Theme and size of the card
  * @returns {Object} Response object with SVG content
  */
-export function createNotFoundSVG(resource = 'Resource') {
-  return createErrorSVG(`${resource} not found`, 404);
+export function createNotFoundSVG(resource = 'Resource', options = {}) {
+  return createErrorSVG(`${resource} not found`, 404, 'NOT_FOUND', options);
 }
 
 /**
  * Create a forbidden error SVG
  * @param {string} message - Forbidden message
+ * @param {ErrorCardOptions} [options] - Theme and size of the card
  * @returns {Object} Response object with SVG content
  */
-export function createForbiddenSVG(message) {
-  return createErrorSVG(message, 403);
+export function createForbiddenSVG(message, options = {}) {
+  return createErrorSVG(message, 403, 'FORBIDDEN', options);
 }
 
 /**
@@ -91,31 +337,25 @@ function escapeXML(str) {
 }
 
 /**
- * Handle errors and return appropriate SVG response
+ * Handle errors and return appropriate SVG response.
+ * WidgetError subclasses carry their own status and code; anything else is an
+ * unexpected internal error.
  * @param {Error} error - Error object
+ * @param {ErrorCardOptions} [options] - Theme and size of the card
  * @returns {Object} Response object with SVG content
  */
-export function handleError(error) {
+export function handleError(error, options = {}) {
   console.error('[Error]', error.message, error.stack);
 
-  // Determine status code based on error message
-  let statusCode = 500;
-  let message = error.message || 'An unexpected error occurred';
-
-  if (message.includes('not found') || message.includes('User "')) {
-    statusCode = 404;
-  } else if (
-    message.includes('required') ||
-    message.includes('Invalid') ||
-    message.includes('must be') ||
-    message.includes('format') ||
-    message.includes('cannot exceed')
-  ) {
-    statusCode = 400;
-  } else if (message.includes('GITHUB_TOKEN')) {
-    statusCode = 500;
-    message = 'Server configuration error';
+  if (!(error instanceof WidgetError)) {
+    return createErrorSVG(error.message || 'An unexpected error occurred', 500, 'INTERNAL_ERROR', options);
   }
 
-  return createErrorSVG(message, statusCode);
-}
\ No newline at end of file
+  // Configuration details are for the server log only
+  const message = error instanceof ConfigurationError ? 'Server configuration error' : error.message;
+  const response = createErrorSVG(message, error.statusCode, error.code, options);
+  if (error instanceof GitHubRateLimitError && error.retryAfter) {
+    response.headers['Retry-After'] = String(error.retryAfter);
+  }
+  return response;
+}
@@ -0,0 +1,69 @@
+import { createHash } from 'crypto';
+
+// Comment added by stampSvg(); it changes on every render, so it is excluded
+// from the hash to keep the ETag stable for identical widget content
+const GENERATED_COMMENT = /<!-- Generated: [^>]*-->/g;
+
+/**
+ * Hash a response body, ignoring the stampSvg() generation timestamp
+ * @param {string} body - Response body
+ * @returns {string} URL-safe base64 SHA-1 digest
+ */
+export function contentHash(body) {
+  return createHash('sha1')
+    .update(String(body).replace(GENERATED_COMMENT, ''))
+    .digest('base64url');
+}
+
+/**
+ * Compute a content-hash ETag for a response body.
+ * The ETag is weak because bodies that differ only in their generation
+ * timestamp are treated as equivalent.
+ * @param {string} body - Response body
+ * @returns {string} ETag header value
+ */
+export function computeETag(body) {
+  return `W/"${contentHash(body)}"`;
+}
+
+/**
+ * Check an If-None-Match header against an ETag (weak comparison)
+ * @param {string|undefined} ifNoneMatch - If-None-Match request header
+ * @param {string} etag - Current ETag
+ * @returns {boolean} True if the client's copy is current
+ */
+function matchesETag(ifNoneMatch, etag) {
+  if (!ifNoneMatch) return false;
+  if (ifNoneMatch.trim() === '*') return true;
+  const opaque = etag.replace(/^W\//, '');
+  return ifNoneMatch
+    .split(',')
+    .some((candidate) => candidate.trim().replace(/^W\//, '') === opaque);
+}
+
+/**
+ * Add an ETag to a successful widget response and answer conditional requests.
+ * Returns a 304 Not Modified (keeping the caching headers) when the request's
+ * If-None-Match matches; any other response is returned with the ETag added.
+ * Non-200 responses are passed through untouched.
+ * @param {Object} event - Netlify function event
+ * @param {Object} response - Handler response object
+ * @returns {Object} Response object
+ */
+export function withETag(event, response) {
+  if (!response || response.statusCode !== 200 || typeof response.body !== 'string') {
+    return response;
+  }
+
+  const etag = computeETag(response.body);
+  const headers = { ...response.headers, ETag: etag };
+  const requestHeaders = event.headers || {};
+
+  if (matchesETag(requestHeaders['if-none-match'], etag)) {
+    // A 304 carries no body or entity headers
+    delete headers['Content-Type'];
+    return { statusCode: 304, headers, body: '' };
+  }
+
+  return { ...response, headers };
+}
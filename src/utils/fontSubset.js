@@ -0,0 +1,432 @@
+/**
+ * TrueType subsetting and WOFF2 packing
+ *
+ * Embedded widget fonts only need the glyphs of the text they draw, so the
+ * bundled fonts are cut down to those glyphs before being inlined into the
+ * SVG. Only what a renderer needs is kept (cmap, glyf/loca, metrics, name,
+ * OS/2, post); hinting and OpenType layout tables are dropped, so kerning
+ * and ligatures are lost. The result is packed as WOFF2 with untransformed
+ * glyf/loca tables, compressed with the Brotli encoder built into Node.js.
+ */
+
+import { brotliCompressSync, constants as zlibConstants } from 'zlib';
+
+// Tables kept in the subset, in sfnt (tag) order
+const KEPT_TABLES = ['OS/2', 'cmap', 'glyf', 'head', 'hhea', 'hmtx', 'loca', 'maxp', 'name', 'post'];
+// WOFF2 known table tags (index = tag code in the table directory)
+const WOFF2_KNOWN_TAGS = [
+  'cmap', 'head', 'hhea', 'hmtx', 'maxp', 'name', 'OS/2', 'post', 'cvt ', 'fpgm', 'glyf', 'loca', 'prep', 'CFF ',
+  'VORG', 'EBDT', 'EBLC', 'gasp', 'hdmx', 'kern', 'LTSH', 'PCLT', 'VDMX', 'vhea', 'vmtx', 'BASE', 'GDEF', 'GPOS',
+  'GSUB', 'EBSC', 'JSTF', 'MATH', 'CBDT', 'CBLC', 'COLR', 'CPAL', 'SVG ', 'sbix', 'acnt', 'avar', 'bdat', 'bloc',
+  'bsln', 'cvar', 'fdsc', 'feat', 'fmtx', 'fvar', 'gvar', 'hsty', 'just', 'lcar', 'mort', 'morx', 'opbd', 'prop',
+  'trak', 'Zapf', 'Silf', 'Glat', 'Gloc', 'Feat', 'Sill',
+];
+// WOFF2 transform version for glyf/loca stored as-is
+const WOFF2_NULL_TRANSFORM = 3 << 6;
+
+// Simple glyph point flags
+const X_SHORT_VECTOR = 0x02;
+const Y_SHORT_VECTOR = 0x04;
+const REPEAT_FLAG = 0x08;
+const X_IS_SAME = 0x10;
+const Y_IS_SAME = 0x20;
+
+// Composite glyph component flags
+const ARG_1_AND_2_ARE_WORDS = 0x0001;
+const WE_HAVE_A_SCALE = 0x0008;
+const MORE_COMPONENTS = 0x0020;
+const WE_HAVE_AN_X_AND_Y_SCALE = 0x0040;
+const WE_HAVE_A_TWO_BY_TWO = 0x0080;
+const WE_HAVE_INSTRUCTIONS = 0x0100;
+
+/**
+ * Read the table directory of a TrueType font
+ * @param {Buffer} font - TrueType font
+ * @returns {Map<string, Buffer>} Table data by tag
+ * @throws {Error} If the font has no TrueType outlines
+ */
+function readTables(font) {
+  const tables = new Map();
+  const numTables = font.readUInt16BE(4);
+  for (let i = 0; i < numTables; i++) {
+    const record = 12 + i * 16;
+    const tag = font.toString('latin1', record, record + 4);
+    const offset = font.readUInt32BE(record + 8);
+    tables.set(tag, font.subarray(offset, offset + font.readUInt32BE(record + 12)));
+  }
+  if (!tables.has('glyf') || !tables.has('loca')) {
+    throw new Error('Only fonts with TrueType (glyf) outlines can be subset');
+  }
+  return tables;
+}
+
+/**
+ * Map code points to glyph ids using the font's Unicode cmap (format 12 or 4)
+ * @param {Buffer} cmap - cmap table
+ * @param {number[]} codePoints - Code points to look up
+ * @returns {Map<number, number>} Glyph id by code point, for the code points the font has
+ */
+function mapCodePoints(cmap, codePoints) {
+  const subtables = [];
+  for (let i = 0; i < cmap.readUInt16BE(2); i++) {
+    const record = 4 + i * 8;
+    const platform = cmap.readUInt16BE(record);
+    const encoding = cmap.readUInt16BE(record + 2);
+    const offset = cmap.readUInt32BE(record + 4);
+    if ((platform === 3 && (encoding === 1 || encoding === 10)) || platform === 0) {
+      subtables.push({ format: cmap.readUInt16BE(offset), offset });
+    }
+  }
+  const subtable = subtables.find(({ format }) => format === 12) || subtables.find(({ format }) => format === 4);
+  if (!subtable) throw new Error('Font has no Unicode cmap');
+
+  const lookup = subtable.format === 12 ? (cp) => lookupFormat12(cmap, subtable.offset, cp) : (cp) => lookupFormat4(cmap, subtable.offset, cp);
+  const glyphs = new Map();
+  for (const cp of codePoints) {
+    const glyph = lookup(cp);
+    if (glyph) glyphs.set(cp, glyph);
+  }
+  return glyphs;
+}
+
+/**
+ * Look up a code point in a format 4 (BMP segment mapping) cmap subtable
+ * @param {Buffer} cmap - cmap table
+ * @param {number} offset - Subtable offset
+ * @param {number} cp - Code point
+ * @returns {number} Glyph id (0 if missing)
+ */
+function lookupFormat4(cmap, offset, cp) {
+  if (cp > 0xffff) return 0;
+  const segCount = cmap.readUInt16BE(offset + 6) / 2;
+  const endCodes = offset + 14;
+  const startCodes = endCodes + segCount * 2 + 2;
+  const idDeltas = startCodes + segCount * 2;
+  const idRangeOffsets = idDeltas + segCount * 2;
+
+  for (let i = 0; i < segCount; i++) {
+    if (cp > cmap.readUInt16BE(endCodes + i * 2)) continue;
+    const start = cmap.readUInt16BE(startCodes + i * 2);
+    if (cp < start) return 0;
+    const delta = cmap.readUInt16BE(idDeltas + i * 2);
+    const rangeOffset = cmap.readUInt16BE(idRangeOffsets + i * 2);
+    if (rangeOffset === 0) return (cp + delta) & 0xffff;
+    const glyph = cmap.readUInt16BE(idRangeOffsets + i * 2 + rangeOffset + (cp - start) * 2);
+    return glyph === 0 ? 0 : (glyph + delta) & 0xffff;
+  }
+  return 0;
+}
+
+/**
+ * Look up a code point in a format 12 (segmented coverage) cmap subtable
+ * @param {Buffer} cmap - cmap table
+ * @param {number} offset - Subtable offset
+ * @param {number} cp - Code point
+ * @returns {number} Glyph id (0 if missing)
+ */
+function lookupFormat12(cmap, offset, cp) {
+  const numGroups = cmap.readUInt32BE(offset + 12);
+  for (let i = 0; i < numGroups; i++) {
+    const group = offset + 16 + i * 12;
+    const start = cmap.readUInt32BE(group);
+    if (cp >= start && cp <= cmap.readUInt32BE(group + 4)) {
+      return cmap.readUInt32BE(group + 8) + (cp - start);
+    }
+  }
+  return 0;
+}
+
+/**
+ * Walk the components of a composite glyph
+ * @param {Buffer} glyph - Glyph data (numberOfContours < 0)
+ * @param {Function} visit - Called with the offset of each component's glyph index
+ * @returns {{end: number, flagsOffset: number}} Offset after the last component and of its flags
+ */
+function walkComponents(glyph, visit) {
+  let offset = 10;
+  let flags;
+  let flagsOffset;
+  do {
+    flagsOffset = offset;
+    flags = glyph.readUInt16BE(offset);
+    visit(offset + 2);
+    offset += 4 + (flags & ARG_1_AND_2_ARE_WORDS ? 4 : 2);
+    if (flags & WE_HAVE_A_SCALE) offset += 2;
+    else if (flags & WE_HAVE_AN_X_AND_Y_SCALE) offset += 4;
+    else if (flags & WE_HAVE_A_TWO_BY_TWO) offset += 8;
+  } while (flags & MORE_COMPONENTS);
+  return { end: offset, flagsOffset };
+}
+
+/**
+ * Find where the outline data of a simple glyph ends (glyphs may be followed
+ * by padding)
+ * @param {Buffer} glyph - Glyph data (numberOfContours >= 0)
+ * @returns {number} Offset after the last y coordinate
+ */
+function simpleGlyphEnd(glyph) {
+  const endPts = 10 + glyph.readInt16BE(0) * 2;
+  const numPoints = endPts > 10 ? glyph.readUInt16BE(endPts - 2) + 1 : 0;
+  let offset = endPts + 2 + glyph.readUInt16BE(endPts);
+  let coordinateBytes = 0;
+  for (let point = 0; point < numPoints;) {
+    const flag = glyph[offset++];
+    const repeat = flag & REPEAT_FLAG ? glyph[offset++] + 1 : 1;
+    // Short vectors take one byte; long ones two unless repeated ("same") values
+    const xBytes = flag & X_SHORT_VECTOR ? 1 : flag & X_IS_SAME ? 0 : 2;
+    const yBytes = flag & Y_SHORT_VECTOR ? 1 : flag & Y_IS_SAME ? 0 : 2;
+    coordinateBytes += repeat * (xBytes + yBytes);
+    point += repeat;
+  }
+  return offset + coordinateBytes;
+}
+
+/**
+ * Copy a glyph without its hinting instructions (the subset has no fpgm/prep),
+ * renumbering composite components
+ * @param {Buffer} data - Original glyph data
+ * @param {Map<number, number>} glyphIds - New glyph id by original id
+ * @returns {Buffer} Glyph data padded to 4 bytes
+ */
+function rewriteGlyph(data, glyphIds) {
+  if (data.length === 0) return data;
+  let glyph;
+  if (data.readInt16BE(0) >= 0) {
+    const endPts = 10 + data.readInt16BE(0) * 2;
+    const instructionLength = data.readUInt16BE(endPts);
+    glyph = Buffer.concat([data.subarray(0, endPts), Buffer.alloc(2), data.subarray(endPts + 2 + instructionLength, simpleGlyphEnd(data))]);
+  } else {
+    glyph = Buffer.from(data);
+    const { end, flagsOffset } = walkComponents(glyph, (offset) => {
+      glyph.writeUInt16BE(glyphIds.get(glyph.readUInt16BE(offset)), offset);
+    });
+    glyph.writeUInt16BE(glyph.readUInt16BE(flagsOffset) & ~WE_HAVE_INSTRUCTIONS, flagsOffset);
+    glyph = glyph.subarray(0, end);
+  }
+  return Buffer.concat([glyph, Buffer.alloc((4 - (glyph.length % 4)) % 4)]);
+}
+
+/**
+ * Build a cmap table with a format 4 subtable for the BMP and, when needed, a
+ * format 12 subtable for supplementary planes
+ * @param {Map<number, number>} glyphs - New glyph id by code point
+ * @returns {Buffer} cmap table
+ */
+function buildCmap(glyphs) {
+  const entries = [...glyphs].sort(([a], [b]) => a - b);
+  const bmp = entries.filter(([cp]) => cp < 0xffff);
+
+  // Format 4: one segment per code point plus the required 0xFFFF segment
+  const segCount = bmp.length + 1;
+  const format4 = Buffer.alloc(16 + segCount * 8);
+  const searchRange = 2 * 2 ** Math.floor(Math.log2(segCount));
+  format4.writeUInt16BE(4, 0);
+  format4.writeUInt16BE(format4.length, 2);
+  format4.writeUInt16BE(segCount * 2, 6);
+  format4.writeUInt16BE(searchRange, 8);
+  format4.writeUInt16BE(Math.log2(searchRange / 2), 10);
+  format4.writeUInt16BE(segCount * 2 - searchRange, 12);
+  [...bmp, [0xffff, 0]].forEach(([cp, glyph], i) => {
+    format4.writeUInt16BE(cp, 14 + i * 2);
+    format4.writeUInt16BE(cp, 16 + segCount * 2 + i * 2);
+    format4.writeUInt16BE((glyph - cp) & 0xffff, 16 + segCount * 4 + i * 2);
+  });
+
+  const subtables = [[3, 1, format4]];
+  if (entries.some(([cp]) => cp > 0xffff)) {
+    const format12 = Buffer.alloc(16 + entries.length * 12);
+    format12.writeUInt16BE(12, 0);
+    format12.writeUInt32BE(format12.length, 4);
+    format12.writeUInt32BE(entries.length, 12);
+    entries.forEach(([cp, glyph], i) => {
+      format12.writeUInt32BE(cp, 16 + i * 12);
+      format12.writeUInt32BE(cp, 20 + i * 12);
+      format12.writeUInt32BE(glyph, 24 + i * 12);
+    });
+    subtables.push([3, 10, format12]);
+  }
+
+  const header = Buffer.alloc(4 + subtables.length * 8);
+  header.writeUInt16BE(subtables.length, 2);
+  let offset = header.length;
+  subtables.forEach(([platform, encoding, data], i) => {
+    header.writeUInt16BE(platform, 4 + i * 8);
+    header.writeUInt16BE(encoding, 6 + i * 8);
+    header.writeUInt32BE(offset, 8 + i * 8);
+    offset += data.length;
+  });
+  return Buffer.concat([header, ...subtables.map(([, , data]) => data)]);
+}
+
+/**
+ * Cut a TrueType font down to the glyphs of the given text
+ * @param {Buffer} font - TrueType font
+ * @param {string} text - Text the subset must render
+ * @returns {Map<string, Buffer>} Subset tables by tag
+ */
+function subsetTables(font, text) {
+  const tables = readTables(font);
+  const head = tables.get('head');
+  const hhea = tables.get('hhea');
+  const loca = tables.get('loca');
+  const glyf = tables.get('glyf');
+  const hmtx = tables.get('hmtx');
+  const longLoca = head.readInt16BE(50) === 1;
+  const glyphData = (id) => {
+    const [start, end] = longLoca
+      ? [loca.readUInt32BE(id * 4), loca.readUInt32BE(id * 4 + 4)]
+      : [loca.readUInt16BE(id * 2) * 2, loca.readUInt16BE(id * 2 + 2) * 2];
+    return glyf.subarray(start, end);
+  };
+
+  const codePoints = [...new Set([...text].map((char) => char.codePointAt(0)))];
+  const cmap = mapCodePoints(tables.get('cmap'), codePoints);
+
+  // Glyph 0 (.notdef) first, then every mapped glyph and the components of composites
+  const order = [0];
+  const queue = [...new Set(cmap.values())].sort((a, b) => a - b);
+  const seen = new Set(order);
+  while (queue.length > 0) {
+    const id = queue.shift();
+    if (seen.has(id)) continue;
+    seen.add(id);
+    order.push(id);
+    const data = glyphData(id);
+    if (data.length > 0 && data.readInt16BE(0) < 0) {
+      walkComponents(data, (offset) => queue.push(data.readUInt16BE(offset)));
+    }
+  }
+  const glyphIds = new Map(order.map((id, index) => [id, index]));
+
+  const glyphs = order.map((id) => rewriteGlyph(glyphData(id), glyphIds));
+  const newLoca = Buffer.alloc((glyphs.length + 1) * 4);
+  let offset = 0;
+  glyphs.forEach((glyph, i) => {
+    newLoca.writeUInt32BE(offset, i * 4);
+    offset += glyph.length;
+  });
+  newLoca.writeUInt32BE(offset, glyphs.length * 4);
+
+  // Full metrics for every glyph
+  const numberOfHMetrics = hhea.readUInt16BE(34);
+  const newHmtx = Buffer.alloc(order.length * 4);
+  order.forEach((id, i) => {
+    const advance = hmtx.readUInt16BE(Math.min(id, numberOfHMetrics - 1) * 4);
+    const lsb = id < numberOfHMetrics ? hmtx.readInt16BE(id * 4 + 2) : hmtx.readInt16BE(numberOfHMetrics * 4 + (id - numberOfHMetrics) * 2);
+    newHmtx.writeUInt16BE(advance, i * 4);
+    newHmtx.writeInt16BE(lsb, i * 4 + 2);
+  });
+
+  const newHead = Buffer.from(head);
+  newHead.writeUInt32BE(0, 8);
+  newHead.writeInt16BE(1, 50);
+  const newHhea = Buffer.from(hhea);
+  newHhea.writeUInt16BE(order.length, 34);
+  const newMaxp = Buffer.from(tables.get('maxp'));
+  newMaxp.writeUInt16BE(order.length, 4);
+  // post version 3: no glyph names
+  const newPost = Buffer.from(tables.get('post').subarray(0, 32));
+  newPost.writeUInt32BE(0x00030000, 0);
+
+  return new Map([
+    ['OS/2', tables.get('OS/2')],
+    ['cmap', buildCmap(new Map([...cmap].map(([cp, id]) => [cp, glyphIds.get(id)])))],
+    ['glyf', Buffer.concat(glyphs)],
+    ['head', newHead],
+    ['hhea', newHhea],
+    ['hmtx', newHmtx],
+    ['loca', newLoca],
+    ['maxp', newMaxp],
+    ['name', tables.get('name')],
+    ['post', newPost],
+  ].filter(([tag, data]) => KEPT_TABLES.includes(tag) && data));
+}
+
+/**
+ * Encode a number as a WOFF2 UIntBase128
+ * @param {number} value - Non-negative integer
+ * @returns {Buffer} Encoded bytes
+ */
+function uintBase128(value) {
+  const bytes = [value & 0x7f];
+  for (let rest = Math.floor(value / 128); rest > 0; rest = Math.floor(rest / 128)) {
+    bytes.unshift((rest & 0x7f) | 0x80);
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Pack sfnt tables into a WOFF2 file. glyf and loca use the null transform,
+ * so every table is stored as-is inside a single Brotli stream.
+ * @param {Map<string, Buffer>} tables - Tables by tag
+ * @returns {Buffer} WOFF2 font
+ */
+function packWOFF2(tables) {
+  // loca must directly follow glyf in the table directory
+  const tags = [...tables.keys()].filter((tag) => tag !== 'loca');
+  tags.splice(tags.indexOf('glyf') + 1, 0, 'loca');
+
+  const directory = Buffer.concat(tags.map((tag) => {
+    const known = WOFF2_KNOWN_TAGS.indexOf(tag);
+    const transform = tag === 'glyf' || tag === 'loca' ? WOFF2_NULL_TRANSFORM : 0;
+    return Buffer.concat([
+      Buffer.from([(known === -1 ? 63 : known) | transform]),
+      known === -1 ? Buffer.from(tag, 'latin1') : Buffer.alloc(0),
+      uintBase128(tables.get(tag).length),
+    ]);
+  }));
+  const compressed = brotliCompressSync(Buffer.concat(tags.map((tag) => tables.get(tag))), {
+    params: { [zlibConstants.BROTLI_PARAM_MODE]: zlibConstants.BROTLI_MODE_FONT },
+  });
+
+  const headerLength = 48;
+  const length = Math.ceil((headerLength + directory.length + compressed.length) / 4) * 4;
+  const sfntSize = 12 + 16 * tags.length + tags.reduce((sum, tag) => sum + Math.ceil(tables.get(tag).length / 4) * 4, 0);
+
+  const header = Buffer.alloc(headerLength);
+  header.write('wOF2', 0, 'latin1');
+  header.writeUInt32BE(0x00010000, 4);
+  header.writeUInt32BE(length, 8);
+  header.writeUInt16BE(tags.length, 12);
+  header.writeUInt32BE(sfntSize, 16);
+  header.writeUInt32BE(compressed.length, 20);
+  header.writeUInt16BE(1, 24);
+
+  const woff2 = Buffer.alloc(length);
+  Buffer.concat([header, directory, compressed]).copy(woff2);
+  return woff2;
+}
+
+/**
+ * Get the horizontal advance of each character of a text, for laying out
+ * text drawn in the font. Characters the font lacks get the advance of its
+ * .notdef glyph, as renderers draw that glyph for them.
+ * @param {Buffer} font - TrueType font
+ * @param {string} text - Text to measure
+ * @returns {{unitsPerEm: number, advances: number[]}} Advances in font units, one per character
+ */
+export function advanceWidths(font, text) {
+  const tables = readTables(font);
+  const hmtx = tables.get('hmtx');
+  const numberOfHMetrics = tables.get('hhea').readUInt16BE(34);
+  const chars = [...text];
+  const glyphs = mapCodePoints(tables.get('cmap'), chars.map((char) => char.codePointAt(0)));
+
+  return {
+    unitsPerEm: tables.get('head').readUInt16BE(18),
+    advances: chars.map((char) => {
+      const id = glyphs.get(char.codePointAt(0)) || 0;
+      return hmtx.readUInt16BE(Math.min(id, numberOfHMetrics - 1) * 4);
+    }),
+  };
+}
+
+/**
+ * Subset a TrueType font to the characters of a text and pack it as WOFF2
+ * @param {Buffer} font - TrueType font
+ * @param {string} text - Text the subset must render
+ * @returns {Buffer} WOFF2 font
+ */
+export function subsetFontToWOFF2(font, text) {
+  return packWOFF2(subsetTables(font, text));
+}
@@ -0,0 +1,162 @@
+/**
+ * Embedded widget fonts
+ *
+ * Widgets use system font stacks by default, so their text looks different
+ * on every OS. With `font=<name>` the widget's text is drawn in one of the
+ * fonts below instead: a WOFF2 subset with only the characters the widget
+ * draws is inlined in an @font-face rule, so browsers render the same glyphs
+ * everywhere. The fonts come from the dejavu-fonts-ttf package (free licence
+ * that allows modified copies such as subsets), the same files the PNG
+ * renderer loads, so PNG output matches the browser.
+ */
+
+import { readFile } from 'fs/promises';
+import { createRequire } from 'module';
+import { subsetFontToWOFF2, advanceWidths } from './fontSubset.js';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * @typedef {Object} Font
+ * @property {string} family - Font family name, as registered in the font files
+ * @property {string} generic - Generic CSS family used as fallback
+ * @property {Object<number, string>} files - Font file (under dejavu-fonts-ttf/ttf) by weight
+ */
+
+/** @type {Object<string, Font>} */
+export const FONTS = {
+  'dejavu-sans': {
+    family: 'DejaVu Sans',
+    generic: 'sans-serif',
+    files: { 400: 'DejaVuSans.ttf', 700: 'DejaVuSans-Bold.ttf' },
+  },
+  'dejavu-serif': {
+    family: 'DejaVu Serif',
+    generic: 'serif',
+    files: { 400: 'DejaVuSerif.ttf', 700: 'DejaVuSerif-Bold.ttf' },
+  },
+  'dejavu-mono': {
+    family: 'DejaVu Sans Mono',
+    generic: 'monospace',
+    files: { 400: 'DejaVuSansMono.ttf', 700: 'DejaVuSansMono-Bold.ttf' },
+  },
+};
+
+export const FONT_NAMES = Object.keys(FONTS);
+
+// Bold styles in widget CSS and attributes (font-weight 600+ picks the bold face)
+const BOLD_WEIGHT = /font-weight\s*[:=]\s*["']?\s*(bold|[6-9]00)\b|font\s*:\s*(bold|[6-9]00)\b/i;
+
+// Font file contents by path, loaded on first use
+const fontFiles = new Map();
+
+/**
+ * Read a bundled font file once per process
+ * @param {string} file - File name under dejavu-fonts-ttf/ttf
+ * @returns {Promise<Buffer>} TrueType font
+ */
+function loadFontFile(file) {
+  if (!fontFiles.has(file)) {
+    const data = readFile(require.resolve(`dejavu-fonts-ttf/ttf/${file}`)).catch((error) => {
+      // Allow a later request to retry
+      fontFiles.delete(file);
+      throw error;
+    });
+    fontFiles.set(file, data);
+  }
+  return fontFiles.get(file);
+}
+
+/**
+ * Get the font a request asks to embed, for widgets that lay text out with
+ * its metrics. Unknown names are ignored here; they are rejected when the
+ * output format is applied.
+ * @param {Object} queryParams - Parsed query parameters
+ * @returns {string|undefined} Font name (see FONTS)
+ */
+export function requestedFont(queryParams) {
+  return FONT_NAMES.includes(queryParams.font) ? queryParams.font : undefined;
+}
+
+/**
+ * Measure the width of a line of text drawn in one of the fonts, so widgets
+ * can make room for fonts wider than the system fonts they were laid out for
+ * @param {string} text - Text to measure
+ * @param {string} name - Font name (see FONTS)
+ * @param {number} fontSize - Font size in pixels
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.bold=false] - Measure the bold face
+ * @returns {Promise<number>} Width in pixels
+ */
+export async function measureText(text, name, fontSize, { bold = false } = {}) {
+  const { files } = FONTS[name];
+  const { unitsPerEm, advances } = advanceWidths(await loadFontFile(files[bold ? 700 : 400]), text);
+  return (advances.reduce((sum, advance) => sum + advance, 0) / unitsPerEm) * fontSize;
+}
+
+/**
+ * Decode the XML character references and entities of SVG text content
+ * @param {string} text - Escaped text
+ * @returns {string} Text as rendered
+ */
+function decodeXML(text) {
+  const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+    if (name[0] !== '#') return entities[name] ?? entity;
+    const cp = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+    return cp <= 0x10ffff ? String.fromCodePoint(cp) : entity;
+  });
+}
+
+/**
+ * Collect the characters an SVG draws as text
+ * @param {string} svg - SVG markup
+ * @returns {string} Every character of its <text> elements (with a space)
+ */
+export function collectSVGText(svg) {
+  const text = [...svg.matchAll(/<text\b[^>]*>([\s\S]*?)<\/text>/g)]
+    .map(([, content]) => decodeXML(content.replace(/<[^>]*>/g, '')))
+    .join('');
+  return [...new Set(` ${text}`)].join('');
+}
+
+/**
+ * Build the rule that switches every text element to a font. It is marked
+ * !important to win over the font stacks of widget classes and attributes.
+ * @param {string} name - Font name (see FONTS)
+ * @returns {string} CSS rule
+ */
+function fontFamilyRule(name) {
+  const { family, generic } = FONTS[name];
+  return `text, tspan, textPath { font-family: "${family}", ${generic} !important; }`;
+}
+
+/**
+ * Add a stylesheet right after the opening <svg> tag
+ * @param {string} svg - SVG markup
+ * @param {string} css - Stylesheet
+ * @returns {string} SVG markup
+ */
+function insertStyle(svg, css) {
+  return svg.replace(/<svg\b[^>]*>/, (tag) => `${tag}<style>${css}</style>`);
+}
+
+/**
+ * Embed a font into an SVG: subset it to the characters the SVG draws, inline
+ * the WOFF2 data in @font-face rules (regular, plus bold when the SVG uses
+ * bold text) and switch every text element to it
+ * @param {string} svg - SVG markup
+ * @param {string} name - Font name (see FONTS)
+ * @returns {Promise<string>} SVG markup with the embedded font
+ */
+export async function embedFont(svg, name) {
+  const { family, files } = FONTS[name];
+  const text = collectSVGText(svg);
+  const weights = BOLD_WEIGHT.test(svg) ? [400, 700] : [400];
+
+  const faces = await Promise.all(weights.map(async (weight) => {
+    const woff2 = subsetFontToWOFF2(await loadFontFile(files[weight]), text);
+    return `@font-face { font-family: "${family}"; font-weight: ${weight}; src: url(data:font/woff2;base64,${woff2.toString('base64')}) format("woff2"); }`;
+  }));
+  return insertStyle(svg, `${faces.join(' ')} ${fontFamilyRule(name)}`);
+}
@@ -0,0 +1,140 @@
+/**
+ * Freeze SVG animations at their final state for static rendering.
+ *
+ * Widgets animate elements in from a hidden start state (e.g. `opacity: 0`
+ * with a `forwards` fade-in), so renderers that ignore animations, such as
+ * the PNG rasterizer, would otherwise draw them invisible. For every CSS rule
+ * with a finite `forwards`/`both` animation, the declarations of the final
+ * keyframe are applied to the rule directly; all animation declarations,
+ * `@keyframes` blocks and SMIL `<animate*>` elements are then removed.
+ */
+
+// SMIL animation elements, self-closing or with content
+const SMIL_ELEMENTS = /<(animate|animateTransform|animateMotion|animateColor|set)\b[^>]*?(?:\/>|>[\s\S]*?<\/\1>)/g;
+
+// Final keyframe transforms only ever reset the entry transition (translate(0),
+// scale(1), ...). Applying them could override an element's own transform
+// attribute, so they are skipped.
+const SKIPPED_PROPERTIES = new Set(['transform', 'transform-origin']);
+
+/**
+ * Split a string on commas that are not inside parentheses
+ * @param {string} value - e.g. an animation shorthand list
+ * @returns {string[]} Trimmed parts
+ */
+function splitTopLevel(value) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of value) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Parse a CSS declaration block into [property, value] pairs
+ * @param {string} block - Declarations without braces
+ * @returns {Array<[string, string]>} Declarations in source order
+ */
+function parseDeclarations(block) {
+  return block
+    .split(';')
+    .map((declaration) => {
+      const colon = declaration.indexOf(':');
+      if (colon === -1) return null;
+      return [declaration.slice(0, colon).trim(), declaration.slice(colon + 1).trim()];
+    })
+    .filter((declaration) => declaration && declaration[0]);
+}
+
+/**
+ * Extract the final-state declarations of every @keyframes rule
+ * @param {string} css - Stylesheet
+ * @returns {{css: string, finalFrames: Map<string, Array<[string, string]>>}} Stylesheet without keyframes, and final frames by name
+ */
+function extractKeyframes(css) {
+  const finalFrames = new Map();
+  const stripped = css.replace(/@keyframes\s+([\w-]+)\s*\{((?:[^{}]*\{[^{}]*\})*)\s*\}/g, (match, name, body) => {
+    for (const [, selector, declarations] of body.matchAll(/([^{}]+)\{([^{}]*)\}/g)) {
+      const offsets = selector.split(',').map((offset) => offset.trim());
+      if (offsets.includes('to') || offsets.includes('100%')) {
+        finalFrames.set(name, parseDeclarations(declarations));
+      }
+    }
+    return '';
+  });
+  return { css: stripped, finalFrames };
+}
+
+/**
+ * Freeze the animations of a single CSS rule
+ * @param {Array<[string, string]>} declarations - Rule declarations
+ * @param {Map<string, Array<[string, string]>>} finalFrames - Final keyframes by name
+ * @returns {Array<[string, string]>} Declarations without animations
+ */
+function freezeRule(declarations, finalFrames) {
+  const frozen = new Map();
+  const animations = [];
+
+  for (const [property, value] of declarations) {
+    if (property === 'animation') {
+      animations.push(...splitTopLevel(value));
+    } else if (!property.startsWith('animation-')) {
+      frozen.set(property, value);
+    }
+  }
+
+  for (const animation of animations) {
+    const tokens = animation.split(/\s+/);
+    const name = tokens.find((token) => finalFrames.has(token));
+    const fillsForwards = tokens.includes('forwards') || tokens.includes('both');
+    if (!name || !fillsForwards || tokens.includes('infinite')) continue;
+
+    for (const [property, value] of finalFrames.get(name)) {
+      if (SKIPPED_PROPERTIES.has(property)) continue;
+      if (value.includes('var(')) {
+        // Custom properties are set per element (e.g. --final-width) and cannot
+        // be resolved here; dropping the start value lets the element's own
+        // attribute apply instead
+        frozen.delete(property);
+      } else {
+        frozen.set(property, value);
+      }
+    }
+  }
+
+  return [...frozen];
+}
+
+/**
+ * Freeze the animations in a stylesheet
+ * @param {string} css - Stylesheet
+ * @returns {string} Stylesheet with final states applied and animations removed
+ */
+function freezeCss(css) {
+  const { css: rules, finalFrames } = extractKeyframes(css);
+  return rules.replace(/([^{}]+)\{([^{}]*)\}/g, (match, selector, block) => {
+    const declarations = freezeRule(parseDeclarations(block), finalFrames);
+    return `${selector.trim()} { ${declarations.map(([property, value]) => `${property}: ${value};`).join(' ')} }`;
+  });
+}
+
+/**
+ * Freeze all animations in an SVG at their final state
+ * @param {string} svg - SVG markup
+ * @returns {string} Static SVG markup
+ */
+export function freezeAnimations(svg) {
+  return svg
+    .replace(/(<style[^>]*>)([\s\S]*?)(<\/style>)/g, (match, open, css, close) => open + freezeCss(css) + close)
+    .replace(SMIL_ELEMENTS, '');
+}
@@ -0,0 +1,233 @@
+/**
+ * Shared GitHub GraphQL client
+ *
+ * Every widget that talks to GitHub goes through runGraphQL() so that timeouts,
+ * retries and rate limiting are handled in one place:
+ * - Each call has a deadline (GITHUB_API_TIMEOUT_MS) covering all retry attempts.
+ * - Transient failures (5xx, network errors, secondary/abuse limits with a short
+ *   Retry-After) are retried with exponential backoff (GITHUB_API_MAX_RETRIES).
+ * - X-RateLimit-* headers are tracked; once the primary limit is exhausted,
+ *   calls fail fast with a GitHubRateLimitError until the reset time passes.
+ */
+
+import { GitHubAPIError, GitHubRateLimitError, NotFoundError } from './errors.js';
+
+const GITHUB_API = 'https://api.github.com/graphql';
+
+// Total time budget for a single GraphQL call, including retries.
+// Kept below Netlify's 10s function timeout by default. Like the retry limit,
+// it is read on every call, so it follows the environment loaded at startup.
+const timeoutMs = () => parseInt(process.env.GITHUB_API_TIMEOUT_MS || '8000', 10);
+
+// Number of retries after the first attempt for transient failures
+const maxRetries = () => parseInt(process.env.GITHUB_API_MAX_RETRIES || '2', 10);
+
+// Base delay for exponential backoff between retries
+const BACKOFF_BASE_MS = 300;
+
+// Longest Retry-After we are willing to wait in-process before giving up
+// and surfacing a rate limit error to the client instead
+const MAX_RETRY_AFTER_MS = 3000;
+
+// Warn in the logs when the remaining primary quota drops below this value
+const LOW_QUOTA_THRESHOLD = 100;
+
+// Last known primary rate limit state, shared by all widgets in this process
+const rateLimitState = {
+  remaining: null,
+  resetAt: null, // epoch milliseconds
+};
+
+/**
+ * Get the last known GitHub rate limit state
+ * @returns {{remaining: number|null, resetAt: number|null}} Rate limit snapshot
+ */
+export function getRateLimitState() {
+  return { ...rateLimitState };
+}
+
+/**
+ * Record X-RateLimit-* headers from a GitHub response
+ * @param {Headers} headers - Response headers
+ */
+function updateRateLimitState(headers) {
+  const remaining = headers.get('x-ratelimit-remaining');
+  const reset = headers.get('x-ratelimit-reset');
+
+  if (remaining !== null && remaining !== '') {
+    rateLimitState.remaining = parseInt(remaining, 10);
+  }
+  if (reset !== null && reset !== '') {
+    rateLimitState.resetAt = parseInt(reset, 10) * 1000;
+  }
+
+  if (rateLimitState.remaining !== null && rateLimitState.remaining < LOW_QUOTA_THRESHOLD) {
+    console.warn(`[GitHub] Rate limit low: ${rateLimitState.remaining} requests remaining`);
+  }
+}
+
+/**
+ * Seconds until the primary rate limit resets, or null if not exhausted
+ * @returns {number|null} Seconds to wait
+ */
+function secondsUntilReset() {
+  if (rateLimitState.remaining !== 0 || !rateLimitState.resetAt) return null;
+  const ms = rateLimitState.resetAt - Date.now();
+  return ms > 0 ? Math.ceil(ms / 1000) : null;
+}
+
+/**
+ * Parse a Retry-After header value (seconds or HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} Seconds to wait
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, Math.ceil(seconds));
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+/**
+ * Exponential backoff delay with jitter for a given attempt number
+ * @param {number} attempt - Zero-based attempt number
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelay(attempt) {
+  const base = BACKOFF_BASE_MS * 2 ** attempt;
+  return base + Math.floor(Math.random() * base * 0.5);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Run a GitHub GraphQL query
+ * @param {string} query - GraphQL query
+ * @param {Object} variables - Query variables
+ * @param {string} token - GitHub token
+ * @returns {Promise<Object>} The `data` field of the GraphQL response
+ * @throws {GitHubRateLimitError} If GitHub rate limits the request
+ * @throws {NotFoundError} If the queried user or repository does not exist
+ * @throws {GitHubAPIError} On timeouts, HTTP errors or other GraphQL errors
+ */
+export async function runGraphQL(query, variables, token) {
+  const waitForReset = secondsUntilReset();
+  if (waitForReset !== null) {
+    throw new GitHubRateLimitError('GitHub API rate limit exceeded', waitForReset);
+  }
+
+  const timeout = timeoutMs();
+  const retries = maxRetries();
+  const deadline = Date.now() + timeout;
+  let attempt = 0;
+
+  while (true) {
+    const remainingMs = deadline - Date.now();
+    if (remainingMs <= 0) {
+      throw new GitHubAPIError(`GitHub API request timed out after ${timeout}ms`, 504, 'GITHUB_TIMEOUT');
+    }
+
+    // Decide whether a failed attempt may be retried within the deadline
+    const canRetry = (delayMs) => attempt < retries && Date.now() + delayMs < deadline;
+
+    // The deadline covers reading the body too, so a response that sends its
+    // headers and then stalls cannot outlive it
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), remainingMs);
+    let res;
+    let text;
+    try {
+      res = await fetch(GITHUB_API, {
+        method: 'POST',
+        headers: {
+          Authorization: `bearer ${token}`,
+          'Content-Type': 'application/json',
+          Accept: 'application/json',
+        },
+        body: JSON.stringify({ query, variables }),
+        signal: controller.signal,
+      });
+      text = await res.text();
+    } catch (error) {
+      clearTimeout(timer);
+      if (error.name === 'AbortError') {
+        throw new GitHubAPIError(`GitHub API request timed out after ${timeout}ms`, 504, 'GITHUB_TIMEOUT');
+      }
+      // Network failure (DNS, connection reset, ...)
+      const delay = backoffDelay(attempt);
+      if (!canRetry(delay)) {
+        throw new GitHubAPIError(`GitHub API request failed: ${error.message}`);
+      }
+      console.warn(`[GitHub] Network error, retrying in ${delay}ms:`, error.message);
+      await sleep(delay);
+      attempt++;
+      continue;
+    }
+    clearTimeout(timer);
+
+    updateRateLimitState(res.headers);
+
+    if (res.status === 403 || res.status === 429) {
+      const retryAfter = parseRetryAfter(res.headers.get('retry-after'));
+
+      // Primary rate limit exhausted: no point retrying before reset
+      const resetIn = secondsUntilReset();
+      if (resetIn !== null) {
+        throw new GitHubRateLimitError('GitHub API rate limit exceeded', resetIn);
+      }
+
+      // Secondary (abuse) rate limit
+      const isSecondary = retryAfter !== null || /secondary rate limit|abuse/i.test(text);
+      if (isSecondary) {
+        const delay = retryAfter !== null ? retryAfter * 1000 : backoffDelay(attempt);
+        if (delay <= MAX_RETRY_AFTER_MS && canRetry(delay)) {
+          console.warn(`[GitHub] Secondary rate limit hit, retrying in ${delay}ms`);
+          await sleep(delay);
+          attempt++;
+          continue;
+        }
+        throw new GitHubRateLimitError('GitHub API secondary rate limit exceeded', retryAfter || 60);
+      }
+
+      throw new GitHubAPIError(`GitHub API HTTP ${res.status}: ${text}`);
+    }
+
+    if (res.status >= 500) {
+      const delay = backoffDelay(attempt);
+      if (!canRetry(delay)) {
+        throw new GitHubAPIError(`GitHub API HTTP ${res.status}: ${text}`);
+      }
+      console.warn(`[GitHub] HTTP ${res.status}, retrying in ${delay}ms`);
+      await sleep(delay);
+      attempt++;
+      continue;
+    }
+
+    if (!res.ok) {
+      throw new GitHubAPIError(`GitHub API HTTP ${res.status}: ${text}`);
+    }
+
+    // A proxy or outage page can answer 200 with HTML instead of JSON
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      throw new GitHubAPIError(`GitHub API returned an invalid JSON response (HTTP ${res.status})`);
+    }
+    if (json.errors) {
+      if (json.errors.some((e) => e.type === 'RATE_LIMITED')) {
+        throw new GitHubRateLimitError('GitHub API rate limit exceeded', secondsUntilReset() || 60);
+      }
+      // e.g. "Could not resolve to a User with the login of ..."
+      if (json.errors.every((e) => e.type === 'NOT_FOUND')) {
+        throw new NotFoundError(json.errors[0].message);
+      }
+      throw new GitHubAPIError('GitHub GraphQL error: ' + JSON.stringify(json.errors));
+    }
+    return json.data;
+  }
+}
@@ -0,0 +1,332 @@
+/**
+ * Widget localization
+ *
+ * The fixed labels of widgets come from the message catalogues below, and
+ * numbers and dates are formatted with Intl for the requested locale
+ * (`locale=` query parameter). A locale is a catalogue language, optionally
+ * with a region (e.g. pt-BR) that only changes number and date formats.
+ * Arabic and Hebrew are written right to left: widgets keep their layout and
+ * wrap such labels in a right-to-left embedding (see Locale.bidi).
+ */
+
+import { ValidationError } from './errors.js';
+
+export const DEFAULT_LOCALE = 'en';
+
+// Message catalogues by language; missing keys fall back to English
+export const MESSAGES = {
+  en: {
+    totalStars: 'Total Stars',
+    totalCommits: 'Total Commits',
+    commitsThisYear: 'Commits This Year',
+    totalPRs: 'Total PRs',
+    totalIssues: 'Total Issues',
+    totalRepositories: 'Total Repositories',
+    contributedTo: 'Contributed To',
+    totalContributions: 'Total Contributions',
+    currentStreak: 'Current Streak',
+    longestStreak: 'Longest Streak',
+    currentWeeklyStreak: 'Current Weekly Streak',
+    longestWeeklyStreak: 'Longest Weekly Streak',
+    present: 'Present',
+    notAvailable: 'N/A',
+    mostStarred: 'Most Starred',
+    noDescription: 'No description provided',
+    contributions: 'Contributions',
+    commits: 'Commits',
+    pullRequests: 'PRs',
+    issues: 'Issues',
+    reviews: 'Reviews',
+    total: 'Total',
+    noData: 'No data',
+    less: 'Less',
+    more: 'More',
+    experienceTimeline: 'Experience Timeline',
+  },
+  de: {
+    totalStars: 'Sterne gesamt',
+    totalCommits: 'Commits gesamt',
+    commitsThisYear: 'Commits dieses Jahr',
+    totalPRs: 'PRs gesamt',
+    totalIssues: 'Issues gesamt',
+    totalRepositories: 'Repositories gesamt',
+    contributedTo: 'Beigetragen zu',
+    totalContributions: 'Beiträge gesamt',
+    currentStreak: 'Aktuelle Serie',
+    longestStreak: 'Längste Serie',
+    currentWeeklyStreak: 'Aktuelle Wochenserie',
+    longestWeeklyStreak: 'Längste Wochenserie',
+    present: 'Heute',
+    notAvailable: 'k. A.',
+    mostStarred: 'Meiste Sterne',
+    noDescription: 'Keine Beschreibung vorhanden',
+    contributions: 'Beiträge',
+    commits: 'Commits',
+    pullRequests: 'PRs',
+    issues: 'Issues',
+    reviews: 'Reviews',
+    total: 'Gesamt',
+    noData: 'Keine Daten',
+    less: 'Weniger',
+    more: 'Mehr',
+    experienceTimeline: 'Berufserfahrung',
+  },
+  es: {
+    totalStars: 'Estrellas totales',
+    totalCommits: 'Commits totales',
+    commitsThisYear: 'Commits este año',
+    totalPRs: 'PRs totales',
+    totalIssues: 'Issues totales',
+    totalRepositories: 'Repositorios totales',
+    contributedTo: 'Contribuciones a',
+    totalContributions: 'Contribuciones totales',
+    currentStreak: 'Racha actual',
+    longestStreak: 'Racha más larga',
+    currentWeeklyStreak: 'Racha semanal actual',
+    longestWeeklyStreak: 'Racha semanal más larga',
+    present: 'Presente',
+    notAvailable: 'N/D',
+    mostStarred: 'Más estrellas',
+    noDescription: 'Sin descripción',
+    contributions: 'Contribuciones',
+    commits: 'Commits',
+    pullRequests: 'PRs',
+    issues: 'Issues',
+    reviews: 'Revisiones',
+    total: 'Total',
+    noData: 'Sin datos',
+    less: 'Menos',
+    more: 'Más',
+    experienceTimeline: 'Trayectoria profesional',
+  },
+  fr: {
+    totalStars: 'Total des étoiles',
+    totalCommits: 'Total des commits',
+    commitsThisYear: 'Commits cette année',
+    totalPRs: 'Total des PR',
+    totalIssues: 'Total des issues',
+    totalRepositories: 'Total des dépôts',
+    contributedTo: 'A contribué à',
+    totalContributions: 'Contributions totales',
+    currentStreak: 'Série actuelle',
+    longestStreak: 'Plus longue série',
+    currentWeeklyStreak: 'Série hebdo actuelle',
+    longestWeeklyStreak: 'Plus longue série hebdo',
+    present: "Aujourd'hui",
+    notAvailable: 'N/D',
+    mostStarred: 'Les plus étoilés',
+    noDescription: 'Aucune description fournie',
+    contributions: 'Contributions',
+    commits: 'Commits',
+    pullRequests: 'PR',
+    issues: 'Issues',
+    reviews: 'Revues',
+    total: 'Total',
+    noData: 'Aucune donnée',
+    less: 'Moins',
+    more: 'Plus',
+    experienceTimeline: 'Parcours professionnel',
+  },
+  pt: {
+    totalStars: 'Total de estrelas',
+    totalCommits: 'Total de commits',
+    commitsThisYear: 'Commits este ano',
+    totalPRs: 'Total de PRs',
+    totalIssues: 'Total de issues',
+    totalRepositories: 'Total de repositórios',
+    contributedTo: 'Contribuiu para',
+    totalContributions: 'Total de contribuições',
+    currentStreak: 'Sequência atual',
+    longestStreak: 'Maior sequência',
+    currentWeeklyStreak: 'Sequência semanal atual',
+    longestWeeklyStreak: 'Maior sequência semanal',
+    present: 'Presente',
+    notAvailable: 'N/D',
+    mostStarred: 'Mais estrelas',
+    noDescription: 'Nenhuma descrição fornecida',
+    contributions: 'Contribuições',
+    commits: 'Commits',
+    pullRequests: 'PRs',
+    issues: 'Issues',
+    reviews: 'Revisões',
+    total: 'Total',
+    noData: 'Sem dados',
+    less: 'Menos',
+    more: 'Mais',
+    experienceTimeline: 'Trajetória profissional',
+  },
+  ar: {
+    totalStars: 'إجمالي النجوم',
+    totalCommits: 'إجمالي الإيداعات',
+    commitsThisYear: 'إيداعات هذا العام',
+    totalPRs: 'إجمالي طلبات الدمج',
+    totalIssues: 'إجمالي المشكلات',
+    totalRepositories: 'إجمالي المستودعات',
+    contributedTo: 'ساهم في',
+    totalContributions: 'إجمالي المساهمات',
+    currentStreak: 'السلسلة الحالية',
+    longestStreak: 'أطول سلسلة',
+    currentWeeklyStreak: 'السلسلة الأسبوعية الحالية',
+    longestWeeklyStreak: 'أطول سلسلة أسبوعية',
+    present: 'الآن',
+    notAvailable: 'غير متاح',
+    mostStarred: 'الأكثر نجومًا',
+    noDescription: 'لا يوجد وصف',
+    contributions: 'المساهمات',
+    commits: 'الإيداعات',
+    pullRequests: 'طلبات الدمج',
+    issues: 'المشكلات',
+    reviews: 'المراجعات',
+    total: 'الإجمالي',
+    noData: 'لا توجد بيانات',
+    less: 'أقل',
+    more: 'أكثر',
+    experienceTimeline: 'الخط الزمني للخبرات',
+  },
+  he: {
+    totalStars: 'סה״כ כוכבים',
+    totalCommits: 'סה״כ קומיטים',
+    commitsThisYear: 'קומיטים השנה',
+    totalPRs: 'סה״כ בקשות משיכה',
+    totalIssues: 'סה״כ סוגיות',
+    totalRepositories: 'סה״כ מאגרים',
+    contributedTo: 'תרם ל',
+    totalContributions: 'סה״כ תרומות',
+    currentStreak: 'רצף נוכחי',
+    longestStreak: 'הרצף הארוך ביותר',
+    currentWeeklyStreak: 'רצף שבועי נוכחי',
+    longestWeeklyStreak: 'הרצף השבועי הארוך ביותר',
+    present: 'היום',
+    notAvailable: 'לא זמין',
+    mostStarred: 'הכי הרבה כוכבים',
+    noDescription: 'אין תיאור',
+    contributions: 'תרומות',
+    commits: 'קומיטים',
+    pullRequests: 'בקשות משיכה',
+    issues: 'סוגיות',
+    reviews: 'סקירות',
+    total: 'סה״כ',
+    noData: 'אין נתונים',
+    less: 'פחות',
+    more: 'יותר',
+    experienceTimeline: 'ציר זמן מקצועי',
+  },
+};
+
+export const LOCALES = Object.keys(MESSAGES);
+
+// Languages written right to left
+const RTL_LANGUAGES = ['ar', 'he'];
+
+// Unicode right-to-left embedding and pop directional formatting characters.
+// Labels are embedded rather than set with direction="rtl" because renderers
+// disagree on which side text-anchor refers to for right-to-left text; widgets
+// align them to the right with anchor() and mirrorX() instead.
+const RIGHT_TO_LEFT_EMBEDDING = '\u202b';
+const POP_DIRECTIONAL_FORMATTING = '\u202c';
+
+/**
+ * Check a locale parameter (a catalogue language, optionally followed by
+ * a region or other BCP 47 subtags, e.g. pt-BR) and return its canonical tag,
+ * so spellings of one locale (pt-br, PT-BR) share cache keys
+ * @param {string} locale - Locale tag
+ * @returns {string} Canonical locale tag
+ * @throws {ValidationError} If the tag is malformed or its language has no catalogue
+ */
+export function canonicalLocale(locale) {
+  let tag;
+  try {
+    [tag] = Intl.getCanonicalLocales(locale);
+  } catch {
+    throw new ValidationError(`Invalid locale "${locale}"`);
+  }
+  if (!Object.hasOwn(MESSAGES, tag.split('-')[0])) {
+    throw new ValidationError(`locale must be one of: ${LOCALES.join(', ')} (optionally with a region, e.g. pt-BR)`);
+  }
+  return tag;
+}
+
+/**
+ * Query parameter selecting the label language and number/date formats,
+ * declared by every widget with localized text
+ * @type {import('./schema.js').ParamSchema}
+ */
+export const LOCALE_PARAM = {
+  key: 'locale',
+  type: 'string',
+  label: 'Locale',
+  default: DEFAULT_LOCALE,
+  maxLength: 35,
+  normalize: canonicalLocale,
+  placeholder: 'en',
+  description: `Label language and number/date format (${LOCALES.join(', ')}; optionally with a region, e.g. pt-BR)`,
+};
+
+/**
+ * @typedef {Object} Locale
+ * @property {string} locale - Canonical locale tag
+ * @property {'ltr'|'rtl'} dir - Writing direction of the labels
+ * @property {Function} anchor - Text anchor of a label aligned to a side in left-to-right layouts, swapped for right-to-left ones: ('start'|'middle'|'end') => string
+ * @property {Function} mirrorX - Position of a point, or of the left edge of a box of the given size, mirrored across a width for right-to-left layouts: (x, width = 0, size = 0) => number
+ * @property {Function} t - Translate a message key: (key) => string
+ * @property {Function} formatNumber - Format a count with locale digit grouping: (num) => string
+ * @property {Function} formatDate - Format a YYYY-MM-DD date with day, month and year: (dateStr) => string
+ * @property {Function} formatShortDate - Format a YYYY-MM-DD date with day and month: (dateStr) => string
+ * @property {Function} formatMonthYear - Format a YYYY-MM-DD date with month and year: (dateStr) => string
+ * @property {Function} formatMonth - Format the month of a YYYY-MM-DD date: (dateStr) => string
+ * @property {Function} formatWeekday - Format the day of the week of a YYYY-MM-DD date: (dateStr) => string
+ * @property {Function} bidi - Mark a label with the writing direction: (text) => string
+ */
+
+// Resolved locales by canonical tag, oldest first. Regions and other subtags
+// make the number of valid tags open-ended, so only the most recent are kept.
+const locales = new Map();
+const MAX_RESOLVED_LOCALES = 50;
+
+/**
+ * Resolve the messages and formatters of a locale. Unknown or invalid tags
+ * fall back to English.
+ * @param {string} [locale=DEFAULT_LOCALE] - Locale tag (see LOCALE_PARAM)
+ * @returns {Locale} Localized messages and formatters
+ */
+export function resolveLocale(locale = DEFAULT_LOCALE) {
+  let tag;
+  try {
+    tag = canonicalLocale(locale);
+  } catch {
+    tag = DEFAULT_LOCALE;
+  }
+  if (locales.has(tag)) return locales.get(tag);
+
+  const language = tag.split('-')[0];
+  const messages = MESSAGES[language];
+  const dir = RTL_LANGUAGES.includes(language) ? 'rtl' : 'ltr';
+
+  // Dates are calendar days (YYYY-MM-DD), formatted without a time zone shift
+  const dateFormat = (options) => {
+    const format = new Intl.DateTimeFormat(tag, { ...options, timeZone: 'UTC' });
+    return (dateStr) => format.format(new Date(`${dateStr}T00:00:00Z`));
+  };
+  const numberFormat = new Intl.NumberFormat(tag);
+
+  const resolved = {
+    locale: tag,
+    dir,
+    t: (key) => messages[key] ?? MESSAGES[DEFAULT_LOCALE][key] ?? key,
+    formatNumber: (num) => numberFormat.format(num ?? 0),
+    formatDate: dateFormat({ month: 'short', day: 'numeric', year: 'numeric' }),
+    formatShortDate: dateFormat({ month: 'short', day: 'numeric' }),
+    formatMonthYear: dateFormat({ month: 'short', year: 'numeric' }),
+    formatMonth: dateFormat({ month: 'short' }),
+    formatWeekday: dateFormat({ weekday: 'short' }),
+    bidi: (text) => (dir === 'rtl' ? `${RIGHT_TO_LEFT_EMBEDDING}${text}${POP_DIRECTIONAL_FORMATTING}` : text),
+    anchor: (side) => (dir === 'rtl' && side !== 'middle' ? (side === 'end' ? 'start' : 'end') : side),
+    mirrorX: (x, width = 0, size = 0) => (dir === 'rtl' ? width - x - size : x),
+  };
+  if (locales.size >= MAX_RESOLVED_LOCALES) {
+    locales.delete(locales.keys().next().value);
+  }
+  locales.set(tag, resolved);
+  return resolved;
+}
+
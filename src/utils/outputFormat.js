@@ -0,0 +1,191 @@
+import { cache, generateCacheKey } from './cache.js';
+import { contentHash } from './etag.js';
+import { handleError, createValidationErrorSVG, getErrorCardOptions } from './errors.js';
+import { svgToPng } from './png.js';
+import { FONTS, FONT_NAMES, embedFont } from './fonts.js';
+import { parseQueryParams } from './validation.js';
+import { validateParams } from './schema.js';
+import { isJSONRequest } from './response.js';
+
+// Output formats accepted by the format query parameter
+export const OUTPUT_FORMATS = ['svg', 'png', 'json'];
+
+// Query parameters shared by every widget endpoint
+const OUTPUT_PARAMS = [
+  { key: 'format', type: 'string', default: 'svg', enum: OUTPUT_FORMATS },
+  // Zoom factor, PNG only
+  { key: 'scale', type: 'number', default: 1, min: 0.5, max: 4 },
+  // Embedded font (see FONTS)
+  { key: 'font', type: 'string', enum: FONT_NAMES },
+];
+
+// Accept media types matching each error format (besides */*)
+const ERROR_MEDIA_TYPES = {
+  svg: ['image/svg+xml', 'image/*'],
+  png: ['image/png', 'image/*'],
+  json: ['application/problem+json', 'application/json', 'application/*'],
+};
+
+/**
+ * Highest quality an Accept header gives to any of the listed media types
+ * @param {string} accept - Accept request header
+ * @param {string[]} types - Media types to look for
+ * @returns {number} Quality between 0 and 1 (0 if not acceptable)
+ */
+function acceptQuality(accept, types) {
+  let best = 0;
+  for (const entry of accept.split(',')) {
+    const [type, ...params] = entry.trim().toLowerCase().split(';');
+    if (type !== '*/*' && !types.includes(type)) continue;
+    const qParam = params.map((param) => param.trim()).find((param) => param.startsWith('q='));
+    const quality = qParam ? parseFloat(qParam.slice(2)) : 1;
+    best = Math.max(best, isNaN(quality) ? 0 : quality);
+  }
+  return best;
+}
+
+/**
+ * Decide how an error should be returned: the format parameter wins, then
+ * .json data paths, then the Accept header. Ties go to the SVG card, so image
+ * requests and wildcard Accept headers (browsers, curl) keep getting an image.
+ * @param {Object} event - Netlify function event
+ * @returns {'svg'|'png'|'json'} Error format
+ */
+export function getErrorFormat(event) {
+  const { format } = parseQueryParams(event.rawQuery);
+  if (OUTPUT_FORMATS.includes(format)) return format;
+  if (isJSONRequest(event)) return 'json';
+
+  const accept = event.headers?.accept;
+  if (!accept) return 'svg';
+
+  let best = 'svg';
+  let bestQuality = acceptQuality(accept, ERROR_MEDIA_TYPES.svg);
+  for (const candidate of ['png', 'json']) {
+    const quality = acceptQuality(accept, ERROR_MEDIA_TYPES[candidate]);
+    if (quality > bestQuality) {
+      best = candidate;
+      bestQuality = quality;
+    }
+  }
+  return best;
+}
+
+/**
+ * Rasterize an SVG response to PNG, caching the result by SVG content hash,
+ * scale and font so an unchanged widget is only rasterized once
+ * @param {Object} response - SVG response object
+ * @param {number} scale - Zoom factor
+ * @param {string} [font] - Font name (see FONTS)
+ * @returns {Promise<Object>} PNG response object
+ */
+async function rasterize(response, scale, font) {
+  const cacheKey = generateCacheKey('png', contentHash(response.body), scale, ...(font ? [font] : []));
+  let png = await cache.get(cacheKey);
+  if (!png) {
+    png = (await svgToPng(response.body, scale, FONTS[font]?.family)).toString('base64');
+    await cache.set(cacheKey, png);
+  }
+
+  return {
+    ...response,
+    headers: { ...response.headers, 'Content-Type': 'image/png' },
+    body: png,
+    isBase64Encoded: true,
+  };
+}
+
+/**
+ * Embed a font into an SVG response, caching the result by SVG content hash
+ * and font so an unchanged widget is only subsetted once
+ * @param {Object} response - SVG response object
+ * @param {string} font - Font name (see FONTS)
+ * @returns {Promise<Object>} SVG response object with the embedded font
+ */
+async function withEmbeddedFont(response, font) {
+  const cacheKey = generateCacheKey('font', font, contentHash(response.body));
+  let svg = await cache.get(cacheKey);
+  if (!svg) {
+    svg = await embedFont(response.body, font);
+    await cache.set(cacheKey, svg);
+  }
+
+  return { ...response, body: svg };
+}
+
+/**
+ * Return an error response in the negotiated format: the SVG card, the card
+ * rasterized to PNG, or JSON problem details ({status, code, message, errors})
+ * @param {Object} event - Netlify function event
+ * @param {Object} response - Error response from createErrorSVG
+ * @param {number} [scale=1] - Zoom factor for PNG
+ * @returns {Promise<Object>} Error response object
+ */
+export async function formatError(event, response, scale = 1) {
+  const { problem, ...card } = response;
+  const format = getErrorFormat(event);
+
+  if (format === 'json' && problem) {
+    return {
+      ...card,
+      headers: { ...card.headers, 'Content-Type': 'application/problem+json; charset=utf-8' },
+      body: JSON.stringify(problem),
+    };
+  }
+
+  if (format === 'png') {
+    try {
+      return await rasterize(card, scale);
+    } catch (error) {
+      // Fall back to the SVG card rather than failing the error response itself
+      console.error('[Error] Failed to rasterize error card:', error.message);
+    }
+  }
+
+  return card;
+}
+
+/**
+ * Convert a widget response to the format requested with `format=` (and
+ * `scale=` for PNG). Widgets always produce SVG; for `format=png` the SVG is
+ * rasterized, keeping the status code and caching headers. With `font=` the
+ * SVG embeds a subset of that font; PNGs are drawn with the full font, which
+ * the renderer already loads. `format=json` is served by widgets with a JSON
+ * data variant and rejected by the others.
+ * Error responses are negotiated separately (see getErrorFormat), so API
+ * clients can get JSON problem details while image embeds keep the SVG card.
+ * @param {Object} event - Netlify function event
+ * @param {Object} response - Handler response object
+ * @param {Function} [errorCard=getErrorCardOptions] - (query) => error card options, sized like the widget (see the widget registry)
+ * @returns {Promise<Object>} Response object in the requested format
+ */
+export async function applyOutputFormat(event, response, errorCard = getErrorCardOptions) {
+  const query = parseQueryParams(event.rawQuery);
+  const card = errorCard(query);
+  const { values, errors } = validateParams(query, OUTPUT_PARAMS);
+  if (errors.length > 0) {
+    return formatError(event, createValidationErrorSVG(errors, card));
+  }
+
+  const { format, scale, font } = values;
+  if (response.problem) {
+    return formatError(event, response, scale);
+  }
+
+  const isSVG = response.headers?.['Content-Type'] === 'image/svg+xml';
+  if (format === 'json' && isSVG) {
+    return formatError(event, createValidationErrorSVG('format', 'format=json is only available for widgets with a JSON data endpoint', card));
+  }
+  if (!isSVG) {
+    return response;
+  }
+
+  try {
+    if (format !== 'png') {
+      return font ? await withEmbeddedFont(response, font) : response;
+    }
+    return await rasterize(response, scale, font);
+  } catch (error) {
+    return formatError(event, handleError(error, card), scale);
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * SVG to PNG rasterization
+ *
+ * Uses resvg compiled to WebAssembly, so it runs anywhere Node.js does
+ * (Docker/Alpine, Netlify Functions) without native binaries. The WASM build
+ * cannot read system fonts, so the DejaVu fonts shipped with the
+ * dejavu-fonts-ttf package are loaded and used for every font family.
+ */
+
+import { readFile } from 'fs/promises';
+import { createRequire } from 'module';
+import { initWasm, Resvg } from '@resvg/resvg-wasm';
+import { freezeAnimations } from './freezeAnimations.js';
+import { inlineThemeVariables } from './themes.js';
+
+const require = createRequire(import.meta.url);
+
+const FONT_FILES = [
+  'dejavu-fonts-ttf/ttf/DejaVuSans.ttf',
+  'dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf',
+  'dejavu-fonts-ttf/ttf/DejaVuSerif.ttf',
+  'dejavu-fonts-ttf/ttf/DejaVuSerif-Bold.ttf',
+  'dejavu-fonts-ttf/ttf/DejaVuSansMono.ttf',
+  'dejavu-fonts-ttf/ttf/DejaVuSansMono-Bold.ttf',
+];
+
+// Lazily initialized on the first PNG request: { fontBuffers }
+let renderer = null;
+
+/**
+ * Load the WASM module and fonts once per process
+ * @returns {Promise<{fontBuffers: Uint8Array[]}>} Renderer resources
+ */
+function loadRenderer() {
+  if (!renderer) {
+    renderer = (async () => {
+      const [wasm, ...fontBuffers] = await Promise.all([
+        readFile(require.resolve('@resvg/resvg-wasm/index_bg.wasm')),
+        ...FONT_FILES.map((file) => readFile(require.resolve(file))),
+      ]);
+      await initWasm(wasm);
+      return { fontBuffers };
+    })().catch((error) => {
+      // Allow a later request to retry
+      renderer = null;
+      throw error;
+    });
+  }
+  return renderer;
+}
+
+/**
+ * Rasterize an SVG widget to PNG.
+ * Animations are frozen at their final state before rendering, and adaptive
+ * (theme=auto) widgets are drawn with their light mode colours.
+ * @param {string} svg - SVG markup
+ * @param {number} [scale=1] - Zoom factor applied to the SVG's intrinsic size
+ * @param {string} [fontFamily] - Bundled font family to draw all text with (see FONTS)
+ * @returns {Promise<Buffer>} PNG image
+ */
+export async function svgToPng(svg, scale = 1, fontFamily) {
+  const { fontBuffers } = await loadRenderer();
+
+  const resvg = new Resvg(freezeAnimations(inlineThemeVariables(svg)), {
+    fitTo: { mode: 'zoom', value: scale },
+    // Widget font stacks only name fonts that are not loaded here, so they end
+    // on a generic family; mapping every generic family draws all text in fontFamily
+    font: fontFamily
+      ? {
+        fontBuffers,
+        defaultFontFamily: fontFamily,
+        sansSerifFamily: fontFamily,
+        serifFamily: fontFamily,
+        monospaceFamily: fontFamily,
+      }
+      : {
+        fontBuffers,
+        defaultFontFamily: 'DejaVu Sans',
+        sansSerifFamily: 'DejaVu Sans',
+        serifFamily: 'DejaVu Sans',
+        monospaceFamily: 'DejaVu Sans Mono',
+      },
+  });
+
+  try {
+    const image = resvg.render();
+    const png = Buffer.from(image.asPng());
+    image.free();
+    return png;
+  } finally {
+    resvg.free();
+  }
+}
@@ -0,0 +1,73 @@
+import { staleTtl } from './cache.js';
+import { parseQueryParams } from './validation.js';
+
+// Browser/CDN max-age for fresh responses
+const MAX_AGE_SECONDS = 3600;
+
+// Short max-age for stale responses so clients pick up the regenerated
+// version soon after background revalidation finishes
+const STALE_MAX_AGE_SECONDS = 60;
+
+/**
+ * Build the Cache-Control header for a widget response
+ * @param {'HIT'|'STALE'|'MISS'} cacheStatus - Server cache status
+ * @param {boolean} noCache - Whether caching was bypassed
+ * @returns {string} Cache-Control header value
+ */
+export function cacheControlHeader(cacheStatus, noCache) {
+  if (noCache) {
+    return 'no-store, no-cache';
+  }
+  const maxAge = cacheStatus === 'STALE' ? STALE_MAX_AGE_SECONDS : MAX_AGE_SECONDS;
+  const directives = ['public', `max-age=${maxAge}`];
+  if (staleTtl > 0) {
+    directives.push(`stale-while-revalidate=${Math.floor(staleTtl / 1000)}`);
+  }
+  return directives.join(', ');
+}
+
+/**
+ * Create a successful SVG response
+ * @param {string} svg - SVG content
+ * @param {'HIT'|'STALE'|'MISS'} cacheStatus - Server cache status
+ * @param {boolean} noCache - Whether caching was bypassed
+ * @returns {Object} Response object with SVG content
+ */
+export function createSVGResponse(svg, cacheStatus, noCache) {
+  return {
+    statusCode: 200,
+    headers: {
+      'Content-Type': 'image/svg+xml',
+      'Cache-Control': cacheControlHeader(cacheStatus, noCache),
+      'X-Cache': cacheStatus,
+    },
+    body: svg,
+  };
+}
+
+/**
+ * Check whether a request targets the JSON data variant of a widget
+ * (e.g. /api/v1/user-stats.json or /api/v1/user-stats.svg?format=json)
+ * @param {Object} event - Netlify function event
+ * @returns {boolean} True for .json paths and format=json
+ */
+export function isJSONRequest(event) {
+  return Boolean(event.path && event.path.endsWith('.json')) || parseQueryParams(event.rawQuery).format === 'json';
+}
+
+/**
+ * Create a successful JSON data response
+ * @param {Object} data - Widget data model
+ * @param {boolean} noCache - Whether caching was bypassed
+ * @returns {Object} Response object with JSON content
+ */
+export function createJSONResponse(data, noCache) {
+  return {
+    statusCode: 200,
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Cache-Control': cacheControlHeader('MISS', noCache),
+    },
+    body: JSON.stringify(data),
+  };
+}
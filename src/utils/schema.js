@@ -0,0 +1,160 @@
+/**
+ * Declarative query parameter validation
+ *
+ * Each handler declares its parameters once as a schema (the same list feeds
+ * the playground configuration) and validates the whole query in one pass, so
+ * every invalid parameter is reported at once with consistent messages.
+ */
+
+import { ValidationError } from './errors.js';
+import { parseColor } from './themes.js';
+import { TRUE_VALUES, FALSE_VALUES } from './validation.js';
+
+/**
+ * @typedef {Object} ParamSchema
+ * @property {string} key - Query parameter name
+ * @property {string} type - 'number', 'boolean', 'color' or 'string'; playground editor types (e.g. 'csv-editor') are validated as strings
+ * @property {boolean} [required] - Reject the request when the parameter is missing or empty
+ * @property {*} [default] - Value used when the parameter is missing or empty
+ * @property {number} [min] - Minimum value (numbers)
+ * @property {number} [max] - Maximum value (numbers)
+ * @property {boolean} [integer] - Only accept whole numbers (numbers)
+ * @property {string[]} [enum] - Allowed values (strings)
+ * @property {number} [maxLength] - Maximum length (strings)
+ * @property {boolean} [decode] - URI-decode the value once more (strings carrying encoded CSV or lists)
+ * @property {string[]} [conflicts] - Parameters that cannot be used together with this one (declare on one side only); `key=value` only conflicts with that value
+ * @property {Function} [validate] - Custom check run on the parsed value; throws on invalid input
+ * @property {Function} [normalize] - Maps the parsed value to its canonical form (used in place of it); throws on invalid input
+ * @property {string} [label] - Playground label
+ * @property {number} [step] - Playground input step (numbers)
+ * @property {string} [placeholder] - Playground placeholder
+ * @property {string} [description] - Short description shown in the playground
+ */
+
+/**
+ * Describe the allowed range of a number parameter for error messages
+ * @param {ParamSchema} param - Parameter schema
+ * @returns {string} Range description (e.g. " between 1 and 10")
+ */
+function describeRange({ min, max }) {
+  if (min !== undefined && max !== undefined) return ` between ${min} and ${max}`;
+  if (min !== undefined) return ` of at least ${min}`;
+  if (max !== undefined) return ` of at most ${max}`;
+  return '';
+}
+
+/**
+ * Parse and check a raw query value against its schema
+ * @param {ParamSchema} param - Parameter schema
+ * @param {string} raw - Raw query value
+ * @returns {*} Parsed value
+ * @throws {ValidationError} If the value is invalid
+ */
+function parseValue(param, raw) {
+  const { key } = param;
+
+  switch (param.type) {
+    case 'number': {
+      const num = Number(raw);
+      const outOfRange = (param.min !== undefined && num < param.min) || (param.max !== undefined && num > param.max);
+      if (!Number.isFinite(num) || outOfRange) {
+        throw new ValidationError(`${key} must be a number${describeRange(param)}`);
+      }
+      if (param.integer && !Number.isInteger(num)) {
+        throw new ValidationError(`${key} must be a whole number${describeRange(param)}`);
+      }
+      return num;
+    }
+
+    case 'boolean':
+      if (TRUE_VALUES.includes(raw)) return true;
+      if (FALSE_VALUES.includes(raw)) return false;
+      throw new ValidationError(`${key} must be true or false`);
+
+    case 'color': {
+      const color = parseColor(raw);
+      if (!color) {
+        throw new ValidationError(`${key} must be a hex colour (e.g. ff5252), rgb()/rgba() or transparent`);
+      }
+      return color;
+    }
+
+    default: {
+      let value = raw;
+      if (param.decode) {
+        try {
+          value = decodeURIComponent(raw);
+        } catch {
+          throw new ValidationError(`Invalid URI encoding in ${key} parameter`);
+        }
+      }
+      if (param.maxLength !== undefined && value.length > param.maxLength) {
+        throw new ValidationError(`${key} exceeds maximum length of ${param.maxLength} characters`);
+      }
+      if (param.enum && !param.enum.includes(value)) {
+        throw new ValidationError(`${key} must be one of: ${param.enum.join(', ')}`);
+      }
+      return value;
+    }
+  }
+}
+
+/**
+ * Check whether a parameter was given and switched on (booleans must be true)
+ * @param {Object} query - Raw query parameters
+ * @param {Object} values - Parsed values
+ * @param {string} key - Parameter name, or `key=value` to only match that value
+ * @returns {boolean} True if the parameter is in effect
+ */
+function isActive(query, values, key) {
+  const [name, expected] = key.split('=');
+  if (expected !== undefined) {
+    return query[name] !== undefined && String(values[name]) === expected;
+  }
+  return query[key] !== undefined && values[key] !== undefined && values[key] !== false;
+}
+
+/**
+ * Validate query parameters against a schema.
+ * All parameters are checked, so the returned errors list every problem with
+ * the request rather than only the first one.
+ * @param {Object} query - Raw query parameters (see parseQueryParams)
+ * @param {ParamSchema[]} schema - Parameter schema
+ * @returns {{values: Object, errors: Array<{param: string, message: string}>}} Parsed values (with defaults applied) and validation errors
+ */
+export function validateParams(query, schema) {
+  const values = {};
+  const errors = [];
+
+  for (const param of schema) {
+    const raw = query[param.key];
+
+    // Empty strings are treated as missing, except for flags like ?showLogo
+    if (raw === undefined || (raw === '' && param.type !== 'boolean')) {
+      if (param.required) {
+        errors.push({ param: param.key, message: `${param.key} query parameter is required` });
+      }
+      values[param.key] = param.default;
+      continue;
+    }
+
+    try {
+      const value = parseValue(param, raw);
+      param.validate?.(value);
+      values[param.key] = param.normalize ? param.normalize(value) : value;
+    } catch (error) {
+      errors.push({ param: param.key, message: error.message });
+    }
+  }
+
+  for (const param of schema) {
+    if (!param.conflicts || !isActive(query, values, param.key)) continue;
+    for (const other of param.conflicts) {
+      if (isActive(query, values, other)) {
+        errors.push({ param: param.key, message: `${param.key} cannot be used together with ${other}` });
+      }
+    }
+  }
+
+  return { values, errors };
+}
@@ -0,0 +1,197 @@
+/**
+ * User-defined themes
+ *
+ * Self-hosted servers can add organization themes without editing themes.js:
+ * THEMES_PATH points to a JSON or YAML file, or a directory of them, mapping
+ * theme names to a full set of colours. Every theme is validated against the
+ * keys the widgets expect before anything is registered, so a typo fails at
+ * startup rather than rendering broken widgets.
+ */
+
+import { readFileSync, readdirSync, statSync } from 'fs';
+import { extname, join } from 'path';
+import { AUTO_THEME, THEMES, THEME_COLOR_KEYS, parseColor, registerThemes } from './themes.js';
+import { ConfigurationError } from './errors.js';
+
+const THEME_FILE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const THEME_NAME = /^[a-z0-9][a-z0-9_-]*$/i;
+
+/**
+ * Strip a YAML comment and surrounding quotes from a scalar value
+ * @param {string} raw - Raw value after the colon
+ * @returns {string} Scalar value
+ */
+function parseYAMLScalar(raw) {
+  const value = raw.trim();
+  const quoted = value.match(/^(["'])(.*)\1\s*(#.*)?$/);
+  if (quoted) return quoted[2];
+  // Unquoted, a # starts a comment (so hex colours have to be quoted)
+  return value.replace(/(^|\s)#.*$/, '').trim();
+}
+
+/**
+ * Parse the YAML subset used by theme files: top-level theme names, each
+ * followed by indented `key: value` colour lines. Comments and blank lines
+ * are ignored.
+ * @param {string} text - YAML source
+ * @param {string} file - File name for error messages
+ * @returns {Object} Themes by name
+ * @throws {ConfigurationError} If a line does not fit the expected structure
+ */
+function parseThemeYAML(text, file) {
+  // Without a prototype, names like __proto__ stay plain keys and reach validation
+  const themes = Object.create(null);
+  let current = null;
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+
+    const match = line.match(/^(\s*)([\w-]+)\s*:(.*)$/);
+    if (!match) {
+      throw new ConfigurationError(`${file}:${index + 1}: expected "name:" or "key: value"`);
+    }
+
+    const [, indent, key, rest] = match;
+    if (!indent) {
+      if (parseYAMLScalar(rest)) {
+        throw new ConfigurationError(`${file}:${index + 1}: theme "${key}" must be followed by indented colours`);
+      }
+      current = themes[key] = Object.create(null);
+    } else if (!current) {
+      throw new ConfigurationError(`${file}:${index + 1}: colour "${key}" is not inside a theme`);
+    } else {
+      current[key] = parseYAMLScalar(rest);
+      if (!current[key] && rest.includes('#')) {
+        throw new ConfigurationError(`${file}:${index + 1}: ${key} is empty; quote hex colours in YAML (${key}: "#ffffff")`);
+      }
+    }
+  });
+
+  return themes;
+}
+
+/**
+ * Read the themes defined in one JSON or YAML file
+ * @param {string} file - File path
+ * @returns {Object} Themes by name
+ * @throws {ConfigurationError} If the file cannot be read or parsed
+ */
+function readThemeFile(file) {
+  let text;
+  try {
+    text = readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new ConfigurationError(`Cannot read theme file ${file}: ${error.message}`);
+  }
+
+  if (extname(file).toLowerCase() !== '.json') {
+    return parseThemeYAML(text, file);
+  }
+
+  let themes;
+  try {
+    themes = JSON.parse(text);
+  } catch (error) {
+    throw new ConfigurationError(`Invalid JSON in theme file ${file}: ${error.message}`);
+  }
+  if (!themes || typeof themes !== 'object' || Array.isArray(themes)) {
+    throw new ConfigurationError(`Theme file ${file} must contain an object mapping theme names to colours`);
+  }
+  return themes;
+}
+
+/**
+ * Check a theme against the colour keys every widget expects
+ * @param {string} name - Theme name
+ * @param {Object} theme - Theme colours
+ * @param {string} file - File the theme was defined in
+ * @returns {Object} Theme with normalized colours
+ * @throws {ConfigurationError} If the theme is incomplete or has invalid colours
+ */
+function validateTheme(name, theme, file) {
+  const problems = [];
+  if (!THEME_NAME.test(name)) {
+    problems.push('name may only contain letters, digits, "-" and "_"');
+  }
+  if (name === AUTO_THEME) {
+    problems.push(`name "${AUTO_THEME}" is reserved for adaptive light/dark widgets`);
+  }
+  if (!theme || typeof theme !== 'object' || Array.isArray(theme)) {
+    throw new ConfigurationError(`Theme "${name}" in ${file} must be an object of colours`);
+  }
+
+  const colors = {};
+  const missing = THEME_COLOR_KEYS.filter((key) => theme[key] === undefined || theme[key] === '');
+  if (missing.length > 0) {
+    problems.push(`missing ${missing.join(', ')}`);
+  }
+  for (const key of THEME_COLOR_KEYS) {
+    if (missing.includes(key)) continue;
+    colors[key] = parseColor(theme[key]);
+    if (!colors[key]) {
+      problems.push(`${key} "${theme[key]}" is not a valid colour`);
+    }
+  }
+  for (const key of Object.keys(theme)) {
+    if (!THEME_COLOR_KEYS.includes(key)) {
+      problems.push(`unknown key ${key}`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigurationError(`Invalid theme "${name}" in ${file}: ${problems.join('; ')}`);
+  }
+  return colors;
+}
+
+/**
+ * List the theme files at a path (a single file, or every JSON/YAML file in a
+ * directory, in name order)
+ * @param {string} path - File or directory path
+ * @returns {string[]} Theme file paths
+ * @throws {ConfigurationError} If the path does not exist
+ */
+function listThemeFiles(path) {
+  let stats;
+  try {
+    stats = statSync(path);
+  } catch {
+    throw new ConfigurationError(`THEMES_PATH ${path} does not exist`);
+  }
+  if (!stats.isDirectory()) return [path];
+
+  return readdirSync(path)
+    .filter((file) => THEME_FILE_EXTENSIONS.includes(extname(file).toLowerCase()))
+    .sort()
+    .map((file) => join(path, file));
+}
+
+/**
+ * Load user-defined themes and add them to THEMES.
+ * All files are validated before any theme is registered. A theme named like
+ * a built-in one replaces it.
+ * @param {string} [path=process.env.THEMES_PATH] - Theme file or directory; nothing is loaded when empty
+ * @returns {string[]} Names of the loaded themes
+ * @throws {ConfigurationError} If a file or theme is invalid
+ */
+export function loadCustomThemes(path = process.env.THEMES_PATH) {
+  if (!path) return [];
+
+  const themes = {};
+  for (const file of listThemeFiles(path)) {
+    for (const [name, theme] of Object.entries(readThemeFile(file))) {
+      if (Object.hasOwn(themes, name)) {
+        throw new ConfigurationError(`Theme "${name}" is defined more than once (again in ${file})`);
+      }
+      themes[name] = validateTheme(name, theme, file);
+    }
+  }
+
+  for (const name of Object.keys(themes)) {
+    if (Object.hasOwn(THEMES, name)) {
+      console.warn(`[Themes] Custom theme "${name}" replaces the built-in theme`);
+    }
+  }
+  registerThemes(themes);
+  return Object.keys(themes);
+}
@@ -1,3 +1,6 @@
+import { ValidationError } from './errors.js';
+import { CONTRAST_KEYS, checkThemeContrast, getMinContrastRatio, themeBackdrop } from './contrast.js';
+
 export const THEMES = {
     "radical": {
         bg: "#0f1724",
@@ -269,4 +272,349 @@ export const THEMES = {
         shadow: "transparent",
         fadeShadow: "#ffffff11"
     }
-}
\ No newline at end of file
+}
+// Colour keys every theme defines; each can be overridden with `<key>_color`
+export const THEME_COLOR_KEYS = Object.keys(THEMES.radical);
+
+const HEX_COLOR = /^#?([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const RGB_COLOR = /^rgba?\(\s*\d{1,3}%?\s*,\s*\d{1,3}%?\s*,\s*\d{1,3}%?\s*(,\s*(0|1|0?\.\d+|\d{1,3}%)\s*)?\)$/i;
+
+/**
+ * Parse a colour given in a query parameter.
+ * Accepts hex colours with or without the leading # (which has to be encoded
+ * as %23 in URLs), rgb()/rgba() and `transparent`.
+ * @param {string} value - Raw colour
+ * @returns {string|undefined} Normalized colour, or undefined if invalid
+ */
+export function parseColor(value) {
+  const color = String(value).trim().toLowerCase();
+  if (HEX_COLOR.test(color)) return color.startsWith('#') ? color : `#${color}`;
+  if (RGB_COLOR.test(color) || color === 'transparent') return color;
+  return undefined;
+}
+
+// Background gradients: `[angle|radial,]stop,stop[,...]`, each stop a colour
+// or theme key with an optional `:offset` percentage
+const GRADIENT_MIN_STOPS = 2;
+const GRADIENT_MAX_STOPS = 8;
+export const BACKGROUND_PATTERNS = ['none', 'dots', 'grid', 'diagonal'];
+
+/**
+ * @typedef {Object} GradientStop
+ * @property {string} [color] - Normalized colour (see parseColor)
+ * @property {string} [key] - Theme colour key, resolved per theme variant (e.g. accentA)
+ * @property {number} offset - Position along the gradient (0-100)
+ */
+
+/**
+ * @typedef {Object} Gradient
+ * @property {string} type - 'linear' or 'radial'
+ * @property {number} angle - Direction of linear gradients in degrees (CSS convention: 0 points up, 90 right)
+ * @property {GradientStop[]} stops - Colour stops
+ */
+
+/**
+ * Parse a background gradient given in a query parameter, e.g.
+ * `135,ff6b6b,7c5cff` (linear, top-left to bottom-right) or
+ * `radial,accentA:0,bg:70`. Stops without an offset are spread evenly.
+ * Stops are split on commas, so they cannot be rgb()/rgba() colours.
+ * @param {string} value - Raw gradient
+ * @returns {Gradient} Parsed gradient
+ * @throws {ValidationError} If the gradient is malformed
+ */
+export function parseGradient(value) {
+  const parts = String(value).split(',').map((part) => part.trim()).filter(Boolean);
+  let type = 'linear';
+  let angle = 180;
+  if (parts[0]?.toLowerCase() === 'radial') {
+    type = 'radial';
+    parts.shift();
+  } else if (/^-?\d+(\.\d+)?(deg)?$/i.test(parts[0] ?? '')) {
+    angle = parseFloat(parts.shift());
+  }
+
+  if (parts.length < GRADIENT_MIN_STOPS || parts.length > GRADIENT_MAX_STOPS) {
+    throw new ValidationError(`bgGradient needs ${GRADIENT_MIN_STOPS} to ${GRADIENT_MAX_STOPS} colour stops (e.g. 135,ff6b6b,7c5cff)`);
+  }
+
+  const stops = parts.map((part, index) => {
+    const [name, offsetText, extra] = part.split(':');
+    const offset = offsetText === undefined ? (index / (parts.length - 1)) * 100 : Number(offsetText.replace(/%$/, ''));
+    if (extra !== undefined || offsetText === '' || !Number.isFinite(offset) || offset < 0 || offset > 100) {
+      throw new ValidationError(`bgGradient stop "${part}" must be a colour or theme key with an optional :offset between 0 and 100`);
+    }
+    if (THEME_COLOR_KEYS.includes(name)) {
+      return { key: name, offset };
+    }
+    const color = parseColor(name);
+    if (!color || color.startsWith('rgb')) {
+      throw new ValidationError(`bgGradient stop "${name}" must be a hex colour, transparent or a theme key (e.g. accentA)`);
+    }
+    return { color, offset };
+  });
+
+  return { type, angle: ((angle % 360) + 360) % 360, stops };
+}
+
+// Adaptive mode: one SVG that follows the viewer's light/dark preference
+export const AUTO_THEME = 'auto';
+export const AUTO_LIGHT_THEME = 'transparent-black';
+export const AUTO_DARK_THEME = 'transparent-white';
+export const DEFAULT_THEME = 'radical';
+
+// Names of the themes added with registerThemes
+const customThemes = new Set();
+
+// Prefix of the CSS custom properties emitted for adaptive widgets
+const VARIABLE_PREFIX = '--gw-';
+
+/**
+ * Build a validator accepting the names of the registered themes. THEMES is
+ * read at request time, so user-defined themes (THEMES_PATH) are accepted.
+ * @param {string} key - Query parameter name, for the error message
+ * @param {string[]} [extra] - Other accepted values (e.g. 'auto')
+ * @returns {Function} Validator throwing on unknown theme names
+ */
+function themeNameValidator(key, extra = []) {
+  return (value) => {
+    if (!Object.hasOwn(THEMES, value) && !extra.includes(value)) {
+      throw new ValidationError(`${key} must be one of: ${[...extra, ...Object.keys(THEMES)].join(', ')}`);
+    }
+  };
+}
+
+/**
+ * Query parameters shared by every widget for theming: the theme name, the
+ * light/dark theme pair used by theme=auto, overrides of single theme colours (bg_color,
+ * title_color, ...), the opt-out of the contrast check and the card
+ * background (gradient and pattern overlay). They are validated together with each widget's own
+ * parameters but are not listed in the playground configuration.
+ * @type {import('./schema.js').ParamSchema[]}
+ */
+export const THEME_PARAMS = [
+  { key: 'theme', type: 'string', validate: themeNameValidator('theme', [AUTO_THEME]), description: `Color theme, or ${AUTO_THEME} to follow the viewer's light/dark preference (default ${DEFAULT_THEME})` },
+  { key: 'lightTheme', type: 'string', validate: themeNameValidator('lightTheme'), description: `Theme for light mode viewers; implies theme=auto (default ${AUTO_LIGHT_THEME})` },
+  { key: 'darkTheme', type: 'string', validate: themeNameValidator('darkTheme'), description: `Theme for dark mode viewers; implies theme=auto (default ${AUTO_DARK_THEME})` },
+  ...THEME_COLOR_KEYS.map((key) => ({
+    key: `${key}_color`,
+    type: 'color',
+    description: `Override the theme's ${key} colour`,
+  })),
+  { key: 'allowLowContrast', type: 'boolean', description: 'Accept colour overrides below the minimum contrast ratio (MIN_CONTRAST_RATIO)' },
+  { key: 'bgGradient', type: 'string', maxLength: 300, validate: parseGradient, description: 'Card background gradient: [angle|radial,]stop,stop[,...] with hex colours or theme keys' },
+  { key: 'bgPattern', type: 'string', enum: BACKGROUND_PATTERNS, description: 'Pattern drawn over the card background' },
+  { key: 'bgPatternOpacity', type: 'number', min: 0, max: 1, default: 0.08, description: 'Opacity of the background pattern (0-1)' },
+];
+
+/**
+ * Collect the colour overrides from validated query values
+ * @param {Object} values - Values returned by validateParams
+ * @returns {Object} Overridden colours by theme key (e.g. { bg: '#ffffff' })
+ */
+function getThemeOverrides(values) {
+  const overrides = {};
+  for (const key of THEME_COLOR_KEYS) {
+    if (values[`${key}_color`] !== undefined) {
+      overrides[key] = values[`${key}_color`];
+    }
+  }
+  return overrides;
+}
+
+/**
+ * Reject colour overrides that make the title, text or subtext hard to read on
+ * the background. Only the pairs touched by an override are checked, on every
+ * theme the widget can render with (both variants for theme=auto), so built-in
+ * themes are never refused.
+ * @param {ThemeOptions} options - Theme settings
+ * @throws {ValidationError} If an overridden pair is below MIN_CONTRAST_RATIO
+ */
+function assertReadableColors({ theme, colors, lightTheme, darkTheme }) {
+  const minRatio = getMinContrastRatio();
+  const keys = CONTRAST_KEYS.filter((key) => colors.bg !== undefined || colors[key] !== undefined);
+  if (minRatio === 0 || keys.length === 0) return;
+
+  const names = theme === AUTO_THEME ? [lightTheme || AUTO_LIGHT_THEME, darkTheme || AUTO_DARK_THEME] : [theme];
+  const problems = names.flatMap((name) => {
+    const base = getTheme(name);
+    const { ratios, violations } = checkThemeContrast({ ...base, ...colors }, { minRatio, backdrop: themeBackdrop(base), keys });
+    return violations.map((key) => `${key} on bg is ${ratios[key]}:1${names.length > 1 ? ` with ${name}` : ''}`);
+  });
+
+  if (problems.length > 0) {
+    throw new ValidationError(
+      `Colours below the minimum contrast ratio of ${minRatio}:1 (${problems.join(', ')}); add allowLowContrast=true to use them anyway`
+    );
+  }
+}
+
+/**
+ * @typedef {Object} BackgroundOptions
+ * @property {Gradient} [gradient] - Gradient drawn instead of the flat bg colour
+ * @property {string} [pattern] - Pattern drawn over the background (see BACKGROUND_PATTERNS)
+ * @property {number} [patternOpacity] - Opacity of the pattern (0-1)
+ */
+
+/**
+ * @typedef {Object} ThemeOptions
+ * @property {string} theme - Theme name, or 'auto' for adaptive widgets
+ * @property {Object} colors - Overridden colours by theme key (e.g. { bg: '#ffffff' })
+ * @property {string} [lightTheme] - Theme for light mode viewers (auto only)
+ * @property {string} [darkTheme] - Theme for dark mode viewers (auto only)
+ * @property {BackgroundOptions} [background] - Card background, when customized
+ */
+
+/**
+ * Collect the card background settings from validated query values
+ * @param {Object} values - Values returned by validateParams
+ * @returns {BackgroundOptions|undefined} Background settings, or undefined for the flat theme background
+ */
+function getBackgroundOptions(values) {
+  const pattern = values.bgPattern && values.bgPattern !== 'none' ? values.bgPattern : undefined;
+  if (!values.bgGradient && !pattern) return undefined;
+  return {
+    gradient: values.bgGradient ? parseGradient(values.bgGradient) : undefined,
+    pattern,
+    patternOpacity: pattern ? values.bgPatternOpacity : undefined,
+  };
+}
+
+/**
+ * Collect a widget's theme settings from its query parameters.
+ * Giving lightTheme or darkTheme switches the widget to theme=auto. Colour
+ * overrides below the minimum contrast ratio are refused unless
+ * allowLowContrast is set.
+ * @param {Object} values - Values returned by validateParams (including THEME_PARAMS)
+ * @returns {ThemeOptions} Theme settings
+ * @throws {ValidationError} If colour overrides are below the minimum contrast ratio
+ */
+export function getThemeOptions(values) {
+  const adaptive = values.theme === AUTO_THEME || values.lightTheme !== undefined || values.darkTheme !== undefined;
+  const options = {
+    theme: adaptive ? AUTO_THEME : values.theme || DEFAULT_THEME,
+    colors: getThemeOverrides(values),
+    lightTheme: values.lightTheme,
+    darkTheme: values.darkTheme,
+    background: getBackgroundOptions(values),
+  };
+  if (!values.allowLowContrast) {
+    assertReadableColors(options);
+  }
+  return options;
+}
+
+/**
+ * Serialize the theme settings that are not part of the theme name for use in
+ * a cache key
+ * @param {Object} [options] - Theme settings (see getThemeOptions)
+ * @returns {string} Stable representation, empty when nothing is customized
+ */
+export function themeCacheKey({ colors = {}, lightTheme, darkTheme, background } = {}) {
+  return [
+    lightTheme && `light=${lightTheme}`,
+    darkTheme && `dark=${darkTheme}`,
+    ...Object.entries(colors).map(([key, color]) => `${key}=${color}`),
+    background && `background=${JSON.stringify(background)}`,
+  ].filter(Boolean).join(',');
+}
+
+/**
+ * Add themes to THEMES, e.g. user-defined themes loaded at startup (see
+ * loadCustomThemes). A theme with the name of a built-in theme replaces it.
+ * @param {Object} themes - Theme colours by name
+ */
+export function registerThemes(themes) {
+  Object.assign(THEMES, themes);
+  Object.keys(themes).forEach((name) => customThemes.add(name));
+}
+
+/**
+ * Check whether a theme was added with registerThemes rather than built in
+ * @param {string} name - Theme name
+ * @returns {boolean} True for user-defined themes
+ */
+export function isCustomTheme(name) {
+  return customThemes.has(name);
+}
+
+/**
+ * Turn a theme key into a display name ("transparent-white" -> "Transparent White")
+ * @param {string} key - Theme key
+ * @returns {string} Display name
+ */
+export function themeDisplayName(key) {
+  return key
+    .split(/[-_]/)
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+/**
+ * Resolve a theme by name and layer colour overrides on top of it.
+ * Unknown names fall back to radical.
+ * @param {string} theme - Theme name
+ * @param {Object} [overrides] - Overridden colours by theme key
+ * @returns {Object} Theme colours
+ */
+export function getTheme(theme, overrides = {}) {
+  return { ...(Object.hasOwn(THEMES, theme) ? THEMES[theme] : THEMES[DEFAULT_THEME]), ...overrides };
+}
+
+/**
+ * Resolve the colours a widget renders with.
+ * For a fixed theme the colours are literal values and `css` is empty. For
+ * theme=auto every colour is a var(--gw-<key>) reference, and `css` defines
+ * the variables for light viewers and, in a prefers-color-scheme: dark block,
+ * for dark viewers. Presentation attributes and SMIL animations do not
+ * resolve var(), so widgets apply colours through CSS only (style attributes
+ * or stylesheet rules).
+ * @param {string} theme - Theme name or 'auto'
+ * @param {Object} [options] - Widget options carrying colors, lightTheme and darkTheme (see getThemeOptions)
+ * @param {Function} [derive] - Computes extra widget-specific colours from a palette and theme name, once per variant
+ * @returns {{colors: Object, css: string}} Colours by key and the stylesheet defining them
+ */
+export function resolveTheme(theme, { colors: overrides = {}, lightTheme, darkTheme } = {}, derive) {
+  const palette = (name) => {
+    const colors = getTheme(name, overrides);
+    return derive ? { ...colors, ...derive(colors, name) } : colors;
+  };
+
+  if (theme !== AUTO_THEME) {
+    return { colors: palette(theme), css: '' };
+  }
+
+  const light = palette(lightTheme || AUTO_LIGHT_THEME);
+  const dark = palette(darkTheme || AUTO_DARK_THEME);
+  const declarations = (colors) => Object.entries(colors)
+    .map(([key, color]) => `${VARIABLE_PREFIX}${key}: ${color};`)
+    .join(' ');
+
+  return {
+    colors: Object.fromEntries(Object.keys(light).map((key) => [key, `var(${VARIABLE_PREFIX}${key})`])),
+    css: `svg { ${declarations(light)} }
+    @media (prefers-color-scheme: dark) { svg { ${declarations(dark)} } }`,
+  };
+}
+
+/**
+ * Replace the theme variables of an adaptive SVG with their light mode values
+ * and drop the variable definitions, for renderers without CSS custom property
+ * or media query support (the PNG rasterizer)
+ * @param {string} svg - SVG markup
+ * @returns {string} SVG markup with literal colours
+ */
+export function inlineThemeVariables(svg) {
+  const match = svg.match(new RegExp(`svg \\{ (${VARIABLE_PREFIX}[^}]*)\\}`));
+  if (!match) return svg;
+
+  const values = new Map(
+    [...match[1].matchAll(new RegExp(`${VARIABLE_PREFIX}([\\w-]+): ([^;]+);`, 'g'))].map(([, key, value]) => [key, value])
+  );
+  return svg
+    .replace(new RegExp(`@media \\(prefers-color-scheme: dark\\) \\{ svg \\{ ${VARIABLE_PREFIX}[^}]*\\} \\}`, 'g'), '')
+    .replace(new RegExp(`svg \\{ ${VARIABLE_PREFIX}[^}]*\\}`, 'g'), '')
+    .replace(
+      new RegExp(`var\\(${VARIABLE_PREFIX}([\\w-]+)\\)`, 'g'),
+      (reference, key) => values.get(key) ?? reference
+    );
+}
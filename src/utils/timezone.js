@@ -0,0 +1,135 @@
+/**
+ * Time zones of date-based widgets
+ *
+ * GitHub counts contributions per calendar day, and the widgets used to take
+ * "today" and query windows in UTC, so a streak could break or start a day
+ * early for anyone far from UTC. With `timezone=<IANA zone>` the current day
+ * and the day boundaries sent to GitHub follow the given zone instead.
+ */
+
+import { ValidationError } from './errors.js';
+
+export const DEFAULT_TIMEZONE = 'UTC';
+
+// IANA zone names known to Intl (UTC is an alias that is not listed)
+const TIMEZONES = new Set([DEFAULT_TIMEZONE, ...Intl.supportedValuesOf('timeZone')]);
+
+// Year, month, day and time of an instant in a zone, by zone
+const partFormats = new Map();
+
+/**
+ * Check a timezone parameter against the IANA zones known to Intl and return
+ * the name Intl resolves it to. Names are matched case-insensitively and
+ * aliases (e.g. US/Pacific) are accepted, so spellings of one zone share a
+ * single name in cache keys.
+ * @param {string} timeZone - IANA zone name
+ * @returns {string} Canonical zone name (e.g. "utc" -> "UTC")
+ * @throws {ValidationError} If the zone is unknown
+ */
+export function resolveTimeZone(timeZone) {
+  let resolved;
+  try {
+    resolved = new Intl.DateTimeFormat('en-US', { timeZone }).resolvedOptions().timeZone;
+  } catch {
+    resolved = null;
+  }
+  if (!TIMEZONES.has(resolved)) {
+    throw new ValidationError(`Unknown time zone "${timeZone}" (expected an IANA name, e.g. America/Los_Angeles)`);
+  }
+  return resolved;
+}
+
+/**
+ * Query parameter selecting the zone of "today" and of the day boundaries,
+ * declared by every widget that counts contributions per day
+ * @type {import('./schema.js').ParamSchema}
+ */
+export const TIMEZONE_PARAM = {
+  key: 'timezone',
+  type: 'string',
+  label: 'Time Zone',
+  default: DEFAULT_TIMEZONE,
+  maxLength: 64,
+  normalize: resolveTimeZone,
+  placeholder: 'America/Los_Angeles',
+  description: 'IANA time zone of the contribution days (e.g. America/Los_Angeles)',
+};
+
+/**
+ * Split an instant into its wall-clock fields in a zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA zone name
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}} Wall-clock fields
+ */
+function wallClock(date, timeZone) {
+  if (!partFormats.has(timeZone)) {
+    partFormats.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    }));
+  }
+  const fields = {};
+  for (const { type, value } of partFormats.get(timeZone).formatToParts(date)) {
+    if (type !== 'literal') fields[type] = Number(value);
+  }
+  return fields;
+}
+
+/**
+ * Offset of a zone from UTC at an instant, in minutes
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA zone name
+ * @returns {number} Minutes ahead of UTC (negative west of Greenwich)
+ */
+function offsetMinutes(date, timeZone) {
+  const { year, month, day, hour, minute, second } = wallClock(date, timeZone);
+  const asUTC = Date.UTC(year, month - 1, day, hour, minute, second);
+  return Math.round((asUTC - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Format a UTC offset for an ISO 8601 date-time
+ * @param {number} minutes - Minutes ahead of UTC
+ * @returns {string} "Z" for UTC, otherwise e.g. "-08:00"
+ */
+function formatOffset(minutes) {
+  if (minutes === 0) return 'Z';
+  const abs = Math.abs(minutes);
+  const hh = String(Math.floor(abs / 60)).padStart(2, '0');
+  const mm = String(abs % 60).padStart(2, '0');
+  return `${minutes < 0 ? '-' : '+'}${hh}:${mm}`;
+}
+
+/**
+ * Get the calendar day of an instant in a zone
+ * @param {Date} [date=new Date()] - Instant
+ * @param {string} [timeZone=DEFAULT_TIMEZONE] - IANA zone name
+ * @returns {string} Date as YYYY-MM-DD
+ */
+export function dateInTimeZone(date = new Date(), timeZone = DEFAULT_TIMEZONE) {
+  const { year, month, day } = wallClock(date, timeZone);
+  return `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Build an ISO 8601 date-time for a wall-clock time in a zone, with the
+ * zone's offset at that time (so GitHub day boundaries follow the zone)
+ * @param {string} dateStr - Date as YYYY-MM-DD
+ * @param {string} time - Wall-clock time as HH:MM:SS, optionally with milliseconds
+ * @param {string} [timeZone=DEFAULT_TIMEZONE] - IANA zone name
+ * @returns {string} Date-time, e.g. "2024-01-01T00:00:00-08:00"
+ */
+export function zonedDateTime(dateStr, time, timeZone = DEFAULT_TIMEZONE) {
+  // Read the wall-clock time as UTC, then correct it by the zone's offset;
+  // the second pass settles times next to a daylight saving change
+  const wall = new Date(`${dateStr}T${time}Z`);
+  let offset = offsetMinutes(wall, timeZone);
+  offset = offsetMinutes(new Date(wall.getTime() - offset * 60000), timeZone);
+  return `${dateStr}T${time}${formatOffset(offset)}`;
+}
@@ -1,12 +1,14 @@
+import { ValidationError } from './errors.js';
+
 /**
  * Validate GitHub username format
  * @param {string} username - GitHub username to validate
  * @returns {boolean} True if valid
- * @throws {Error} If username is invalid
+ * @throws {ValidationError} If username is invalid
  */
 export function validateUsername(username) {
   if (!username || typeof username !== 'string') {
-    throw new Error('Username is required');
+    throw new ValidationError('Username is required');
   }
 
   // GitHub username rules:
@@ -17,7 +19,7 @@ export function validateUsername(username) {
   const usernameRegex = /^[a-zA-Z0-9]([a-zA-Z0-9-]{0,37}[a-zA-Z0-9])?$/;
 
   if (!usernameRegex.test(username)) {
-    throw new Error('Invalid GitHub username format');
+    throw new ValidationError('Invalid GitHub username format');
   }
 
   return true;
@@ -26,17 +28,19 @@ export function validateUsername(username) {
 /**
  * Parse and validate date range string
  * @param {string} rangeString - Date range in format YYYY-MM-DD:YYYY-MM-DD
+ * @param {Object} [options] - Options
+ * @param {number} [options.maxDays=365] - Longest allowed range in days (Infinity for no limit)
  * @returns {{startDate: Date, endDate: Date, startDateStr: string, endDateStr: string}} Parsed dates
- * @throws {Error} If range format is invalid
+ * @throws {ValidationError} If range format is invalid
  */
-export function validateDateRange(rangeString) {
+export function validateDateRange(rangeString, { maxDays = 365 } = {}) {
   if (!rangeString || typeof rangeString !== 'string') {
-    throw new Error('Date range is required');
+    throw new ValidationError('Date range is required');
   }
 
   const parts = rangeString.split(':');
   if (parts.length !== 2) {
-    throw new Error('Date range must be in format YYYY-MM-DD:YYYY-MM-DD');
+    throw new ValidationError('Date range must be in format YYYY-MM-DD:YYYY-MM-DD');
   }
 
   const [startStr, endStr] = parts;
@@ -44,7 +48,7 @@ export function validateDateRange(rangeString) {
   // Validate date format (YYYY-MM-DD)
   const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
   if (!dateRegex.test(startStr) || !dateRegex.test(endStr)) {
-    throw new Error('Dates must be in format YYYY-MM-DD');
+    throw new ValidationError('Dates must be in format YYYY-MM-DD');
   }
 
   // Parse dates
@@ -53,18 +57,18 @@ export function validateDateRange(rangeString) {
 
   // Check if dates are valid
   if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
-    throw new Error('Invalid date in range');
+    throw new ValidationError('Invalid date in range');
   }
 
   // Check if start is before end
   if (startDate.getTime() > endDate.getTime()) {
-    throw new Error('Start date must be before end date');
+    throw new ValidationError('Start date must be before end date');
   }
 
-  // Check if range is within 365 days
+  // Check if range is within the allowed number of days
   const daysDiff = Math.floor((endDate.getTime() - startDate.getTime()) / (1000 * 60 * 60 * 24));
-  if (daysDiff > 365) {
-    throw new Error('Date range cannot exceed 365 days');
+  if (daysDiff > maxDays) {
+    throw new ValidationError(`Date range cannot exceed ${maxDays} days`);
   }
 
   return {
@@ -92,13 +96,19 @@ export function parseQueryParams(queryString) {
   return params;
 }
 
+// Accepted boolean spellings; an empty value (e.g. ?showLogo) counts as true
+export const TRUE_VALUES = ['true', '1', ''];
+export const FALSE_VALUES = ['false', '0'];
+
 /**
- * Parse boolean parameter from query string
+ * Parse boolean parameter from query string, with the spellings accepted by
+ * validateParams
  * @param {string|undefined} value - Query parameter value
- * @param {boolean} defaultValue - Default value if parameter is not provided
+ * @param {boolean} defaultValue - Default value if parameter is not provided or not a boolean
  * @returns {boolean} Parsed boolean value
  */
 export function parseBoolean(value, defaultValue = true) {
-  if (value === undefined) return defaultValue;
-  return value !== 'false';
+  if (TRUE_VALUES.includes(value)) return true;
+  if (FALSE_VALUES.includes(value)) return false;
+  return defaultValue;
 }
\ No newline at end of file
@@ -0,0 +1,268 @@
+/*
+generateContributionCalendarSVG.js
+GitHub Contribution Calendar (heatmap) SVG Generator Module
+Requires GITHUB_TOKEN env var.
+*/
+
+import { resolveTheme } from '../../utils/themes.js';
+import { resolveBackground } from '../../utils/background.js';
+import { resolveLocale } from '../../utils/i18n.js';
+import { stampSvg } from '../../utils/svgTimestamp.js';
+import { ValidationError } from '../../utils/errors.js';
+import { mixColors } from '../../utils/contrast.js';
+import { DEFAULT_TIMEZONE, dateInTimeZone } from '../../utils/timezone.js';
+import { getActivityData } from '../github_timeseries/generateActivitySVG.js';
+
+// Helper function to escape XML special characters
+function escapeXML(s) {
+  return String(s || '')
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;');
+}
+
+// Add days to a date string (YYYY-MM-DD)
+function addDays(dateStr, n) {
+  const d = new Date(dateStr + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().split('T')[0];
+}
+
+// Day of the week of a date string (YYYY-MM-DD), 0 = Sunday
+function weekday(dateStr) {
+  return new Date(dateStr + 'T00:00:00Z').getUTCDay();
+}
+
+// Intensity levels drawn for a non-empty day when buckets are not configured
+export const DEFAULT_BUCKETS = 4;
+const MAX_BUCKETS = 8;
+
+/**
+ * Parse the buckets parameter: a number of intensity levels (2-8), split
+ * evenly up to the busiest day, or ascending comma-separated thresholds,
+ * the minimum contribution count of each level (e.g. "1,5,10,20")
+ * @param {string|number} value - Parameter value
+ * @returns {{levels: number, thresholds: ?number[]}} Level count and explicit thresholds, if any
+ * @throws {ValidationError} If the value is neither a level count nor ascending positive thresholds
+ */
+export function parseBuckets(value) {
+  const text = String(value ?? DEFAULT_BUCKETS).trim();
+
+  if (!text.includes(',')) {
+    const levels = Number(text);
+    if (!Number.isInteger(levels) || levels < 2 || levels > MAX_BUCKETS) {
+      throw new ValidationError(`buckets must be a level count (2-${MAX_BUCKETS}) or comma-separated thresholds (e.g. 1,5,10,20)`);
+    }
+    return { levels, thresholds: null };
+  }
+
+  const thresholds = text.split(',').map((part) => Number(part.trim()));
+  if (thresholds.length > MAX_BUCKETS || thresholds.some((n) => !Number.isInteger(n) || n < 1)) {
+    throw new ValidationError(`buckets thresholds must be up to ${MAX_BUCKETS} positive whole numbers`);
+  }
+  if (thresholds.some((n, i) => i > 0 && n <= thresholds[i - 1])) {
+    throw new ValidationError('buckets thresholds must be in ascending order');
+  }
+  return { levels: thresholds.length, thresholds };
+}
+
+/**
+ * Get the data model rendered by the contribution calendar widget
+ * @param {string} username - GitHub username
+ * @param {Object} [opts={}] - Options
+ * @param {number} [opts.year] - Calendar year to draw
+ * @param {string} [opts.range] - Date range (YYYY-MM-DD:YYYY-MM-DD, up to one year); defaults to the last year. Years and ranges end today at the latest.
+ * @param {string} [opts.timezone='UTC'] - IANA zone of the contribution days
+ * @param {boolean} [opts.noCache=false] - Refetch instead of using the data cache
+ * @returns {Promise<Object>} Username, name, date range, total contributions and days (`[{ date, count }]`)
+ */
+export async function getContributionCalendarData(username, opts = {}) {
+  let range = opts.year ? `${opts.year}-01-01:${opts.year}-12-31` : opts.range;
+  if (range) {
+    // Days after today (in the requested zone) cannot have contributions, so
+    // the calendar stops at today instead of drawing empty future cells
+    const today = dateInTimeZone(new Date(), opts.timezone || DEFAULT_TIMEZONE);
+    const [start, end] = range.split(':');
+    if (start > today) {
+      throw new ValidationError('range cannot start in the future');
+    }
+    range = `${start}:${end < today ? end : today}`;
+  }
+  const { username: login, name, startDate, endDate, totals, days } = await getActivityData(username, { ...opts, range });
+
+  return {
+    username: login,
+    name,
+    startDate,
+    endDate,
+    totalContributions: totals.total,
+    days: days.filter((day) => day.date >= startDate && day.date <= endDate),
+  };
+}
+
+/**
+ * Render a contribution calendar data model: one column per week (Sunday to
+ * Saturday) and one cell per day, shaded by contribution level
+ * @param {Object} data - Data model (see getContributionCalendarData)
+ * @param {Object} [opts={}] - Options
+ * @param {string|number} [opts.buckets=4] - Intensity levels or thresholds (see parseBuckets)
+ * @param {boolean} [opts.animate=true] - Fade the weeks in from left to right
+ * @param {string} [opts.locale='en'] - Label language and date format
+ * @param {string} theme - Theme name, or 'auto'
+ * @returns {string} SVG string
+ */
+export function generateContributionCalendarSVGFromData(data, opts = {}, theme = 'radical') {
+  const { levels, thresholds } = parseBuckets(opts.buckets);
+  // Level colours run from accentB to accentA, like the timeseries line
+  const { colors, css: themeCSS } = resolveTheme(theme, opts, (palette) => Object.fromEntries(
+    Array.from({ length: levels }, (_, i) => [`level${i + 1}`, mixColors(palette.accentB, palette.accentA, levels === 1 ? 1 : i / (levels - 1))])
+  ));
+  const background = resolveBackground(opts.background, colors);
+  const { t, formatNumber, formatDate, formatMonth, formatWeekday, bidi, anchor, mirrorX } = resolveLocale(opts.locale);
+  const animate = opts.animate !== false;
+
+  // Grid geometry
+  const cellSize = 11;
+  const cellGap = 3;
+  const pitch = cellSize + cellGap;
+  const padding = 20;
+  const labelFontSize = 9;
+  // Wide enough for the title and date range of a short range
+  const minWidth = 440;
+
+  // Approximate width of a label, for laying out the label column and legend
+  const labelWidth = (text) => Math.ceil(text.length * labelFontSize * 0.6);
+
+  // Columns start on the Sunday on or before the first day
+  const counts = new Map(data.days.map((day) => [day.date, day.count]));
+  const gridStart = addDays(data.startDate, -weekday(data.startDate));
+  const weekCount = Math.floor((Date.parse(data.endDate) - Date.parse(gridStart)) / (7 * 86400000)) + 1;
+
+  // Weekday labels on Monday, Wednesday and Friday rows
+  const dayLabels = [1, 3, 5].map((row) => ({ row, label: formatWeekday(addDays(gridStart, row)) }));
+  const dayLabelWidth = Math.max(...dayLabels.map(({ label }) => labelWidth(label))) + 6;
+
+  const gridX = padding + dayLabelWidth;
+  const gridY = padding + 44;
+  const gridWidth = weekCount * pitch - cellGap;
+  const gridHeight = 7 * pitch - cellGap;
+  const width = Math.max(minWidth, gridX + gridWidth + padding);
+  const height = gridY + gridHeight + 40;
+
+  // Contribution level of a day: thresholds are level minimums, otherwise
+  // levels split the range up to the busiest day evenly
+  const maxCount = Math.max(1, ...data.days.map((day) => day.count));
+  const levelOf = (count) => {
+    if (!count) return 0;
+    if (thresholds) return thresholds.filter((threshold) => count >= threshold).length;
+    return Math.min(levels, Math.ceil((count / maxCount) * levels));
+  };
+  // Level 1 is faint and the top level is the full accentA colour
+  const levelStyles = Array.from({ length: levels }, (_, i) => {
+    const opacity = levels === 1 ? 1 : 0.4 + (0.6 * i) / (levels - 1);
+    return `.level-${i + 1} { fill: ${colors[`level${i + 1}`]}; fill-opacity: ${Number(opacity.toFixed(2))}; }`;
+  }).join('\n    ');
+
+  // Cells, grouped per week so the weeks can fade in one after another
+  const weeks = [];
+  for (let week = 0; week < weekCount; week++) {
+    const cells = [];
+    for (let row = 0; row < 7; row++) {
+      const date = addDays(gridStart, week * 7 + row);
+      if (date < data.startDate || date > data.endDate) continue;
+      cells.push(`<rect x="${gridX + week * pitch}" y="${gridY + row * pitch}" width="${cellSize}" height="${cellSize}" rx="2" class="level-${levelOf(counts.get(date))}"/>`);
+    }
+    weeks.push(`<g class="week week-${week}">${cells.join('')}</g>`);
+  }
+
+  // Month labels above the first week starting in each month, skipping a
+  // label that would collide with the next one
+  const monthLabels = [];
+  for (let week = 0; week < weekCount; week++) {
+    const first = week === 0 ? data.startDate : addDays(gridStart, week * 7);
+    if (week > 0 && first.slice(0, 7) === addDays(first, -7).slice(0, 7)) continue;
+    monthLabels.push({ week, label: formatMonth(first) });
+  }
+  const visibleMonths = monthLabels.filter((month, i) => !monthLabels[i + 1] || monthLabels[i + 1].week - month.week >= 3);
+
+  // Animation timing: the weeks fade in over `duration` seconds
+  const duration = 1.2;
+  const weekDelays = animate
+    ? Array.from({ length: weekCount }, (_, week) => `.week-${week} { animation-delay: ${((week / weekCount) * duration).toFixed(2)}s; }`).join('\n    ')
+    : '';
+
+  const title = `${formatNumber(data.totalContributions)} ${t('contributions')}`;
+  const subtitle = `${formatDate(data.startDate)} – ${formatDate(data.endDate)}`;
+
+  // Legend: Less [levels] More, ending at the right edge of the card content
+  const legendY = gridY + gridHeight + 14;
+  const legendEnd = width - padding;
+  const legendCellsX = legendEnd - labelWidth(t('more')) - 6 - (levels + 1) * pitch + cellGap;
+  const legendCells = Array.from({ length: levels + 1 }, (_, level) =>
+    `<rect x="${legendCellsX + level * pitch}" y="${legendY}" width="${cellSize}" height="${cellSize}" rx="2" class="level-${level}"/>`
+  ).join('');
+
+  const svg = `
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeXML(`${title} – @${data.username}`)}">
+  <!-- Created By GitHub Widgets - Authored by cyrus2281 -->
+  <!-- Github: https://github.com/cyrus2281/github-widgets -->
+  <defs>
+    ${background.defs}
+  </defs>
+
+  <style>
+    ${themeCSS}
+    @keyframes fadeIn {
+      from { opacity: 0; }
+      to { opacity: 1; }
+    }
+
+    .font {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Helvetica, Arial, sans-serif;
+    }
+    .title { fill: ${colors.title}; font-size: 16px; font-weight: 700; }
+    .subtitle { fill: ${colors.subtext}; font-size: 11px; }
+    .label { fill: ${colors.subtext}; font-size: ${labelFontSize}px; }
+
+    .level-0 { fill: ${colors.border}; }
+    ${levelStyles}
+    ${animate ? `.week { opacity: 0; animation: fadeIn 0.4s ease-out forwards; }
+    ${weekDelays}` : ''}
+  </style>
+
+  <!-- Background -->
+  <rect x="0" y="0" width="${width}" height="${height}" style="fill: ${background.fill}" rx="16"/>
+  ${background.overlay({ width, height, rx: 16 })}
+
+  <!-- Title (mirrored for right-to-left locales; the grid keeps time running left to right) -->
+  <text x="${mirrorX(padding, width)}" y="${padding + 14}" text-anchor="${anchor('start')}" class="font title">${escapeXML(bidi(title))}</text>
+  <text x="${mirrorX(width - padding, width)}" y="${padding + 14}" text-anchor="${anchor('end')}" class="font subtitle">${escapeXML(bidi(subtitle))}</text>
+
+  <!-- Month and weekday labels -->
+  ${visibleMonths.map(({ week, label }) => `<text x="${gridX + week * pitch}" y="${gridY - 6}" class="font label">${escapeXML(label)}</text>`).join('\n  ')}
+  ${dayLabels.map(({ row, label }) => `<text x="${gridX - 6}" y="${gridY + row * pitch + cellSize - 2}" text-anchor="end" class="font label">${escapeXML(label)}</text>`).join('\n  ')}
+
+  <!-- Calendar -->
+  ${weeks.join('\n  ')}
+
+  <!-- Legend -->
+  <text x="${legendCellsX - 6}" y="${legendY + cellSize - 2}" text-anchor="end" class="font label">${escapeXML(bidi(t('less')))}</text>
+  ${legendCells}
+  <text x="${legendEnd}" y="${legendY + cellSize - 2}" text-anchor="end" class="font label">${escapeXML(bidi(t('more')))}</text>
+</svg>`.trim();
+
+  return stampSvg(svg);
+}
+
+/**
+ * Generate the contribution calendar SVG for a user
+ * @param {string} username - GitHub username
+ * @param {Object} [opts={}] - Data options (see getContributionCalendarData) and rendering options (see generateContributionCalendarSVGFromData)
+ * @param {string} theme - Theme name, or 'auto'
+ * @returns {Promise<string>} SVG string
+ */
+export async function generateContributionCalendarSVG(username, opts = {}, theme = 'radical') {
+  const data = await getContributionCalendarData(username, opts);
+  return generateContributionCalendarSVGFromData(data, opts, theme);
+}
@@ -4,16 +4,15 @@ GitHub Contribution Streak SVG Generator Module
 Requires GITHUB_TOKEN env var.
 */
 
-import { THEMES } from '../../utils/themes.js';
+import { resolveTheme } from '../../utils/themes.js';
+import { resolveBackground } from '../../utils/background.js';
+import { resolveLocale } from '../../utils/i18n.js';
+import { DEFAULT_TIMEZONE, dateInTimeZone, zonedDateTime } from '../../utils/timezone.js';
+import { stopColorCycle } from '../../utils/colorCycle.js';
 import { stampSvg } from '../../utils/svgTimestamp.js';
-
-const GITHUB_API = 'https://api.github.com/graphql';
-
-// Helper function to format numbers with comma separators
-function formatNumber(num) {
-  if (num === null || num === undefined) return '0';
-  return num.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',');
-}
+import { runGraphQL } from '../../utils/github.js';
+import { ConfigurationError, NotFoundError, ValidationError, WidgetError } from '../../utils/errors.js';
+import { generateCacheKey, getCachedData } from '../../utils/cache.js';
 
 // Helper function to escape XML special characters
 function escapeXML(s) {
@@ -24,29 +23,6 @@ function escapeXML(s) {
     .replaceAll('"', '&quot;');
 }
 
-// GraphQL query runner
-async function runGraphQL(query, variables, token) {
-  const res = await fetch(GITHUB_API, {
-    method: 'POST',
-    headers: {
-      Authorization: `bearer ${token}`,
-      'Content-Type': 'application/json',
-      Accept: 'application/json',
-    },
-    body: JSON.stringify({ query, variables }),
-  });
-
-  if (!res.ok) {
-    const text = await res.text();
-    throw new Error(`GitHub API HTTP ${res.status}: ${text}`);
-  }
-  const json = await res.json();
-  if (json.errors) {
-    throw new Error('GitHub GraphQL error: ' + JSON.stringify(json.errors));
-  }
-  return json.data;
-}
-
 // Fetch user basic info and contribution years
 async function fetchUserInfo(username, token) {
   const query = `
@@ -63,15 +39,15 @@ async function fetchUserInfo(username, token) {
 
   const data = await runGraphQL(query, { username }, token);
   if (!data || !data.user) {
-    throw new Error(`User "${username}" not found`);
+    throw new NotFoundError(`User "${username}" not found`);
   }
   return data.user;
 }
 
-// Fetch contribution calendar for a given year
-async function fetchContributionCalendar(username, token, year) {
-  const fromDate = `${year}-01-01T00:00:00Z`;
-  const toDate = `${year}-12-31T23:59:59Z`;
+// Fetch contribution calendar for a given year, with days starting at midnight in timeZone
+async function fetchContributionCalendar(username, token, year, timeZone) {
+  const fromDate = zonedDateTime(`${year}-01-01`, '00:00:00', timeZone);
+  const toDate = zonedDateTime(`${year}-12-31`, '23:59:59', timeZone);
 
   const query = `
     query($login: String!, $from: DateTime!, $to: DateTime!) {
@@ -107,13 +83,17 @@ async function fetchContributionCalendar(username, token, year) {
   return { totalContributions: calendar.totalContributions, days };
 }
 
-// Fetch all contribution data across all years
-async function fetchAllContributions(username, token, contributionYears) {
+// Fetch all contribution data across all years (each calendar year is cached separately)
+async function fetchAllContributions(username, token, contributionYears, timeZone, cacheOptions) {
   let totalContributions = 0;
   const allDays = [];
 
   for (const year of contributionYears) {
-    const result = await fetchContributionCalendar(username, token, year);
+    const result = await getCachedData(
+      generateCacheKey('data:contribution-calendar', username.toLowerCase(), year, timeZone),
+      () => fetchContributionCalendar(username, token, year, timeZone),
+      cacheOptions
+    );
     totalContributions += result.totalContributions;
     allDays.push(...result.days);
   }
@@ -131,8 +111,116 @@ function addDays(dateStr, n) {
   return d.toISOString().split('T')[0];
 }
 
-// Calculate streak data from sorted contribution days
-function calculateStreaks(allDays, today) {
+// Day of the week of a date string (YYYY-MM-DD), 0 = Sunday
+function weekday(dateStr) {
+  return new Date(dateStr + 'T00:00:00Z').getUTCDay();
+}
+
+// Weekday names accepted by excludeDays, indexed like Date#getUTCDay
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Parse the excludeDays parameter: comma separated weekdays (full or
+ * three-letter English names, or "weekends") and dates (YYYY-MM-DD)
+ * @param {string} value - Parameter value, e.g. "sat,sun,2024-12-25"
+ * @returns {{weekdays: Set<number>, dates: Set<string>}} Excluded weekdays (0 = Sunday) and dates
+ * @throws {ValidationError} If an entry is neither a weekday nor a date, or every weekday is excluded
+ */
+export function parseExcludeDays(value) {
+  const weekdays = new Set();
+  const dates = new Set();
+
+  for (const entry of String(value || '').split(',')) {
+    const token = entry.trim().toLowerCase();
+    if (!token) continue;
+
+    if (token === 'weekends' || token === 'weekend') {
+      weekdays.add(0).add(6);
+    } else if (/^\d{4}-\d{2}-\d{2}$/.test(token)) {
+      const date = new Date(token + 'T00:00:00Z');
+      if (Number.isNaN(date.getTime()) || date.toISOString().split('T')[0] !== token) {
+        throw new ValidationError(`Invalid date "${entry.trim()}" in excludeDays`);
+      }
+      dates.add(token);
+    } else {
+      const day = WEEKDAYS.findIndex((name) => name === token || name.slice(0, 3) === token);
+      if (day === -1) {
+        throw new ValidationError(`excludeDays entries must be weekdays (e.g. sat, sun, weekends) or dates (YYYY-MM-DD), got "${entry.trim()}"`);
+      }
+      weekdays.add(day);
+    }
+  }
+
+  if (weekdays.size === WEEKDAYS.length) {
+    throw new ValidationError('excludeDays cannot exclude every day of the week');
+  }
+  return { weekdays, dates };
+}
+
+/**
+ * Find the current and longest runs of consecutive periods (days or weeks)
+ * that meet the contribution threshold. Skipped periods neither extend nor
+ * break a run.
+ * @param {string[]} periods - Period start dates (YYYY-MM-DD), oldest first, ending with the current period
+ * @param {Function} status - (period) => 'hit' (extends a run), 'skip' or 'miss' (breaks a run)
+ * @returns {{current: number, currentStart: ?string, currentEnd: ?string, longest: number, longestStart: ?string, longestEnd: ?string}} Runs by period start date
+ */
+export function findRuns(periods, status) {
+  // Current run: count backwards from the current period, which is still in
+  // progress, so it only ends the run once it is over
+  let current = 0;
+  let currentStart = null;
+  let currentEnd = null;
+
+  let i = periods.length - 1;
+  if (i >= 0 && status(periods[i]) !== 'hit') i--;
+  for (; i >= 0; i--) {
+    const result = status(periods[i]);
+    if (result === 'miss') break;
+    if (result === 'hit') {
+      current++;
+      currentStart = periods[i];
+      if (currentEnd === null) currentEnd = periods[i];
+    }
+  }
+
+  // Longest run: scan forward through all periods
+  let longest = 0;
+  let longestStart = null;
+  let longestEnd = null;
+
+  let run = 0;
+  let runStart = null;
+  for (const period of periods) {
+    const result = status(period);
+    if (result === 'hit') {
+      run++;
+      if (runStart === null) runStart = period;
+      if (run > longest) {
+        longest = run;
+        longestStart = runStart;
+        longestEnd = period;
+      }
+    } else if (result === 'miss') {
+      run = 0;
+      runStart = null;
+    }
+  }
+
+  return { current, currentStart, currentEnd, longest, longestStart, longestEnd };
+}
+
+/**
+ * Calculate streak data from sorted contribution days
+ * @param {Array<{date: string, count: number}>} allDays - Contribution days, oldest first
+ * @param {string} today - Current date (YYYY-MM-DD)
+ * @param {Object} [opts={}] - Streak rules
+ * @param {'daily'|'weekly'} [opts.mode='daily'] - Count consecutive days, or consecutive weeks (Sunday to Saturday)
+ * @param {number} [opts.minContributions=1] - Contributions a day or week needs to extend a streak
+ * @param {{weekdays: Set<number>, dates: Set<string>}} [opts.excludeDays] - Days that only extend a daily streak when they have contributions (see parseExcludeDays)
+ * @returns {Object} Current and longest streak lengths with their first and last dates
+ */
+export function calculateStreaks(allDays, today, opts = {}) {
   if (!allDays.length) {
     return {
       currentStreak: 0,
@@ -144,97 +232,130 @@ function calculateStreaks(allDays, today) {
     };
   }
 
+  const { mode = 'daily', minContributions = 1, excludeDays } = opts;
+
   // Build lookup map
   const dayMap = new Map();
   for (const day of allDays) {
     dayMap.set(day.date, day.count);
   }
 
-  // Current streak: count backwards from today
-  let currentStreak = 0;
-  let currentStreakStart = null;
-  let currentStreakEnd = null;
-
-  let checkDate = today;
-  // If today has 0 contributions, start from yesterday
-  if (!dayMap.get(today) || dayMap.get(today) === 0) {
-    checkDate = addDays(today, -1);
-  }
+  if (mode === 'weekly') {
+    // Sum contributions per week, keyed by the week's Sunday
+    const weekOf = (date) => addDays(date, -weekday(date));
+    const weekTotals = new Map();
+    for (const [date, count] of dayMap) {
+      const week = weekOf(date);
+      weekTotals.set(week, (weekTotals.get(week) || 0) + count);
+    }
 
-  while ((dayMap.get(checkDate) || 0) > 0) {
-    currentStreak++;
-    currentStreakStart = checkDate;
-    if (currentStreakEnd === null) {
-      currentStreakEnd = checkDate;
+    const weeks = [];
+    for (let week = weekOf(allDays[0].date); week <= today; week = addDays(week, 7)) {
+      weeks.push(week);
     }
-    checkDate = addDays(checkDate, -1);
+
+    const runs = findRuns(weeks, (week) => ((weekTotals.get(week) || 0) >= minContributions ? 'hit' : 'miss'));
+    // Streaks end on the last day of their last week, or today for the current week
+    const weekEnd = (week) => (week === null ? null : [addDays(week, 6), today].sort()[0]);
+    return {
+      currentStreak: runs.current,
+      currentStreakStart: runs.currentStart,
+      currentStreakEnd: weekEnd(runs.currentEnd),
+      longestStreak: runs.longest,
+      longestStreakStart: runs.longestStart,
+      longestStreakEnd: weekEnd(runs.longestEnd),
+    };
   }
 
-  // Longest streak: scan forward through all calendar days
-  const firstDate = allDays[0].date;
-  let longestStreak = 0;
-  let longestStreakStart = null;
-  let longestStreakEnd = null;
-
-  let tempStreak = 0;
-  let tempStreakStart = null;
-
-  let scanDate = firstDate;
-  while (scanDate <= today) {
-    const count = dayMap.get(scanDate) || 0;
-    if (count > 0) {
-      tempStreak++;
-      if (tempStreakStart === null) {
-        tempStreakStart = scanDate;
-      }
-      if (tempStreak > longestStreak) {
-        longestStreak = tempStreak;
-        longestStreakStart = tempStreakStart;
-        longestStreakEnd = scanDate;
-      }
-    } else {
-      tempStreak = 0;
-      tempStreakStart = null;
-    }
-    scanDate = addDays(scanDate, 1);
+  const days = [];
+  for (let date = allDays[0].date; date <= today; date = addDays(date, 1)) {
+    days.push(date);
   }
 
+  const isExcluded = (date) => Boolean(excludeDays && (excludeDays.weekdays.has(weekday(date)) || excludeDays.dates.has(date)));
+  const runs = findRuns(days, (date) => {
+    if ((dayMap.get(date) || 0) >= minContributions) return 'hit';
+    return isExcluded(date) ? 'skip' : 'miss';
+  });
   return {
-    currentStreak,
-    currentStreakStart,
-    currentStreakEnd,
-    longestStreak,
-    longestStreakStart,
-    longestStreakEnd,
+    currentStreak: runs.current,
+    currentStreakStart: runs.currentStart,
+    currentStreakEnd: runs.currentEnd,
+    longestStreak: runs.longest,
+    longestStreakStart: runs.longestStart,
+    longestStreakEnd: runs.longestEnd,
   };
 }
 
-// Format date as "Mon DD, YYYY"
-function formatDate(dateStr) {
-  const d = new Date(dateStr + 'T00:00:00Z');
-  const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-  return `${months[d.getUTCMonth()]} ${d.getUTCDate()}, ${d.getUTCFullYear()}`;
-}
+/**
+ * Get the data model rendered by the contribution streak widget
+ * @param {string} username - GitHub username
+ * @param {Object} [opts={}] - Options
+ * @param {string} [opts.timezone='UTC'] - IANA zone of "today" and of the contribution days
+ * @param {'daily'|'weekly'} [opts.mode='daily'] - Streak of consecutive days or weeks
+ * @param {number} [opts.minContributions=1] - Contributions a day or week needs to extend a streak
+ * @param {string} [opts.excludeDays] - Days that do not break a daily streak (see parseExcludeDays)
+ * @param {boolean} [opts.noCache=false] - Refetch instead of using the data cache
+ * @returns {Promise<Object>} Total contributions plus current and longest streaks (dates as YYYY-MM-DD)
+ */
+export async function getContributionStreakData(username, opts = {}) {
+  const token = process.env.GITHUB_TOKEN;
+  if (!token) {
+    throw new ConfigurationError('GITHUB_TOKEN environment variable is required');
+  }
+  if (!username) {
+    throw new ValidationError('Username is required');
+  }
 
-// Format date as "Mon DD" (short, no year)
-function formatShortDate(dateStr) {
-  const d = new Date(dateStr + 'T00:00:00Z');
-  const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-  return `${months[d.getUTCMonth()]} ${d.getUTCDate()}`;
+  // Fetch user data
+  const cacheOptions = { noCache: opts.noCache };
+  const userData = await getCachedData(
+    generateCacheKey('data:user-info', username.toLowerCase()),
+    () => fetchUserInfo(username, token),
+    cacheOptions
+  );
+  const contributionYears = userData.contributionsCollection.contributionYears || [];
+
+  if (!contributionYears.length) {
+    throw new NotFoundError('No contribution data found');
+  }
+
+  // Fetch all contribution data
+  const timeZone = opts.timezone || DEFAULT_TIMEZONE;
+  const { totalContributions, allDays } = await fetchAllContributions(username, token, contributionYears, timeZone, cacheOptions);
+
+  // Calculate streaks
+  const today = dateInTimeZone(new Date(), timeZone);
+  const mode = opts.mode || 'daily';
+
+  return {
+    username: userData.login,
+    createdAt: dateInTimeZone(new Date(userData.createdAt), timeZone),
+    today,
+    mode,
+    totalContributions,
+    ...calculateStreaks(allDays, today, {
+      mode,
+      minContributions: opts.minContributions,
+      excludeDays: opts.excludeDays ? parseExcludeDays(opts.excludeDays) : undefined,
+    }),
+  };
 }
 
 // Main function to generate the SVG
 export async function generateContributionStreakSVG(username, opts = {}, theme = 'radical') {
   const token = process.env.GITHUB_TOKEN;
   if (!token) {
-    throw new Error('GITHUB_TOKEN environment variable is required');
+    throw new ConfigurationError('GITHUB_TOKEN environment variable is required');
   }
   if (!username) {
-    throw new Error('Username is required');
+    throw new ValidationError('Username is required');
   }
 
   const animationDuration = opts.animationDuration || 2;
-  const colors = THEMES[theme] || THEMES.radical;
+  const { colors, css: themeCSS } = resolveTheme(theme, opts);
+  const background = resolveBackground(opts.background, colors);
+  const { t, formatNumber, formatDate, formatShortDate, bidi } = resolveLocale(opts.locale);
 
   // SVG dimensions
   const width = 550;
@@ -247,29 +368,18 @@ export async function generateContributionStreakSVG(username, opts = {}, theme =
   const boxRadius = 10;
 
   try {
-    // Fetch user data
-    const userData = await fetchUserInfo(username, token);
-    const contributionYears = userData.contributionsCollection.contributionYears || [];
-
-    if (!contributionYears.length) {
-      throw new Error('No contribution data found');
-    }
-
-    // Fetch all contribution data
-    const { totalContributions, allDays } = await fetchAllContributions(username, token, contributionYears);
-
-    // Calculate streaks
-    const today = new Date().toISOString().split('T')[0];
-    const streaks = calculateStreaks(allDays, today);
+    const data = await getContributionStreakData(username, opts);
+    const { totalContributions, today, mode, ...streaks } = data;
+    const weekly = mode === 'weekly';
 
     // Date labels
-    const createdDate = userData.createdAt.split('T')[0];
-    const totalDateRange = `${formatDate(createdDate)} - Present`;
+    const createdDate = data.createdAt;
+    const totalDateRange = `${formatDate(createdDate)} - ${t('present')}`;
 
     let currentStreakDateLabel;
     if (streaks.currentStreak === 0) {
       currentStreakDateLabel = formatShortDate(today);
-    } else if (streaks.currentStreak === 1) {
+    } else if (streaks.currentStreakStart === streaks.currentStreakEnd) {
       currentStreakDateLabel = formatShortDate(streaks.currentStreakEnd);
     } else {
       currentStreakDateLabel = `${formatShortDate(streaks.currentStreakStart)} - ${formatShortDate(streaks.currentStreakEnd)}`;
@@ -277,8 +387,8 @@ export async function generateContributionStreakSVG(username, opts = {}, theme =
 
     let longestStreakDateLabel;
     if (streaks.longestStreak === 0) {
-      longestStreakDateLabel = 'N/A';
-    } else if (streaks.longestStreak === 1) {
+      longestStreakDateLabel = t('notAvailable');
+    } else if (streaks.longestStreakStart === streaks.longestStreakEnd) {
       longestStreakDateLabel = formatDate(streaks.longestStreakStart);
     } else {
       longestStreakDateLabel = `${formatDate(streaks.longestStreakStart)} - ${formatDate(streaks.longestStreakEnd)}`;
@@ -287,7 +397,7 @@ export async function generateContributionStreakSVG(username, opts = {}, theme =
     // Ring calculations for center box
     const ringRadius = 30;
     const ringCircumference = 2 * Math.PI * ringRadius;
-    const maxStreakForRing = 365;
+    const maxStreakForRing = weekly ? 52 : 365;
     const streakPct = Math.min(streaks.currentStreak / maxStreakForRing, 1);
     const dashOffset = ringCircumference * (1 - streakPct);
 
@@ -310,6 +420,7 @@ export async function generateContributionStreakSVG(username, opts = {}, theme =
   <!-- Created By GitHub Widgets - Authored by cyrus2281 -->
   <!-- Github: https://github.com/cyrus2281/github-widgets -->
   <defs>
+    ${background.defs}
     <filter id="cardShadow" x="-50%" y="-50%" width="200%" height="200%">
       <feGaussianBlur in="SourceAlpha" stdDeviation="12"/>
       <feOffset dx="0" dy="4" result="offsetblur"/>
@@ -329,20 +440,16 @@ export async function generateContributionStreakSVG(username, opts = {}, theme =
       </feMerge>
     </filter>
     <linearGradient id="ringGradient" x1="0%" y1="0%" x2="100%" y2="100%">
-      <stop offset="0%" style="stop-color:${colors.accentA}">
-        <animate attributeName="stop-color"
-          values="${colors.accentA};${colors.accentC};${colors.accentE};${colors.accentA}"
-          dur="6s" repeatCount="indefinite"/>
-      </stop>
-      <stop offset="100%" style="stop-color:${colors.accentE}">
-        <animate attributeName="stop-color"
-          values="${colors.accentE};${colors.accentA};${colors.accentC};${colors.accentE}"
-          dur="6s" repeatCount="indefinite"/>
-      </stop>
+      <stop offset="0%" class="ring-stop-start"/>
+      <stop offset="100%" class="ring-stop-end"/>
     </linearGradient>
   </defs>
 
   <style>
+    ${themeCSS}
+    ${stopColorCycle('ring-stop-start', [colors.accentA, colors.accentC, colors.accentE], 6)}
+    ${stopColorCycle('ring-stop-end', [colors.accentE, colors.accentA, colors.accentC], 6)}
+
     @keyframes slideUp {
       from { opacity: 0; transform: translateY(20px); }
       to { opacity: 1; transform: translateY(0); }
@@ -384,68 +491,69 @@ export async function generateContributionStreakSVG(username, opts = {}, theme =
   </style>
 
   <!-- Background -->
-  <rect x="0" y="0" width="${width}" height="${height}" fill="${colors.bg}" rx="16" filter="url(#cardShadow)"/>
+  <rect x="0" y="0" width="${width}" height="${height}" style="fill: ${background.fill}" rx="16" filter="url(#cardShadow)"/>
+  ${background.overlay({ width, height, rx: 16 })}
 
   <!-- Left Box: Total Contributions -->
   <g class="box-0">
-    <rect x="${box1X}" y="${boxY}" width="${boxWidth}" height="${boxHeight}" rx="${boxRadius}" fill="${colors.bg}" stroke="${colors.border}" stroke-width="1"/>
+    <rect x="${box1X}" y="${boxY}" width="${boxWidth}" height="${boxHeight}" rx="${boxRadius}" style="fill: ${colors.bg}; stroke: ${colors.border}" stroke-width="1"/>
     <g class="number-left">
-      <text x="${box1X + boxWidth / 2}" y="${boxY + 55}" text-anchor="middle" fill="${colors.title}" class="font" font-size="34" font-weight="700">
+      <text x="${box1X + boxWidth / 2}" y="${boxY + 55}" text-anchor="middle" style="fill: ${colors.title}" class="font" font-size="34" font-weight="700">
         ${escapeXML(formatNumber(totalContributions))}
       </text>
     </g>
-    <text x="${box1X + boxWidth / 2}" y="${boxY + 80}" text-anchor="middle" fill="${colors.text}" class="font" font-size="12" font-weight="500">
-      Total Contributions
+    <text x="${box1X + boxWidth / 2}" y="${boxY + 80}" text-anchor="middle" style="fill: ${colors.text}" class="font" font-size="12" font-weight="500">
+      ${escapeXML(bidi(t('totalContributions')))}
     </text>
-    <text x="${box1X + boxWidth / 2}" y="${boxY + 100}" text-anchor="middle" fill="${colors.subtext}" class="font" font-size="10" font-weight="400">
-      ${escapeXML(totalDateRange)}
+    <text x="${box1X + boxWidth / 2}" y="${boxY + 100}" text-anchor="middle" style="fill: ${colors.subtext}" class="font" font-size="10" font-weight="400">
+      ${escapeXML(bidi(totalDateRange))}
     </text>
   </g>
 
   <!-- Center Box: Current Streak -->
   <g class="box-1">
-    <rect x="${box2X}" y="${boxY}" width="${boxWidth}" height="${boxHeight}" rx="${boxRadius}" fill="${colors.bg}" stroke="${colors.border}" stroke-width="1"/>
+    <rect x="${box2X}" y="${boxY}" width="${boxWidth}" height="${boxHeight}" rx="${boxRadius}" style="fill: ${colors.bg}; stroke: ${colors.border}" stroke-width="1"/>
 
     <!-- Ring track -->
-    <circle cx="${box2X + boxWidth / 2}" cy="${boxY + boxHeight / 2 - 12}" r="${ringRadius}" fill="none" stroke="${colors.border}" stroke-width="4"/>
+    <circle cx="${box2X + boxWidth / 2}" cy="${boxY + boxHeight / 2 - 12}" r="${ringRadius}" fill="none" style="stroke: ${colors.border}" stroke-width="4"/>
     <!-- Ring progress -->
     <circle cx="${box2X + boxWidth / 2}" cy="${boxY + boxHeight / 2 - 12}" r="${ringRadius}" fill="none" stroke="url(#ringGradient)" stroke-width="4" stroke-linecap="round" stroke-dasharray="${ringCircumference}" class="streak-ring" transform="rotate(-90 ${box2X + boxWidth / 2} ${boxY + boxHeight / 2 - 12})"/>
 
     <!-- Flame icon -->
     <g class="flame-icon" transform="translate(${box2X + boxWidth / 2 - 8}, ${boxY + boxHeight / 2 - 12 - ringRadius - 14}) scale(0.9)">
-      <path d="M9 0C7.77 2.84 5.94 4.55 4.96 5.72C3.9 7.09 3 8.59 3 10.5C3 14.09 5.69 17 9 17C12.31 17 15 14.09 15 10.5C15 7 12 3.5 9 0Z" fill="${colors.title}" filter="url(#flameShadow)"/>
-      <path d="M9 15C7.07 15 5.5 13.43 5.5 11.5C5.5 10.15 6.37 9.09 7.25 8.15L9 6.25L10.75 8.15C11.63 9.09 12.5 10.15 12.5 11.5C12.5 13.43 10.93 15 9 15Z" fill="${colors.accentC}" opacity="0.7"/>
+      <path d="M9 0C7.77 2.84 5.94 4.55 4.96 5.72C3.9 7.09 3 8.59 3 10.5C3 14.09 5.69 17 9 17C12.31 17 15 14.09 15 10.5C15 7 12 3.5 9 0Z" style="fill: ${colors.title}" filter="url(#flameShadow)"/>
+      <path d="M9 15C7.07 15 5.5 13.43 5.5 11.5C5.5 10.15 6.37 9.09 7.25 8.15L9 6.25L10.75 8.15C11.63 9.09 12.5 10.15 12.5 11.5C12.5 13.43 10.93 15 9 15Z" style="fill: ${colors.accentC}" opacity="0.7"/>
     </g>
 
     <!-- Center number -->
     <g class="number-center">
-      <text x="${box2X + boxWidth / 2}" y="${boxY + boxHeight / 2 - 5}" text-anchor="middle" fill="${colors.title}" class="font" font-size="${centerFontSize}" font-weight="700">
+      <text x="${box2X + boxWidth / 2}" y="${boxY + boxHeight / 2 - 5}" text-anchor="middle" style="fill: ${colors.title}" class="font" font-size="${centerFontSize}" font-weight="700">
         ${escapeXML(centerText)}
       </text>
     </g>
 
     <!-- Label and date -->
-    <text x="${box2X + boxWidth / 2}" y="${boxY + boxHeight / 2 + ringRadius + 14}" text-anchor="middle" fill="${colors.text}" class="font" font-size="12" font-weight="500">
-      Current Streak
+    <text x="${box2X + boxWidth / 2}" y="${boxY + boxHeight / 2 + ringRadius + 14}" text-anchor="middle" style="fill: ${colors.text}" class="font" font-size="12" font-weight="500">
+      ${escapeXML(bidi(t(weekly ? 'currentWeeklyStreak' : 'currentStreak')))}
     </text>
-    <text x="${box2X + boxWidth / 2}" y="${boxY + boxHeight / 2 + ringRadius + 30}" text-anchor="middle" fill="${colors.subtext}" class="font" font-size="10" font-weight="400">
-      ${escapeXML(currentStreakDateLabel)}
+    <text x="${box2X + boxWidth / 2}" y="${boxY + boxHeight / 2 + ringRadius + 30}" text-anchor="middle" style="fill: ${colors.subtext}" class="font" font-size="10" font-weight="400">
+      ${escapeXML(bidi(currentStreakDateLabel))}
     </text>
   </g>
 
   <!-- Right Box: Longest Streak -->
   <g class="box-2">
-    <rect x="${box3X}" y="${boxY}" width="${boxWidth}" height="${boxHeight}" rx="${boxRadius}" fill="${colors.bg}" stroke="${colors.border}" stroke-width="1"/>
+    <rect x="${box3X}" y="${boxY}" width="${boxWidth}" height="${boxHeight}" rx="${boxRadius}" style="fill: ${colors.bg}; stroke: ${colors.border}" stroke-width="1"/>
     <g class="number-right">
-      <text x="${box3X + boxWidth / 2}" y="${boxY + 55}" text-anchor="middle" fill="${colors.title}" class="font" font-size="34" font-weight="700">
+      <text x="${box3X + boxWidth / 2}" y="${boxY + 55}" text-anchor="middle" style="fill: ${colors.title}" class="font" font-size="34" font-weight="700">
         ${escapeXML(formatNumber(streaks.longestStreak))}
       </text>
     </g>
-    <text x="${box3X + boxWidth / 2}" y="${boxY + 80}" text-anchor="middle" fill="${colors.text}" class="font" font-size="12" font-weight="500">
-      Longest Streak
+    <text x="${box3X + boxWidth / 2}" y="${boxY + 80}" text-anchor="middle" style="fill: ${colors.text}" class="font" font-size="12" font-weight="500">
+      ${escapeXML(bidi(t(weekly ? 'longestWeeklyStreak' : 'longestStreak')))}
     </text>
-    <text x="${box3X + boxWidth / 2}" y="${boxY + 100}" text-anchor="middle" fill="${colors.subtext}" class="font" font-size="10" font-weight="400">
-      ${escapeXML(longestStreakDateLabel)}
+    <text x="${box3X + boxWidth / 2}" y="${boxY + 100}" text-anchor="middle" style="fill: ${colors.subtext}" class="font" font-size="10" font-weight="400">
+      ${escapeXML(bidi(longestStreakDateLabel))}
     </text>
   </g>
 </svg>`.trim();
@@ -453,16 +561,20 @@ export async function generateContributionStreakSVG(username, opts = {}, theme =
     return stampSvg(svg);
 
   } catch (error) {
+    // Known errors (not found, rate limits, ...) are reported by the handler with a proper status code
+    if (error instanceof WidgetError) throw error;
+
     const errorHeight = 200;
     return stampSvg(`
 <svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${errorHeight}" viewBox="0 0 ${width} ${errorHeight}">
-  <rect x="0" y="0" width="${width}" height="${errorHeight}" fill="${colors.bg}" rx="16"/>
-  <text x="${width / 2}" y="80" text-anchor="middle" fill="${colors.error}"
+  <style>${themeCSS}</style>
+  <rect x="0" y="0" width="${width}" height="${errorHeight}" style="fill: ${colors.bg}" rx="16"/>
+  <text x="${width / 2}" y="80" text-anchor="middle" style="fill: ${colors.error}"
         font-family="-apple-system, BlinkMacSystemFont, 'Segoe UI', Helvetica, Arial, sans-serif"
         font-size="18" font-weight="600">
     Error loading contribution streak
   </text>
-  <text x="${width / 2}" y="110" text-anchor="middle" fill="${colors.subtext}"
+  <text x="${width / 2}" y="110" text-anchor="middle" style="fill: ${colors.subtext}"
         font-family="-apple-system, BlinkMacSystemFont, 'Segoe UI', Helvetica, Arial, sans-serif"
         font-size="14">
     ${escapeXML(error.message)}
@@ -1,8 +1,11 @@
 import * as d3 from "d3";
 import fs from "fs";
 import { JSDOM } from "jsdom";
-import { THEMES } from "../../utils/themes.js";
+import { resolveTheme } from "../../utils/themes.js";
+import { resolveBackground } from "../../utils/background.js";
+import { resolveLocale } from "../../utils/i18n.js";
 import { stampSvg } from "../../utils/svgTimestamp.js";
+import { ValidationError } from "../../utils/errors.js";
 
 /**
  * generateExperienceTimeline
@@ -20,6 +23,13 @@ import { stampSvg } from "../../utils/svgTimestamp.js";
  * - includeEndDate (default true)
  * - animationTotalDuration (default 5) total animation time in seconds
  * - baseFontSize (default 14) base font size in pixels for relative scaling
+ * - locale (default "en") language of the title, see resolveLocale
+ * - colors (default {}) theme colour overrides, see getThemeOptions
+ * - lightTheme, darkTheme themes used by theme=auto
+ * - background card gradient and pattern, see getThemeOptions
+ *
+ * Colours are applied as CSS (style) rather than presentation attributes so
+ * the theme variables of theme=auto resolve.
  *
  * Returns: Promise<string> SVG markup
  */
@@ -35,7 +45,9 @@ async function generateExperienceTimeline(csvString, opts = {}, theme = 'radical
     baseFontSize = 14
   } = opts;
 
-  const THEME = THEMES[theme] || THEMES.radical;
+  const { colors: THEME, css: themeCSS } = resolveTheme(theme, opts);
+  const background = resolveBackground(opts.background, THEME);
+  const { t, bidi } = resolveLocale(opts.locale);
 
   // lightweight DOM for d3
   const dom = new JSDOM("<!DOCTYPE html><svg xmlns='http://www.w3.org/2000/svg'><!-- Created By GitHub Widgets - Authored by cyrus2281 --><!-- Github: https://github.com/cyrus2281/github-widgets --></svg>");
@@ -61,7 +73,7 @@ async function generateExperienceTimeline(csvString, opts = {}, theme = 'radical
     const endRaw = (r.end || "").trim();
     const start = parseYMD(startRaw);
     if (!start || Number.isNaN(start.getTime())) {
-      throw new Error(`Invalid start date in row ${i + 1}: "${r.start}"`);
+      throw new ValidationError(`Invalid start date in row ${i + 1}: "${r.start}"`);
     }
     const end = endRaw ? parseYMD(endRaw) : null;
     return {
@@ -120,7 +132,9 @@ async function generateExperienceTimeline(csvString, opts = {}, theme = 'radical
   const svg = d3.select(svgEl);
 
   // background
-  svg.append("rect").attr("x", 0).attr("y", 0).attr("width", width).attr("height", height).attr("fill", THEME.bg);
+  if (background.defs) svg.append("defs").html(background.defs);
+  svg.append("rect").attr("x", 0).attr("y", 0).attr("width", width).attr("height", height).style("fill", background.fill);
+  if (opts.background?.pattern) svg.append("g").html(background.overlay({ width, height }));
 
   const baselineDuration = animationTotalDuration * 0.15;
   const datesDuration = animationTotalDuration * 0.1;
@@ -132,6 +146,7 @@ async function generateExperienceTimeline(csvString, opts = {}, theme = 'radical
   const jobPartAnimDuration = durationPerJob * 0.5;
 
   const style = `
+    ${themeCSS}
     :root {
       --baseline-duration: ${baselineDuration}s;
       --dates-duration: ${datesDuration}s;
@@ -197,9 +212,9 @@ async function generateExperienceTimeline(csvString, opts = {}, theme = 'radical
     .attr("y", margin.top / 2)
     .attr("text-anchor", "middle")
     .attr("font-size", Math.round(baseFontSize * 2.33 * 10) / 10)
-    .attr("fill", THEME.title)
+    .style("fill", THEME.title)
     .attr("font-weight", "700")
-    .text("Experience Timeline");
+    .text(bidi(t("experienceTimeline")));
 
   // baseline Y
   const baselineY = margin.top + contentHeight / 2;
@@ -212,7 +227,7 @@ async function generateExperienceTimeline(csvString, opts = {}, theme = 'radical
     .attr("x2", width - margin.right)
     .attr("y1", baselineY)
     .attr("y2", baselineY)
-    .attr("stroke", THEME.accentC)
+    .style("stroke", THEME.accentC)
     .attr("stroke-width", 2);
 
   // helper: lane index to Y coordinate
@@ -297,7 +312,7 @@ async function generateExperienceTimeline(csvString, opts = {}, theme = 'radical
             .attr("dominant-baseline", dominantBaseline)
             .attr("text-anchor", "middle")
             .attr("font-size", Math.round(baseFontSize * 0.83 * 10) / 10)
-            .attr("fill", THEME.text)
+            .style("fill", THEME.text)
             .text(it.startRaw);
           drawnLabelXCoords.add(nx);
         }
@@ -316,7 +331,7 @@ async function generateExperienceTimeline(csvString, opts = {}, theme = 'radical
             .attr("dominant-baseline", dominantBaseline)
             .attr("text-anchor", "middle")
             .attr("font-size", Math.round(baseFontSize * 0.83 * 10) / 10)
-            .attr("fill", THEME.text)
+            .style("fill", THEME.text)
             .text(it.endRaw);
           drawnLabelXCoords.add(ex);
         }
@@ -345,8 +360,8 @@ async function generateExperienceTimeline(csvString, opts = {}, theme = 'radical
       .attr("width", w)
       .attr("height", 18)
       .attr("rx", 9)
-      .attr("fill", it.color)
-      .attr("stroke", it.color)
+      .style("fill", it.color)
+      .style("stroke", it.color)
       .attr("stroke-width", 1.2);
 
     // Draw connectors from baseline to node
@@ -359,7 +374,7 @@ async function generateExperienceTimeline(csvString, opts = {}, theme = 'radical
         .attr("x2", x1)
         .attr("y1", y - 6)
         .attr("y2", y + 6)
-        .attr("stroke", THEME.accentC)
+        .style("stroke", THEME.accentC)
         .attr("stroke-width", 1.2);
     } else {
       // Curved path for jobs off-baseline
@@ -370,7 +385,7 @@ async function generateExperienceTimeline(csvString, opts = {}, theme = 'radical
         .attr("class", "job-connector")
         .attr("d", pathOut)
         .attr("fill", "none")
-        .attr("stroke", THEME.accentC)
+        .style("stroke", THEME.accentC)
         .attr("stroke-width", 1.6);
         }
         
@@ -386,9 +401,9 @@ async function generateExperienceTimeline(csvString, opts = {}, theme = 'radical
               .attr("x2", endX)
               .attr("y1", y - 6)
               .attr("y2", y + 6)
-              .attr("stroke", THEME.accentC)
+              .style("stroke", THEME.accentC)
               .attr("stroke-width", 1.2)
-              .attr("style", `animation-delay: ${closingConnectorDelay}s;`);
+              .style("animation-delay", `${closingConnectorDelay}s`);
           } else {
             const inControlX = endX - Math.min(60, (endX - x1) * 0.25);
             const pathIn = `M ${endX} ${y} C ${inControlX} ${y} ${inControlX} ${baselineY} ${endX} ${baselineY}`;
@@ -397,9 +412,9 @@ async function generateExperienceTimeline(csvString, opts = {}, theme = 'radical
               .attr("class", "job-connector-in")
               .attr("d", pathIn)
               .attr("fill", "none")
-              .attr("stroke", THEME.accentC)
+              .style("stroke", THEME.accentC)
               .attr("stroke-width", 1.6)
-              .attr("style", `animation-delay: ${closingConnectorDelay}s;`);
+              .style("animation-delay", `${closingConnectorDelay}s`);
           }
         }
 
@@ -409,8 +424,8 @@ async function generateExperienceTimeline(csvString, opts = {}, theme = 'radical
       .attr("cx", x1)
       .attr("cy", y)
       .attr("r", nodeRadius)
-      .attr("fill", it.color)
-      .attr("stroke", THEME.nodeStroke)
+      .style("fill", it.color)
+      .style("stroke", THEME.nodeStroke)
       .attr("stroke-width", 1.2);
 
     // stacked label block placement
@@ -460,7 +475,7 @@ async function generateExperienceTimeline(csvString, opts = {}, theme = 'radical
       .attr("y", companyY)
       .attr("font-size", Math.round(baseFontSize * 1.08 * 10) / 10)
       .attr("font-weight", 700)
-      .attr("fill", THEME.title)
+      .style("fill", THEME.title)
       .text(it.company);
 
     if (hasTitle) {
@@ -469,7 +484,7 @@ async function generateExperienceTimeline(csvString, opts = {}, theme = 'radical
         .attr("x", textStartX)
         .attr("y", companyY + lineHeight)
         .attr("font-size", baseFontSize)
-        .attr("fill", THEME.text)
+        .style("fill", THEME.text)
         .text(it.title);
     }
   }
@@ -4,10 +4,14 @@ GitHub Activity SVG Generator Module
 Requires GITHUB_TOKEN env var.
 */
 
-import { THEMES } from '../../utils/themes.js';
+import { resolveTheme } from '../../utils/themes.js';
+import { resolveBackground } from '../../utils/background.js';
+import { resolveLocale } from '../../utils/i18n.js';
+import { DEFAULT_TIMEZONE, dateInTimeZone, zonedDateTime } from '../../utils/timezone.js';
 import { stampSvg } from '../../utils/svgTimestamp.js';
-
-const GITHUB_API = 'https://api.github.com/graphql';
+import { ConfigurationError, GitHubAPIError, NotFoundError, ValidationError } from '../../utils/errors.js';
+import { runGraphQL } from '../../utils/github.js';
+import { generateCacheKey, getCachedData } from '../../utils/cache.js';
 
 function parseDateSafe(s) {
   const d = new Date(s);
@@ -24,9 +28,129 @@ function daysBetween(a, b) {
   const msPerDay = 1000 * 60 * 60 * 24;
   return Math.floor((b.getTime() - a.getTime()) / msPerDay);
 }
-function formatMonthYear(dateStr) {
-  const dt = new Date(dateStr);
-  return dt.toLocaleString('en-US', { month: 'short', year: 'numeric' });
+function addDays(dateStr, n) {
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().split('T')[0];
+}
+
+// range value selecting everything since the account was created
+const ALL_TIME_RANGE = 'all';
+// Fallback start of all-time ranges (GitHub's launch) when the creation date is unknown
+const GITHUB_LAUNCH_DATE = '2008-01-01';
+
+// Days a single contributions query may span (GitHub limits it to a year)
+const MAX_QUERY_DAYS = 365;
+// Per-year queries of a long range that run at the same time
+const MAX_PARALLEL_QUERIES = 4;
+// Longest ranges drawn per day and per week; longer ranges are drawn per month
+const MAX_DAILY_DAYS = 366;
+const MAX_WEEKLY_DAYS = 3 * 366;
+
+// Chart options: point interval ('auto' picks one from the range length),
+// chart type and y-axis scale
+const AGGREGATES = ['auto', 'day', 'week', 'month'];
+const CHART_TYPES = ['area', 'line', 'bar', 'step'];
+const Y_SCALES = ['linear', 'log'];
+
+/**
+ * Pick the interval a range is drawn with, so long ranges stay legible
+ * @param {string} startDay - First day (YYYY-MM-DD)
+ * @param {string} endDay - Last day (YYYY-MM-DD)
+ * @returns {'day'|'week'|'month'} Interval of the chart points
+ */
+function chooseInterval(startDay, endDay) {
+  const days = daysBetween(new Date(startDay), new Date(endDay)) + 1;
+  if (days <= MAX_DAILY_DAYS) return 'day';
+  return days <= MAX_WEEKLY_DAYS ? 'week' : 'month';
+}
+
+/**
+ * Number of days in a full bucket
+ * @param {string} date - First day of the bucket (YYYY-MM-DD)
+ * @param {'week'|'month'} interval - Bucket size
+ * @returns {number} Days in the bucket
+ */
+function bucketLength(date, interval) {
+  if (interval === 'week') return 7;
+  return new Date(Date.UTC(Number(date.slice(0, 4)), Number(date.slice(5, 7)), 0)).getUTCDate();
+}
+
+/**
+ * Sum daily counts into weekly (starting on Sunday) or monthly buckets.
+ * The range rarely starts and ends on bucket boundaries. A partial first
+ * bucket would show a dip that is only missing days, so it is dropped unless
+ * no whole bucket is left. The last bucket is usually the one in progress, so
+ * it is kept and marked as partial for the chart to set apart.
+ * @param {Array<{date: string, count: number}>} days - Daily series, oldest first
+ * @param {'day'|'week'|'month'} [interval='day'] - Bucket size
+ * @returns {Array<{date: string, count: number, partial?: boolean}>} Series dated by the first day of each bucket
+ */
+function bucketDays(days, interval = 'day') {
+  if (interval === 'day') return days;
+
+  const buckets = new Map();
+  for (const { date, count } of days) {
+    const key = interval === 'week'
+      ? addDays(date, -new Date(`${date}T00:00:00Z`).getUTCDay())
+      : `${date.slice(0, 7)}-01`;
+    const bucket = buckets.get(key) || { date: key, count: 0, days: 0 };
+    bucket.count += count;
+    bucket.days += 1;
+    buckets.set(key, bucket);
+  }
+
+  const list = [...buckets.values()];
+  if (list.length === 0) return [];
+  const isWhole = (bucket) => bucket.days === bucketLength(bucket.date, interval);
+  const first = !isWhole(list[0]) && list.slice(1).some(isWhole) ? 1 : 0;
+  return list.slice(first).map((bucket) => (isWhole(bucket)
+    ? { date: bucket.date, count: bucket.count }
+    : { date: bucket.date, count: bucket.count, partial: true }));
+}
+
+/**
+ * Split a range into the calendar years GitHub is queried for, skipping
+ * years outside [firstYear, lastYear]
+ * @param {string} startDay - First day (YYYY-MM-DD)
+ * @param {string} endDay - Last day (YYYY-MM-DD)
+ * @param {number} firstYear - Earliest year with possible contributions
+ * @param {number} lastYear - Current year
+ * @returns {Array<[string, string]>} First and last day of each query
+ */
+function yearChunks(startDay, endDay, firstYear, lastYear) {
+  const chunks = [];
+  const from = Math.max(Number(startDay.slice(0, 4)), firstYear);
+  const to = Math.min(Number(endDay.slice(0, 4)), lastYear);
+  for (let year = from; year <= to; year++) {
+    const first = `${year}-01-01` > startDay ? `${year}-01-01` : startDay;
+    const last = `${year}-12-31` < endDay ? `${year}-12-31` : endDay;
+    chunks.push([first, last]);
+  }
+  return chunks;
+}
+/**
+ * Map items with an async function, running at most `limit` calls at a time
+ * @param {Array} items - Items to map
+ * @param {number} limit - Maximum number of calls in flight
+ * @param {Function} fn - async (item) => result
+ * @returns {Promise<Array>} Results in the order of the items
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+function formatMonthYear(dateStr, locale) {
+  return resolveLocale(locale).formatMonthYear(dateStr);
 }
 function escapeXML(s) {
   return String(s || '')
@@ -36,39 +160,18 @@ function escapeXML(s) {
     .replaceAll('"', '&quot;');
 }
 
-async function runGraphQL(query, variables, token) {
-  const res = await fetch(GITHUB_API, {
-    method: 'POST',
-    headers: {
-      Authorization: `bearer ${token}`,
-      'Content-Type': 'application/json',
-      Accept: 'application/json',
-    },
-    body: JSON.stringify({ query, variables }),
-  });
-
-  if (!res.ok) {
-    const text = await res.text();
-    throw new Error(`GitHub API HTTP ${res.status}: ${text}`);
-  }
-  const json = await res.json();
-  if (json.errors) {
-    throw new Error('GitHub GraphQL error: ' + JSON.stringify(json.errors));
-  }
-  return json.data;
-}
-
 async function fetchUserBasic(username, token) {
   const query = `
     query ($login: String!) {
       user(login: $login) {
         login
         name
+        createdAt
       }
     }
   `;
   const data = await runGraphQL(query, { login: username }, token);
-  if (!data || !data.user) throw new Error(`User "${username}" not found`);
+  if (!data || !data.user) throw new NotFoundError(`User "${username}" not found`);
   return data.user;
 }
 
@@ -98,7 +201,7 @@ async function fetchContributions(username, fromIso, toIso, token) {
   const data = await runGraphQL(query, { login: username, from: fromIso, to: toIso }, token);
   const col = data.user && data.user.contributionsCollection;
   if (!col || !col.contributionCalendar) {
-    throw new Error('No contribution calendar returned');
+    throw new GitHubAPIError('No contribution calendar returned');
   }
   return col;
 }
@@ -121,6 +224,23 @@ function niceYTicks(maxCount, targetTicks = 5) {
   if (ticks[ticks.length - 1] !== maxCount) ticks.push(maxCount);
   return ticks;
 }
+// Ticks of a log scale: 0 and the powers of ten up to the maximum, plus the
+// maximum itself when it is far enough from the last power to get a label
+function logYTicks(maxCount) {
+  const ticks = [0];
+  for (let v = 1; v <= maxCount; v *= 10) ticks.push(v);
+  if (maxCount >= ticks[ticks.length - 1] * 2) ticks.push(maxCount);
+  return ticks;
+}
+// Trailing average of each value and the (up to) window - 1 values before it
+function movingAverage(values, window) {
+  let sum = 0;
+  return values.map((value, i) => {
+    sum += value;
+    if (i >= window) sum -= values[i - window];
+    return sum / Math.min(i + 1, window);
+  });
+}
 
 function computePathLength(points) {
   // euclidean sum of consecutive segments
@@ -133,8 +253,25 @@ function computePathLength(points) {
   return Math.max(1, L); // ensure at least 1 to avoid zero-length issues
 }
 
-function generateActivitySVGFromData(user, dayArray, col, startDate, endDate, opts = {}) {
-  const colors = THEMES[opts.theme] || THEMES.radical;
+/**
+ * Render a contribution timeseries data model
+ * @param {Object} data - Data model (see getActivityData)
+ * @param {Object} [opts={}] - Options
+ * @param {'area'|'line'|'bar'|'step'} [opts.chart='area'] - Chart type; 'area' is a line with a filled area below it
+ * @param {number} [opts.smooth] - Overlay a trailing average over this many points
+ * @param {'linear'|'log'} [opts.yScale='linear'] - Y-axis scale
+ * @param {string} [opts.theme] - Theme name, or 'auto'
+ * @param {string} [opts.locale='en'] - Label language and number/date format
+ * @returns {string} SVG string
+ */
+function generateActivitySVGFromData(data, opts = {}) {
+  const { totals } = data;
+  const dayArray = bucketDays(data.days, data.interval);
+  const chart = opts.chart || 'area';
+  const logScale = opts.yScale === 'log';
+  const { colors, css: themeCSS } = resolveTheme(opts.theme, opts);
+  const background = resolveBackground(opts.background, colors);
+  const { t, formatNumber, formatMonthYear: formatAxisDate, bidi, anchor, mirrorX } = resolveLocale(opts.locale);
 
   const width = opts.width || 900;
   const height = opts.height || 360;
@@ -144,8 +281,9 @@ function generateActivitySVGFromData(user, dayArray, col, startDate, endDate, op
 
   if (!dayArray || dayArray.length === 0) {
     return stampSvg(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
-      <rect x="0" y="0" width="${width}" height="${height}" fill="${colors.bg}" rx="16" />
-      <text x="${width / 2}" y="${height / 2}" text-anchor="middle" fill="${colors.text}">No data</text>
+      <style>${themeCSS}</style>
+      <rect x="0" y="0" width="${width}" height="${height}" style="fill: ${colors.bg}" rx="16" />
+      <text x="${width / 2}" y="${height / 2}" text-anchor="middle" style="fill: ${colors.text}">${escapeXML(bidi(t('noData')))}</text>
     </svg>`);
   }
 
@@ -153,19 +291,34 @@ function generateActivitySVGFromData(user, dayArray, col, startDate, endDate, op
   const maxCount = Math.max(...counts, 1);
   const n = dayArray.length;
 
+  // Bars sit in the middle of equal slots; lines run from edge to edge
+  const slotW = innerW / n;
   function xForIndex(i) {
+    if (chart === 'bar') return padding.left + (i + 0.5) * slotW;
     if (n === 1) return padding.left + innerW / 2;
     return padding.left + (i / (n - 1)) * innerW;
   }
   function yForCount(c) {
-    const t = c / maxCount;
+    const t = logScale ? Math.log10(1 + c) / Math.log10(1 + maxCount) : c / maxCount;
     return padding.top + innerH - t * innerH;
   }
 
-  const points = dayArray.map((d, i) => ({ x: xForIndex(i), y: yForCount(d.count), c: d.count, date: d.date }));
+  const points = dayArray.map((d, i) => ({ x: xForIndex(i), y: yForCount(d.count), c: d.count, date: d.date, partial: Boolean(d.partial) }));
+
+  // Step charts hold each value until the next point
+  const vertices = chart === 'step'
+    ? points.flatMap((p, i) => (i === 0 ? [p] : [{ x: p.x, y: points[i - 1].y }, p]))
+    : points;
+
+  // A partial (in-progress) last bucket is reached by a dashed segment
+  // instead of the animated line
+  const partialFrom = n > 1 && points[n - 1].partial ? vertices.lastIndexOf(points[n - 2]) : vertices.length - 1;
+  const toPath = (list) => list.map((p, i) => `${i === 0 ? 'M' : 'L'} ${p.x.toFixed(2)} ${p.y.toFixed(2)}`).join(' ');
+  const solidVertices = vertices.slice(0, partialFrom + 1);
+  const partialPath = partialFrom < vertices.length - 1 ? toPath(vertices.slice(partialFrom)) : '';
 
   // Build total line path and area path
-  const linePath = points.map((p, i) => `${i === 0 ? 'M' : 'L'} ${p.x.toFixed(2)} ${p.y.toFixed(2)}`).join(' ');
+  const linePath = toPath(solidVertices);
   const areaPath = [
     `M ${points[0].x.toFixed(2)} ${padding.top + innerH}`,
     ...points.map((p) => `L ${p.x.toFixed(2)} ${p.y.toFixed(2)}`),
@@ -174,28 +327,36 @@ function generateActivitySVGFromData(user, dayArray, col, startDate, endDate, op
   ].join(' ');
 
   // Compute accurate path length (sum of segment lengths)
-  const rawPathLength = computePathLength(points);
+  const rawPathLength = computePathLength(solidVertices);
   const pathLength = Math.ceil(rawPathLength); // integer is fine for dasharray
 
+  // Bars, drawn instead of the line for chart=bar
+  const barW = Math.max(1, slotW * 0.7);
+  const bars = chart === 'bar'
+    ? points
+      .filter((p) => p.c > 0)
+      .map((p) => `<rect x="${(p.x - barW / 2).toFixed(2)}" y="${p.y.toFixed(2)}" width="${barW.toFixed(2)}" height="${(padding.top + innerH - p.y).toFixed(2)}" rx="${Math.min(2, barW / 4).toFixed(2)}" class="${p.partial ? 'bar partial' : 'bar'}"/>`)
+      .join('')
+    : '';
+
+  // Rolling average overlay
+  const smoothPath = opts.smooth
+    ? movingAverage(counts, opts.smooth)
+      .map((avg, i) => `${i === 0 ? 'M' : 'L'} ${xForIndex(i).toFixed(2)} ${yForCount(avg).toFixed(2)}`)
+      .join(' ')
+    : '';
+
   // X labels - force 4 labels (start, ~33%, ~66%, end)
   const labelCount = 4;
   const xLabels = [];
   for (let i = 0; i < labelCount; i++) {
     const idx = Math.round((i / (labelCount - 1)) * (n - 1));
-    xLabels.push({ pos: idx, label: formatMonthYear(dayArray[idx].date) });
+    xLabels.push({ pos: idx, label: formatAxisDate(dayArray[idx].date) });
   }
 
-  const yTicks = niceYTicks(maxCount, 5);
-
-  const totals = {
-    commits: col.totalCommitContributions || 0,
-    prs: col.totalPullRequestContributions || 0,
-    issues: col.totalIssueContributions || 0,
-    reviews: col.totalPullRequestReviewContributions || 0,
-    total: (col.contributionCalendar?.totalContributions || 0) + (col.restrictedContributionsCount || 0),
-  };
+  const yTicks = logScale ? logYTicks(maxCount) : niceYTicks(maxCount, 5);
 
-  const titleFull = `Contributions – ${user.name || user.login} (@${user.login})`;
+  const titleFull = `${t('contributions')} – ${data.name || data.username} (@${data.username})`;
 
   // Build SVG (inject pathLength into stroke-dasharray and keyframes)
   const svg = `
@@ -203,22 +364,30 @@ function generateActivitySVGFromData(user, dayArray, col, startDate, endDate, op
   <!-- Created By GitHub Widgets - Authored by cyrus2281 -->
   <!-- Github: https://github.com/cyrus2281/github-widgets -->
   <defs>
+    ${background.defs}
     <linearGradient id="gradLine" x1="0" x2="1" y1="0" y2="0">
-      <stop offset="0%" stop-color="${colors.accentB}" stop-opacity="1"/>
-      <stop offset="100%" stop-color="${colors.accentA}" stop-opacity="1"/>
+      <stop offset="0%" style="stop-color: ${colors.accentB}" stop-opacity="1"/>
+      <stop offset="100%" style="stop-color: ${colors.accentA}" stop-opacity="1"/>
     </linearGradient>
 
     <linearGradient id="areaFade" x1="0" x2="0" y1="0" y2="1">
-      <stop offset="0%" stop-color="${colors.accentA}" stop-opacity="0.20"/>
-      <stop offset="100%" stop-color="${colors.accentB}" stop-opacity="0.02"/>
+      <stop offset="0%" style="stop-color: ${colors.accentA}" stop-opacity="0.20"/>
+      <stop offset="100%" style="stop-color: ${colors.accentB}" stop-opacity="0.02"/>
     </linearGradient>
+${chart === 'bar' ? `
+    <linearGradient id="gradBar" gradientUnits="userSpaceOnUse" x1="${padding.left}" x2="${padding.left + innerW}" y1="0" y2="0">
+      <stop offset="0%" style="stop-color: ${colors.accentB}" stop-opacity="1"/>
+      <stop offset="100%" style="stop-color: ${colors.accentA}" stop-opacity="1"/>
+    </linearGradient>
+` : ''}
 
     <filter id="cardShadow" x="-50%" y="-50%" width="200%" height="200%">
       <feDropShadow dx="0" dy="8" stdDeviation="14" flood-color="#000" flood-opacity="0.45"/>
     </filter>
 
     <style>
-      .card-bg { fill: ${colors.bg}; }
+      ${themeCSS}
+      .card-bg { fill: ${background.fill}; }
       .title-main { font: 700 18px system-ui, -apple-system, "Segoe UI", Roboto, "Helvetica Neue", Arial; fill: ${colors.text}; opacity: 0; animation: fadeIn 0.9s ease-out forwards; }
       .title-login { font-weight: 700; fill: ${colors.accentA}; font-family: "SFMono-Regular", ui-monospace, "Roboto Mono", monospace; }
       .subtitle { font: 500 13px system-ui, -apple-system, "Segoe UI", Roboto, "Helvetica Neue", Arial; fill: ${colors.subtext}; opacity: 0; animation: fadeIn 0.9s ease-out forwards 0.35s; }
@@ -229,7 +398,11 @@ function generateActivitySVGFromData(user, dayArray, col, startDate, endDate, op
       .grid-line { stroke: ${colors.grid}; stroke-width: 1; }
       .line { fill: none; stroke: url(#gradLine); stroke-width: 2.5; stroke-linejoin: round; stroke-linecap: round; animation: drawLine 2s cubic-bezier(.22,.9,.3,1) forwards; }
       .area { fill: url(#areaFade); opacity: 0; animation: fadeArea 1.0s ease-out forwards 0.9s; }
-      .point { stroke: none; opacity: 0; animation: fadeIn 0.5s ease-out forwards 1.6s; }
+      .point { stroke: none; opacity: 0; animation: fadeIn 0.5s ease-out forwards 1.6s; }${chart === 'bar' ? `
+      .bar { fill: url(#gradBar); opacity: 0; animation: fadeIn 1.0s ease-out forwards 0.3s; }
+      .bar.partial { fill-opacity: 0.45; }` : ''}${partialPath && chart !== 'bar' ? `
+      .partial-line { fill: none; stroke: ${colors.accentA}; stroke-width: 2.5; stroke-dasharray: 4 4; stroke-linejoin: round; stroke-linecap: round; opacity: 0; animation: fadeIn 0.5s ease-out forwards 1.8s; }` : ''}${smoothPath ? `
+      .smooth { fill: none; stroke: ${colors.accentC}; stroke-width: 2; stroke-dasharray: 6 4; stroke-linejoin: round; stroke-linecap: round; opacity: 0; animation: fadeIn 0.8s ease-out forwards 1.8s; }` : ''}
 
       @keyframes drawLine {
         from { stroke-dashoffset: ${pathLength}; }
@@ -242,46 +415,56 @@ function generateActivitySVGFromData(user, dayArray, col, startDate, endDate, op
 
   <!-- card -->
   <rect x="6" y="6" width="${width - 12}" height="${height - 12}" rx="14" ry="14" class="card-bg" filter="url(#cardShadow)"/>
+  ${background.overlay({ x: 6, y: 6, width: width - 12, height: height - 12, rx: 14 })}
 
-  <!-- header: title -->
-  <g transform="translate(${padding.left}, ${padding.top - 54})">
-    <text class="title-main" x="0" y="0">
-      Contributions – ${escapeXML(user.name || user.login)} <tspan class="title-login">(@${escapeXML(user.login)})</tspan>
+  <!-- header: title (top-right for right-to-left locales) -->
+  <g transform="translate(${mirrorX(padding.left, width)}, ${padding.top - 54})">
+    <text class="title-main" x="0" y="0" text-anchor="${anchor('start')}">
+      ${bidi(`${escapeXML(t('contributions'))} – ${escapeXML(data.name || data.username)} <tspan class="title-login">(@${escapeXML(data.username)})</tspan>`)}
     </text>
-    <text class="subtitle" x="0" y="20">
-      Commits: ${totals.commits} · PRs: ${totals.prs} · Issues: ${totals.issues} · Reviews: ${totals.reviews}
+    <text class="subtitle" x="0" y="20" text-anchor="${anchor('start')}">
+      ${bidi([
+        ['commits', totals.commits],
+        ['pullRequests', totals.prs],
+        ['issues', totals.issues],
+        ['reviews', totals.reviews],
+      ].map(([key, count]) => `${escapeXML(t(key))}: ${formatNumber(count)}`).join(' · '))}
     </text>
   </g>
 
-  <!-- total inline at top-right -->
-  <g transform="translate(${width - padding.right - 8}, ${padding.top - 52})">
-    <text class="meta" x="0" y="0" text-anchor="end">Total: <tspan class="total-num">${totals.total}</tspan></text>
+  <!-- total inline at top-right (top-left for right-to-left locales) -->
+  <g transform="translate(${mirrorX(width - padding.right - 8, width)}, ${padding.top - 52})">
+    <text class="meta" x="0" y="0" text-anchor="${anchor('end')}">${bidi(`${escapeXML(t('total'))}: <tspan class="total-num">${formatNumber(totals.total)}</tspan>`)}</text>
   </g>
 
   <!-- grid horizontal lines and y tick labels -->
   <g>
     ${yTicks
-      .map((t) => {
-        const y = yForCount(t);
+      .map((tick) => {
+        const y = yForCount(tick);
         return `<g>
           <line x1="${padding.left}" x2="${width - padding.right}" y1="${y.toFixed(2)}" y2="${y.toFixed(2)}" class="grid-line" />
-          <text class="tick" x="${padding.left - 10}" y="${y.toFixed(2)}" dy="4" text-anchor="end">${t}</text>
+          <text class="tick" x="${padding.left - 10}" y="${y.toFixed(2)}" dy="4" text-anchor="end">${formatNumber(tick)}</text>
         </g>`;
       })
       .join('')}
   </g>
 
   <!-- area under line (fades in) -->
-  <path d="${areaPath}" class="area"/>
+  ${chart === 'area' ? `<path d="${areaPath}" class="area"/>` : ''}
+
+  <!-- line or bars (stroke-dasharray set to exact path length for clean single-dash draw) -->
+  ${chart === 'bar' ? bars : `<path d="${linePath}" class="line" stroke-dasharray="${pathLength} ${pathLength}" stroke-dashoffset="${pathLength}" />`}
+  ${partialPath && chart !== 'bar' ? `<path d="${partialPath}" class="partial-line"/>` : ''}
 
-  <!-- line (stroke-dasharray set to exact path length for clean single-dash draw) -->
-  <path d="${linePath}" class="line" stroke-dasharray="${pathLength} ${pathLength}" stroke-dashoffset="${pathLength}" />
+  <!-- rolling average -->
+  ${smoothPath ? `<path d="${smoothPath}" class="smooth"/>` : ''}
 
   <!-- points -->
   <g>
-    ${points
+    ${chart === 'bar' ? '' : points
       .filter((_, i) => i % Math.ceil(Math.max(1, n / 40)) === 0)
-      .map((p) => `<circle cx="${p.x.toFixed(2)}" cy="${p.y.toFixed(2)}" r="2.6" class="point" fill="${p.c > 0 ? 'url(#gradLine)' : colors.fadeShadow}" />`)
+      .map((p) => `<circle cx="${p.x.toFixed(2)}" cy="${p.y.toFixed(2)}" r="2.6" class="point" style="fill: ${p.c > 0 ? 'url(#gradLine)' : colors.fadeShadow}" />`)
       .join('')}
   </g>
 
@@ -296,56 +479,134 @@ function generateActivitySVGFromData(user, dayArray, col, startDate, endDate, op
   </g>
 
   <!-- bottom axis line -->
-  <line x1="${padding.left}" x2="${width - padding.right}" y1="${(height - padding.bottom).toFixed(2)}" y2="${(height - padding.bottom).toFixed(2)}" stroke="${colors.grid}" stroke-width="1" />
+  <line x1="${padding.left}" x2="${width - padding.right}" y1="${(height - padding.bottom).toFixed(2)}" y2="${(height - padding.bottom).toFixed(2)}" style="stroke: ${colors.grid}" stroke-width="1" />
   <!-- Github: https://github.com/cyrus2281/github-widgets -->
 </svg>`.trim();
 
   return stampSvg(svg);
 }
 
-async function generateActivitySVG(username, opts = {}, theme = 'radical') {
+/**
+ * Get the data model rendered by the contribution timeseries widget
+ * @param {string} username - GitHub username
+ * @param {Object} [opts={}] - Options
+ * @param {string} [opts.range] - Date range (YYYY-MM-DD:YYYY-MM-DD, any length) or 'all' since the account was created; defaults to the last 365 days
+ * @param {string} [opts.timezone='UTC'] - IANA zone of the contribution days
+ * @param {'auto'|'day'|'week'|'month'} [opts.aggregate='auto'] - Chart interval; 'auto' picks one from the range length
+ * @param {string} [opts.githubToken] - GitHub token, defaults to GITHUB_TOKEN
+ * @param {boolean} [opts.noCache=false] - Refetch instead of using the data cache
+ * @returns {Promise<Object>} User, range, chart interval ('day', 'week' or 'month'), contribution totals and the daily series
+ */
+async function getActivityData(username, opts = {}) {
   const GITHUB_TOKEN = opts.githubToken || process.env.GITHUB_TOKEN;
   
   if (!GITHUB_TOKEN) {
-    throw new Error('GITHUB_TOKEN is required');
+    throw new ConfigurationError('GITHUB_TOKEN is required');
   }
   
   if (!username) {
-    throw new Error('username is required');
+    throw new ValidationError('username is required');
   }
 
-  let startDate, endDate;
-  if (opts.range) {
+  // Range days (YYYY-MM-DD) start and end at midnight in the requested zone
+  const timeZone = opts.timezone || DEFAULT_TIMEZONE;
+  let startDay, endDay;
+  if (opts.range === ALL_TIME_RANGE) {
+    // Resolved from the account creation date once the user is fetched
+  } else if (opts.range) {
     const parts = String(opts.range).split(':');
-    if (parts.length !== 2) throw new Error('Range must be in format YYYY-MM-DD:YYYY-MM-DD');
+    if (parts.length !== 2) throw new ValidationError('Range must be in format YYYY-MM-DD:YYYY-MM-DD');
     const parsedStart = parseDateSafe(parts[0]);
     const parsedEnd = parseDateSafe(parts[1]);
-    if (!parsedStart || !parsedEnd) throw new Error('Invalid date in range');
-    startDate = startOfDayUTC(parsedStart);
-    endDate = endOfDayUTC(parsedEnd);
-    if (startDate.getTime() > endDate.getTime()) throw new Error('Start date must be before end date');
-    if (daysBetween(startDate, endDate) > 365) throw new Error('Date range cannot be over one year');
+    if (!parsedStart || !parsedEnd) throw new ValidationError('Invalid date in range');
+    const startDate = startOfDayUTC(parsedStart);
+    const endDate = endOfDayUTC(parsedEnd);
+    if (startDate.getTime() > endDate.getTime()) throw new ValidationError('Start date must be before end date');
+    startDay = startDate.toISOString().split('T')[0];
+    endDay = endDate.toISOString().split('T')[0];
   } else {
-    const today = new Date();
-    endDate = endOfDayUTC(today);
-    const s = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate(), 0, 0, 0));
+    endDay = dateInTimeZone(new Date(), timeZone);
+    const s = new Date(`${endDay}T00:00:00Z`);
     s.setUTCDate(s.getUTCDate() - 365);
-    startDate = startOfDayUTC(s);
+    startDay = s.toISOString().split('T')[0];
   }
 
-  const user = await fetchUserBasic(username, GITHUB_TOKEN);
-  const col = await fetchContributions(username, startDate.toISOString(), endDate.toISOString(), GITHUB_TOKEN);
-  const dayArray = buildDaysFromCalendar(col.contributionCalendar);
-  const svg = generateActivitySVGFromData(user, dayArray, col, startDate, endDate, { ...opts, theme });
+  const login = username.toLowerCase();
+  const cacheOptions = { noCache: opts.noCache };
+  const user = await getCachedData(
+    generateCacheKey('data:user-basic', login),
+    () => fetchUserBasic(username, GITHUB_TOKEN),
+    cacheOptions
+  );
+  // Cached users from before createdAt was fetched fall back to GitHub's launch
+  const createdDay = user.createdAt ? dateInTimeZone(new Date(user.createdAt), timeZone) : GITHUB_LAUNCH_DATE;
+  const today = dateInTimeZone(new Date(), timeZone);
+  if (opts.range === ALL_TIME_RANGE) {
+    startDay = createdDay;
+    endDay = today;
+  }
+
+  // A query spans at most a year, so longer ranges are stitched together from
+  // per-year queries (each cached on its own), skipping years before the
+  // account existed or after the current one. A few run at a time, so an
+  // all-time range fits in the request deadline without bursting GitHub.
+  const chunks = daysBetween(new Date(startDay), new Date(endDay)) <= MAX_QUERY_DAYS
+    ? [[startDay, endDay]]
+    : yearChunks(startDay, endDay, Number(createdDay.slice(0, 4)), Number(today.slice(0, 4)));
+
+  const collections = await mapWithConcurrency(chunks, MAX_PARALLEL_QUERIES, ([first, last]) => {
+    const fromIso = zonedDateTime(first, '00:00:00.000', timeZone);
+    const toIso = zonedDateTime(last, '23:59:59.999', timeZone);
+    return getCachedData(
+      generateCacheKey('data:contributions', login, fromIso, toIso),
+      () => fetchContributions(username, fromIso, toIso, GITHUB_TOKEN),
+      cacheOptions
+    );
+  });
+
+  const totals = { commits: 0, prs: 0, issues: 0, reviews: 0, total: 0 };
+  const days = [];
+  for (const col of collections) {
+    totals.commits += col.totalCommitContributions || 0;
+    totals.prs += col.totalPullRequestContributions || 0;
+    totals.issues += col.totalIssueContributions || 0;
+    totals.reviews += col.totalPullRequestReviewContributions || 0;
+    totals.total += (col.contributionCalendar?.totalContributions || 0) + (col.restrictedContributionsCount || 0);
+    days.push(...buildDaysFromCalendar(col.contributionCalendar));
+  }
+
+  return {
+    username: user.login,
+    name: user.name,
+    startDate: startDay,
+    endDate: endDay,
+    interval: opts.aggregate && opts.aggregate !== 'auto' ? opts.aggregate : chooseInterval(startDay, endDay),
+    totals,
+    days,
+  };
+}
+
+async function generateActivitySVG(username, opts = {}, theme = 'radical') {
+  const data = await getActivityData(username, opts);
+  const svg = generateActivitySVGFromData(data, { ...opts, theme });
   return svg;
 }
 
 export {
+  ALL_TIME_RANGE,
+  AGGREGATES,
+  CHART_TYPES,
+  Y_SCALES,
   generateActivitySVG,
+  getActivityData,
+  generateActivitySVGFromData,
   parseDateSafe,
   startOfDayUTC,
   endOfDayUTC,
   daysBetween,
   formatMonthYear,
-  escapeXML
+  escapeXML,
+  bucketDays,
+  movingAverage,
+  logYTicks
 };
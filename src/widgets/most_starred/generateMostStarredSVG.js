@@ -4,15 +4,14 @@ Most Starred Repositories SVG Generator Module
 Requires GITHUB_TOKEN env var.
 */
 
-import { THEMES } from '../../utils/themes.js';
+import { resolveTheme } from '../../utils/themes.js';
+import { resolveBackground } from '../../utils/background.js';
+import { resolveLocale } from '../../utils/i18n.js';
+import { stopColorCycle } from '../../utils/colorCycle.js';
 import { stampSvg } from '../../utils/svgTimestamp.js';
-
-const GITHUB_API = 'https://api.github.com/graphql';
-
-// Helper function to format numbers with comma separators
-function formatNumber(num) {
-  return num.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',');
-}
+import { runGraphQL } from '../../utils/github.js';
+import { ConfigurationError, NotFoundError, WidgetError } from '../../utils/errors.js';
+import { generateCacheKey, getCachedData } from '../../utils/cache.js';
 
 // Helper function to truncate text with ellipsis
 function truncateText(text, maxLength) {
@@ -59,28 +58,8 @@ function escapeXML(s) {
     .replaceAll('"', '&quot;');
 }
 
-// GraphQL query runner
-async function runGraphQL(query, variables, token) {
-  const res = await fetch(GITHUB_API, {
-    method: 'POST',
-    headers: {
-      Authorization: `bearer ${token}`,
-      'Content-Type': 'application/json',
-      Accept: 'application/json',
-    },
-    body: JSON.stringify({ query, variables }),
-  });
-
-  if (!res.ok) {
-    const text = await res.text();
-    throw new Error(`GitHub API HTTP ${res.status}: ${text}`);
-  }
-  const json = await res.json();
-  if (json.errors) {
-    throw new Error('GitHub GraphQL error: ' + JSON.stringify(json.errors));
-  }
-  return json.data;
-}
+// Largest supported value of the top option
+const MAX_TOP = 10;
 
 // Fetch most starred repositories
 async function fetchMostStarredRepos(username, top, token) {
@@ -104,41 +83,68 @@ async function fetchMostStarredRepos(username, top, token) {
   
   const data = await runGraphQL(query, { username, top }, token);
   if (!data || !data.user) {
-    throw new Error(`User "${username}" not found`);
+    throw new NotFoundError(`User "${username}" not found`);
   }
   if (!data.user.repositories || !data.user.repositories.nodes) {
-    throw new Error('No repositories found');
+    throw new NotFoundError('No repositories found');
   }
   
   return data.user.repositories.nodes;
 }
 
+/**
+ * Get the data model rendered by the most starred widget
+ * @param {string} username - GitHub username
+ * @param {Object} [opts={}] - Options
+ * @param {number} [opts.top=3] - Number of repositories (1-10)
+ * @param {boolean} [opts.noCache=false] - Refetch instead of using the data cache
+ * @returns {Promise<{username: string, repositories: Object[]}>} Repositories ordered by stars
+ */
+export async function getMostStarredData(username, opts = {}) {
+  const token = process.env.GITHUB_TOKEN;
+  if (!token) {
+    throw new ConfigurationError('GITHUB_TOKEN environment variable is required');
+  }
+
+  // The maximum is always fetched and cached so that changing top only re-renders
+  const allRepos = await getCachedData(
+    generateCacheKey('data:most-starred', username.toLowerCase()),
+    () => fetchMostStarredRepos(username, MAX_TOP, token),
+    { noCache: opts.noCache }
+  );
+  const repositories = allRepos.slice(0, opts.top || 3);
+
+  if (repositories.length === 0) {
+    throw new NotFoundError('No repositories found for this user');
+  }
+
+  return { username, repositories };
+}
+
 // Main function to generate the SVG
 export async function generateMostStarredSVG(username, opts = {}, theme = 'radical') {
   const token = process.env.GITHUB_TOKEN;
   if (!token) {
-    throw new Error('GITHUB_TOKEN environment variable is required');
+    throw new ConfigurationError('GITHUB_TOKEN environment variable is required');
   }
 
+  const { t, formatNumber, bidi, anchor, mirrorX } = resolveLocale(opts.locale);
+
   // Merge options with defaults
   const options = {
     top: opts.top || 3,
-    title: opts.title || 'Most Starred',
+    title: opts.title || t('mostStarred'),
     width: 700,
     ...opts
   };
 
   // Get theme colors
-  const colors = THEMES[theme] || THEMES.radical;
+  const { colors, css: themeCSS } = resolveTheme(theme, opts);
+  const background = resolveBackground(opts.background, colors);
 
   try {
     // Fetch repositories
-    const repos = await fetchMostStarredRepos(username, options.top, token);
-    
-    
-    if (!repos || repos.length === 0) {
-      throw new Error('No repositories found for this user');
-    }
+    const { repositories: repos } = await getMostStarredData(username, options);
 
     // Calculate dynamic height
     const cardCount = repos.length;
@@ -159,6 +165,7 @@ export async function generateMostStarredSVG(username, opts = {}, theme = 'radic
   <!-- Created By GitHub Widgets - Authored by cyrus2281 -->
   <!-- Github: https://github.com/cyrus2281/github-widgets -->
   <defs>
+    ${background.defs}
     <!-- Drop shadow filter -->
     <filter id="dropShadow" x="-50%" y="-50%" width="200%" height="200%">
       <feGaussianBlur in="SourceAlpha" stdDeviation="4"/>
@@ -174,21 +181,9 @@ export async function generateMostStarredSVG(username, opts = {}, theme = 'radic
     
     <!-- Glowing gradient definition -->
     <linearGradient id="glowGradient" x1="0%" y1="0%" x2="100%" y2="100%">
-      <stop offset="0%" style="stop-color:${colors.accentA};stop-opacity:1">
-        <animate attributeName="stop-color" 
-          values="${colors.accentA};${colors.accentB};${colors.accentC};${colors.accentA}" 
-          dur="6s" repeatCount="indefinite"/>
-      </stop>
-      <stop offset="50%" style="stop-color:${colors.accentB};stop-opacity:1">
-        <animate attributeName="stop-color" 
-          values="${colors.accentB};${colors.accentC};${colors.accentA};${colors.accentB}" 
-          dur="6s" repeatCount="indefinite"/>
-      </stop>
-      <stop offset="100%" style="stop-color:${colors.accentC};stop-opacity:1">
-        <animate attributeName="stop-color" 
-          values="${colors.accentC};${colors.accentA};${colors.accentB};${colors.accentC}" 
-          dur="6s" repeatCount="indefinite"/>
-      </stop>
+      <stop offset="0%" class="glow-stop-start"/>
+      <stop offset="50%" class="glow-stop-middle"/>
+      <stop offset="100%" class="glow-stop-end"/>
     </linearGradient>
     
     <!-- Glow filter for border effect -->
@@ -202,6 +197,11 @@ export async function generateMostStarredSVG(username, opts = {}, theme = 'radic
   </defs>
   
   <style>
+    ${themeCSS}
+    ${stopColorCycle('glow-stop-start', [colors.accentA, colors.accentB, colors.accentC], 6)}
+    ${stopColorCycle('glow-stop-middle', [colors.accentB, colors.accentC, colors.accentA], 6)}
+    ${stopColorCycle('glow-stop-end', [colors.accentC, colors.accentA, colors.accentB], 6)}
+
     @keyframes fadeIn {
       from { opacity: 0; transform: translateY(-10px); }
       to { opacity: 1; transform: translateY(0); }
@@ -274,15 +274,16 @@ export async function generateMostStarredSVG(username, opts = {}, theme = 'radic
   </style>
   
   <!-- Background -->
-  <rect x="0" y="0" width="${options.width}" height="${height}" fill="${colors.bg}" rx="16"/>
+  <rect x="0" y="0" width="${options.width}" height="${height}" style="fill: ${background.fill}" rx="16"/>
+  ${background.overlay({ width: options.width, height, rx: 16 })}
   
   <!-- Title -->
-  <text x="${options.width / 2}" y="48" text-anchor="middle" fill="${colors.title}" class="title">
-    ${escapeXML(options.title)}
+  <text x="${options.width / 2}" y="48" text-anchor="middle" style="fill: ${colors.title}" class="title">
+    ${escapeXML(bidi(options.title))}
   </text>
   
   <!-- Subtitle -->
-  <text x="${options.width / 2}" y="72" text-anchor="middle" fill="${colors.subtext}" class="subtitle">
+  <text x="${options.width / 2}" y="72" text-anchor="middle" style="fill: ${colors.subtext}" class="subtitle">
     @${escapeXML(username)}
   </text>
   
@@ -294,17 +295,19 @@ export async function generateMostStarredSVG(username, opts = {}, theme = 'radic
     const cardHeight = 130;
     
     // Wrap description text to multiple lines
-    const description = repo.description || 'No description provided';
+    const description = repo.description || t('noDescription');
     const truncatedDesc = truncateText(description, 170);
     const descLines = wrapText(truncatedDesc, 85);
+    // Text column of the card, on its right side for right-to-left locales
+    const textX = cardX + mirrorX(20, cardWidth);
     
     return `
   <!-- Card ${index} -->
   <g class="card card-${index}">
     <!-- Card background with shadow -->
     <rect x="${cardX}" y="${cardY}" width="${cardWidth}" height="${cardHeight}"
-          fill="${colors.bg}" rx="12"
-          stroke="${colors.border}" stroke-width="1"
+          style="fill: ${colors.bg}; stroke: ${colors.border}" rx="12"
+          stroke-width="1"
           filter="url(#dropShadow)"/>
     
     <!-- Glowing border -->
@@ -316,31 +319,31 @@ export async function generateMostStarredSVG(username, opts = {}, theme = 'radic
           class="glow-border"/>
     
     <!-- Repository name -->
-    <text x="${cardX + 20}" y="${cardY + 32}" fill="${colors.text}" class="repo-name">
+    <text x="${textX}" y="${cardY + 32}" text-anchor="${anchor('start')}" style="fill: ${colors.text}" class="repo-name">
       ${escapeXML(repo.owner.login)}/${escapeXML(repo.name)}
     </text>
     
     <!-- Description (multi-line) -->
-    <text x="${cardX + 20}" y="${cardY + 56}" fill="${colors.subtext}" class="repo-desc">
-      ${descLines.map((line, i) => `<tspan x="${cardX + 20}" dy="${i === 0 ? 0 : 18}">${escapeXML(line)}</tspan>`).join('')}
+    <text x="${textX}" y="${cardY + 56}" text-anchor="${anchor('start')}" style="fill: ${colors.subtext}" class="repo-desc">
+      ${descLines.map((line, i) => `<tspan x="${textX}" dy="${i === 0 ? 0 : 18}">${escapeXML(line)}</tspan>`).join('')}
     </text>
     
     <!-- Star icon and count -->
-    <g transform="translate(${cardX + 20}, ${cardY + 106})">
-      <svg x="0" y="-8" width="16" height="16" viewBox="0 0 16 16" fill="${colors.warning}">
+    <g transform="translate(${textX}, ${cardY + 106})">
+      <svg x="${mirrorX(0, 0, 16)}" y="-8" width="16" height="16" viewBox="0 0 16 16" style="fill: ${colors.warning}">
         <path d="M8 0l2.163 6.636h6.978l-5.652 4.106 2.163 6.636L8 13.272l-5.652 4.106 2.163-6.636L0 6.636h6.978z"/>
       </svg>
-      <text x="22" y="0" fill="${colors.text}" class="stat-text" alignment-baseline="middle">
+      <text x="${mirrorX(22)}" y="0" text-anchor="${anchor('start')}" style="fill: ${colors.text}" class="stat-text" alignment-baseline="middle">
         ${formatNumber(repo.stargazerCount)}
       </text>
     </g>
     
     <!-- Fork icon and count -->
-    <g transform="translate(${cardX + 120}, ${cardY + 106})">
-      <svg x="0" y="-7" width="14" height="14" viewBox="0 0 14 14" fill="${colors.subtext}">
+    <g transform="translate(${cardX + mirrorX(120, cardWidth)}, ${cardY + 106})">
+      <svg x="${mirrorX(0, 0, 14)}" y="-7" width="14" height="14" viewBox="0 0 14 14" style="fill: ${colors.subtext}">
         <path d="M5 5.372v.878c0 .414.336.75.75.75h4.5a.75.75 0 0 0 .75-.75v-.878a2.25 2.25 0 1 1 1.5 0v.878a2.25 2.25 0 0 1-2.25 2.25h-1.5v2.128a2.251 2.251 0 1 1-1.5 0V8.5h-1.5A2.25 2.25 0 0 1 3.5 6.25v-.878a2.25 2.25 0 1 1 1.5 0ZM5 3.25a.75.75 0 1 0-1.5 0 .75.75 0 0 0 1.5 0Zm6.75.75a.75.75 0 1 0 0-1.5.75.75 0 0 0 0 1.5Zm-3 8.75a.75.75 0 1 0-1.5 0 .75.75 0 0 0 1.5 0Z"/>
       </svg>
-      <text x="22" y="0" fill="${colors.subtext}" class="stat-text-fork" alignment-baseline="middle">
+      <text x="${mirrorX(22)}" y="0" text-anchor="${anchor('start')}" style="fill: ${colors.subtext}" class="stat-text-fork" alignment-baseline="middle">
         ${formatNumber(repo.forkCount)}
       </text>
     </g>
@@ -351,17 +354,21 @@ export async function generateMostStarredSVG(username, opts = {}, theme = 'radic
     return stampSvg(svg);
     
   } catch (error) {
+    // Known errors (not found, rate limits, ...) are reported by the handler with a proper status code
+    if (error instanceof WidgetError) throw error;
+
     // Generate error SVG
     const errorHeight = 200;
     return stampSvg(`
 <svg xmlns="http://www.w3.org/2000/svg" width="${options.width}" height="${errorHeight}" viewBox="0 0 ${options.width} ${errorHeight}">
-  <rect x="0" y="0" width="${options.width}" height="${errorHeight}" fill="${colors.bg}" rx="16"/>
-  <text x="${options.width / 2}" y="80" text-anchor="middle" fill="${colors.error}"
+  <style>${themeCSS}</style>
+  <rect x="0" y="0" width="${options.width}" height="${errorHeight}" style="fill: ${colors.bg}" rx="16"/>
+  <text x="${options.width / 2}" y="80" text-anchor="middle" style="fill: ${colors.error}"
         font-family="-apple-system, BlinkMacSystemFont, 'Segoe UI', Helvetica, Arial, sans-serif"
         font-size="18" font-weight="600">
     Error loading repositories
   </text>
-  <text x="${options.width / 2}" y="110" text-anchor="middle" fill="${colors.subtext}"
+  <text x="${options.width / 2}" y="110" text-anchor="middle" style="fill: ${colors.subtext}"
         font-family="-apple-system, BlinkMacSystemFont, 'Segoe UI', Helvetica, Arial, sans-serif"
         font-size="14">
     ${escapeXML(error.message)}
@@ -1,6 +1,7 @@
 import QRCode from 'qrcode';
 import * as SimpleIcons from 'simple-icons';
-import { THEMES } from '../../utils/themes.js';
+import { resolveTheme } from '../../utils/themes.js';
+import { resolveBackground } from '../../utils/background.js';
 import { stampSvg } from '../../utils/svgTimestamp.js';
 
 /**
@@ -24,20 +25,20 @@ function escapeXML(str) {
  * Custom URL icons are fetched from the network and inlined if SVG, or embedded as data URI.
  * @param {string|null} slug - Simple Icons slug
  * @param {string|null} url - Direct icon URL
- * @param {string|null} colorHex - Hex color without # (e.g. "ffffff")
+ * @param {string|null} color - CSS colour for the icon (e.g. "#ffffff"), null for the brand colour
  * @returns {Promise<{type: 'svg'|'datauri'|'none', viewBox?: {width:number,height:number}, innerContent?: string, dataURI?: string}>}
  */
-async function fetchIconData(slug, url, colorHex) {
+async function fetchIconData(slug, url, color) {
   if (slug) {
     const key = `si${slug.charAt(0).toUpperCase()}${slug.slice(1)}`;
     const icon = SimpleIcons[key];
     if (!icon) return { type: 'none' };
 
-    const fillColor = colorHex ? `#${colorHex}` : `#${icon.hex}`;
+    const fillColor = color || `#${icon.hex}`;
     return {
       type: 'svg',
       viewBox: { width: 24, height: 24 },
-      innerContent: `<path d="${icon.path}" fill="${fillColor}"/>`,
+      innerContent: `<path d="${icon.path}" style="fill: ${fillColor}"/>`,
     };
   }
 
@@ -69,12 +70,9 @@ async function fetchIconData(slug, url, colorHex) {
         .replace(/<\/svg>/g, '')
         .trim();
 
-      if (colorHex) {
-        const color = `#${colorHex}`;
-        innerContent = innerContent.replace(/fill="[^"]*"/g, `fill="${color}"`);
-        if (!innerContent.includes('fill=')) {
-          innerContent = `<g fill="${color}">${innerContent}</g>`;
-        }
+      if (color) {
+        // Set through CSS so theme variables (theme=auto) resolve
+        innerContent = `<g style="fill: ${color}">${innerContent.replace(/\sfill="[^"]*"/g, '')}</g>`;
       }
 
       return { type: 'svg', viewBox: { width: vbWidth, height: vbHeight }, innerContent };
@@ -100,11 +98,19 @@ async function fetchIconData(slug, url, colorHex) {
  * @param {number} [opts.margin] - Quiet zone modules (0–4, default 2)
  * @param {boolean} [opts.animate] - Animate logo with vertical axis spin (default false)
  * @param {number} [opts.animationDuration] - Logo spin duration in seconds (1–10, default 3)
- * @param {string} theme - Theme name
+ * @param {Object} [opts.colors] - Theme colour overrides (see getThemeOptions)
+ * @param {string} [opts.lightTheme] - Light mode theme for theme=auto
+ * @param {string} [opts.darkTheme] - Dark mode theme for theme=auto
+ * @param {Object} [opts.background] - Card gradient and pattern (see getThemeOptions)
+ * @param {string} theme - Theme name, or 'auto'
  * @returns {Promise<string>} SVG string
  */
 export async function generateQRCodeSVG(content, opts = {}, theme = 'radical') {
-  const THEME = THEMES[theme] || THEMES.radical;
+  // For transparent themes, the QR area background needs a fallback so the code is scannable
+  const { colors: THEME, css: themeCSS } = resolveTheme(theme, opts, (colors, name) => ({
+    qrBg: colors.bg === 'transparent' ? (name.includes('black') ? '#ffffff' : '#0f1724') : colors.bg,
+  }));
+  const background = resolveBackground(opts.background, THEME);
 
   const size = Math.max(100, Math.min(800, opts.size || 300));
   const margin = Math.max(0, Math.min(4, opts.margin !== undefined ? opts.margin : 2));
@@ -114,7 +120,7 @@ export async function generateQRCodeSVG(content, opts = {}, theme = 'radical') {
   const logoInput = opts.logo || '';
   const useThemeColor = opts.useThemeColor === true;
   // Determine effective logo color: explicit override > theme color > brand color (null = use brand)
-  const logoColor = opts.logoColor || (useThemeColor ? THEME.title.replace('#', '') : null);
+  const logoColor = opts.logoColor ? `#${opts.logoColor.replace('#', '')}` : (useThemeColor ? THEME.title : null);
 
   // Generate QR code matrix (ECL H = up to 30% recoverable, needed for logo overlay)
   const qr = QRCode.create(content, { errorCorrectionLevel: 'H' });
@@ -144,11 +150,10 @@ export async function generateQRCodeSVG(content, opts = {}, theme = 'radical') {
   let iconData = null;
   if (logoInput) {
     const isUrl = logoInput.startsWith('http://') || logoInput.startsWith('https://');
-    const colorHex = logoColor ? logoColor.replace('#', '') : null;
     iconData = await fetchIconData(
       isUrl ? null : logoInput,
       isUrl ? logoInput : null,
-      colorHex
+      logoColor
     );
   }
 
@@ -170,9 +175,6 @@ export async function generateQRCodeSVG(content, opts = {}, theme = 'radical') {
   // For transparent themes, title may be bright on dark canvas — that's fine for scanning
   const darkColor = THEME.title;
 
-  // For transparent themes, the QR area background needs a fallback so the code is scannable
-  const qrBg = THEME.bg === 'transparent' ? (theme.includes('black') ? '#ffffff' : '#0f1724') : THEME.bg;
-
   // Build SVG
   const svgParts = [];
 
@@ -180,7 +182,8 @@ export async function generateQRCodeSVG(content, opts = {}, theme = 'radical') {
   svgParts.push(`<!-- Created By GitHub Widgets - Authored by cyrus2281 -->`);
 
   // Styles and animations
-  svgParts.push(`<defs><style>`);
+  svgParts.push(`<defs>${background.defs}<style>`);
+  if (themeCSS) svgParts.push(`  ${themeCSS}`);
   svgParts.push(`  .qr-title { opacity: 0; animation: qrFadeIn 0.5s ease-out 0.1s forwards; }`);
   if (animate && iconData && iconData.type !== 'none') {
     svgParts.push(`  @keyframes qrLogoSpin {`);
@@ -193,21 +196,24 @@ export async function generateQRCodeSVG(content, opts = {}, theme = 'radical') {
   svgParts.push(`</style></defs>`);
 
   // Outer background
-  svgParts.push(`<rect width="${totalWidth}" height="${totalHeight}" rx="16" fill="${THEME.bg}" stroke="${THEME.border}" stroke-width="1"/>`);
-
-  // QR code area background (explicit so transparent themes are scannable)
-  if (THEME.bg === 'transparent') {
-    svgParts.push(`<rect x="${qrOriginX}" y="${qrOriginY}" width="${actualSize.toFixed(2)}" height="${actualSize.toFixed(2)}" fill="${qrBg}"/>`);
+  svgParts.push(`<rect width="${totalWidth}" height="${totalHeight}" rx="16" style="fill: ${background.fill}; stroke: ${THEME.border}" stroke-width="1"/>`);
+  svgParts.push(background.overlay({ width: totalWidth, height: totalHeight, rx: 16 }));
+
+  // QR code area background (explicit so transparent themes and custom backgrounds
+  // are scannable; adaptive widgets may switch to a transparent theme, so they
+  // always get one)
+  if (THEME.bg === 'transparent' || themeCSS || opts.background) {
+    svgParts.push(`<rect x="${qrOriginX}" y="${qrOriginY}" width="${actualSize.toFixed(2)}" height="${actualSize.toFixed(2)}" style="fill: ${THEME.qrBg}"/>`);
   }
 
   // Optional title
   if (title) {
     const titleY = padding + 26;
-    svgParts.push(`<text class="qr-title" x="${totalWidth / 2}" y="${titleY}" text-anchor="middle" fill="${THEME.title}" font-family="'Segoe UI',Roboto,sans-serif" font-size="22" font-weight="700">${escapeXML(title)}</text>`);
+    svgParts.push(`<text class="qr-title" x="${totalWidth / 2}" y="${titleY}" text-anchor="middle" style="fill: ${THEME.title}" font-family="'Segoe UI',Roboto,sans-serif" font-size="22" font-weight="700">${escapeXML(title)}</text>`);
   }
 
   // QR modules as a single path
-  svgParts.push(`<path d="${modulePath}" fill="${darkColor}"/>`);
+  svgParts.push(`<path d="${modulePath}" style="fill: ${darkColor}"/>`);
 
   // Logo overlay (only if icon was found)
   if (iconData && iconData.type !== 'none') {
@@ -215,7 +221,7 @@ export async function generateQRCodeSVG(content, opts = {}, theme = 'radical') {
     svgParts.push(`<g${logoClass}>`);
 
     // Background circle to separate logo from QR modules
-    svgParts.push(`  <circle cx="${centerX.toFixed(2)}" cy="${centerY.toFixed(2)}" r="${logoBgRadius.toFixed(2)}" fill="${qrBg}"/>`);
+    svgParts.push(`  <circle cx="${centerX.toFixed(2)}" cy="${centerY.toFixed(2)}" r="${logoBgRadius.toFixed(2)}" style="fill: ${THEME.qrBg}"/>`);
 
     // Logo content
     const halfLogo = logoSize / 2;
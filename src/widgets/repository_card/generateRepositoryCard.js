@@ -4,16 +4,14 @@ GitHub Repository Card SVG Generator Module
 Requires GITHUB_TOKEN env var.
 */
 
-import { THEMES } from '../../utils/themes.js';
+import { resolveTheme } from '../../utils/themes.js';
+import { resolveBackground } from '../../utils/background.js';
+import { resolveLocale } from '../../utils/i18n.js';
 import { stampSvg } from '../../utils/svgTimestamp.js';
-
-const GITHUB_API = 'https://api.github.com/graphql';
-
-// Helper function to format numbers with comma separators
-function formatNumber(num) {
-  if (num === null || num === undefined) return '0';
-  return num.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',');
-}
+import { measureText } from '../../utils/fonts.js';
+import { runGraphQL } from '../../utils/github.js';
+import { ConfigurationError, NotFoundError, WidgetError } from '../../utils/errors.js';
+import { generateCacheKey, getCachedData } from '../../utils/cache.js';
 
 // Helper function to escape XML special characters
 function escapeXML(s) {
@@ -25,10 +23,9 @@ function escapeXML(s) {
 }
 
 // Helper function to wrap text into multiple lines
-function wrapText(text, maxWidth) {
+function wrapText(text, maxWidth, approxCharWidth = 6) {
   if (!text) return [];
   
-  const approxCharWidth = 6; // Approximate width of a character in pixels
   const maxCharsPerLine = Math.floor(maxWidth / approxCharWidth);
   
   const words = text.split(/\s+/);
@@ -65,29 +62,6 @@ function wrapText(text, maxWidth) {
   return lines;
 }
 
-// GraphQL query runner
-async function runGraphQL(query, variables, token) {
-  const res = await fetch(GITHUB_API, {
-    method: 'POST',
-    headers: {
-      Authorization: `bearer ${token}`,
-      'Content-Type': 'application/json',
-      Accept: 'application/json',
-    },
-    body: JSON.stringify({ query, variables }),
-  });
-
-  if (!res.ok) {
-    const text = await res.text();
-    throw new Error(`GitHub API HTTP ${res.status}: ${text}`);
-  }
-  const json = await res.json();
-  if (json.errors) {
-    throw new Error('GitHub GraphQL error: ' + JSON.stringify(json.errors));
-  }
-  return json.data;
-}
-
 // Fetch repository data from GitHub GraphQL API
 async function fetchRepositoryData(owner, name, token) {
   const query = `
@@ -109,12 +83,33 @@ async function fetchRepositoryData(owner, name, token) {
 
   const data = await runGraphQL(query, { owner, name }, token);
   if (!data || !data.repository) {
-    throw new Error(`Repository "${owner}/${name}" not found`);
+    throw new NotFoundError(`Repository "${owner}/${name}" not found`);
   }
 
   return data.repository;
 }
 
+/**
+ * Get the data model rendered by the repository card widget
+ * @param {string} userName - GitHub username
+ * @param {string} repoName - Repository name
+ * @param {Object} [opts={}] - Options
+ * @param {boolean} [opts.noCache=false] - Refetch instead of using the data cache
+ * @returns {Promise<Object>} Repository name, owner, description, language, stars and forks
+ */
+export async function getRepositoryCardData(userName, repoName, opts = {}) {
+  const token = process.env.GITHUB_TOKEN;
+  if (!token) {
+    throw new ConfigurationError('GITHUB_TOKEN environment variable is required');
+  }
+
+  return getCachedData(
+    generateCacheKey('data:repository', userName.toLowerCase(), repoName.toLowerCase()),
+    () => fetchRepositoryData(userName, repoName, token),
+    { noCache: opts.noCache }
+  );
+}
+
 /**
  * Generate a GitHub repository card SVG
  * @param {string} userName - GitHub username
@@ -126,13 +121,19 @@ async function fetchRepositoryData(owner, name, token) {
  * @param {boolean} [opts.showForks=true] - Whether to show forks
  * @param {number} [opts.width=400] - Card width
  * @param {number} [opts.height=120] - Card height
+ * @param {boolean} [opts.noCache=false] - Refetch repository data instead of using the data cache
+ * @param {Object} [opts.colors] - Theme colour overrides (see getThemeOptions)
+ * @param {string} [opts.lightTheme] - Light mode theme for theme=auto
+ * @param {string} [opts.darkTheme] - Dark mode theme for theme=auto
+ * @param {Object} [opts.background] - Card gradient and pattern (see getThemeOptions)
+ * @param {string} [opts.locale='en'] - Locale of the star and fork counts (see resolveLocale)
  * @param {string} [theme='radical'] - Theme name
  * @returns {Promise<string>} SVG string
  */
 export async function generateRepositoryCard(userName, repoName, opts = {}, theme = 'radical') {
   const token = process.env.GITHUB_TOKEN;
   if (!token) {
-    throw new Error('GITHUB_TOKEN environment variable is required');
+    throw new ConfigurationError('GITHUB_TOKEN environment variable is required');
   }
 
   // Merge options with defaults
@@ -147,11 +148,13 @@ export async function generateRepositoryCard(userName, repoName, opts = {}, them
   };
 
   // Get theme colors
-  const colors = THEMES[theme] || THEMES.radical;
+  const { colors, css: themeCSS } = resolveTheme(theme, opts);
+  const background = resolveBackground(opts.background, colors);
+  const { formatNumber } = resolveLocale(opts.locale);
 
   try {
     // Fetch repository data
-    const repoData = await fetchRepositoryData(userName, repoName, token);
+    const repoData = await getRepositoryCardData(userName, repoName, opts);
 
     // Build repository display name
     const repoDisplayName = options.showUserName 
@@ -181,7 +184,11 @@ export async function generateRepositoryCard(userName, repoName, opts = {}, them
     // Wrap description text
     let descriptionLines = [];
     if (description && maxLines > 0) {
-      const wrappedLines = wrapText(description, availableTextWidth);
+      // Embedded fonts can be wider than the system fonts the 6px estimate fits
+      const charWidth = options.font
+        ? Math.max(6, (await measureText(description, options.font, 12)) / [...description].length)
+        : undefined;
+      const wrappedLines = wrapText(description, availableTextWidth, charWidth);
       
       // Truncate if exceeds max lines
       if (wrappedLines.length > maxLines) {
@@ -226,8 +233,16 @@ export async function generateRepositoryCard(userName, repoName, opts = {}, them
 
     const languageColor = language ? (languageColors[language] || colors.accentA) : colors.accentA;
 
-    const starsTransformX = options.showLanguage && language ? 120 : 0;
-    const forksTransformX = starsTransformX + (options.showStars ? 70 : 0);
+    // Stat columns fit the system fonts; an embedded font can be wider, so
+    // measure the language and star count with it
+    let languageColumn = 120;
+    let starsColumn = 70;
+    if (options.font) {
+      languageColumn = Math.max(languageColumn, Math.ceil(18 + (await measureText(language || '', options.font, 13)) + 16));
+      starsColumn = Math.max(starsColumn, Math.ceil(20 + (await measureText(formatNumber(stars), options.font, 13)) + 16));
+    }
+    const starsTransformX = options.showLanguage && language ? languageColumn : 0;
+    const forksTransformX = starsTransformX + (options.showStars ? starsColumn : 0);
 
     // Generate SVG
     const svg = `
@@ -235,6 +250,7 @@ export async function generateRepositoryCard(userName, repoName, opts = {}, them
   <!-- Created By GitHub Widgets - Authored by cyrus2281 -->
   <!-- Github: https://github.com/cyrus2281/github-widgets -->
   <defs>
+    ${background.defs}
     <!-- Drop shadow filter -->
     <filter id="cardShadow" x="-50%" y="-50%" width="200%" height="200%">
       <feGaussianBlur in="SourceAlpha" stdDeviation="3"/>
@@ -256,6 +272,8 @@ export async function generateRepositoryCard(userName, repoName, opts = {}, them
   </defs>
   
   <style>
+    ${themeCSS}
+
     @keyframes fadeIn {
       from { opacity: 0; }
       to { opacity: 1; }
@@ -316,19 +334,20 @@ export async function generateRepositoryCard(userName, repoName, opts = {}, them
   <!-- Card background with shadow -->
   <g class="repo-card">
     <rect x="0" y="0" width="${options.width}" height="${options.height}"
-          fill="${colors.bg}" rx="8"
+          style="fill: ${background.fill}" rx="8"
           stroke="url(#borderGradient)" stroke-width="1"
           filter="url(#cardShadow)"/>
+    ${background.overlay({ width: options.width, height: options.height, rx: 8 })}
     
     <!-- Repository icon -->
     <g class="repo-icon" transform="translate(16, 20)">
-      <svg width="16" height="16" viewBox="0 0 16 16" fill="${colors.subtext}">
+      <svg width="16" height="16" viewBox="0 0 16 16" style="fill: ${colors.subtext}">
         <path d="M2 2.5A2.5 2.5 0 0 1 4.5 0h8.75a.75.75 0 0 1 .75.75v12.5a.75.75 0 0 1-.75.75h-2.5a.75.75 0 0 1 0-1.5h1.75v-2h-8a1 1 0 0 0-.714 1.7.75.75 0 1 1-1.072 1.05A2.495 2.495 0 0 1 2 11.5Zm10.5-1h-8a1 1 0 0 0-1 1v6.708A2.486 2.486 0 0 1 4.5 9h8ZM5 12.25a.25.25 0 0 1 .25-.25h3.5a.25.25 0 0 1 .25.25v3.25a.25.25 0 0 1-.4.2l-1.45-1.087a.249.249 0 0 0-.3 0L5.4 15.7a.25.25 0 0 1-.4-.2Z"/>
       </svg>
     </g>
     
     <!-- Repository name -->
-    <text x="40" y="32" fill="${colors.title}" class="repo-name">
+    <text x="40" y="32" style="fill: ${colors.title}" class="repo-name">
       ${escapeXML(repoDisplayName)}
     </text>
     
@@ -336,7 +355,7 @@ export async function generateRepositoryCard(userName, repoName, opts = {}, them
     <!-- Repository description -->
     <g class="repo-description">
       ${descriptionLines.map((line, index) => `
-      <text x="16" y="${descriptionStartY + (index * descriptionLineHeight)}" fill="${colors.subtext}">
+      <text x="16" y="${descriptionStartY + (index * descriptionLineHeight)}" style="fill: ${colors.subtext}">
         ${escapeXML(line)}
       </text>`).join('')}
     </g>
@@ -347,8 +366,8 @@ export async function generateRepositoryCard(userName, repoName, opts = {}, them
       ${options.showLanguage && language ? `
       <!-- Language -->
       <g class="stat-item stat-item-1" style="--slide-in-offset: 0px">
-        <circle cx="6" cy="6" r="6" fill="${languageColor}"/>
-        <text x="18" y="10" fill="${colors.text}" class="language-text">
+        <circle cx="6" cy="6" r="6" style="fill: ${languageColor}"/>
+        <text x="18" y="10" style="fill: ${colors.text}" class="language-text">
           ${escapeXML(language)}
         </text>
       </g>
@@ -357,10 +376,10 @@ export async function generateRepositoryCard(userName, repoName, opts = {}, them
       ${options.showStars ? `
       <!-- Stars -->
       <g class="stat-item stat-item-2" style="--slide-in-offset: ${starsTransformX}px" transform="translate(${starsTransformX}, 0)">
-        <svg x="0" y="-2" width="14" height="14" viewBox="0 0 16 16" fill="${colors.warning}">
+        <svg x="0" y="-2" width="14" height="14" viewBox="0 0 16 16" style="fill: ${colors.warning}">
           <path d="M8 .25a.75.75 0 0 1 .673.418l1.882 3.815 4.21.612a.75.75 0 0 1 .416 1.279l-3.046 2.97.719 4.192a.751.751 0 0 1-1.088.791L8 12.347l-3.766 1.98a.75.75 0 0 1-1.088-.79l.72-4.194L.818 6.374a.75.75 0 0 1 .416-1.28l4.21-.611L7.327.668A.75.75 0 0 1 8 .25Z"/>
         </svg>
-        <text x="20" y="10" fill="${colors.text}" class="stat-text">
+        <text x="20" y="10" style="fill: ${colors.text}" class="stat-text">
           ${formatNumber(stars)}
         </text>
       </g>
@@ -369,10 +388,10 @@ export async function generateRepositoryCard(userName, repoName, opts = {}, them
       ${options.showForks ? `
       <!-- Forks -->
       <g class="stat-item stat-item-3" style="--slide-in-offset: ${forksTransformX}px" transform="translate(${forksTransformX}, 0)">
-        <svg x="0" y="-2" width="14" height="14" viewBox="0 0 16 16" fill="${colors.subtext}">
+        <svg x="0" y="-2" width="14" height="14" viewBox="0 0 16 16" style="fill: ${colors.subtext}">
           <path d="M5 5.372v.878c0 .414.336.75.75.75h4.5a.75.75 0 0 0 .75-.75v-.878a2.25 2.25 0 1 1 1.5 0v.878a2.25 2.25 0 0 1-2.25 2.25h-1.5v2.128a2.251 2.251 0 1 1-1.5 0V8.5h-1.5A2.25 2.25 0 0 1 3.5 6.25v-.878a2.25 2.25 0 1 1 1.5 0ZM5 3.25a.75.75 0 1 0-1.5 0 .75.75 0 0 0 1.5 0Zm6.75.75a.75.75 0 1 0 0-1.5.75.75 0 0 0 0 1.5Zm-3 8.75a.75.75 0 1 0-1.5 0 .75.75 0 0 0 1.5 0Z"/>
         </svg>
-        <text x="20" y="10" fill="${colors.text}" class="stat-text">
+        <text x="20" y="10" style="fill: ${colors.text}" class="stat-text">
           ${formatNumber(forks)}
         </text>
       </g>
@@ -384,17 +403,21 @@ export async function generateRepositoryCard(userName, repoName, opts = {}, them
     return stampSvg(svg);
 
   } catch (error) {
+    // Known errors (not found, rate limits, ...) are reported by the handler with a proper status code
+    if (error instanceof WidgetError) throw error;
+
     // Generate error SVG
     const errorHeight = 120;
     return stampSvg(`
 <svg xmlns="http://www.w3.org/2000/svg" width="${options.width}" height="${errorHeight}" viewBox="0 0 ${options.width} ${errorHeight}">
-  <rect x="0" y="0" width="${options.width}" height="${errorHeight}" fill="${colors.bg}" rx="8"/>
-  <text x="${options.width / 2}" y="50" text-anchor="middle" fill="${colors.error}"
+  <style>${themeCSS}</style>
+  <rect x="0" y="0" width="${options.width}" height="${errorHeight}" style="fill: ${colors.bg}" rx="8"/>
+  <text x="${options.width / 2}" y="50" text-anchor="middle" style="fill: ${colors.error}"
         font-family="-apple-system, BlinkMacSystemFont, 'Segoe UI', Helvetica, Arial, sans-serif"
         font-size="14" font-weight="600">
     Error loading repository
   </text>
-  <text x="${options.width / 2}" y="75" text-anchor="middle" fill="${colors.subtext}"
+  <text x="${options.width / 2}" y="75" text-anchor="middle" style="fill: ${colors.subtext}"
         font-family="-apple-system, BlinkMacSystemFont, 'Segoe UI', Helvetica, Arial, sans-serif"
         font-size="12">
     ${escapeXML(error.message)}
@@ -1,5 +1,6 @@
 import * as SimpleIcons from 'simple-icons';
-import { THEMES } from '../../utils/themes.js';
+import { resolveTheme } from '../../utils/themes.js';
+import { resolveBackground } from '../../utils/background.js';
 import { stampSvg } from '../../utils/svgTimestamp.js';
 
 /**
@@ -65,21 +66,21 @@ function escapeXML(str) {
  * Custom URL icons are fetched from the network and inlined if SVG, or embedded as data URI.
  * @param {string|null} slug - Simple Icons slug
  * @param {string|null} url - Direct icon URL
- * @param {string|null} colorHex - Hex color without # (e.g. "ffffff")
+ * @param {string|null} color - CSS colour for monochrome icons (e.g. "#ffffff"), null for brand colours
  * @returns {Promise<{type: 'svg'|'datauri'|'none', viewBox?: {width:number,height:number}, innerContent?: string, dataURI?: string, brandTitle: string|null}>}
  */
-async function fetchIconData(slug, url, colorHex) {
+async function fetchIconData(slug, url, color) {
   if (slug) {
     // Resolve from bundled simple-icons — no network request, works in all environments
     const key = `si${slug.charAt(0).toUpperCase()}${slug.slice(1)}`;
     const icon = SimpleIcons[key];
     if (!icon) return { type: 'none', brandTitle: null };
 
-    const fillColor = colorHex ? `#${colorHex}` : `#${icon.hex}`;
+    const fillColor = color || `#${icon.hex}`;
     return {
       type: 'svg',
       viewBox: { width: 24, height: 24 },
-      innerContent: `<path d="${icon.path}" fill="${fillColor}"/>`,
+      innerContent: `<path d="${icon.path}" style="fill: ${fillColor}"/>`,
       brandTitle: icon.title,
     };
   }
@@ -113,12 +114,9 @@ async function fetchIconData(slug, url, colorHex) {
         .replace(/<\/svg>/g, '')
         .trim();
 
-      if (colorHex) {
-        const color = `#${colorHex}`;
-        innerContent = innerContent.replace(/fill="[^"]*"/g, `fill="${color}"`);
-        if (!innerContent.includes('fill=')) {
-          innerContent = `<g fill="${color}">${innerContent}</g>`;
-        }
+      if (color) {
+        // Set through CSS so theme variables (theme=auto) resolve
+        innerContent = `<g style="fill: ${color}">${innerContent.replace(/\sfill="[^"]*"/g, '')}</g>`;
       }
 
       return { type: 'svg', viewBox: { width: vbWidth, height: vbHeight }, innerContent, brandTitle: null };
@@ -140,7 +138,8 @@ async function fetchIconData(slug, url, colorHex) {
  * @returns {Promise<string>} SVG string
  */
 export async function generateSkillTableSVG(skillsString, opts = {}, theme = 'radical') {
-  const THEME = THEMES[theme] || THEMES.radical;
+  const { colors: THEME, css: themeCSS } = resolveTheme(theme, opts);
+  const background = resolveBackground(opts.background, THEME);
 
   const columns = Math.max(1, Math.min(10, opts.columns || 4));
   const iconSize = Math.max(16, Math.min(128, opts.iconSize || 48));
@@ -153,26 +152,27 @@ export async function generateSkillTableSVG(skillsString, opts = {}, theme = 'ra
   const subtitle = opts.subtitle || '';
 
   // Determine icon fetch color
-  let fetchColorHex = null;
+  let fetchColor = null;
   if (iconColor) {
-    fetchColorHex = iconColor.replace('#', '');
+    fetchColor = `#${iconColor.replace('#', '')}`;
   } else if (!useOriginalColors) {
-    fetchColorHex = THEME.text.replace('#', '');
+    fetchColor = THEME.text;
   }
-  // If useOriginalColors && no iconColor override, fetchColorHex stays null (brand colors)
+  // If useOriginalColors && no iconColor override, fetchColor stays null (brand colors)
 
   const entries = parseSkillsInput(skillsString);
   if (entries.length === 0) {
     return stampSvg(`<svg xmlns="http://www.w3.org/2000/svg" width="400" height="100" viewBox="0 0 400 100">
-      <rect width="400" height="100" rx="16" fill="${THEME.bg}" stroke="${THEME.border}" stroke-width="1"/>
-      <text x="200" y="55" text-anchor="middle" fill="${THEME.subtext}" font-family="'Segoe UI',Roboto,sans-serif" font-size="14">No skills provided</text>
+      <style>${themeCSS}</style>
+      <rect width="400" height="100" rx="16" style="fill: ${THEME.bg}; stroke: ${THEME.border}" stroke-width="1"/>
+      <text x="200" y="55" text-anchor="middle" style="fill: ${THEME.subtext}" font-family="'Segoe UI',Roboto,sans-serif" font-size="14">No skills provided</text>
     </svg>`);
   }
 
   // Fetch all icons in parallel
   const skillEntries = entries.filter(e => e.type === 'skill');
   const iconResults = await Promise.all(
-    skillEntries.map(e => fetchIconData(e.slug || null, e.url || null, fetchColorHex))
+    skillEntries.map(e => fetchIconData(e.slug || null, e.url || null, fetchColor))
   );
 
   // Attach icon data and resolve display titles
@@ -273,7 +273,8 @@ export async function generateSkillTableSVG(skillsString, opts = {}, theme = 'ra
   svgParts.push(`<!-- Created By GitHub Widgets - Authored by cyrus2281 -->`);
 
   // Styles and animations
-  svgParts.push(`<defs><style>
+  svgParts.push(`<defs>${background.defs}<style>
+    ${themeCSS}
     @keyframes fadeScaleIn {
       0% { opacity: 0; transform: scale(0.7); }
       100% { opacity: 1; transform: scale(1); }
@@ -301,17 +302,18 @@ export async function generateSkillTableSVG(skillsString, opts = {}, theme = 'ra
   </style></defs>`);
 
   // Background
-  svgParts.push(`<rect width="${totalWidth}" height="${totalHeight}" rx="16" fill="${THEME.bg}" stroke="${THEME.border}" stroke-width="1"/>`);
+  svgParts.push(`<rect width="${totalWidth}" height="${totalHeight}" rx="16" style="fill: ${background.fill}; stroke: ${THEME.border}" stroke-width="1"/>`);
+  svgParts.push(background.overlay({ width: totalWidth, height: totalHeight, rx: 16 }));
 
   // Title
   let titleY = padding;
   if (title) {
     titleY += 22;
-    svgParts.push(`<text class="title-text" x="${totalWidth / 2}" y="${titleY}" text-anchor="middle" fill="${THEME.title}" font-family="'Segoe UI',Roboto,sans-serif" font-size="22" font-weight="700">${escapeXML(title)}</text>`);
+    svgParts.push(`<text class="title-text" x="${totalWidth / 2}" y="${titleY}" text-anchor="middle" style="fill: ${THEME.title}" font-family="'Segoe UI',Roboto,sans-serif" font-size="22" font-weight="700">${escapeXML(title)}</text>`);
   }
   if (subtitle) {
     titleY += 22;
-    svgParts.push(`<text class="title-text" x="${totalWidth / 2}" y="${titleY}" text-anchor="middle" fill="${THEME.subtext}" font-family="'Segoe UI',Roboto,sans-serif" font-size="14" style="animation-delay: 0.1s">${escapeXML(subtitle)}</text>`);
+    svgParts.push(`<text class="title-text" x="${totalWidth / 2}" y="${titleY}" text-anchor="middle" font-family="'Segoe UI',Roboto,sans-serif" font-size="14" style="fill: ${THEME.subtext}; animation-delay: 0.1s">${escapeXML(subtitle)}</text>`);
   }
 
   // Render entries
@@ -321,8 +323,8 @@ export async function generateSkillTableSVG(skillsString, opts = {}, theme = 'ra
     if (item.type === 'header') {
       const lineY = item.y + headerHeight - 6;
       svgParts.push(`<g class="section-header" style="animation-delay: ${delay}s">`);
-      svgParts.push(`<text x="${padding + 4}" y="${item.y + 22}" fill="${THEME.title}" font-family="'Segoe UI',Roboto,sans-serif" font-size="15" font-weight="600">${escapeXML(item.title)}</text>`);
-      svgParts.push(`<line x1="${padding}" y1="${lineY}" x2="${totalWidth - padding}" y2="${lineY}" stroke="${THEME.grid}" stroke-width="1"/>`);
+      svgParts.push(`<text x="${padding + 4}" y="${item.y + 22}" style="fill: ${THEME.title}" font-family="'Segoe UI',Roboto,sans-serif" font-size="15" font-weight="600">${escapeXML(item.title)}</text>`);
+      svgParts.push(`<line x1="${padding}" y1="${lineY}" x2="${totalWidth - padding}" y2="${lineY}" style="stroke: ${THEME.grid}" stroke-width="1"/>`);
       svgParts.push(`</g>`);
       continue;
     }
@@ -335,7 +337,7 @@ export async function generateSkillTableSVG(skillsString, opts = {}, theme = 'ra
     svgParts.push(`<g class="skill-cell" style="animation-delay: ${delay}s; transform-origin: ${cellCenterX}px ${item.y + cellHeight / 2}px">`);
 
     // Cell background (subtle)
-    svgParts.push(`<rect x="${item.x}" y="${item.y}" width="${cellWidth}" height="${cellHeight - titleLineHeight}" rx="10" fill="${THEME.fadeShadow}"/>`);
+    svgParts.push(`<rect x="${item.x}" y="${item.y}" width="${cellWidth}" height="${cellHeight - titleLineHeight}" rx="10" style="fill: ${THEME.fadeShadow}"/>`);
 
     if (item.iconData && item.iconData.type === 'svg' && item.iconData.innerContent) {
       // Inline SVG content directly — avoids GitHub proxy stripping data: URIs from <image> elements
@@ -350,8 +352,8 @@ export async function generateSkillTableSVG(skillsString, opts = {}, theme = 'ra
       svgParts.push(`<image href="${item.iconData.dataURI}" x="${iconX}" y="${iconY}" width="${iconSize}" height="${iconSize}"/>`);
     } else {
       // Placeholder for failed icons
-      svgParts.push(`<rect x="${iconX}" y="${iconY}" width="${iconSize}" height="${iconSize}" rx="8" fill="${THEME.grid}" stroke="${THEME.border}" stroke-width="1"/>`);
-      svgParts.push(`<text x="${cellCenterX}" y="${iconY + iconSize / 2 + 5}" text-anchor="middle" fill="${THEME.subtext}" font-family="'Segoe UI',Roboto,sans-serif" font-size="16">?</text>`);
+      svgParts.push(`<rect x="${iconX}" y="${iconY}" width="${iconSize}" height="${iconSize}" rx="8" style="fill: ${THEME.grid}; stroke: ${THEME.border}" stroke-width="1"/>`);
+      svgParts.push(`<text x="${cellCenterX}" y="${iconY + iconSize / 2 + 5}" text-anchor="middle" style="fill: ${THEME.subtext}" font-family="'Segoe UI',Roboto,sans-serif" font-size="16">?</text>`);
     }
 
     if (showTitles && item.displayTitle) {
@@ -361,7 +363,7 @@ export async function generateSkillTableSVG(skillsString, opts = {}, theme = 'ra
       const displayText = item.displayTitle.length > maxChars
         ? item.displayTitle.substring(0, maxChars - 1) + '…'
         : item.displayTitle;
-      svgParts.push(`<text x="${cellCenterX}" y="${textY}" text-anchor="middle" fill="${THEME.text}" font-family="'Segoe UI',Roboto,sans-serif" font-size="11">${escapeXML(displayText)}</text>`);
+      svgParts.push(`<text x="${cellCenterX}" y="${textY}" text-anchor="middle" style="fill: ${THEME.text}" font-family="'Segoe UI',Roboto,sans-serif" font-size="11">${escapeXML(displayText)}</text>`);
     }
 
     svgParts.push(`</g>`);
@@ -0,0 +1,172 @@
+/*
+generateThemeSheetSVG.js
+Theme Sheet SVG Generator Module
+Renders a swatch card per theme, including user-defined themes loaded at startup.
+*/
+
+import {
+  THEMES,
+  AUTO_THEME,
+  AUTO_LIGHT_THEME,
+  AUTO_DARK_THEME,
+  DEFAULT_THEME,
+  isCustomTheme,
+  themeDisplayName,
+} from '../../utils/themes.js';
+import { checkThemeContrast, getMinContrastRatio, themeBackdrop } from '../../utils/contrast.js';
+import { stampSvg } from '../../utils/svgTimestamp.js';
+
+const CARD_WIDTH = 260;
+const CARD_HEIGHT = 136;
+const GAP = 16;
+const PADDING = 16;
+
+const ACCENT_KEYS = ['accentA', 'accentB', 'accentC', 'accentD', 'accentE'];
+const STATUS_KEYS = ['success', 'warning', 'error', 'info'];
+
+/**
+ * Escape special XML characters.
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeXML(str) {
+  if (!str) return '';
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Get the theme catalogue: every theme with its full palette and the contrast
+ * of its title, text and subtext on its background, in THEMES order
+ * @param {Object} [opts={}] - Options
+ * @param {string[]} [opts.themes] - Theme names to include (defaults to all)
+ * @returns {{default: string, auto: {key: string, light: string, dark: string}, minContrastRatio: number, violations: Array<{theme: string, key: string, ratio: number}>, themes: Array<{key: string, name: string, custom: boolean, colors: Object, contrast: import('../../utils/contrast.js').ContrastResult}>}} Theme catalogue
+ */
+export function getThemeSheetData(opts = {}) {
+  const names = opts.themes && opts.themes.length > 0 ? opts.themes : Object.keys(THEMES);
+  const minRatio = getMinContrastRatio();
+  const themes = names.map((key) => ({
+    key,
+    name: themeDisplayName(key),
+    custom: isCustomTheme(key),
+    colors: { ...THEMES[key] },
+    contrast: checkThemeContrast(THEMES[key], { minRatio }),
+  }));
+
+  return {
+    default: DEFAULT_THEME,
+    auto: { key: AUTO_THEME, light: AUTO_LIGHT_THEME, dark: AUTO_DARK_THEME },
+    minContrastRatio: minRatio,
+    violations: themes.flatMap(({ key: theme, contrast }) =>
+      contrast.violations.map((key) => ({ theme, key, ratio: contrast.ratios[key] }))
+    ),
+    themes,
+  };
+}
+
+/**
+ * Render the swatch card of one theme
+ * @param {{key: string, name: string, custom: boolean, colors: Object}} theme - Catalogue entry
+ * @param {number} x - Card x position
+ * @param {number} y - Card y position
+ * @param {number} index - Card index, used to stagger the entry animation
+ * @returns {string} SVG markup
+ */
+function renderThemeCard({ key, name, custom, colors }, x, y, index) {
+  const accents = ACCENT_KEYS.map((accent, i) =>
+    `<circle cx="${26 + i * 26}" cy="82" r="10" style="fill: ${colors[accent]}; stroke: ${colors.nodeStroke}" stroke-width="1"/>`
+  ).join('');
+  const statuses = STATUS_KEYS.map((status, i) =>
+    `<rect x="${16 + i * 36}" y="102" width="30" height="14" rx="4" style="fill: ${colors[status]}"/>`
+  ).join('');
+
+  return `
+  <g class="theme-card" transform="translate(${x}, ${y})" style="animation-delay: ${(index * 0.05).toFixed(2)}s">
+    ${colors.bg === 'transparent' ? `<rect width="${CARD_WIDTH}" height="${CARD_HEIGHT}" rx="12" fill="url(#${themeBackdrop(colors) === 'dark' ? 'transparentDark' : 'transparentLight'})"/>` : ''}
+    <rect width="${CARD_WIDTH}" height="${CARD_HEIGHT}" rx="12" style="fill: ${colors.bg}; stroke: ${colors.border}" stroke-width="1"/>
+    <text x="16" y="30" class="theme-name" style="fill: ${colors.title}">${escapeXML(name)}</text>
+    <text x="16" y="48" class="theme-key" style="fill: ${colors.subtext}">${escapeXML(key)}${custom ? ' · custom' : ''}</text>
+    <line x1="16" x2="${CARD_WIDTH - 16}" y1="60" y2="60" style="stroke: ${colors.grid}" stroke-width="1"/>
+    ${accents}
+    <text x="${CARD_WIDTH - 16}" y="88" text-anchor="end" class="theme-sample" style="fill: ${colors.text}">Aa</text>
+    ${statuses}
+    <text x="${CARD_WIDTH - 16}" y="114" text-anchor="end" class="theme-key" style="fill: ${colors.link}">link</text>
+  </g>`;
+}
+
+/**
+ * Generate a swatch sheet of the available themes.
+ * @param {Object} [opts={}] - Options
+ * @param {string[]} [opts.themes] - Theme names to include (defaults to all)
+ * @param {number} [opts.columns=3] - Cards per row
+ * @returns {string} SVG string
+ */
+export function generateThemeSheetSVG(opts = {}) {
+  const { themes } = getThemeSheetData(opts);
+  const columns = Math.max(1, Math.min(opts.columns || 3, themes.length));
+  const rows = Math.ceil(themes.length / columns);
+
+  const width = PADDING * 2 + columns * CARD_WIDTH + (columns - 1) * GAP;
+  const height = PADDING * 2 + rows * CARD_HEIGHT + (rows - 1) * GAP;
+
+  const cards = themes.map((theme, index) => {
+    const x = PADDING + (index % columns) * (CARD_WIDTH + GAP);
+    const y = PADDING + Math.floor(index / columns) * (CARD_HEIGHT + GAP);
+    return renderThemeCard(theme, x, y, index);
+  }).join('');
+
+  const svg = `
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="Themes: ${escapeXML(themes.map((theme) => theme.key).join(', '))}">
+  <!-- Created By GitHub Widgets - Authored by cyrus2281 -->
+  <!-- Github: https://github.com/cyrus2281/github-widgets -->
+  <defs>
+    <!-- Checkerboards shown behind transparent themes, dark for light text and light for dark text -->
+    <pattern id="transparentDark" width="16" height="16" patternUnits="userSpaceOnUse">
+      <rect width="16" height="16" fill="#0d1117"/>
+      <rect width="8" height="8" fill="#161b22"/>
+      <rect x="8" y="8" width="8" height="8" fill="#161b22"/>
+    </pattern>
+    <pattern id="transparentLight" width="16" height="16" patternUnits="userSpaceOnUse">
+      <rect width="16" height="16" fill="#ffffff"/>
+      <rect width="8" height="8" fill="#eaeef2"/>
+      <rect x="8" y="8" width="8" height="8" fill="#eaeef2"/>
+    </pattern>
+  </defs>
+
+  <style>
+    @keyframes fadeIn {
+      from { opacity: 0; }
+      to { opacity: 1; }
+    }
+
+    .theme-card {
+      opacity: 0;
+      animation: fadeIn 0.4s ease-out forwards;
+    }
+
+    .theme-name {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Helvetica, Arial, sans-serif;
+      font-size: 16px;
+      font-weight: 700;
+    }
+
+    .theme-key {
+      font-family: "SFMono-Regular", ui-monospace, "Roboto Mono", monospace;
+      font-size: 11px;
+    }
+
+    .theme-sample {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Helvetica, Arial, sans-serif;
+      font-size: 20px;
+      font-weight: 600;
+    }
+  </style>
+  ${cards}
+</svg>`.trim();
+
+  return stampSvg(svg);
+}
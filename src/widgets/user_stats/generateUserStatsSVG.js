@@ -4,16 +4,15 @@ GitHub User Stats SVG Generator Module
 Requires GITHUB_TOKEN env var.
 */
 
-import { THEMES } from '../../utils/themes.js';
+import { resolveTheme } from '../../utils/themes.js';
+import { resolveBackground } from '../../utils/background.js';
+import { resolveLocale } from '../../utils/i18n.js';
+import { stopColorCycle } from '../../utils/colorCycle.js';
 import { stampSvg } from '../../utils/svgTimestamp.js';
-
-const GITHUB_API = 'https://api.github.com/graphql';
-
-// Helper function to format numbers with comma separators
-function formatNumber(num) {
-  if (num === null || num === undefined) return '0';
-  return num.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',');
-}
+import { measureText } from '../../utils/fonts.js';
+import { runGraphQL } from '../../utils/github.js';
+import { ConfigurationError, NotFoundError, ValidationError, WidgetError } from '../../utils/errors.js';
+import { generateCacheKey, getCachedData } from '../../utils/cache.js';
 
 // Helper function to escape XML special characters
 function escapeXML(s) {
@@ -24,29 +23,6 @@ function escapeXML(s) {
     .replaceAll('"', '&quot;');
 }
 
-// GraphQL query runner
-async function runGraphQL(query, variables, token) {
-  const res = await fetch(GITHUB_API, {
-    method: 'POST',
-    headers: {
-      Authorization: `bearer ${token}`,
-      'Content-Type': 'application/json',
-      Accept: 'application/json',
-    },
-    body: JSON.stringify({ query, variables }),
-  });
-
-  if (!res.ok) {
-    const text = await res.text();
-    throw new Error(`GitHub API HTTP ${res.status}: ${text}`);
-  }
-  const json = await res.json();
-  if (json.errors) {
-    throw new Error('GitHub GraphQL error: ' + JSON.stringify(json.errors));
-  }
-  return json.data;
-}
-
 // Fetch user stats
 async function fetchUserStats(username, token) {
   const query = `
@@ -74,7 +50,7 @@ async function fetchUserStats(username, token) {
   
   const data = await runGraphQL(query, { username }, token);
   if (!data || !data.user) {
-    throw new Error(`User "${username}" not found`);
+    throw new NotFoundError(`User "${username}" not found`);
   }
   
   return data.user;
@@ -148,14 +124,72 @@ async function fetchTotalCommits(username, token, contributionYears) {
   return totalCommits;
 }
 
+/**
+ * Get the data model rendered by the user stats widget
+ * @param {string} username - GitHub username
+ * @param {Object} [opts={}] - Options
+ * @param {boolean} [opts.showStars=true] - Fetch total stars (null when false)
+ * @param {boolean} [opts.showCommits=true] - Fetch all-time commits (null when false)
+ * @param {boolean} [opts.noCache=false] - Refetch instead of using the data cache
+ * @returns {Promise<Object>} User name and stat totals
+ */
+export async function getUserStatsData(username, opts = {}) {
+  const token = process.env.GITHUB_TOKEN;
+  if (!token) {
+    throw new ConfigurationError('GITHUB_TOKEN environment variable is required');
+  }
+  if (!username) {
+    throw new ValidationError('Username is required in opts.username');
+  }
+
+  // Fetch user data (cached per user, independent of presentation options)
+  const login = username.toLowerCase();
+  const cacheOptions = { noCache: opts.noCache };
+  const userData = await getCachedData(
+    generateCacheKey('data:user-stats', login),
+    () => fetchUserStats(username, token),
+    cacheOptions
+  );
+  const totalStars = opts.showStars !== false
+    ? await getCachedData(
+      generateCacheKey('data:total-stars', login),
+      () => fetchTotalStars(username, token),
+      cacheOptions
+    )
+    : null;
+
+  // Calculate total commits if needed
+  let totalCommits = null;
+  if (opts.showCommits !== false) {
+    const years = userData.contributionsCollection.contributionYears || [];
+    totalCommits = await getCachedData(
+      generateCacheKey('data:total-commits', login),
+      () => fetchTotalCommits(username, token, years),
+      cacheOptions
+    );
+  }
+
+  return {
+    username: userData.login,
+    name: userData.name,
+    totalStars,
+    totalCommits,
+    commitsThisYear: userData.contributionsCollection.totalCommitContributions,
+    totalPRs: userData.contributionsCollection.totalPullRequestContributions,
+    totalIssues: userData.contributionsCollection.totalIssueContributions,
+    totalRepositories: userData.repositories.totalCount,
+    contributedTo: userData.repositoriesContributedTo.totalCount,
+  };
+}
+
 // Main function to generate the SVG
 export async function generateUserStatsSVG(username, opts = {}, theme = 'radical') {
   const token = process.env.GITHUB_TOKEN;
   if (!token) {
-    throw new Error('GITHUB_TOKEN environment variable is required');
+    throw new ConfigurationError('GITHUB_TOKEN environment variable is required');
   }
   if (!username) {
-    throw new Error('Username is required in opts.username');
+    throw new ValidationError('Username is required in opts.username');
   }
 
   // Merge options with defaults
@@ -174,65 +208,67 @@ export async function generateUserStatsSVG(username, opts = {}, theme = 'radical
   };
 
   // Get theme colors
-  const colors = THEMES[theme] || THEMES.radical;
+  const { colors, css: themeCSS } = resolveTheme(theme, opts);
+  const background = resolveBackground(opts.background, colors);
+  const { t, formatNumber, bidi, anchor, mirrorX } = resolveLocale(opts.locale);
 
   try {
-    // Fetch user data
-    const userData = await fetchUserStats(username, token);
-    const totalStars = options.showStars ? await fetchTotalStars(username, token) : 0;
-    
-    // Calculate total commits if needed
-    let totalCommits = 0;
-    if (options.showCommits) {
-      const years = userData.contributionsCollection.contributionYears || [];
-      totalCommits = await fetchTotalCommits(username, token, years);
-    }
+    const data = await getUserStatsData(username, options);
     
     // Prepare stats data
     const stats = [];
     
     if (options.showStars) {
-      stats.push({ label: 'Total Stars', value: formatNumber(totalStars), icon: 'star' });
+      stats.push({ label: t('totalStars'), value: formatNumber(data.totalStars), icon: 'star' });
     }
     if (options.showCommits) {
-      stats.push({ label: 'Total Commits', value: formatNumber(totalCommits), icon: 'commit' });
+      stats.push({ label: t('totalCommits'), value: formatNumber(data.totalCommits), icon: 'commit' });
     }
     if (options.showCommitsThisYear) {
       stats.push({
-        label: 'Commits This Year',
-        value: formatNumber(userData.contributionsCollection.totalCommitContributions),
+        label: t('commitsThisYear'),
+        value: formatNumber(data.commitsThisYear),
         icon: 'calendar'
       });
     }
     if (options.showPRs) {
       stats.push({ 
-        label: 'Total PRs', 
-        value: formatNumber(userData.contributionsCollection.totalPullRequestContributions), 
+        label: t('totalPRs'), 
+        value: formatNumber(data.totalPRs), 
         icon: 'pr' 
       });
     }
     if (options.showIssues) {
       stats.push({ 
-        label: 'Total Issues', 
-        value: formatNumber(userData.contributionsCollection.totalIssueContributions), 
+        label: t('totalIssues'), 
+        value: formatNumber(data.totalIssues), 
         icon: 'issue' 
       });
     }
     if (options.showRepos) {
       stats.push({ 
-        label: 'Total Repositories', 
-        value: formatNumber(userData.repositories.totalCount), 
+        label: t('totalRepositories'), 
+        value: formatNumber(data.totalRepositories), 
         icon: 'repo' 
       });
     }
     if (options.showContributedTo) {
       stats.push({ 
-        label: 'Contributed To', 
-        value: formatNumber(userData.repositoriesContributedTo.totalCount), 
+        label: t('contributedTo'), 
+        value: formatNumber(data.contributedTo), 
         icon: 'contributed' 
       });
     }
 
+    // Values start at a fixed column that fits the labels in the system
+    // fonts; an embedded font can be wider, so measure the labels with it
+    const labelX = 30;
+    let valueX = 180;
+    if (opts.font) {
+      const labelWidths = await Promise.all(stats.map((stat) => measureText(`${stat.label}:`, opts.font, 16)));
+      valueX = Math.max(valueX, Math.ceil(labelX + Math.max(...labelWidths) + 12));
+    }
+
     // Calculate dynamic height based on visible stats
     const nameHandleHeight = 95 - (options.showHandle ? 0 : 30);
     const statHeight = 26; // Height per stat item
@@ -259,6 +295,7 @@ export async function generateUserStatsSVG(username, opts = {}, theme = 'radical
   <!-- Created By GitHub Widgets - Authored by cyrus2281 -->
   <!-- Github: https://github.com/cyrus2281/github-widgets -->
   <defs>
+    ${background.defs}
     <!-- Drop shadow filter for card -->
     <filter id="cardShadow" x="-50%" y="-50%" width="200%" height="200%">
       <feGaussianBlur in="SourceAlpha" stdDeviation="12"/>
@@ -274,21 +311,9 @@ export async function generateUserStatsSVG(username, opts = {}, theme = 'radical
     
     <!-- Gradient for GitHub logo -->
     <linearGradient id="githubGradient" x1="0%" y1="0%" x2="100%" y2="100%">
-      <stop offset="0%" style="stop-color:${colors.accentA};stop-opacity:1">
-        <animate attributeName="stop-color"
-          values="${colors.accentA};${colors.accentB};${colors.accentC};${colors.accentD};${colors.accentA}"
-          dur="6s" repeatCount="indefinite"/>
-      </stop>
-      <stop offset="50%" style="stop-color:${colors.accentC};stop-opacity:1">
-        <animate attributeName="stop-color"
-          values="${colors.accentC};${colors.accentD};${colors.accentE};${colors.accentB};${colors.accentC}"
-          dur="6s" repeatCount="indefinite"/>
-      </stop>
-      <stop offset="100%" style="stop-color:${colors.accentE};stop-opacity:1">
-        <animate attributeName="stop-color"
-          values="${colors.accentE};${colors.accentA};${colors.accentB};${colors.accentC};${colors.accentE}"
-          dur="6s" repeatCount="indefinite"/>
-      </stop>
+      <stop offset="0%" class="logo-stop-start"/>
+      <stop offset="50%" class="logo-stop-middle"/>
+      <stop offset="100%" class="logo-stop-end"/>
     </linearGradient>
     
     <!-- Glow filter -->
@@ -302,6 +327,11 @@ export async function generateUserStatsSVG(username, opts = {}, theme = 'radical
   </defs>
   
   <style>
+    ${themeCSS}
+    ${stopColorCycle('logo-stop-start', [colors.accentA, colors.accentB, colors.accentC, colors.accentD], 6)}
+    ${stopColorCycle('logo-stop-middle', [colors.accentC, colors.accentD, colors.accentE, colors.accentB], 6)}
+    ${stopColorCycle('logo-stop-end', [colors.accentE, colors.accentA, colors.accentB, colors.accentC], 6)}
+
     @keyframes fadeIn {
       from { opacity: 0; transform: translateY(-10px); }
       to { opacity: 1; transform: translateY(0); }
@@ -388,19 +418,20 @@ export async function generateUserStatsSVG(username, opts = {}, theme = 'radical
   </style>
   
   <!-- Background with shadow -->
-  <rect x="0" y="0" width="${options.width}" height="${height}" fill="${colors.bg}" rx="16" filter="url(#cardShadow)"/>
+  <rect x="0" y="0" width="${options.width}" height="${height}" style="fill: ${background.fill}" rx="16" filter="url(#cardShadow)"/>
+  ${background.overlay({ width: options.width, height, rx: 16 })}
   
-  <!-- LEFT HALF: Name, Handle, and Stats -->
-  <g transform="translate(30, ${padding + 5})">
+  <!-- LEFT HALF (right half for right-to-left locales): Name, Handle, and Stats -->
+  <g transform="translate(${mirrorX(30, options.width)}, ${padding + 5})">
     <!-- User Name -->
-    <text x="0" y="30" fill="${colors.title}" class="name">
-      ${escapeXML(userData.name || username)}
+    <text x="0" y="30" text-anchor="${anchor('start')}" style="fill: ${colors.title}" class="name">
+      ${escapeXML(data.name || username)}
     </text>
     
     ${options.showHandle ? `
     <!-- User Handle -->
-    <text x="0" y="60" fill="${colors.subtext}" class="handle">
-      @${escapeXML(userData.login)}
+    <text x="0" y="60" text-anchor="${anchor('start')}" style="fill: ${colors.subtext}" class="handle">
+      @${escapeXML(data.username)}
     </text>
     ` : ''}
     
@@ -433,15 +464,15 @@ export async function generateUserStatsSVG(username, opts = {}, theme = 'radical
       <!-- Stat ${index}: ${stat.label} -->
       <g class="stat-item stat-${index}">
         <!-- Icon -->
-        <svg x="0" y="${baseY}" width="20" height="20" viewBox="0 0 16 16" fill="${iconAccent}">
+        <svg x="${mirrorX(0, 0, 20)}" y="${baseY}" width="20" height="20" viewBox="0 0 16 16" style="fill: ${iconAccent}">
           <path d="${iconPath}"/>
         </svg>
         
         <!-- Stat Label and Value on same line -->
-        <text x="30" y="${baseY + 14}" fill="${statLabelColor}" class="stat-label">
-          ${escapeXML(stat.label)}:
+        <text x="${mirrorX(labelX)}" y="${baseY + 14}" text-anchor="${anchor('start')}" style="fill: ${statLabelColor}" class="stat-label">
+          ${escapeXML(bidi(`${stat.label}:`))}
         </text>
-        <text x="180" y="${baseY + 14}" fill="${statValueColor}" class="stat-value">
+        <text x="${mirrorX(valueX)}" y="${baseY + 14}" text-anchor="${anchor('start')}" style="fill: ${statValueColor}" class="stat-value">
           ${escapeXML(stat.value)}
         </text>
       </g>`;
@@ -450,8 +481,8 @@ export async function generateUserStatsSVG(username, opts = {}, theme = 'radical
   </g>
   
   ${options.showLogo ? `
-  <!-- RIGHT HALF: GitHub Logo (Centered) -->
-  <g class="github-logo" transform="translate(${options.width * 0.75 - logoRadius}, ${height / 2 - logoRadius})">
+  <!-- RIGHT HALF (left half for right-to-left locales): GitHub Logo (Centered) -->
+  <g class="github-logo" transform="translate(${mirrorX(options.width * 0.75, options.width) - logoRadius}, ${height / 2 - logoRadius})">
     <circle cx="${logoRadius}" cy="${logoRadius}" r="${logoRadius * 1.1}" fill="url(#githubGradient)" opacity="0.15" filter="url(#glow)"/>
     <g transform="translate(${logoRadius - logoSize * 0.4}, ${logoRadius - logoSize * 0.4}) scale(${logoSize * 0.05})">
       <!-- Animated stroke path that draws the logo -->
@@ -466,17 +497,21 @@ export async function generateUserStatsSVG(username, opts = {}, theme = 'radical
     return stampSvg(svg);
 
   } catch (error) {
+    // Known errors (not found, rate limits, ...) are reported by the handler with a proper status code
+    if (error instanceof WidgetError) throw error;
+
     // Generate error SVG
     const errorHeight = 200;
     return stampSvg(`
 <svg xmlns="http://www.w3.org/2000/svg" width="${options.width}" height="${errorHeight}" viewBox="0 0 ${options.width} ${errorHeight}">
-  <rect x="0" y="0" width="${options.width}" height="${errorHeight}" fill="${colors.bg}" rx="16"/>
-  <text x="${options.width / 2}" y="80" text-anchor="middle" fill="${colors.error}"
+  <style>${themeCSS}</style>
+  <rect x="0" y="0" width="${options.width}" height="${errorHeight}" style="fill: ${colors.bg}" rx="16"/>
+  <text x="${options.width / 2}" y="80" text-anchor="middle" style="fill: ${colors.error}"
         font-family="-apple-system, BlinkMacSystemFont, 'Segoe UI', Helvetica, Arial, sans-serif"
         font-size="18" font-weight="600">
     Error loading user stats
   </text>
-  <text x="${options.width / 2}" y="110" text-anchor="middle" fill="${colors.subtext}"
+  <text x="${options.width / 2}" y="110" text-anchor="middle" style="fill: ${colors.subtext}"
         font-family="-apple-system, BlinkMacSystemFont, 'Segoe UI', Helvetica, Arial, sans-serif"
         font-size="14">
     ${escapeXML(error.message)}
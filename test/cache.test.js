@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+
+// The cache singletons read their configuration on import
+process.env.CACHE_BACKEND = 'memory';
+process.env.CACHE_TTL_MS = '50';
+process.env.CACHE_DATA_TTL_MS = '200';
+const { getCachedData, getOrRevalidate, setBackgroundRevalidation } = await import('../src/utils/cache.js');
+
+test('getCachedData reuses data until its TTL runs out', async () => {
+  let fetches = 0;
+  const fetch = async () => ++fetches;
+
+  assert.equal(await getCachedData('data:test:reuse', fetch), 1);
+  assert.equal(await getCachedData('data:test:reuse', fetch), 1);
+  assert.equal(fetches, 1);
+});
+
+test('reading cached data does not extend its lifetime', async () => {
+  let fetches = 0;
+  const fetch = async () => ++fetches;
+
+  await getCachedData('data:test:age', fetch);
+  // Keep reading past the TTL: each read would restart an age-on-get TTL
+  for (let i = 0; i < 3; i++) {
+    await sleep(80);
+    await getCachedData('data:test:age', fetch);
+  }
+  assert.equal(fetches, 2);
+});
+
+test('getOrRevalidate serves a stale entry and refreshes it in the background', async () => {
+  let renders = 0;
+  const generate = async () => ++renders;
+
+  assert.deepEqual(await getOrRevalidate('test:background', generate), { value: 1, status: 'MISS' });
+  await sleep(80);
+  assert.deepEqual(await getOrRevalidate('test:background', generate), { value: 1, status: 'STALE' });
+  await sleep(10);
+  assert.deepEqual(await getOrRevalidate('test:background', generate), { value: 2, status: 'HIT' });
+});
+
+test('without background revalidation a stale entry is regenerated before returning', async (t) => {
+  setBackgroundRevalidation(false);
+  t.after(() => setBackgroundRevalidation(true));
+  let renders = 0;
+  const generate = async () => ++renders;
+
+  await getOrRevalidate('test:inline', generate);
+  await sleep(80);
+  assert.deepEqual(await getOrRevalidate('test:inline', generate), { value: 2, status: 'MISS' });
+  assert.deepEqual(await getOrRevalidate('test:inline', generate), { value: 2, status: 'HIT' });
+});
+
+test('without background revalidation a stale entry is served when regenerating fails', async (t) => {
+  setBackgroundRevalidation(false);
+  t.after(() => setBackgroundRevalidation(true));
+
+  await getOrRevalidate('test:inline-error', async () => 'cached');
+  await sleep(80);
+  const failing = async () => {
+    throw new Error('GitHub is down');
+  };
+  assert.deepEqual(await getOrRevalidate('test:inline-error', failing), { value: 'cached', status: 'STALE' });
+});
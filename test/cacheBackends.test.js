@@ -0,0 +1,173 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readdirSync, rmSync, utimesSync, writeFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import { createServer } from 'node:net';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createMemoryCache } from '../src/utils/cacheBackends/memory.js';
+import { createFilesystemCache } from '../src/utils/cacheBackends/filesystem.js';
+import { createSqliteCache } from '../src/utils/cacheBackends/sqlite.js';
+import { createRedisCache } from '../src/utils/cacheBackends/redis.js';
+import { ConfigurationError } from '../src/utils/errors.js';
+
+const require = createRequire(import.meta.url);
+const sqliteAvailable = (() => {
+  try {
+    require('node:sqlite');
+    return true;
+  } catch {
+    return false;
+  }
+})();
+
+const TTL = 100;
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Start a minimal stand-in for a Redis server: GET, SET with PX, DEL, plus
+ * AUTH and SELECT as sent when connecting. Commands are refused until the
+ * client has authenticated with "secret".
+ * @param {Object} t - Test context, used to stop the server afterwards
+ * @returns {Promise<string>} Connection URL
+ */
+async function startRespServer(t) {
+  const data = new Map();
+  const sockets = new Set();
+
+  const run = (session, [name, ...args]) => {
+    const command = name.toUpperCase();
+    if (command === 'AUTH') {
+      session.authenticated = args.at(-1) === 'secret';
+      return session.authenticated ? '+OK' : '-WRONGPASS invalid password';
+    }
+    if (!session.authenticated) return '-NOAUTH Authentication required.';
+
+    const [key, value] = args;
+    const entry = data.get(key);
+    const live = entry && entry.expiresAt > Date.now();
+    switch (command) {
+      case 'SELECT':
+        return '+OK';
+      case 'GET':
+        return live ? `$${Buffer.byteLength(entry.value)}\r\n${entry.value}` : '$-1';
+      case 'SET':
+        assert.equal(args[2], 'PX');
+        data.set(key, { value, expiresAt: Date.now() + Number(args[3]) });
+        return '+OK';
+      case 'DEL':
+        data.delete(key);
+        return `:${live ? 1 : 0}`;
+      default:
+        return `-ERR unknown command '${name}'`;
+    }
+  };
+
+  const server = createServer((socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    const session = { authenticated: false };
+    let buffer = '';
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      // Each command arrives as an array of bulk strings: *N, then $len/value pairs
+      let lines;
+      while ((lines = buffer.split('\r\n')).length > 1) {
+        const count = parseInt(lines[0].slice(1), 10);
+        if (lines.length < 2 + count * 2) break;
+        const args = [];
+        for (let i = 0; i < count; i++) args.push(lines[2 + i * 2]);
+        buffer = lines.slice(1 + count * 2).join('\r\n');
+        socket.write(`${run(session, args)}\r\n`);
+      }
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    for (const socket of sockets) socket.destroy();
+    server.close();
+  });
+  return `redis://:secret@127.0.0.1:${server.address().port}/2`;
+}
+
+// Backends under test, each created in a fresh temporary directory (or
+// against a fresh stand-in server), under the given namespace
+const BACKENDS = {
+  memory: () => createMemoryCache({ maxSize: 100, ttl: TTL }),
+  filesystem: ({ dir }, namespace) => createFilesystemCache({ dir: join(dir, 'cache'), namespace, ttl: TTL }),
+  sqlite: ({ dir }, namespace) => createSqliteCache({ path: join(dir, 'cache.sqlite'), namespace, ttl: TTL }),
+  redis: ({ url }, namespace) => createRedisCache({ url, namespace, ttl: TTL }),
+};
+
+for (const [name, create] of Object.entries(BACKENDS)) {
+  const skip = name === 'sqlite' && !sqliteAvailable && `node:sqlite is not available on Node.js ${process.version}`;
+
+  test(`${name} backend follows the cache contract`, { skip }, async (t) => {
+    const dir = mkdtempSync(join(tmpdir(), 'github-widgets-test-'));
+    t.after(() => rmSync(dir, { recursive: true, force: true }));
+    const env = { dir, url: name === 'redis' ? await startRespServer(t) : undefined };
+    const store = create(env, 'render');
+
+    assert.equal(await store.get('missing'), undefined);
+
+    // Values round-trip as JSON, under keys in the format of generateCacheKey
+    const key = 'user-stats:octocat:radical::true:en';
+    const value = { svg: '<svg>…</svg>', status: 'MISS', createdAt: 1700000000000, tags: ['a', 'b'] };
+    await store.set(key, value);
+    assert.deepEqual(await store.get(key), value);
+
+    await store.set(key, 'replaced');
+    assert.equal(await store.get(key), 'replaced');
+
+    // Another namespace on the same storage never sees or replaces these entries
+    const other = create(env, 'data');
+    assert.equal(await other.get(key), undefined);
+    await other.set(key, 'data');
+    assert.equal(await store.get(key), 'replaced');
+    assert.equal(await other.get(key), 'data');
+
+    await store.set('other', 1);
+    await store.delete(key);
+    assert.equal(await store.get(key), undefined);
+    assert.equal(await store.get('other'), 1);
+    await store.delete('never-set');
+
+    await sleep(TTL + 50);
+    assert.equal(await store.get('other'), undefined, 'entries expire after the TTL');
+  });
+}
+
+test('filesystem backend sweeps expired files and bounds its size', async (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'github-widgets-test-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const store = createFilesystemCache({ dir, namespace: 'render', ttl: TTL, maxSize: 3 });
+  const files = () => readdirSync(join(dir, 'render')).sort();
+
+  await store.set('expiring', 1);
+  // Left behind by an interrupted write
+  const leftover = join(dir, 'render', 'interrupted.json.1.1.tmp');
+  writeFileSync(leftover, '{');
+  utimesSync(leftover, new Date(0), new Date(0));
+  await sleep(TTL + 50);
+
+  // Expired files go even though nobody reads them again
+  await store.set('a', 1);
+  assert.equal(files().length, 1);
+
+  // Beyond maxSize, the oldest writes go
+  for (const key of ['b', 'c', 'd']) {
+    await sleep(5);
+    await store.set(key, 1);
+  }
+  assert.equal(files().length, 3);
+  assert.equal(await store.get('a'), undefined);
+  assert.equal(await store.get('d'), 1);
+});
+
+test('sqlite backend refuses to start without node:sqlite', { skip: sqliteAvailable && 'node:sqlite is available' }, () => {
+  assert.throws(
+    () => createSqliteCache({ path: join(tmpdir(), 'unused.sqlite'), ttl: TTL }),
+    (error) => error instanceof ConfigurationError && /Node\.js 22\.13/.test(error.message)
+  );
+});
@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createValidationErrorSVG } from '../src/utils/errors.js';
+
+test('validation errors only name the field when the message does not', () => {
+  const { statusCode, body, problem } = createValidationErrorSVG([
+    { param: 'width', message: 'width must be a number between 300 and 1000' },
+    { param: 'bg_color', message: 'bg_color must be a hex colour (e.g. ff5252), rgb()/rgba() or transparent' },
+    { param: 'userName', message: 'Invalid GitHub username format' },
+  ]);
+
+  assert.equal(statusCode, 400);
+  assert.equal(
+    problem.message,
+    'width must be a number between 300 and 1000; bg_color must be a hex colour (e.g. ff5252), rgb()/rgba() or transparent; userName: Invalid GitHub username format'
+  );
+  assert.deepEqual(problem.errors[2], { field: 'userName', message: 'Invalid GitHub username format' });
+  assert.ok(!body.includes('width: width'));
+});
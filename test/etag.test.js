@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeETag, withETag } from '../src/utils/etag.js';
+
+const BODY = '<svg xmlns="http://www.w3.org/2000/svg"><!-- Generated: 2025-01-01T00:00:00.000Z --></svg>';
+const response = () => ({
+  statusCode: 200,
+  headers: { 'Content-Type': 'image/svg+xml', 'Cache-Control': 'public, max-age=3600' },
+  body: BODY,
+});
+const request = (ifNoneMatch) => ({ headers: ifNoneMatch === undefined ? {} : { 'if-none-match': ifNoneMatch } });
+
+test('the ETag is weak and ignores the generation timestamp', () => {
+  const etag = computeETag(BODY);
+  assert.match(etag, /^W\/"[\w-]+"$/);
+  assert.equal(computeETag(BODY.replace('2025-01-01', '2026-06-30')), etag);
+  assert.notEqual(computeETag(BODY.replace('<svg ', '<svg id="x" ')), etag);
+});
+
+test('If-None-Match is compared weakly, so strong and weak forms of the tag match', () => {
+  const etag = computeETag(BODY);
+  const opaque = etag.slice(2);
+  for (const header of [etag, opaque]) {
+    assert.equal(withETag(request(header), response()).statusCode, 304, header);
+  }
+  assert.equal(withETag(request('W/"other"'), response()).statusCode, 200);
+  assert.equal(withETag(request(), response()).headers.ETag, etag);
+});
+
+test('If-None-Match lists match on any entry, and * matches any current body', () => {
+  const etag = computeETag(BODY);
+  assert.equal(withETag(request(`"a", W/"b",${etag}`), response()).statusCode, 304);
+  assert.equal(withETag(request('"a", W/"b"'), response()).statusCode, 200);
+  assert.equal(withETag(request(' * '), response()).statusCode, 304);
+});
+
+test('a 304 keeps the caching headers but has no body or content type', () => {
+  const notModified = withETag(request('*'), response());
+  assert.deepEqual(notModified, {
+    statusCode: 304,
+    headers: { 'Cache-Control': 'public, max-age=3600', ETag: computeETag(BODY) },
+    body: '',
+  });
+});
+
+test('non-200 responses are passed through without an ETag', () => {
+  const error = { ...response(), statusCode: 404 };
+  assert.equal(withETag(request('*'), error), error);
+});
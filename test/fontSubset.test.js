@@ -0,0 +1,197 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import { brotliDecompressSync } from 'node:zlib';
+import { subsetFontToWOFF2, advanceWidths } from '../src/utils/fontSubset.js';
+import { FONTS, measureText } from '../src/utils/fonts.js';
+
+const require = createRequire(import.meta.url);
+const loadFont = (file) => readFileSync(require.resolve(`dejavu-fonts-ttf/ttf/${file}`));
+
+// Fixture text: ASCII, punctuation, accented letters (composite glyphs in
+// DejaVu), a non-Latin script and a symbol
+const TEXT = 'Commits This Year: 1,234 – Größe über ÅÉ Привет ★';
+
+// WOFF2 known table tags, by index (the spec's table, as far as fonts use it)
+const KNOWN_TAGS = ['cmap', 'head', 'hhea', 'hmtx', 'maxp', 'name', 'OS/2', 'post', 'cvt ', 'fpgm', 'glyf', 'loca', 'prep', 'CFF '];
+
+function readBase128(buf, offset) {
+  let value = 0;
+  for (let i = 0; i < 5; i++) {
+    const byte = buf[offset + i];
+    value = value * 128 + (byte & 0x7f);
+    if (!(byte & 0x80)) return { value, offset: offset + i + 1 };
+  }
+  throw new Error('UIntBase128 longer than 5 bytes');
+}
+
+// Decode a WOFF2 file whose tables are all stored untransformed
+function decodeWOFF2(woff2) {
+  assert.equal(woff2.toString('latin1', 0, 4), 'wOF2');
+  assert.equal(woff2.readUInt32BE(8), woff2.length, 'length field matches the file size');
+  const numTables = woff2.readUInt16BE(12);
+  const compressedLength = woff2.readUInt32BE(20);
+
+  let offset = 48;
+  const directory = [];
+  for (let i = 0; i < numTables; i++) {
+    const flags = woff2[offset++];
+    let tag = KNOWN_TAGS[flags & 0x3f];
+    if ((flags & 0x3f) === 63) {
+      tag = woff2.toString('latin1', offset, offset + 4);
+      offset += 4;
+    }
+    const transform = flags >> 6;
+    // glyf/loca use 3 for "no transform", every other table 0
+    assert.equal(transform, tag === 'glyf' || tag === 'loca' ? 3 : 0, `${tag} is stored untransformed`);
+    let length;
+    ({ value: length, offset } = readBase128(woff2, offset));
+    directory.push({ tag, length });
+  }
+
+  const data = brotliDecompressSync(woff2.subarray(offset, offset + compressedLength));
+  const tables = new Map();
+  let position = 0;
+  for (const { tag, length } of directory) {
+    tables.set(tag, data.subarray(position, position + length));
+    position += length;
+  }
+  assert.equal(position, data.length, 'table lengths cover the decompressed data');
+  return tables;
+}
+
+// Read the tables of a TrueType font
+function readSfnt(font) {
+  const tables = new Map();
+  for (let i = 0; i < font.readUInt16BE(4); i++) {
+    const record = 12 + i * 16;
+    const offset = font.readUInt32BE(record + 8);
+    tables.set(font.toString('latin1', record, record + 4), font.subarray(offset, offset + font.readUInt32BE(record + 12)));
+  }
+  return tables;
+}
+
+// Glyph id of a BMP code point in the first format 4 subtable of a cmap
+function cmapLookup(cmap, cp) {
+  for (let i = 0; i < cmap.readUInt16BE(2); i++) {
+    const offset = cmap.readUInt32BE(4 + i * 8 + 4);
+    if (cmap.readUInt16BE(offset) !== 4) continue;
+    const segCount = cmap.readUInt16BE(offset + 6) / 2;
+    const ends = offset + 14;
+    const starts = ends + segCount * 2 + 2;
+    const deltas = starts + segCount * 2;
+    const rangeOffsets = deltas + segCount * 2;
+    for (let s = 0; s < segCount; s++) {
+      if (cp > cmap.readUInt16BE(ends + s * 2)) continue;
+      const start = cmap.readUInt16BE(starts + s * 2);
+      if (cp < start) return 0;
+      const delta = cmap.readUInt16BE(deltas + s * 2);
+      const rangeOffset = cmap.readUInt16BE(rangeOffsets + s * 2);
+      if (rangeOffset === 0) return (cp + delta) & 0xffff;
+      const glyph = cmap.readUInt16BE(rangeOffsets + s * 2 + rangeOffset + (cp - start) * 2);
+      return glyph === 0 ? 0 : (glyph + delta) & 0xffff;
+    }
+    return 0;
+  }
+  throw new Error('No format 4 cmap subtable');
+}
+
+// Glyph data of a glyph id
+function glyphData(tables, id) {
+  const loca = tables.get('loca');
+  const long = tables.get('head').readInt16BE(50) === 1;
+  const [start, end] = long
+    ? [loca.readUInt32BE(id * 4), loca.readUInt32BE(id * 4 + 4)]
+    : [loca.readUInt16BE(id * 2) * 2, loca.readUInt16BE(id * 2 + 2) * 2];
+  return tables.get('glyf').subarray(start, end);
+}
+
+// Advance width of a glyph id
+function advance(tables, id) {
+  const numberOfHMetrics = tables.get('hhea').readUInt16BE(34);
+  return tables.get('hmtx').readUInt16BE(Math.min(id, numberOfHMetrics - 1) * 4);
+}
+
+// Glyph ids referenced by a composite glyph
+function componentIds(glyph) {
+  const ids = [];
+  let offset = 10;
+  let flags;
+  do {
+    flags = glyph.readUInt16BE(offset);
+    ids.push(glyph.readUInt16BE(offset + 2));
+    offset += 4 + (flags & 0x0001 ? 4 : 2);
+    if (flags & 0x0008) offset += 2;
+    else if (flags & 0x0040) offset += 4;
+    else if (flags & 0x0080) offset += 8;
+  } while (flags & 0x0020);
+  return ids;
+}
+
+for (const [name, { files }] of Object.entries(FONTS)) {
+  for (const weight of Object.keys(files)) {
+    test(`${name} ${weight} subset covers the text with the original glyphs and metrics`, () => {
+      const original = readSfnt(loadFont(files[weight]));
+      const subset = decodeWOFF2(subsetFontToWOFF2(loadFont(files[weight]), TEXT));
+      const numGlyphs = subset.get('maxp').readUInt16BE(4);
+
+      assert.deepEqual([...subset.keys()].sort(), ['OS/2', 'cmap', 'glyf', 'head', 'hhea', 'hmtx', 'loca', 'maxp', 'name', 'post']);
+      assert.equal(subset.get('hhea').readUInt16BE(34), numGlyphs);
+      assert.equal(subset.get('loca').length, (numGlyphs + 1) * 4);
+
+      for (const char of new Set(TEXT)) {
+        const cp = char.codePointAt(0);
+        const originalId = cmapLookup(original.get('cmap'), cp);
+        const id = cmapLookup(subset.get('cmap'), cp);
+        if (originalId === 0) {
+          assert.equal(id, 0, `${char} is not in the subset when the font lacks it`);
+          continue;
+        }
+        assert.ok(id > 0 && id < numGlyphs, `${char} maps to a glyph of the subset`);
+        assert.equal(advance(subset, id), advance(original, originalId), `${char} keeps its advance width`);
+        // Drawn characters keep an outline and spaces stay empty
+        const data = glyphData(subset, id);
+        assert.equal(data.length > 0, glyphData(original, originalId).length > 0, `${char} keeps its outline`);
+      }
+
+      // Characters outside the text are dropped
+      for (const char of 'QZqz') {
+        assert.equal(cmapLookup(subset.get('cmap'), char.codePointAt(0)), 0, `${char} is not in the subset`);
+      }
+
+      // Composite glyphs only reference glyphs inside the subset
+      let composites = 0;
+      for (let id = 0; id < numGlyphs; id++) {
+        const data = glyphData(subset, id);
+        if (data.length === 0 || data.readInt16BE(0) >= 0) continue;
+        composites++;
+        for (const component of componentIds(data)) {
+          assert.ok(component < numGlyphs, `glyph ${id} references glyph ${component} of the subset`);
+        }
+      }
+      if (name !== 'dejavu-mono') assert.ok(composites > 0, 'the fixture exercises composite glyphs');
+    });
+  }
+}
+
+test('advanceWidths matches the font metrics and falls back to .notdef', () => {
+  const font = loadFont(FONTS['dejavu-sans'].files[400]);
+  const tables = readSfnt(font);
+  const { unitsPerEm, advances } = advanceWidths(font, 'Wi\u{10FFFD}');
+
+  assert.equal(unitsPerEm, 2048);
+  assert.deepEqual(advances, [
+    advance(tables, cmapLookup(tables.get('cmap'), 'W'.codePointAt(0))),
+    advance(tables, cmapLookup(tables.get('cmap'), 'i'.codePointAt(0))),
+    advance(tables, 0),
+  ]);
+});
+
+test('measureText scales advances to the font size', async () => {
+  const font = loadFont(FONTS['dejavu-mono'].files[400]);
+  const { unitsPerEm, advances } = advanceWidths(font, 'x');
+
+  assert.equal(await measureText('xxxx', 'dejavu-mono', 16), (4 * advances[0] * 16) / unitsPerEm);
+  assert.ok(await measureText('Total Stars:', 'dejavu-sans', 16, { bold: true }) > await measureText('Total Stars:', 'dejavu-sans', 16));
+});
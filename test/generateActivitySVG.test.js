@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { bucketDays, generateActivitySVGFromData, logYTicks, movingAverage } from '../src/widgets/github_timeseries/generateActivitySVG.js';
+
+// One contribution a day from start to end (YYYY-MM-DD, inclusive)
+function dailySeries(start, end) {
+  const days = [];
+  for (let time = Date.parse(start); time <= Date.parse(end); time += 86400000) {
+    days.push({ date: new Date(time).toISOString().slice(0, 10), count: 1 });
+  }
+  return days;
+}
+
+test('weekly buckets drop the partial first week and mark the partial last one', () => {
+  // Wednesday 2025-01-01 to Wednesday 2025-03-05
+  const weeks = bucketDays(dailySeries('2025-01-01', '2025-03-05'), 'week');
+  assert.equal(weeks[0].date, '2025-01-05');
+  assert.deepEqual(weeks.at(-1), { date: '2025-03-02', count: 4, partial: true });
+  assert.ok(weeks.slice(0, -1).every((week) => week.count === 7 && !week.partial));
+});
+
+test('monthly buckets keep whole months of any length', () => {
+  const months = bucketDays(dailySeries('2023-12-15', '2024-04-10'), 'month');
+  assert.deepEqual(months, [
+    { date: '2024-01-01', count: 31 },
+    { date: '2024-02-01', count: 29 },
+    { date: '2024-03-01', count: 31 },
+    { date: '2024-04-01', count: 10, partial: true },
+  ]);
+});
+
+test('a partial first bucket is kept when no whole bucket is left', () => {
+  assert.deepEqual(bucketDays(dailySeries('2025-01-10', '2025-02-05'), 'month'), [
+    { date: '2025-01-01', count: 22, partial: true },
+    { date: '2025-02-01', count: 5, partial: true },
+  ]);
+  assert.deepEqual(bucketDays([], 'week'), []);
+});
+
+test('the partial last bucket is drawn apart from the whole ones', () => {
+  const data = {
+    username: 'octocat',
+    totals: { commits: 0, prs: 0, issues: 0, reviews: 0, total: 0 },
+    interval: 'month',
+    days: dailySeries('2024-01-01', '2024-04-10'),
+  };
+  const line = generateActivitySVGFromData(data, { chart: 'line' });
+  assert.equal(line.match(/class="partial-line"/g).length, 1);
+
+  const bars = generateActivitySVGFromData(data, { chart: 'bar' });
+  assert.equal(bars.match(/class="bar partial"/g).length, 1);
+  assert.equal(bars.match(/class="bar"/g).length, 3);
+
+  // Whole buckets only: nothing is set apart
+  const whole = generateActivitySVGFromData({ ...data, days: dailySeries('2024-01-01', '2024-03-31') }, { chart: 'line' });
+  assert.ok(!whole.includes('partial-line'));
+});
+
+test('moving averages cover the available points at the start of the series', () => {
+  assert.deepEqual(movingAverage([2, 4, 6, 8], 2), [2, 3, 5, 7]);
+  assert.deepEqual(movingAverage([2, 4, 6, 8], 3), [2, 3, 4, 6]);
+  assert.deepEqual(movingAverage([2, 4, 6], 1), [2, 4, 6]);
+  // A window longer than the series averages everything so far
+  assert.deepEqual(movingAverage([2, 4, 6], 10), [2, 3, 4]);
+  assert.deepEqual(movingAverage([5, 5, 5, 5], 3), [5, 5, 5, 5]);
+  assert.deepEqual(movingAverage([], 3), []);
+});
+
+test('log ticks start at zero and add the maximum when it is far from a power of ten', () => {
+  assert.deepEqual(logYTicks(1), [0, 1]);
+  assert.deepEqual(logYTicks(15), [0, 1, 10]);
+  assert.deepEqual(logYTicks(20), [0, 1, 10, 20]);
+  assert.deepEqual(logYTicks(1000), [0, 1, 10, 100, 1000]);
+});
+
+test('zero and flat series draw finite charts on either scale', () => {
+  const data = { username: 'octocat', totals: { commits: 0, prs: 0, issues: 0, reviews: 0, total: 0 }, interval: 'day' };
+  for (const count of [0, 3]) {
+    const days = dailySeries('2025-01-01', '2025-01-31').map((day) => ({ ...day, count }));
+    for (const yScale of ['linear', 'log']) {
+      const svg = generateActivitySVGFromData({ ...data, days }, { yScale, smooth: 7 });
+      assert.ok(!/NaN|Infinity/.test(svg), `count ${count}, ${yScale}`);
+    }
+  }
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateContributionCalendarSVGFromData } from '../src/widgets/contribution_calendar/generateContributionCalendarSVG.js';
+
+// Grid geometry of the widget: 11px cells 3px apart, the first row at y=64
+const PITCH = 14;
+const GRID_Y = 64;
+
+/**
+ * Render a calendar of one contribution a day and read its grid back
+ * @param {string} startDate - First day (YYYY-MM-DD)
+ * @param {string} endDate - Last day (YYYY-MM-DD)
+ * @returns {{cells: Array<{week: number, row: number}>, months: Array<{week: number, label: string}>, weekdays: string[]}} Cells and labels
+ */
+function renderGrid(startDate, endDate) {
+  const days = [];
+  for (let time = Date.parse(startDate); time <= Date.parse(endDate); time += 86400000) {
+    days.push({ date: new Date(time).toISOString().slice(0, 10), count: 1 });
+  }
+  const svg = generateContributionCalendarSVGFromData({ username: 'octocat', startDate, endDate, totalContributions: days.length, days }, { animate: false });
+
+  const cells = [];
+  for (const [, week, group] of svg.matchAll(/<g class="week week-(\d+)">(.*?)<\/g>/g)) {
+    for (const [, y] of group.matchAll(/<rect x="\d+" y="(\d+)"/g)) {
+      cells.push({ week: Number(week), row: (Number(y) - GRID_Y) / PITCH });
+    }
+  }
+  const gridX = Number(svg.match(/<g class="week week-0"><rect x="(\d+)"/)[1]);
+  const months = [...svg.matchAll(/<text x="(\d+)" y="58" class="font label">([^<]+)<\/text>/g)]
+    .map(([, x, label]) => ({ week: (Number(x) - gridX) / PITCH, label }));
+  const weekdays = [...svg.matchAll(/<text x="\d+" y="\d+" text-anchor="end" class="font label">([^<]+)<\/text>/g)]
+    .map(([, label]) => label)
+    .slice(0, 3);
+  return { cells, months, weekdays };
+}
+
+test('weeks start on Sunday, with the first day in the row of its weekday', () => {
+  // Monday 2024-01-01 to Tuesday 2024-12-31, a leap year
+  const { cells, weekdays } = renderGrid('2024-01-01', '2024-12-31');
+  assert.equal(cells.length, 366);
+  assert.deepEqual(cells[0], { week: 0, row: 1 });
+  assert.deepEqual(cells.at(-1), { week: 52, row: 2 });
+  assert.deepEqual(weekdays, ['Mon', 'Wed', 'Fri']);
+
+  assert.equal(renderGrid('2023-01-01', '2023-12-31').cells.length, 365);
+});
+
+test('a Saturday and the next Sunday fall in consecutive weeks', () => {
+  assert.deepEqual(renderGrid('2024-06-01', '2024-06-02').cells, [
+    { week: 0, row: 6 },
+    { week: 1, row: 0 },
+  ]);
+});
+
+test('leap days take their own cell between February and March', () => {
+  const { cells } = renderGrid('2024-02-25', '2024-03-02');
+  // Sunday 2024-02-25 to Saturday 2024-03-02 is one whole week
+  assert.deepEqual(cells, Array.from({ length: 7 }, (_, row) => ({ week: 0, row })));
+  assert.equal(renderGrid('2023-02-26', '2023-03-04').cells.length, 7);
+});
+
+test('months are labelled above their first week starting in them, skipping crowded labels', () => {
+  // The first column starts on Sunday 2023-12-31, so January is labelled
+  // above the next one; February starts on a Thursday and March on a Friday
+  assert.deepEqual(renderGrid('2024-01-01', '2024-03-31').months, [
+    { week: 1, label: 'Jan' },
+    { week: 5, label: 'Feb' },
+    { week: 9, label: 'Mar' },
+  ]);
+
+  // A week of January before February's first week leaves no room for its label
+  assert.deepEqual(renderGrid('2024-01-28', '2024-03-31').months.map(({ label }) => label), ['Feb', 'Mar']);
+});
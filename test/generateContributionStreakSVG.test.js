@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  calculateStreaks,
+  findRuns,
+  parseExcludeDays,
+} from '../src/widgets/contribution_streak/generateContributionStreakSVG.js';
+
+// Contribution days from a { date: count } map, oldest first
+const days = (counts) => Object.entries(counts).map(([date, count]) => ({ date, count }));
+
+test('findRuns bridges skipped periods and ignores a missed current period', () => {
+  const status = { a: 'hit', b: 'skip', c: 'hit', d: 'miss', e: 'hit', f: 'miss' };
+  assert.deepEqual(findRuns(Object.keys(status), (period) => status[period]), {
+    current: 1,
+    currentStart: 'e',
+    currentEnd: 'e',
+    longest: 2,
+    longestStart: 'a',
+    longestEnd: 'c',
+  });
+  assert.equal(findRuns([], () => 'hit').current, 0);
+});
+
+test('an excluded weekend bridges a daily streak', () => {
+  // Thursday 2025-01-02 to Monday 2025-01-06, nothing on the weekend
+  const contributions = days({ '2025-01-02': 1, '2025-01-03': 2, '2025-01-04': 0, '2025-01-05': 0, '2025-01-06': 1 });
+
+  const bridged = calculateStreaks(contributions, '2025-01-06', { excludeDays: parseExcludeDays('sat,sun') });
+  assert.equal(bridged.currentStreak, 3);
+  assert.equal(bridged.currentStreakStart, '2025-01-02');
+  assert.equal(bridged.currentStreakEnd, '2025-01-06');
+
+  assert.equal(calculateStreaks(contributions, '2025-01-06').currentStreak, 1);
+});
+
+test('an excluded date bridges a streak and still counts when it has contributions', () => {
+  const excludeDays = parseExcludeDays('2024-12-25');
+  const holiday = calculateStreaks(days({ '2024-12-24': 1, '2024-12-25': 0, '2024-12-26': 1 }), '2024-12-26', { excludeDays });
+  assert.equal(holiday.longestStreak, 2);
+  assert.equal(holiday.longestStreakStart, '2024-12-24');
+
+  const worked = calculateStreaks(days({ '2024-12-24': 1, '2024-12-25': 1, '2024-12-26': 1 }), '2024-12-26', { excludeDays });
+  assert.equal(worked.longestStreak, 3);
+});
+
+test('today without contributions does not break the current streak, yesterday does', () => {
+  const streaks = calculateStreaks(days({ '2025-03-01': 1, '2025-03-02': 1, '2025-03-03': 1 }), '2025-03-04');
+  assert.equal(streaks.currentStreak, 3);
+  assert.equal(streaks.currentStreakEnd, '2025-03-03');
+
+  assert.equal(calculateStreaks(days({ '2025-03-01': 1, '2025-03-02': 1 }), '2025-03-04').currentStreak, 0);
+});
+
+test('weekly streaks sum the threshold over weeks that span the new year', () => {
+  // The week of Sunday 2024-12-29 ends on Saturday 2025-01-04
+  const contributions = days({ '2024-12-23': 3, '2024-12-30': 2, '2025-01-02': 1 });
+  const opts = { mode: 'weekly', minContributions: 3 };
+
+  const streaks = calculateStreaks(contributions, '2025-01-08', opts);
+  assert.equal(streaks.currentStreak, 2);
+  assert.equal(streaks.currentStreakStart, '2024-12-22');
+  assert.equal(streaks.currentStreakEnd, '2025-01-04');
+
+  assert.equal(calculateStreaks(contributions, '2025-01-08', { ...opts, minContributions: 4 }).currentStreak, 0);
+  // The week in progress ends the streak on today
+  assert.equal(calculateStreaks(contributions, '2025-01-02', opts).currentStreakEnd, '2025-01-02');
+});
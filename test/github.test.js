@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+
+import { runGraphQL } from '../src/utils/github.js';
+
+// The client reads its limits on every call
+process.env.GITHUB_API_TIMEOUT_MS = '300';
+process.env.GITHUB_API_MAX_RETRIES = '0';
+
+/**
+ * Serve GraphQL requests from a local server instead of api.github.com
+ * @param {Function} respond - Request listener
+ * @param {import('node:test').TestContext} t - Test context, closes the server afterwards
+ * @returns {Promise<void>}
+ */
+async function mockGitHub(respond, t) {
+  const server = createServer(respond);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = (url, init) => realFetch(`http://127.0.0.1:${server.address().port}/graphql`, init);
+  t.after(() => {
+    globalThis.fetch = realFetch;
+    server.closeAllConnections();
+    server.close();
+  });
+}
+
+test('runGraphQL returns the data of a response', async (t) => {
+  await mockGitHub((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ data: { viewer: { login: 'octocat' } } }));
+  }, t);
+
+  assert.deepEqual(await runGraphQL('query { viewer { login } }', {}, 'token'), { viewer: { login: 'octocat' } });
+});
+
+test('runGraphQL times out when the response body stalls after the headers', async (t) => {
+  await mockGitHub((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.write('{"data": ');
+  }, t);
+
+  const started = Date.now();
+  await assert.rejects(runGraphQL('query { viewer { login } }', {}, 'token'), { code: 'GITHUB_TIMEOUT', statusCode: 504 });
+  assert.ok(Date.now() - started < 2000, 'the deadline covers reading the body');
+});
+
+test('runGraphQL rejects a successful response that is not JSON', async (t) => {
+  await mockGitHub((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end('<html><body>Service unavailable</body></html>');
+  }, t);
+
+  await assert.rejects(runGraphQL('query { viewer { login } }', {}, 'token'), {
+    name: 'GitHubAPIError',
+    code: 'GITHUB_API_ERROR',
+    statusCode: 502,
+  });
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateParams } from '../src/utils/schema.js';
+import { LOCALE_PARAM, resolveLocale } from '../src/utils/i18n.js';
+
+test('locale parameter is normalized to the canonical tag', () => {
+  assert.equal(validateParams({ locale: 'PT-br' }, [LOCALE_PARAM]).values.locale, 'pt-BR');
+  assert.equal(validateParams({ locale: 'he' }, [LOCALE_PARAM]).values.locale, 'he');
+  assert.deepEqual(validateParams({ locale: 'xx' }, [LOCALE_PARAM]).errors.map((error) => error.param), ['locale']);
+  assert.deepEqual(validateParams({ locale: 'constructor' }, [LOCALE_PARAM]).errors.map((error) => error.param), ['locale']);
+});
+
+test('spellings of a locale resolve to one shared entry', () => {
+  assert.equal(resolveLocale('pt-br'), resolveLocale('PT-BR'));
+  assert.equal(resolveLocale('pt-br').locale, 'pt-BR');
+  assert.equal(resolveLocale('not a tag').locale, 'en');
+});
+
+test('resolved locales are bounded', () => {
+  const first = resolveLocale('de-AT');
+  for (let i = 0; i < 100; i++) {
+    resolveLocale(`en-${String.fromCharCode(65 + Math.floor(i / 26), 65 + (i % 26))}`);
+  }
+  assert.notEqual(resolveLocale('de-AT'), first, 'the oldest entry was evicted');
+  assert.deepEqual(resolveLocale('de-AT').formatNumber(1234), first.formatNumber(1234));
+});
+
+test('right-to-left locales mirror anchors and positions', () => {
+  const ltr = resolveLocale('en');
+  assert.equal(ltr.dir, 'ltr');
+  assert.deepEqual(['start', 'middle', 'end'].map(ltr.anchor), ['start', 'middle', 'end']);
+  assert.equal(ltr.mirrorX(30, 600), 30);
+  assert.equal(ltr.mirrorX(0, 0, 20), 0);
+
+  for (const locale of ['ar', 'he-IL']) {
+    const rtl = resolveLocale(locale);
+    assert.equal(rtl.dir, 'rtl');
+    assert.deepEqual(['start', 'middle', 'end'].map(rtl.anchor), ['end', 'middle', 'start']);
+    assert.equal(rtl.mirrorX(30, 600), 570);
+    assert.equal(rtl.mirrorX(450, 600), 150);
+    // A box keeps its size: its left edge moves so its right edge mirrors the original left edge
+    assert.equal(rtl.mirrorX(0, 0, 20), -20);
+    assert.equal(rtl.bidi('x'), '\u202bx\u202c');
+  }
+});
@@ -0,0 +1,18 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyOutputFormat } from '../src/utils/outputFormat.js';
+import { findWidget } from '../src/handlers/v1/registry.js';
+
+const svgResponse = { statusCode: 200, headers: { 'Content-Type': 'image/svg+xml' }, body: '<svg xmlns="http://www.w3.org/2000/svg"/>' };
+
+test('output parameter errors are drawn at the size of the widget', async () => {
+  const { errorCard } = findWidget('contribution-streak.svg');
+  for (const rawQuery of ['format=gif', 'scale=9', 'font=comic']) {
+    const response = await applyOutputFormat({ rawQuery, headers: {} }, svgResponse, errorCard);
+    assert.equal(response.statusCode, 400, rawQuery);
+    assert.match(response.body, /<svg [^>]*width="550" height="176"/, rawQuery);
+  }
+
+  const qr = await applyOutputFormat({ rawQuery: 'format=gif&size=200', headers: {} }, svgResponse, findWidget('qr-code.svg').errorCard);
+  assert.match(qr.body, /<svg [^>]*width="248" height="248"/);
+});
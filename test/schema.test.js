@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateParams } from '../src/utils/schema.js';
+import { parseBoolean } from '../src/utils/validation.js';
+import { TIMEZONE_PARAM } from '../src/utils/timezone.js';
+
+const schema = [
+  { key: 'mode', type: 'string', default: 'daily', enum: ['daily', 'weekly'] },
+  { key: 'excludeDays', type: 'string', conflicts: ['mode=weekly'] },
+  { key: 'year', type: 'number', conflicts: ['range'] },
+  { key: 'range', type: 'string' },
+  { key: 'width', type: 'number', min: 1 },
+];
+
+test('conflicts are reported with the other validation errors', () => {
+  const { errors } = validateParams({ year: '2024', range: '2024-01-01:2024-02-01', width: '0' }, schema);
+  assert.deepEqual(errors.map((error) => error.message), [
+    'width must be a number of at least 1',
+    'year cannot be used together with range',
+  ]);
+});
+
+test('key=value conflicts only apply to that value', () => {
+  const weekly = validateParams({ mode: 'weekly', excludeDays: 'sat' }, schema);
+  assert.deepEqual(weekly.errors, [{ param: 'excludeDays', message: 'excludeDays cannot be used together with mode=weekly' }]);
+
+  assert.deepEqual(validateParams({ mode: 'daily', excludeDays: 'sat' }, schema).errors, []);
+  assert.deepEqual(validateParams({ excludeDays: 'sat' }, schema).errors, []);
+  assert.deepEqual(validateParams({ mode: 'weekly' }, schema).errors, []);
+});
+
+test('parseBoolean accepts the same spellings as validateParams', () => {
+  const flag = [{ key: 'showLogo', type: 'boolean', default: true }];
+  for (const raw of ['true', '1', '', 'false', '0']) {
+    assert.equal(parseBoolean(raw), validateParams({ showLogo: raw }, flag).values.showLogo, raw);
+  }
+  assert.equal(parseBoolean(undefined), true);
+  assert.equal(parseBoolean('maybe', false), false);
+});
+
+test('normalize replaces the parsed value and reports its errors', () => {
+  const schema = [TIMEZONE_PARAM];
+  for (const raw of ['utc', 'Etc/UTC', 'UTC']) {
+    assert.equal(validateParams({ timezone: raw }, schema).values.timezone, 'UTC', raw);
+  }
+  assert.equal(validateParams({ timezone: 'america/los_angeles' }, schema).values.timezone, 'America/Los_Angeles');
+  assert.equal(validateParams({}, schema).values.timezone, 'UTC');
+  assert.deepEqual(validateParams({ timezone: 'Mars/Base' }, schema).errors.map((error) => error.param), ['timezone']);
+});
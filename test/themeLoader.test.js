@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { loadCustomThemes } from '../src/utils/themeLoader.js';
+import { THEMES, isCustomTheme } from '../src/utils/themes.js';
+import { ConfigurationError } from '../src/utils/errors.js';
+
+// A complete set of colours to derive test themes from
+const OCEAN = { ...THEMES.ocean };
+
+/**
+ * Write theme files into a fresh temporary directory
+ * @param {import('node:test').TestContext} t - Test context, removes the directory afterwards
+ * @param {Object<string, string>} files - File contents by name
+ * @returns {string} Directory path
+ */
+function themeDir(t, files) {
+  const dir = mkdtempSync(join(tmpdir(), 'github-widgets-themes-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  for (const [name, content] of Object.entries(files)) {
+    writeFileSync(join(dir, name), content);
+  }
+  return dir;
+}
+
+// A theme as YAML, with every value quoted
+const toYAML = (name, theme) => `${name}:\n${Object.entries(theme).map(([key, value]) => `  ${key}: "${value}"`).join('\n')}\n`;
+
+test('JSON and YAML themes in a directory are validated and registered', (t) => {
+  const dir = themeDir(t, {
+    'a.json': JSON.stringify({ 'brand-json': { ...OCEAN, title: 'ABCDEF' } }),
+    'b.yaml': `# Brand colours\n${toYAML('brand_yaml', { ...OCEAN, title: '#123456' })}  grid: rgba(0, 0, 0, 0.1) # unquoted\n`,
+    'notes.txt': 'not a theme',
+  });
+
+  assert.deepEqual(loadCustomThemes(dir), ['brand-json', 'brand_yaml']);
+  assert.equal(THEMES['brand-json'].title, '#abcdef');
+  assert.equal(THEMES.brand_yaml.title, '#123456');
+  assert.equal(THEMES.brand_yaml.grid, 'rgba(0, 0, 0, 0.1)');
+  assert.ok(isCustomTheme('brand_yaml'));
+  assert.deepEqual(loadCustomThemes(''), []);
+});
+
+test('malformed files are rejected with the file and line', (t) => {
+  const cases = {
+    'broken.json': ['{"brand": ', /Invalid JSON in theme file .*broken\.json/],
+    'list.json': ['[]', /must contain an object mapping theme names to colours/],
+    'orphan.yaml': ['  title: "#ffffff"\n', /orphan\.yaml:1: colour "title" is not inside a theme/],
+    'unquoted.yaml': ['brand:\n  title: #ffffff\n', /unquoted\.yaml:2: title is empty; quote hex colours/],
+    'inline.yml': ['brand: "#ffffff"\n', /inline\.yml:1: theme "brand" must be followed by indented colours/],
+  };
+  const dir = themeDir(t, Object.fromEntries(Object.entries(cases).map(([file, [content]]) => [file, content])));
+
+  for (const [file, [, message]] of Object.entries(cases)) {
+    assert.throws(() => loadCustomThemes(join(dir, file)), (error) => error instanceof ConfigurationError && message.test(error.message), file);
+  }
+  assert.throws(() => loadCustomThemes(join(dir, 'missing.json')), /THEMES_PATH .* does not exist/);
+});
+
+test('invalid colours, missing keys and bad names are all reported before anything is registered', (t) => {
+  const incomplete = { ...OCEAN };
+  delete incomplete.accentE;
+  const dir = themeDir(t, {
+    'a.json': JSON.stringify({ 'valid-first': OCEAN }),
+    'b.json': JSON.stringify({ 'bad theme': { ...incomplete, title: 'not-a-colour', extra: '#fff' } }),
+  });
+
+  assert.throws(
+    () => loadCustomThemes(dir),
+    (error) => error instanceof ConfigurationError && error.message === 'Invalid theme "bad theme" in ' + join(dir, 'b.json') +
+      ': name may only contain letters, digits, "-" and "_"; missing accentE; title "not-a-colour" is not a valid colour; unknown key extra'
+  );
+  assert.ok(!Object.hasOwn(THEMES, 'valid-first'));
+});
+
+test('a theme named like a built-in replaces it, but not another custom theme', (t) => {
+  const radical = THEMES.radical;
+  t.after(() => {
+    THEMES.radical = radical;
+  });
+  const warn = t.mock.method(console, 'warn', () => {});
+
+  assert.deepEqual(loadCustomThemes(themeDir(t, { 'radical.json': JSON.stringify({ radical: OCEAN }) })), ['radical']);
+  assert.deepEqual(THEMES.radical, OCEAN);
+  assert.match(warn.mock.calls[0].arguments[0], /Custom theme "radical" replaces the built-in theme/);
+
+  const twice = themeDir(t, { 'a.json': JSON.stringify({ twice: OCEAN }), 'b.yaml': toYAML('twice', OCEAN) });
+  assert.throws(() => loadCustomThemes(twice), /Theme "twice" is defined more than once \(again in .*b\.yaml\)/);
+});
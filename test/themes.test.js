@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateParams } from '../src/utils/schema.js';
+import { THEMES, THEME_PARAMS, getTheme, getThemeOptions, parseGradient, registerThemes } from '../src/utils/themes.js';
+import { ValidationError } from '../src/utils/errors.js';
+
+test('unknown theme names are rejected', () => {
+  const { errors } = validateParams({ theme: 'radicall', lightTheme: 'auto', darkTheme: 'ocean' }, THEME_PARAMS);
+  assert.deepEqual(errors.map((error) => error.param), ['theme', 'lightTheme']);
+  assert.match(errors[0].message, /^theme must be one of: auto, radical, /);
+});
+
+test('built-in, auto and registered themes are accepted', () => {
+  registerThemes({ 'test-brand': { ...THEMES.ocean, title: '#123456' } });
+
+  for (const query of [{ theme: 'ocean' }, { theme: 'auto' }, { theme: 'test-brand' }, { darkTheme: 'test-brand' }]) {
+    assert.deepEqual(validateParams(query, THEME_PARAMS).errors, [], JSON.stringify(query));
+  }
+  assert.equal(getThemeOptions(validateParams({ theme: 'test-brand' }, THEME_PARAMS).values).theme, 'test-brand');
+  assert.equal(getThemeOptions(validateParams({ darkTheme: 'test-brand' }, THEME_PARAMS).values).theme, 'auto');
+  assert.equal(getThemeOptions(validateParams({}, THEME_PARAMS).values).theme, 'radical');
+});
+
+test('Object.prototype keys are not themes', () => {
+  for (const name of ['constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+    const { errors } = validateParams({ theme: name, lightTheme: name, darkTheme: name }, THEME_PARAMS);
+    assert.deepEqual(errors.map((error) => error.param), ['theme', 'lightTheme', 'darkTheme'], name);
+    assert.deepEqual(getTheme(name), THEMES.radical, name);
+  }
+});
+
+test('gradients take an optional angle or radial type before their stops', () => {
+  assert.deepEqual(parseGradient('135,ff6b6b,#7C5CFF'), {
+    type: 'linear',
+    angle: 135,
+    stops: [{ color: '#ff6b6b', offset: 0 }, { color: '#7c5cff', offset: 100 }],
+  });
+  assert.equal(parseGradient('ff6b6b,7c5cff').angle, 180);
+  assert.equal(parseGradient('-90deg,ff6b6b,7c5cff').angle, 270);
+  assert.equal(parseGradient('450, ff6b6b, 7c5cff').angle, 90);
+  assert.equal(parseGradient('Radial,ff6b6b,7c5cff').type, 'radial');
+});
+
+test('gradient stops may be theme keys and spread evenly unless given an offset', () => {
+  assert.deepEqual(parseGradient('radial,accentA:0,bg:70').stops, [{ key: 'accentA', offset: 0 }, { key: 'bg', offset: 70 }]);
+  assert.deepEqual(parseGradient('0f0,transparent,f00').stops.map((stop) => stop.offset), [0, 50, 100]);
+  assert.deepEqual(parseGradient('0f0,00f:25%,f00').stops.map((stop) => stop.offset), [0, 25, 100]);
+});
+
+test('malformed gradients are rejected', () => {
+  const stops = (count) => Array.from({ length: count }, () => 'ff0000').join(',');
+  for (const value of [
+    '',
+    'ff0000',
+    'radial,ff0000',
+    stops(9),
+    'ff0000,notacolour',
+    'rgb(1,2,3),ff0000',
+    'ff0000:120,00ff00',
+    'ff0000:-5,00ff00',
+    'ff0000:,00ff00',
+    'ff0000:10:20,00ff00',
+  ]) {
+    assert.throws(() => parseGradient(value), ValidationError, value);
+  }
+  assert.equal(parseGradient(stops(8)).stops.length, 8);
+  assert.deepEqual(validateParams({ bgGradient: 'ff0000' }, THEME_PARAMS).errors.map((error) => error.param), ['bgGradient']);
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { dateInTimeZone, resolveTimeZone, zonedDateTime } from '../src/utils/timezone.js';
+import { ValidationError } from '../src/utils/errors.js';
+
+test('day boundaries take the offset in force at that time on daylight saving days', () => {
+  // Clocks go forward on 2024-03-10 and back on 2024-11-03 in Los Angeles
+  assert.equal(zonedDateTime('2024-03-10', '00:00:00.000', 'America/Los_Angeles'), '2024-03-10T00:00:00.000-08:00');
+  assert.equal(zonedDateTime('2024-03-10', '23:59:59.999', 'America/Los_Angeles'), '2024-03-10T23:59:59.999-07:00');
+  assert.equal(zonedDateTime('2024-11-03', '00:00:00.000', 'America/Los_Angeles'), '2024-11-03T00:00:00.000-07:00');
+  assert.equal(zonedDateTime('2024-11-03', '23:59:59.999', 'America/Los_Angeles'), '2024-11-03T23:59:59.999-08:00');
+  assert.equal(zonedDateTime('2024-03-31', '23:59:59', 'Europe/London'), '2024-03-31T23:59:59+01:00');
+  assert.equal(zonedDateTime('2024-03-31', '00:00:00'), '2024-03-31T00:00:00Z');
+});
+
+test('half- and quarter-hour offsets are kept to the minute', () => {
+  assert.equal(zonedDateTime('2024-06-01', '00:00:00', 'Asia/Kolkata'), '2024-06-01T00:00:00+05:30');
+  assert.equal(zonedDateTime('2024-06-01', '00:00:00', 'Asia/Kathmandu'), '2024-06-01T00:00:00+05:45');
+  assert.equal(zonedDateTime('2024-01-15', '00:00:00', 'America/St_Johns'), '2024-01-15T00:00:00-03:30');
+
+  // Midnight in Kolkata is 18:30 UTC the day before
+  assert.equal(dateInTimeZone(new Date('2024-01-01T18:29:59Z'), 'Asia/Kolkata'), '2024-01-01');
+  assert.equal(dateInTimeZone(new Date('2024-01-01T18:30:00Z'), 'Asia/Kolkata'), '2024-01-02');
+});
+
+test('zone aliases and spellings resolve to one canonical name', () => {
+  assert.equal(resolveTimeZone('US/Pacific'), 'America/Los_Angeles');
+  assert.equal(resolveTimeZone('america/los_angeles'), 'America/Los_Angeles');
+  assert.equal(resolveTimeZone('utc'), 'UTC');
+  assert.equal(resolveTimeZone('Etc/UTC'), 'UTC');
+  assert.equal(resolveTimeZone('Asia/Calcutta'), resolveTimeZone('Asia/Kolkata'));
+});
+
+test('unknown zones are rejected', () => {
+  for (const zone of ['Mars/Base', 'America/Los Angeles', 'PST8', '']) {
+    assert.throws(() => resolveTimeZone(zone), ValidationError, JSON.stringify(zone));
+  }
+});